@@ -1,6 +1,23 @@
 import { useState, useEffect, useRef, useCallback, useMemo, createContext, useContext, Component } from 'react'
 import { supabase } from './lib/supabase'
-import JSZip from 'jszip'
+import { createResumableUpload } from './lib/resumableUpload'
+import { readTabularFile, downloadBlob, toCsv, columnLetter } from './lib/spreadsheet'
+import { diffKindForFile, diffLines, diffWorkbooks, readVersionText } from './lib/versionDiff'
+import { trySha256Blob } from './lib/fileHash'
+import { MAX_THUMBNAIL_SOURCE_BYTES, loadThumbnail, parseDocx, parseXlsxPreview, richPreviewKind, thumbnailKind } from './lib/richPreview'
+import { buildStatusReportXlsx, buildStatusReportPdf, statusReportFileName, summarizeReport } from './lib/statusReport'
+import {
+  SIDE_FNU,
+  SIDE_AUDITOR,
+  SIDE_OPERATOR_LEGACY,
+  normalizeSide,
+  canSeeBySide,
+  can,
+  isAdminRole,
+  sectionPermissions
+} from '../supabase/functions/_shared/policy.ts'
+import { isPublishedTo } from '../supabase/functions/_shared/publication.ts'
+import { isWatermarkProtected } from '../supabase/functions/_shared/watermarkFormats.ts'
 
 // =====================================================
 // CONSTANTS
@@ -13,24 +30,12 @@ const ROLES = {
   user_operator: { pl: 'Użytkownik AUDITOR', uk: 'Користувач AUDITOR' }
 }
 
-// Canonical side name is AUDITOR. OPERATOR is legacy (kept for backward compatibility with old DB rows).
-const SIDE_FNU = 'FNU'
-const SIDE_AUDITOR = 'AUDITOR'
-const SIDE_OPERATOR_LEGACY = 'OPERATOR'
-
+// Side names and access rules live in supabase/functions/_shared/policy.ts (shared with the edge functions).
 const SIDES = {
   [SIDE_FNU]: { pl: 'FNU (Strona dostarczająca)', uk: 'FNU (Сторона що надає)' },
   [SIDE_AUDITOR]: { pl: 'AUDITOR (Strona audytu)', uk: 'AUDITOR (Сторона аудиту)' }
 }
 
-function normalizeSide(side) {
-  const s = String(side || '').trim().toUpperCase()
-  if (s === SIDE_OPERATOR_LEGACY) return SIDE_AUDITOR
-  if (s === SIDE_FNU) return SIDE_FNU
-  if (s === SIDE_AUDITOR) return SIDE_AUDITOR
-  return s || SIDE_FNU
-}
-
 function isAuditorSide(side) {
   return normalizeSide(side) === SIDE_AUDITOR
 }
@@ -50,23 +55,36 @@ function visibleSidesHasAuditor(visibleToSides) {
   return list.some(s => normalizeSide(s) === SIDE_AUDITOR)
 }
 
-function canSeeBySide(visibleToSides, viewerSide) {
-  const viewer = normalizeSide(viewerSide)
-  const list = Array.isArray(visibleToSides) ? visibleToSides : []
-  if (list.length === 0) return true
-  if (viewer === SIDE_FNU) return list.some(s => normalizeSide(s) === SIDE_FNU)
-  return list.some(s => normalizeSide(s) === SIDE_AUDITOR)
-}
-
 const STATUS_OPTIONS = [
   { value: 'pending', pl: '⏳ Oczekuje', uk: 'Очікує' },
   { value: 'in_progress', pl: '🔄 W trakcie', uk: 'В роботі' },
+  { value: 'in_review', pl: '🔍 W przeglądzie', uk: 'На перевірці' },
   { value: 'done', pl: '✅ Gotowe', uk: 'Готово' },
   { value: 'missing', pl: '❌ Brak', uk: 'Відсутній' }
 ]
+// Entered only through the review workflow (document-review edge function), never from a status select.
+const REVIEW_CONTROLLED_STATUSES = ['in_review', 'done']
+
+// Mirrors documents_review_guard: entering in_review / done, or leaving in_review, is a review transition.
+function isReviewOnlyStatus(value, currentStatus) {
+  if (value === currentStatus) return false
+  return REVIEW_CONTROLLED_STATUSES.includes(value) || currentStatus === 'in_review'
+}
+
+function statusUpdateErrorMessage(error) {
+  return /review_transition_required/i.test(error?.message || '')
+    ? 'Ten status ustawia tylko przegląd dokumentu / Цей статус встановлюється лише через перевірку документа'
+    : `Błąd statusu / Помилка статусу: ${sanitizeText(error?.message || 'update_failed')}`
+}
+
+const DEFAULT_REMINDER_DAYS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
 
 const MAX_FILE_SIZE = 100 * 1024 * 1024
 const MAX_FILES_PER_DOC = 100
+// Everything the file list renders; extracted_text is loaded per file on demand.
+const FILE_LIST_COLUMNS = 'id, document_id, file_name, file_path, file_size, file_type, mime_type, uploaded_by, scan_status, content_sha256, linked_from_file_id'
+const SCAN_POLL_MS = 5000
 const MAX_COMMENT_LENGTH = 500
 const MAX_MESSAGE_LENGTH = 500
 const MAX_LLM_SUGGESTIONS = 3
@@ -272,6 +290,23 @@ function getCommentAuthorTone(authorKey) {
   return COMMENT_AUTHOR_PALETTE[idx]
 }
 
+function toLocalIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// Deadline state of a document: overdue, due within its reminder window, or just scheduled.
+function getDeadlineState(doc) {
+  if (!doc?.due_date || doc.status === 'done') return null
+  const today = Date.parse(`${toLocalIsoDate(new Date())}T00:00:00Z`)
+  const daysLeft = Math.round((Date.parse(`${doc.due_date}T00:00:00Z`) - today) / DAY_MS)
+  if (!Number.isFinite(daysLeft)) return null
+  const reminderDays = Number.isFinite(Number(doc.reminder_days)) ? Number(doc.reminder_days) : DEFAULT_REMINDER_DAYS
+  if (daysLeft < 0) return { tone: 'overdue', daysLeft }
+  if (daysLeft <= reminderDays) return { tone: 'soon', daysLeft }
+  return { tone: 'scheduled', daysLeft }
+}
+
 function validateFile(file) {
   if (file.size > MAX_FILE_SIZE) {
     return { valid: false, error: 'Plik przekracza 100MB / Файл перевищує 100MB' }
@@ -383,6 +418,34 @@ async function invokeUserAccessAdminWithAuthRetry(payload) {
   return invokeFunctionWithAuthRetry('user-access-admin', payload)
 }
 
+// Fire-and-forget: new uploads stay quarantined until file-scan marks them clean, which then
+// requests text extraction/OCR. Missed requests are picked up by the scheduled sweep.
+function requestFileScan({ fileIds = [], attachmentIds = [] }) {
+  const file_ids = fileIds.filter(isValidUUID)
+  const attachment_ids = attachmentIds.filter(isValidUUID)
+  if (file_ids.length === 0 && attachment_ids.length === 0) return
+  invokeFunctionWithAuthRetry('file-scan', { file_ids, attachment_ids }).catch((err) => {
+    console.error('File scan request failed:', err)
+  })
+}
+
+const SCAN_STATUS_LABELS = {
+  pending: { icon: '🛡', pl: 'Skanowanie antywirusowe', uk: 'Антивірусна перевірка' },
+  infected: { icon: '⛔', pl: 'Zainfekowany, zablokowany', uk: 'Заражений, заблоковано' },
+  error: { icon: '⚠', pl: 'Błąd skanowania, plik zablokowany', uk: 'Помилка перевірки, файл заблоковано' }
+}
+
+function ScanStatusBadge({ item }) {
+  const meta = SCAN_STATUS_LABELS[item?.scan_status]
+  if (!meta) return null
+  const title = `${meta.pl} / ${meta.uk}${item.scan_signature ? `: ${item.scan_signature}` : ''}`
+  return (
+    <span className={`scan-badge scan-${item.scan_status}`} title={sanitizeText(title)}>
+      {meta.icon} {meta.pl} / {meta.uk}
+    </span>
+  )
+}
+
 async function invokeLlmTranslatorWithAuthRetry(payload) {
   return invokeFunctionWithSessionRetry('llm-translator', payload)
 }
@@ -540,6 +603,70 @@ function parseMessageContextEnvelope(value) {
   }
 }
 
+// Section ids of a folder and all of its nested subfolders (Drive imports can mirror deep trees).
+async function loadSectionTreeIds(rootSectionId) {
+  const ids = [rootSectionId]
+  let frontier = [rootSectionId]
+  while (frontier.length > 0 && ids.length < 2000) {
+    const { data, error } = await supabase
+      .from('document_sections')
+      .select('id')
+      .in('parent_section_id', frontier)
+    if (error) break
+    frontier = (data || []).map(s => s.id).filter(id => !ids.includes(id))
+    ids.push(...frontier)
+  }
+  return ids
+}
+
+// Per-document file counters: { [documentId]: { total, newToday, lastAt } }. Returns null when the query fails.
+async function loadDocumentFileStats(documentIds) {
+  const ids = (documentIds || []).filter(isValidUUID)
+  const stats = {}
+  ids.forEach(id => { stats[id] = { total: 0, newToday: 0, lastAt: null } })
+  const rows = []
+  for (let i = 0; i < ids.length; i += 200) {
+    const chunk = ids.slice(i, i + 200)
+    let { data, error } = await supabase
+      .from('document_files')
+      .select('document_id, created_at, uploaded_at')
+      .in('document_id', chunk)
+    if (error && /uploaded_at/i.test(error.message || '')) {
+      const fallback = await supabase
+        .from('document_files')
+        .select('document_id, created_at')
+        .in('document_id', chunk)
+      data = fallback.data
+      error = fallback.error
+    }
+    if (error) return null
+    rows.push(...(data || []))
+  }
+  const startOfDay = new Date()
+  startOfDay.setHours(0, 0, 0, 0)
+  rows.forEach(row => {
+    const docId = row.document_id
+    if (!stats[docId]) stats[docId] = { total: 0, newToday: 0, lastAt: null }
+    stats[docId].total += 1
+    const created = row.created_at || row.uploaded_at
+    if (created && new Date(created) >= startOfDay) stats[docId].newToday += 1
+    if (created && (!stats[docId].lastAt || created > stats[docId].lastAt)) stats[docId].lastAt = created
+  })
+  return stats
+}
+
+// Walks parent_section_id up to the top-level section shown in the sections nav.
+async function loadRootSection(sectionId) {
+  let currentId = sectionId
+  for (let depth = 0; currentId && depth < 20; depth++) {
+    const { data, error } = await supabase.from('document_sections').select('*').eq('id', currentId).maybeSingle()
+    if (error || !data) return null
+    if (!data.parent_section_id) return data
+    currentId = data.parent_section_id
+  }
+  return null
+}
+
 function getNextSectionCode(sections) {
   const topLevelCodes = (sections || [])
     .map(s => String(s.code || '').trim().toUpperCase())
@@ -595,6 +722,49 @@ function useSafeAsync() {
   }, [])
 }
 
+// Per-file resumable uploads into the documents bucket; enqueue() resolves once the object is stored.
+function useUploadQueue() {
+  const [items, setItems] = useState([])
+  const controllersRef = useRef(new Map())
+
+  const patchItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)))
+  }, [])
+
+  const enqueue = useCallback((file, path) => {
+    const id = crypto.randomUUID()
+    setItems(prev => [...prev, { id, name: file.name, size: file.size, uploaded: 0, state: 'uploading' }])
+    const controller = createResumableUpload({
+      bucket: 'documents',
+      path,
+      file,
+      onProgress: (uploaded) => patchItem(id, { uploaded }),
+      onStateChange: (state) => patchItem(id, { state }),
+    })
+    controllersRef.current.set(id, controller)
+    controller.start()
+    return controller.done.finally(() => controllersRef.current.delete(id))
+  }, [patchItem])
+
+  // tus keeps uploading after unmount unless the Upload instances themselves are stopped.
+  useEffect(() => {
+    const controllers = controllersRef.current
+    return () => {
+      controllers.forEach(controller => controller.abort())
+      controllers.clear()
+    }
+  }, [])
+
+  const pause = useCallback((id) => controllersRef.current.get(id)?.pause(), [])
+  const resume = useCallback((id) => controllersRef.current.get(id)?.resume(), [])
+  const cancel = useCallback((id) => controllersRef.current.get(id)?.cancel(), [])
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item => !['done', 'error', 'cancelled'].includes(item.state)))
+  }, [])
+
+  return { items, enqueue, pause, resume, cancel, clearFinished }
+}
+
 // =====================================================
 // CONTEXTS
 // =====================================================
@@ -632,17 +802,75 @@ function useProfile() {
 // =====================================================
 // AUDIT LOGGING
 // =====================================================
+// Entries are appended server-side (append_audit_log) and hash-chained there; the actor is the
+// session user, userId only skips calls made before the profile is loaded. Resolves to false on failure.
 async function logAudit(userId, action, entityType, entityId, details = null) {
-  if (!isValidUUID(userId)) return
+  if (!isValidUUID(userId)) return false
   try {
-    await supabase.from('audit_log').insert({
-      user_id: userId,
-      action: sanitizeText(action),
-      entity_type: sanitizeText(entityType),
-      entity_id: entityId,
-      details
+    const { error } = await supabase.rpc('append_audit_log', {
+      p_action: sanitizeText(action),
+      p_entity_type: sanitizeText(entityType),
+      p_entity_id: isValidUUID(entityId) ? entityId : null,
+      p_details: details
     })
-  } catch (e) { console.error('Audit error:', e) }
+    if (error) {
+      console.error('Audit error:', error.message || error)
+      return false
+    }
+    return true
+  } catch (e) {
+    console.error('Audit error:', e)
+    return false
+  }
+}
+
+// logAudit for components: a failed append is reported to the user instead of only to the console.
+function useAuditLog() {
+  const addToast = useToast()
+  return useCallback(async (...args) => {
+    const ok = await logAudit(...args)
+    if (!ok) addToast('Nie zapisano wpisu w dzienniku audytu / Запис у журнал аудиту не збережено', 'warning')
+    return ok
+  }, [addToast])
+}
+
+const AUDIT_CHAIN_GENESIS = '0'.repeat(64)
+const AUDIT_CHAIN_PAGE_SIZE = 1000
+
+async function verifyAuditChain() {
+  const { data, error } = await supabase.rpc('verify_audit_log_chain', { p_from_seq: 1 })
+  if (error) throw error
+  return Array.isArray(data) ? data : []
+}
+
+// Full chain plus the verification result, in a self-describing JSON document for regulators.
+async function buildAuditChainExport(generatedBy) {
+  const entries = []
+  let fromSeq = 1
+  for (;;) {
+    const { data, error } = await supabase.rpc('export_audit_log_chain', { p_from_seq: fromSeq, p_limit: AUDIT_CHAIN_PAGE_SIZE })
+    if (error) throw error
+    const rows = Array.isArray(data) ? data : []
+    entries.push(...rows)
+    if (rows.length < AUDIT_CHAIN_PAGE_SIZE) break
+    fromSeq = Number(rows[rows.length - 1].seq) + 1
+  }
+  const problems = await verifyAuditChain()
+  const head = entries[entries.length - 1] || null
+  return {
+    format: 'audit-log-hash-chain/v1',
+    generated_at: new Date().toISOString(),
+    generated_by: generatedBy || null,
+    hash: {
+      algorithm: 'SHA-256',
+      entry_hash: 'hex(sha256(utf8(payload)))',
+      payload: 'JSON array [seq, prev_hash, user_id, action, entity_type, entity_id, details, created_at (UTC, microseconds)]',
+      genesis_prev_hash: AUDIT_CHAIN_GENESIS
+    },
+    head: head ? { seq: head.seq, entry_hash: head.entry_hash, created_at: head.created_at } : null,
+    verification: { ok: problems.length === 0, problems },
+    entries
+  }
 }
 
 // =====================================================
@@ -898,2509 +1126,5192 @@ function Auth() {
 }
 
 // =====================================================
-// FILE UPLOAD COMPONENT
+// UPLOAD QUEUE PANEL
 // =====================================================
-function FileUpload({ document, onUpdate, canAdd, canDelete, canView, canComment }) {
-  const [files, setFiles] = useState([])
-  const [uploading, setUploading] = useState(false)
-  const [uploadProgress, setUploadProgress] = useState(0)
-  const [versionTableReady, setVersionTableReady] = useState(true)
-  const [expandedVersionFileId, setExpandedVersionFileId] = useState(null)
-  const [expandedCommentFileId, setExpandedCommentFileId] = useState(null)
-  const [versionsByFile, setVersionsByFile] = useState({})
-  const [loadingVersionsByFile, setLoadingVersionsByFile] = useState({})
-  const [rollingBackVersionId, setRollingBackVersionId] = useState(null)
-  const [previewFile, setPreviewFile] = useState(null)
-  const [previewMode, setPreviewMode] = useState('frame')
-  const [previewUrl, setPreviewUrl] = useState('')
-  const [previewText, setPreviewText] = useState('')
-  const [previewLoading, setPreviewLoading] = useState(false)
-  const [editingText, setEditingText] = useState(false)
-  const [savingText, setSavingText] = useState(false)
-  const fileInputRef = useRef(null)
-  const abortControllerRef = useRef(null)
-  const addToast = useToast()
-  const profile = useProfile()
-  const safeSetState = useSafeAsync()
+const UPLOAD_STATE_LABELS = {
+  uploading: 'Wysyłanie / Завантаження',
+  paused: 'Wstrzymano / Призупинено',
+  offline: 'Brak sieci, wznowi się / Немає мережі, продовжиться',
+  done: 'Gotowe / Готово',
+  error: 'Błąd / Помилка',
+  cancelled: 'Anulowano / Скасовано'
+}
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort()
-      }
-      if (previewUrl && previewUrl.startsWith('blob:')) {
-        URL.revokeObjectURL(previewUrl)
-      }
-    }
-  }, [previewUrl])
+function UploadQueuePanel({ queue, floating = false }) {
+  if (!queue.items.length) return null
+  const hasFinished = queue.items.some(item => ['done', 'error', 'cancelled'].includes(item.state))
 
-  const loadFiles = useCallback(async () => {
-    if (!document?.id || !isValidUUID(document.id)) return
+  return (
+    <div className={`upload-queue${floating ? ' floating' : ''}`} role="region" aria-label="Przesyłanie plików / Завантаження файлів">
+      <ul>
+        {queue.items.map(item => {
+          const percent = item.size > 0 ? Math.min(100, Math.round((item.uploaded / item.size) * 100)) : 0
+          return (
+            <li key={item.id} className={`upload-queue-item ${item.state}`}>
+              <div className="upload-queue-row">
+                <span className="upload-queue-name"><SafeText>{item.name}</SafeText></span>
+                <span className="upload-queue-meta">
+                  {(item.uploaded / 1024 / 1024).toFixed(1)} / {(item.size / 1024 / 1024).toFixed(1)} MB · {UPLOAD_STATE_LABELS[item.state] || item.state}
+                </span>
+                {(item.state === 'uploading' || item.state === 'offline') && (
+                  <button type="button" onClick={() => queue.pause(item.id)} aria-label="Wstrzymaj / Призупинити">⏸</button>
+                )}
+                {item.state === 'paused' && (
+                  <button type="button" onClick={() => queue.resume(item.id)} aria-label="Wznów / Продовжити">▶</button>
+                )}
+                {['uploading', 'paused', 'offline'].includes(item.state) && (
+                  <button type="button" onClick={() => queue.cancel(item.id)} aria-label="Anuluj / Скасувати">✕</button>
+                )}
+              </div>
+              <div className="upload-progress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent}>
+                <div className="upload-progress-bar" style={{ width: `${percent}%` }} />
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+      {hasFinished && (
+        <button type="button" className="btn-secondary" onClick={queue.clearFinished}>
+          Wyczyść zakończone / Очистити завершені
+        </button>
+      )}
+    </div>
+  )
+}
 
-    const baseQuery = supabase.from('document_files').select('*').eq('document_id', document.id)
-    let query = baseQuery.order('created_at')
+// =====================================================
+// DUPLICATE UPLOADS
+// =====================================================
+const DUPLICATE_ACTION_LABELS = {
+  skip: 'Pomiń / Пропустити',
+  link: 'Podlinkuj istniejący / Прив’язати наявний',
+  upload: 'Prześlij mimo to / Завантажити все одно'
+}
 
-    if (isAuditorSide(profile?.side)) {
-      const { data: accessData } = await supabase
-        .from('document_access')
-        .select('file_id')
-        .eq('document_id', document.id)
-        .eq('visible_to_operator', true)
+// Existing files with the same content in the document's company (RLS limits them to what the caller can read).
+async function findFileDuplicates(documentId, hashes) {
+  const unique = [...new Set(hashes.filter(Boolean))]
+  if (!isValidUUID(documentId) || unique.length === 0) return []
+  const { data, error } = await supabase.rpc('find_file_duplicates', { p_hashes: unique, p_document_id: documentId })
+  if (error) {
+    console.error('Duplicate lookup failed:', error)
+    return []
+  }
+  return data || []
+}
 
-      if (accessData && accessData.length > 0) {
-        const fileIds = accessData.map(a => a.file_id).filter(Boolean)
-        if (fileIds.length > 0) {
-          query = query.in('id', fileIds)
-        } else {
-          safeSetState(setFiles)([])
-          return
-        }
-      } else {
-        safeSetState(setFiles)([])
-        return
-      }
-    }
+// A linked duplicate is a new row pointing at the existing blob; nothing is uploaded.
+async function linkDuplicateFile(documentId, entry, profileId) {
+  const { match, file, hash } = entry
+  const { data, error } = await supabase.from('document_files').insert({
+    document_id: documentId,
+    file_name: sanitizeText(file.name),
+    file_path: match.file_path,
+    file_size: match.file_size ?? file.size,
+    file_type: match.file_type || getFileExtension(file.name),
+    mime_type: match.mime_type || file.type,
+    uploaded_by: profileId,
+    content_sha256: hash,
+    linked_from_file_id: match.file_id
+  }).select().single()
+  if (error) throw error
+  await logAudit(profileId, 'link_duplicate_file', 'document_file', data.id, {
+    file_name: file.name,
+    source_file_id: match.file_id,
+    source_document_id: match.document_id
+  })
+  return data
+}
 
-    let { data, error } = await query
-    if (error && /created_at/i.test(error.message || '')) {
-      const fallbackResult = await baseQuery.order('uploaded_at')
-      data = fallbackResult.data
-      error = fallbackResult.error
-    }
-    if (error && /uploaded_at/i.test(error.message || '')) {
-      const fallbackNoOrder = await baseQuery
-      data = fallbackNoOrder.data
-      error = fallbackNoOrder.error
-    }
-    if (error) {
-      addToast(`Błąd listy plików: ${sanitizeText(error.message || 'query_failed')}`, 'error')
-      safeSetState(setFiles)([])
-      return
-    }
-    safeSetState(setFiles)(data || [])
-  }, [document?.id, profile?.side, safeSetState, addToast])
+function DuplicateUploadModal({ plan, onDone }) {
+  const modalRef = useRef(null)
+  const [actions, setActions] = useState(() => plan.map(entry => entry.action))
+  useFocusTrap(modalRef, true)
 
-  useEffect(() => { loadFiles() }, [loadFiles])
+  const duplicates = plan.map((entry, index) => ({ entry, index })).filter(({ entry }) => entry.match)
+  const cancel = () => onDone(null)
 
-  const loadVersionsForFile = useCallback(async (fileId) => {
-    if (!fileId || !versionTableReady) return
-    safeSetState(setLoadingVersionsByFile)(prev => ({ ...prev, [fileId]: true }))
-    const { data, error } = await supabase
-      .from('document_file_versions')
-      .select('*')
-      .eq('file_id', fileId)
-      .order('version_no', { ascending: false })
+  return (
+    <div className="modal-overlay" onClick={(e) => { e.stopPropagation(); cancel() }}>
+      <div ref={modalRef} className="modal wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="duplicate-upload-title">
+        <div className="modal-header">
+          <h2 id="duplicate-upload-title"><BiText pl="Te pliki już istnieją" uk="Ці файли вже існують" /></h2>
+          <button className="close-btn" onClick={cancel} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <p className="duplicate-upload-hint">
+            <BiText
+              pl="Identyczna zawartość (SHA-256) jest już w tym dokumencie lub w innym dokumencie firmy."
+              uk="Ідентичний вміст (SHA-256) вже є в цьому документі або в іншому документі компанії."
+            />
+          </p>
+          <ul className="duplicate-upload-list">
+            {duplicates.map(({ entry, index }) => (
+              <li key={index} className={entry.match.same_document ? 'same-document' : ''}>
+                <div className="duplicate-upload-file">
+                  <strong><SafeText>{entry.file.name}</SafeText></strong>
+                  <span>
+                    = {entry.match.same_document ? 'ten dokument / цей документ' : <SafeText>{entry.match.document_code || entry.match.document_name_pl || ''}</SafeText>}
+                    {' · '}<SafeText>{entry.match.file_name}</SafeText>
+                  </span>
+                </div>
+                <select
+                  value={actions[index]}
+                  onChange={e => setActions(prev => prev.map((a, i) => (i === index ? e.target.value : a)))}
+                  aria-label={`Akcja / Дія: ${entry.file.name}`}
+                >
+                  {['skip', 'link', 'upload']
+                    .filter(action => action !== 'link' || !entry.match.same_document)
+                    .map(action => <option key={action} value={action}>{DUPLICATE_ACTION_LABELS[action]}</option>)}
+                </select>
+              </li>
+            ))}
+          </ul>
+          <div className="duplicate-upload-actions">
+            <button type="button" onClick={cancel}>Anuluj wysyłkę / Скасувати завантаження</button>
+            <button type="button" className="btn-primary" onClick={() => onDone(plan.map((entry, i) => ({ ...entry, action: actions[i] })))}>
+              Kontynuuj / Продовжити
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
 
-    if (error) {
-      if (/document_file_versions|relation .* does not exist|column .* does not exist/i.test(error.message || '')) {
-        setVersionTableReady(false)
-        addToast('Wersje plików nieaktywne: uruchom SQL migrację / Версії файлів неактивні: запустіть SQL міграцію', 'warning')
-      } else {
-        addToast(`Błąd wersji: ${sanitizeText(error.message || 'version_query_failed')}`, 'error')
-      }
-      safeSetState(setVersionsByFile)(prev => ({ ...prev, [fileId]: [] }))
-    } else {
-      safeSetState(setVersionsByFile)(prev => ({ ...prev, [fileId]: data || [] }))
-    }
-    safeSetState(setLoadingVersionsByFile)(prev => ({ ...prev, [fileId]: false }))
-  }, [safeSetState, addToast, versionTableReady])
+// Hashes the picked files and asks what to do with those whose content already exists.
+// review() resolves to [{ file, hash, match, action: upload | link | skip }], or null when the user cancels.
+function useDuplicateReview() {
+  const [pending, setPending] = useState(null)
+
+  const review = useCallback(async (documentId, files) => {
+    // One file at a time: hashing reads the whole file into memory.
+    const hashes = []
+    for (const file of files) hashes.push(validateFile(file).valid ? await trySha256Blob(file) : null)
+    const matches = await findFileDuplicates(documentId, hashes)
+    const plan = files.map((file, i) => {
+      const hits = hashes[i] ? matches.filter(m => m.content_sha256 === hashes[i]) : []
+      const match = hits.find(m => m.same_document) || hits[0] || null
+      return { file, hash: hashes[i], match, action: !match ? 'upload' : match.same_document ? 'skip' : 'link' }
+    })
+    if (!plan.some(entry => entry.match)) return plan
+    return new Promise(resolve => setPending({ plan, resolve }))
+  }, [])
 
-  const makeVersionPath = (file) => {
-    const ts = new Date().toISOString().replace(/[:.]/g, '-')
-    const safeName = sanitizeFileName(file.file_name || `file-${file.id}`)
-    return `versions/${document.id}/${file.id}/${ts}-${safeName}`
-  }
+  const dialog = pending ? (
+    <ErrorBoundary>
+      <DuplicateUploadModal
+        plan={pending.plan}
+        onDone={(result) => {
+          setPending(null)
+          pending.resolve(result)
+        }}
+      />
+    </ErrorBoundary>
+  ) : null
 
-  const snapshotCurrentVersion = useCallback(async (file, reason = 'manual') => {
-    if (!versionTableReady) return
-    const { data: currentBlob, error: downloadError } = await supabase.storage.from('documents').download(file.file_path)
-    if (downloadError) throw downloadError
-    const versionPath = makeVersionPath(file)
+  return { review, dialog }
+}
 
-    const { error: uploadVersionError } = await supabase.storage
-      .from('documents')
-      .upload(versionPath, currentBlob, { upsert: false })
-    if (uploadVersionError) throw uploadVersionError
+// =====================================================
+// VERSION DIFF
+// =====================================================
+const DIFF_SHEET_STATUS = {
+  added: { pl: 'Nowy arkusz', uk: 'Новий аркуш' },
+  removed: { pl: 'Usunięty arkusz', uk: 'Видалений аркуш' },
+  changed: { pl: 'Zmieniony', uk: 'Змінений' },
+  same: { pl: 'Bez zmian', uk: 'Без змін' }
+}
 
-    const { data: lastVersionData, error: lastVersionError } = await supabase
-      .from('document_file_versions')
-      .select('version_no')
-      .eq('file_id', file.id)
-      .order('version_no', { ascending: false })
-      .limit(1)
+// Picks two of: the current file and its snapshots (newest snapshot vs current by default).
+function VersionComparePicker({ file, versions, picks, onPick, onCompare }) {
+  const options = [
+    { key: 'current', label: 'Aktualna / Поточна', path: file.file_path },
+    ...versions.map(v => ({ key: v.id, label: `v${v.version_no}`, path: v.storage_path }))
+  ]
+  const leftKey = picks?.left || versions[0]?.id
+  const rightKey = picks?.right || 'current'
+  const left = options.find(o => o.key === leftKey)
+  const right = options.find(o => o.key === rightKey)
 
-    if (lastVersionError && !/document_file_versions|relation .* does not exist/i.test(lastVersionError.message || '')) {
-      throw lastVersionError
-    }
-    const nextVersion = ((lastVersionData && lastVersionData[0]?.version_no) || 0) + 1
+  return (
+    <div className="file-version-compare">
+      <select value={leftKey} onChange={e => onPick({ left: e.target.value, right: rightKey })} aria-label="Wersja A / Версія A">
+        {options.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+      </select>
+      <span aria-hidden="true">⇄</span>
+      <select value={rightKey} onChange={e => onPick({ left: leftKey, right: e.target.value })} aria-label="Wersja B / Версія B">
+        {options.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+      </select>
+      <button type="button" onClick={() => onCompare(left, right)} disabled={!left || !right || leftKey === rightKey}>
+        Porównaj / Порівняти
+      </button>
+    </div>
+  )
+}
 
-    const { error: insertVersionError } = await supabase.from('document_file_versions').insert({
-      file_id: file.id,
-      document_id: document.id,
-      version_no: nextVersion,
-      storage_path: versionPath,
-      file_name: file.file_name,
-      file_size: file.file_size || 0,
-      mime_type: file.mime_type || null,
-      file_type: file.file_type || null,
-      change_reason: reason,
-      created_by: profile.id
-    })
+// left / right: { key, label, path } pointing into the documents bucket (a snapshot or the current file).
+function VersionDiffModal({ file, left, right, onClose }) {
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+  const modalRef = useRef(null)
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+  const kind = diffKindForFile(file)
 
-    if (insertVersionError) {
-      if (/document_file_versions|relation .* does not exist|column .* does not exist/i.test(insertVersionError.message || '')) {
-        setVersionTableReady(false)
-        addToast('Wersje plików nieaktywne: uruchom SQL migrację / Версії файлів неактивні: запустіть SQL міграцію', 'warning')
-        return
+  useFocusTrap(modalRef, true)
+
+  useEffect(() => {
+    const run = async () => {
+      try {
+        // Snapshots were clean when they were current; the live file may still be in quarantine.
+        if ([left.key, right.key].includes('current') && !can(profile, 'file.open', { scanStatus: file.scan_status })) {
+          throw new Error('Plik w kwarantannie / Файл у карантині')
+        }
+        const [leftRes, rightRes] = await Promise.all([
+          supabase.storage.from('documents').download(left.path),
+          supabase.storage.from('documents').download(right.path)
+        ])
+        if (leftRes.error) throw leftRes.error
+        if (rightRes.error) throw rightRes.error
+        if (kind === 'xlsx') {
+          const sheets = await diffWorkbooks(await leftRes.data.arrayBuffer(), await rightRes.data.arrayBuffer())
+          safeSetState(setResult)({ kind, sheets })
+        } else {
+          const [leftText, rightText] = await Promise.all([readVersionText(leftRes.data, kind), readVersionText(rightRes.data, kind)])
+          safeSetState(setResult)({ kind, ...diffLines(leftText, rightText) })
+        }
+        logAudit(profile?.id, 'compare_file_versions', 'document_file', file.id, { left: left.label, right: right.label })
+      } catch (err) {
+        safeSetState(setError)(sanitizeText(err?.message || 'diff_failed'))
+      } finally {
+        safeSetState(setLoading)(false)
       }
-      throw insertVersionError
     }
-    await logAudit(profile.id, 'create_file_version', 'document_file', file.id, { reason, version_no: nextVersion })
-  }, [versionTableReady, document.id, profile.id, addToast])
+    run()
+  }, [file.id, file.scan_status, kind, left.key, left.path, left.label, right.key, right.path, right.label, profile, safeSetState])
 
-  const handleUpload = async (e) => {
-    const selectedFiles = Array.from(e.target.files || [])
-    if (selectedFiles.length === 0) return
-    if (!profile?.id) {
-      addToast('Brak profilu użytkownika / Немає профілю користувача', 'error')
-      return
-    }
-    if (files.length + selectedFiles.length > MAX_FILES_PER_DOC) {
-      addToast(`Maksymalnie ${MAX_FILES_PER_DOC} plików / Максимум ${MAX_FILES_PER_DOC} файлів`, 'error')
-      return
-    }
+  return (
+    <div className="modal-overlay" onClick={(e) => { e.stopPropagation(); onClose() }}>
+      <div ref={modalRef} className="modal wide version-diff" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="version-diff-title">
+        <div className="modal-header">
+          <h2 id="version-diff-title">
+            <BiText pl="Porównanie wersji" uk="Порівняння версій" />
+            <span className="version-diff-subtitle"><SafeText>{file.file_name}</SafeText>: {left.label} → {right.label}</span>
+          </h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          {loading && <div className="loading">...</div>}
+          {error && <p className="version-diff-error">Błąd porównania / Помилка порівняння: {error}</p>}
+          {result && result.kind !== 'xlsx' && (
+            <>
+              <p className="version-diff-summary">
+                <span className="added">+{result.added}</span> <span className="removed">−{result.removed}</span>
+                {result.tooLarge && <span> · Zbyt wiele zmian, pokazano pełną zamianę / Забагато змін, показано повну заміну</span>}
+              </p>
+              {result.added === 0 && result.removed === 0 ? (
+                <p className="version-diff-empty">Treść identyczna / Вміст однаковий</p>
+              ) : (
+                <table className="version-diff-table">
+                  <thead>
+                    <tr>
+                      <th colSpan={2}>{left.label}</th>
+                      <th colSpan={2}>{right.label}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map((row, i) => row.type === 'skip' ? (
+                      <tr key={i} className="skip">
+                        <td colSpan={4}>… {row.count} bez zmian / без змін</td>
+                      </tr>
+                    ) : (
+                      <tr key={i} className={row.type}>
+                        <td className="line-no">{row.leftNo ?? ''}</td>
+                        <td className="line left">{row.left}</td>
+                        <td className="line-no">{row.rightNo ?? ''}</td>
+                        <td className="line right">{row.right}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+          {result && result.kind === 'xlsx' && result.sheets.map(sheet => (
+            <section key={sheet.name} className="version-diff-sheet">
+              <h4>
+                <SafeText>{sheet.name}</SafeText>
+                <span className={`version-diff-sheet-status ${sheet.status}`}>
+                  {DIFF_SHEET_STATUS[sheet.status].pl} / {DIFF_SHEET_STATUS[sheet.status].uk}
+                  {sheet.total > 0 && ` · ${sheet.total}`}
+                </span>
+              </h4>
+              {sheet.cells.length > 0 && (
+                <table className="version-diff-table cells">
+                  <thead>
+                    <tr>
+                      <th>Komórka / Клітинка</th>
+                      <th>{left.label}</th>
+                      <th>{right.label}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sheet.cells.map(cell => (
+                      <tr key={cell.address} className={cell.type}>
+                        <td className="line-no">{cell.address}</td>
+                        <td className="line left">{cell.before}</td>
+                        <td className="line right">{cell.after}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {sheet.total > sheet.cells.length && (
+                <p className="version-diff-empty">… +{sheet.total - sheet.cells.length}</p>
+              )}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
 
-    abortControllerRef.current = new AbortController()
-    setUploading(true)
-    setUploadProgress(0)
+// =====================================================
+// WATERMARKED PREVIEWS
+// =====================================================
+// Storage refuses protected originals (see _shared/watermarkFormats.ts) to users without file.open_original,
+// who get a PDF stamped with their name, email and the time from file-watermark instead.
+const WATERMARK_ERROR_MESSAGES = {
+  watermark_unsupported: 'Tego formatu nie można oznaczyć znakiem wodnym / Цей формат не можна позначити водяним знаком',
+  file_too_large: 'Plik jest za duży na podgląd ze znakiem wodnym / Файл завеликий для перегляду з водяним знаком',
+  watermark_failed: 'Nie udało się nałożyć znaku wodnego / Не вдалося накласти водяний знак',
+  original_restricted: 'Oryginał jest dostępny tylko dla administratorów FNU / Оригінал доступний лише адміністраторам FNU',
+  forbidden_section: 'Brak dostępu do folderu / Немає доступу до папки'
+}
 
-    const CONCURRENT_UPLOADS = 3
-    let completed = 0
-    const total = selectedFiles.length
-    let successCount = 0
-    let failedCount = 0
+function needsWatermark(profile, fileName) {
+  return isWatermarkProtected(fileName) && !can(profile, 'file.open_original')
+}
 
-    for (let i = 0; i < selectedFiles.length; i += CONCURRENT_UPLOADS) {
-      if (abortControllerRef.current?.signal.aborted) break
+function watermarkErrorMessage(message) {
+  const code = String(message || '').split(' | ')[0]
+  return WATERMARK_ERROR_MESSAGES[code] || message
+}
 
-      const batch = selectedFiles.slice(i, i + CONCURRENT_UPLOADS)
+// target = { file_id } | { package_item_id }
+async function fetchWatermarkedPdf(target) {
+  const { data, error } = await invokeFunctionWithAuthRetry('file-watermark', target)
+  if (error) throw new Error(watermarkErrorMessage(await parseFunctionsInvokeError(error)))
+  if (!(data instanceof Blob)) throw new Error(watermarkErrorMessage(data?.error || 'watermark_failed'))
+  return data
+}
 
-      await Promise.all(batch.map(async (file) => {
-        if (abortControllerRef.current?.signal.aborted) return
+// =====================================================
+// FILE READ RECEIPTS
+// =====================================================
+// Direct storage reads are recorded here; file-watermark, delivery-package and section-archive record
+// their own on the server.
+async function recordFileAccess(profileId, file, action, channel) {
+  const { error } = await supabase.from('file_access_events').insert({
+    file_id: file.id,
+    document_id: file.document_id,
+    user_id: profileId,
+    action,
+    channel
+  })
+  if (error) console.error('File receipt error:', error.message || error)
+  await logAudit(profileId, action === 'download' ? 'download_file' : 'view_file', 'document_file', file.id, {
+    document_id: file.document_id,
+    file_name: file.file_name,
+    channel
+  })
+}
 
-        const validation = validateFile(file)
-        if (!validation.valid) {
-          addToast(validation.error, 'error')
-          failedCount++
-          completed++
-          return
-        }
+function FileReceipts({ receipts }) {
+  if (!receipts?.length) {
+    return <div className="file-receipts"><span className="file-versions-empty">Nikt jeszcze nie otworzył / Ще ніхто не відкривав</span></div>
+  }
+  return (
+    <ul className="file-receipts">
+      {receipts.map(r => (
+        <li key={r.user_id} className={isAuditorSide(r.side) ? 'auditor' : ''}>
+          <span className={`side-badge ${sideClass(r.side)}`}>{formatSideLabel(r.side)}</span>
+          <span className="file-receipt-name"><SafeText>{r.full_name || r.email || r.user_id}</SafeText></span>
+          <span className="file-receipt-counts">👁 {r.views} · ⬇ {r.downloads}</span>
+          <time dateTime={r.last_seen_at} title={`Pierwszy raz / Вперше: ${new Date(r.first_seen_at).toLocaleString()}`}>
+            {new Date(r.last_seen_at).toLocaleString()}
+          </time>
+        </li>
+      ))}
+    </ul>
+  )
+}
 
-        const safeFileName = sanitizeFileName(file.name)
-        const filePath = `${document.id}/${safeFileName}`
+// =====================================================
+// AUDITOR PUBLISHING
+// =====================================================
+const PUBLICATION_SKIP_REASONS = {
+  forbidden: 'brak uprawnień / немає прав',
+  file_not_clean: 'plik nie przeszedł skanowania / файл не пройшов перевірку',
+  already_published: 'już opublikowany / вже опубліковано',
+  not_published: 'nieopublikowany / не опубліковано',
+  package_freeze_failed: 'nie udało się zapisać kopii w paczce / не вдалося зберегти копію в пакеті'
+}
 
-        try {
-          const { error: uploadError } = await supabase.storage.from('documents').upload(filePath, file)
-          if (uploadError) throw uploadError
-
-          const ext = getFileExtension(file.name)
-          const { data: fileData, error: dbError } = await supabase.from('document_files').insert({
-            document_id: document.id,
-            file_name: sanitizeText(file.name),
-            file_path: filePath,
-            file_size: file.size,
-            file_type: ext,
-            mime_type: file.type,
-            uploaded_by: profile.id
-          }).select().single()
-
-          if (dbError) {
-            await supabase.storage.from('documents').remove([filePath])
-            throw dbError
-          }
+// target = { file_ids?, document_ids?, section_ids? }; sections include their subsections.
+async function requestFilePublication(payload) {
+  const { data, error } = await invokeFunctionWithAuthRetry('file-publish', payload)
+  if (error) throw new Error(await parseFunctionsInvokeError(error))
+  if (!data?.ok) throw new Error(data?.error || 'publish_failed')
+  return data
+}
 
-          await logAudit(profile.id, 'upload_file', 'document_file', document.id, { file_name: file.name })
+function publicationSummary(data) {
+  const parts = []
+  if (data.published) parts.push(`Opublikowano / Опубліковано: ${data.published}`)
+  if (data.scheduled) parts.push(`Zaplanowano / Заплановано: ${data.scheduled}`)
+  if (data.revoked) parts.push(`Cofnięto / Відкликано: ${data.revoked}`)
+  if (data.skipped) parts.push(`Pominięto / Пропущено: ${data.skipped}`)
+  for (const pkg of data.packages || []) {
+    if (pkg.status === 'delivered') parts.push(`Paczka / Пакет №${pkg.package_no}`)
+    else if (pkg.status === 'scheduled') parts.push('Paczka oczekuje / Пакет очікує')
+  }
+  return parts.join(' · ') || 'Brak zmian / Без змін'
+}
 
-          if (normalizeSide(profile.side) === SIDE_FNU && fileData) {
-            await supabase.from('document_access').insert({
-              document_id: document.id,
-              file_id: fileData.id,
-              visible_to_operator: false
-            })
-          }
-          successCount++
-        } catch (err) {
-          failedCount++
-          const reason = sanitizeText(err?.message || 'upload_failed')
-          addToast(`Błąd: ${file.name} (${reason})`, 'error')
-          console.error('Upload error:', err)
-        }
+function PublicationBadge({ access }) {
+  if (!access) return null
+  const audience = access.audience_user_ids || []
+  if (access.visible_to_operator) {
+    return (
+      <span className="publication-badge published" title={audience.length ? `Wybrani audytorzy / Вибрані аудитори: ${audience.length}` : 'Cała strona AUDITOR / Уся сторона AUDITOR'}>
+        📢 AUDITOR{audience.length ? ` (${audience.length})` : ''}
+      </span>
+    )
+  }
+  if (access.publish_at) {
+    return (
+      <span className="publication-badge scheduled" title="Zaplanowana publikacja / Запланована публікація">
+        ⏰ {new Date(access.publish_at).toLocaleString()}
+      </span>
+    )
+  }
+  return null
+}
 
-        completed++
-        safeSetState(setUploadProgress)(Math.round((completed / total) * 100))
-      }))
-    }
+function PublishToAuditorModal({ target, title, onClose, onDone }) {
+  const [auditors, setAuditors] = useState([])
+  const [schedule, setSchedule] = useState(false)
+  const [publishAt, setPublishAt] = useState('')
+  const [audience, setAudience] = useState([])
+  const [targeted, setTargeted] = useState(false)
+  const [createPackage, setCreatePackage] = useState(true)
+  const [packageTitle, setPackageTitle] = useState('')
+  const [busy, setBusy] = useState('')
+  const [result, setResult] = useState(null)
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+  useFocusTrap(modalRef, true)
 
-    if (!abortControllerRef.current?.signal.aborted) {
-      if (successCount > 0 && failedCount === 0) {
-        addToast(`Pliki przesłane (${successCount}) / Файли завантажено (${successCount})`, 'success')
-      } else if (successCount > 0 && failedCount > 0) {
-        addToast(`Częściowo: ${successCount} OK, ${failedCount} błędów / Частково: ${successCount} OK, ${failedCount} помилок`, 'warning')
-      } else if (failedCount > 0) {
-        addToast('Wysyłka nieudana / Завантаження не вдалося', 'error')
-      }
-    }
-    setUploading(false)
-    setUploadProgress(0)
-    loadFiles()
-    onUpdate?.()
-    if (fileInputRef.current) fileInputRef.current.value = ''
-  }
+  const canRevoke = can(profile, 'file.revoke_from_auditor')
 
-  const handleDelete = async (fileId, filePath) => {
-    if (!confirm('Usunąć plik? / Видалити файл?')) return
-    try {
-      const fileRecord = files.find(f => f.id === fileId)
-      if (fileRecord && versionTableReady) {
-        try {
-          await snapshotCurrentVersion(fileRecord, 'before_delete')
-        } catch (err) {
-          addToast(`Błąd wersji przed usunięciem: ${sanitizeText(err?.message || 'snapshot_failed')}`, 'warning')
-        }
-      }
+  useEffect(() => {
+    supabase
+      .from('profiles')
+      .select('id, full_name, email, side')
+      .in('side', [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY])
+      .eq('is_active', true)
+      .order('full_name')
+      .then(({ data }) => safeSetState(setAuditors)(data || []))
+  }, [safeSetState])
 
-      const { data: resultData, error: invokeError } = await invokeFunctionWithAuthRetry('file-delete', {
-        file_id: fileId,
-        file_path: filePath,
-      })
-      if (invokeError || !resultData?.ok) {
-        const details = invokeError
-          ? await parseFunctionsInvokeError(invokeError)
-          : String(resultData?.error || resultData?.message || 'delete_failed')
-        throw new Error(details)
+  const toggleAuditor = (id) => setAudience(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]))
+
+  const run = async (action) => {
+    const payload = { action, ...target }
+    if (action === 'publish') {
+      if (schedule) {
+        const at = new Date(publishAt)
+        if (!publishAt || Number.isNaN(at.getTime()) || at.getTime() <= Date.now()) {
+          addToast('Podaj przyszłą datę publikacji / Вкажіть майбутню дату публікації', 'error')
+          return
+        }
+        payload.publish_at = at.toISOString()
       }
-      if (resultData?.storage_error) {
-        addToast(`Plik usunięty, ale storage cleanup failed: ${sanitizeText(String(resultData.storage_error))}`, 'warning')
+      if (targeted) {
+        if (audience.length === 0) {
+          addToast('Wybierz co najmniej jednego audytora / Виберіть хоча б одного аудитора', 'error')
+          return
+        }
+        payload.audience_user_ids = audience
       }
-
-      await logAudit(profile.id, 'delete_file', 'document_file', fileId)
-      await loadFiles()
-      onUpdate?.()
-      addToast('Plik usunięty / Файл видалено', 'success')
-      if (previewFile?.id === fileId) {
-        setPreviewFile(null)
-        setPreviewText('')
-        if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
-        setPreviewUrl('')
+      if (createPackage) {
+        payload.create_package = true
+        payload.package_title = sanitizeText(packageTitle)
       }
-    } catch (err) {
-      addToast(`Błąd usuwania: ${sanitizeText(err?.message || 'delete_failed')}`, 'error')
+    } else if (!confirm('Cofnąć publikację dla AUDITOR? / Відкликати публікацію для AUDITOR?')) {
+      return
     }
-  }
-
-  const handlePreview = async (filePath) => {
-    let previewTab = null
+    setBusy(action)
     try {
-      previewTab = window.open('about:blank', '_blank')
-      if (!previewTab) {
-        addToast('Popup blocked. Allow popups for this site.', 'warning')
-        return
-      }
-      previewTab.opener = null
-      previewTab.document.title = 'Preview...'
-      const { data, error } = await supabase.storage.from('documents').createSignedUrl(filePath, 3600)
-      if (error || !data?.signedUrl) throw new Error(error?.message || 'signed_url_failed')
-      previewTab.location.replace(data.signedUrl)
-      await logAudit(profile.id, 'view_file', 'document_file', document.id)
+      const data = await requestFilePublication(payload)
+      safeSetState(setResult)(data)
+      addToast(publicationSummary(data), data.skipped && !(data.published || data.scheduled || data.revoked) ? 'error' : 'success')
+      onDone?.()
     } catch (err) {
-      if (previewTab && !previewTab.closed) previewTab.close()
-      addToast(`Błąd podglądu: ${sanitizeText(err?.message || 'preview_failed')}`, 'error')
+      const code = String(err?.message || 'publish_failed')
+      addToast(code === 'no_files' ? 'Brak plików do publikacji / Немає файлів для публікації' : `Błąd publikacji / Помилка публікації: ${sanitizeText(code)}`, 'error')
+    } finally {
+      safeSetState(setBusy)('')
     }
   }
 
-  const publishToOperator = async (fileId) => {
-    try {
-      await supabase.from('document_access').upsert({
-        document_id: document.id,
-        file_id: fileId,
-        visible_to_operator: true,
-        published_at: new Date().toISOString(),
-        published_by: profile.id
-      }, { onConflict: 'document_id,file_id' })
+  const skipped = (result?.results || []).filter(r => r.status === 'skipped')
 
-      const { data: operators } = await supabase
-        .from('profiles')
-        .select('id')
-        .in('side', [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY])
-        .eq('is_active', true)
+  return (
+    <div className="modal-overlay" onClick={(e) => { e.stopPropagation(); onClose() }}>
+      <div ref={modalRef} className="modal publish-modal" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="publish-modal-title">
+        <div className="modal-header">
+          <h2 id="publish-modal-title"><BiText pl="Publikacja dla AUDITOR" uk="Публікація для AUDITOR" /></h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <p className="publish-target"><SafeText>{title}</SafeText></p>
 
-      if (operators && operators.length > 0) {
-        const notifications = operators.map(op => ({
-          user_id: op.id,
-          type: 'new_document',
-          title: 'Nowe dokumenty / Нові документи',
-          message: 'Dodano nowe dokumenty do przeglądu / Додано нові документи',
-          entity_type: 'document',
-          entity_id: document.id
-        }))
-        await supabase.from('notifications').insert(notifications)
-      }
+          {result ? (
+            <>
+              <p className="publish-summary">{publicationSummary(result)}</p>
+              {skipped.length > 0 && (
+                <ul className="publish-skipped">
+                  {skipped.slice(0, 50).map(r => (
+                    <li key={r.file_id}>
+                      <SafeText>{r.file_name || r.file_id}</SafeText>: {PUBLICATION_SKIP_REASONS[r.reason] || sanitizeText(r.reason || '')}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="publish-actions">
+                <button type="button" className="btn-primary" onClick={onClose}>OK</button>
+              </div>
+            </>
+          ) : (
+            <>
+              <fieldset className="publish-field">
+                <legend><BiText pl="Kiedy" uk="Коли" /></legend>
+                <label><input type="radio" checked={!schedule} onChange={() => setSchedule(false)} /> Teraz / Зараз</label>
+                <label><input type="radio" checked={schedule} onChange={() => setSchedule(true)} /> Zaplanuj / Запланувати</label>
+                {schedule && (
+                  <input type="datetime-local" value={publishAt} onChange={e => setPublishAt(e.target.value)} aria-label="Data publikacji / Дата публікації" />
+                )}
+              </fieldset>
+
+              <fieldset className="publish-field">
+                <legend><BiText pl="Dla kogo" uk="Для кого" /></legend>
+                <label><input type="radio" checked={!targeted} onChange={() => setTargeted(false)} /> Cała strona AUDITOR / Уся сторона AUDITOR</label>
+                <label><input type="radio" checked={targeted} onChange={() => setTargeted(true)} /> Wybrani audytorzy / Вибрані аудитори</label>
+                {targeted && (
+                  <ul className="publish-audience">
+                    {auditors.map(u => (
+                      <li key={u.id}>
+                        <label>
+                          <input type="checkbox" checked={audience.includes(u.id)} onChange={() => toggleAuditor(u.id)} />
+                          <SafeText>{u.full_name || u.email}</SafeText>
+                        </label>
+                      </li>
+                    ))}
+                    {auditors.length === 0 && <li className="publish-audience-empty">Brak aktywnych audytorów / Немає активних аудиторів</li>}
+                  </ul>
+                )}
+              </fieldset>
 
-      addToast('Opublikowano dla AUDITOR / Опубліковано для AUDITOR', 'success')
-      loadFiles()
-    } catch (err) {
-      addToast('Błąd publikacji / Помилка публікації', 'error')
-      console.error('Publish error:', err)
-    }
-  }
+              <fieldset className="publish-field">
+                <legend><BiText pl="Paczka dostawy" uk="Пакет передачі" /></legend>
+                <label>
+                  <input type="checkbox" checked={createPackage} onChange={e => setCreatePackage(e.target.checked)} />
+                  📦 Zamroź przekazane wersje w numerowanej paczce / Зафіксувати передані версії в нумерованому пакеті
+                </label>
+                {createPackage && (
+                  <input
+                    type="text"
+                    value={packageTitle}
+                    onChange={e => setPackageTitle(e.target.value)}
+                    maxLength={200}
+                    placeholder="Tytuł paczki (opcjonalnie) / Назва пакета (необов'язково)"
+                    aria-label="Tytuł paczki / Назва пакета"
+                  />
+                )}
+              </fieldset>
 
-  const openInlinePreview = async (file) => {
-    setPreviewFile(file)
-    setPreviewMode('frame')
-    setEditingText(false)
-    setPreviewText('')
-    if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
-    setPreviewUrl('')
-    setPreviewLoading(true)
+              <div className="publish-actions">
+                {canRevoke && (
+                  <button type="button" className="btn-secondary" onClick={() => run('revoke')} disabled={Boolean(busy)}>
+                    {busy === 'revoke' ? '...' : '🚫 Cofnij publikację / Відкликати'}
+                  </button>
+                )}
+                <button type="button" className="btn-primary" onClick={() => run('publish')} disabled={Boolean(busy)}>
+                  {busy === 'publish' ? '...' : schedule ? '⏰ Zaplanuj / Запланувати' : '📤 Opublikuj / Опублікувати'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
 
-    const ext = (file.file_type || getFileExtension(file.file_name)).toLowerCase()
-    const isTextLike = ['txt', 'csv'].includes(ext) || (file.mime_type || '').startsWith('text/')
+// =====================================================
+// RICH PREVIEWS
+// =====================================================
+function DocxParagraph({ block }) {
+  const content = block.runs.map((run, i) => {
+    let node = run.text
+    if (run.bold) node = <strong>{node}</strong>
+    if (run.italic) node = <em>{node}</em>
+    if (run.underline) node = <u>{node}</u>
+    return <span key={i}>{node}</span>
+  })
+  if (block.level) {
+    const Heading = `h${Math.min(6, block.level + 2)}`
+    return <Heading className="docx-heading">{content}</Heading>
+  }
+  if (block.listLevel !== null) {
+    return <p className="docx-list-item" style={{ marginLeft: `${1 + block.listLevel * 1.25}rem` }}>• {content}</p>
+  }
+  return <p>{content.length > 0 ? content : '\u00a0'}</p>
+}
 
-    try {
-      if (isTextLike) {
-        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
-        if (error) throw error
-        const text = await data.text()
-        setPreviewText(text)
-        setPreviewMode('text')
-      } else {
-        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
-        if (error) throw error
-        const blobUrl = URL.createObjectURL(data)
-        setPreviewUrl(blobUrl)
-        const ext = (file.file_type || getFileExtension(file.file_name)).toLowerCase()
-        const previewable = ext === 'pdf' || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(ext)
-        setPreviewMode(previewable ? 'frame' : 'unsupported')
-      }
-      await logAudit(profile.id, 'view_file', 'document_file', document.id)
-    } catch (err) {
-      addToast(`Błąd podglądu: ${sanitizeText(err?.message || 'preview_failed')}`, 'error')
-      setPreviewFile(null)
-    } finally {
-      setPreviewLoading(false)
+function DocxPreview({ doc }) {
+  return (
+    <div className="docx-preview">
+      {doc.blocks.map((block, i) => (block.type === 'table' ? (
+        <table key={i} className="docx-table">
+          <tbody>
+            {block.rows.map((row, r) => (
+              <tr key={r}>
+                {row.map((cell, c) => (
+                  <td key={c} colSpan={cell.span > 1 ? cell.span : undefined}>
+                    {cell.paragraphs.map((p, k) => <DocxParagraph key={k} block={p} />)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <DocxParagraph key={i} block={block} />
+      )))}
+      {doc.truncated && <div className="inline-preview-note">Pokazano początek dokumentu / Показано початок документа</div>}
+    </div>
+  )
+}
+
+function SheetPreview({ sheets }) {
+  const [active, setActive] = useState(0)
+  const sheet = sheets[active] || sheets[0]
+  if (!sheet) return <div className="inline-preview-loading">Pusty skoroszyt / Порожня книга</div>
+  const truncated = sheet.totalRows > sheet.rows.length || sheet.totalColumns > sheet.columns
+  return (
+    <div className="sheet-preview">
+      {sheets.length > 1 && (
+        <div className="sheet-tabs" role="tablist">
+          {sheets.map((s, i) => (
+            <button
+              key={s.name}
+              type="button"
+              role="tab"
+              aria-selected={i === active}
+              className={i === active ? 'active' : ''}
+              onClick={() => setActive(i)}
+            >
+              <SafeText>{s.name}</SafeText>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="sheet-grid-wrap">
+        <table className="sheet-grid">
+          <thead>
+            <tr>
+              <th />
+              {Array.from({ length: sheet.columns }, (_, c) => <th key={c}>{columnLetter(c)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {sheet.rows.map((row, r) => (
+              <tr key={r}>
+                <th>{r + 1}</th>
+                {Array.from({ length: sheet.columns }, (_, c) => <td key={c}>{row[c] ?? ''}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {truncated && (
+        <div className="inline-preview-note">
+          Pokazano {sheet.rows.length} z {sheet.totalRows} wierszy, {sheet.columns} z {sheet.totalColumns} kolumn / Показано {sheet.rows.length} з {sheet.totalRows} рядків, {sheet.columns} з {sheet.totalColumns} стовпців
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Protected originals (see WATERMARKED PREVIEWS) and quarantined files keep the plain icon.
+// Nothing is downloaded until the row scrolls into view.
+function FileThumbnail({ file, icon }) {
+  const [thumb, setThumb] = useState(null)
+  const [visible, setVisible] = useState(false)
+  const placeholderRef = useRef(null)
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+  const kind = thumbnailKind(file)
+  const eligible = Boolean(kind)
+    && can(profile, 'file.open', { scanStatus: file.scan_status })
+    && Number(file.file_size || 0) <= MAX_THUMBNAIL_SOURCE_BYTES
+    && !needsWatermark(profile, file.file_name)
+  const cacheKey = `${file.id}:${file.content_sha256 || file.file_size}`
+
+  useEffect(() => {
+    if (!eligible || visible) return
+    const el = placeholderRef.current
+    if (!el || typeof IntersectionObserver === 'undefined') {
+      setVisible(true)
+      return
     }
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisible(true)
+        observer.disconnect()
+      }
+    }, { rootMargin: '200px' })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [eligible, visible])
+
+  useEffect(() => {
+    if (!eligible || !visible) return
+    loadThumbnail(cacheKey, kind, async () => {
+      const { data, error } = await supabase.storage.from('documents').download(file.file_path)
+      if (error) throw error
+      return data
+    }).then(result => safeSetState(setThumb)(result))
+  }, [eligible, visible, cacheKey, kind, file.file_path, safeSetState])
+
+  if (!eligible || !thumb) return <span ref={placeholderRef} className="file-icon" aria-hidden="true">{icon}</span>
+  if (thumb.type === 'image') return <img className="file-thumb" src={thumb.url} alt="" aria-hidden="true" />
+  if (thumb.type === 'grid') {
+    return (
+      <span className="file-thumb file-thumb-grid" aria-hidden="true">
+        {thumb.rows.map((row, r) => (
+          <span key={r} className="file-thumb-row">{row.map((cell, c) => <span key={c}>{cell}</span>)}</span>
+        ))}
+      </span>
+    )
   }
+  return <span className="file-thumb file-thumb-text" aria-hidden="true">{thumb.text}</span>
+}
 
-  const saveInlineText = async () => {
-    if (!previewFile) return
-    setSavingText(true)
-    try {
-      if (versionTableReady) {
-        try {
-          await snapshotCurrentVersion(previewFile, 'before_inline_edit')
-        } catch (err) {
-          addToast(`Błąd wersji: ${sanitizeText(err?.message || 'version_failed')}`, 'warning')
-        }
+// =====================================================
+// FILE UPLOAD COMPONENT
+// =====================================================
+function FileUpload({ document, onUpdate, canAdd, policyContext, canView, canComment, focusFileId, refreshKey }) {
+  const [files, setFiles] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const uploadQueue = useUploadQueue()
+  const duplicateReview = useDuplicateReview()
+  const [versionTableReady, setVersionTableReady] = useState(true)
+  const [expandedVersionFileId, setExpandedVersionFileId] = useState(null)
+  const [expandedCommentFileId, setExpandedCommentFileId] = useState(null)
+  const [versionsByFile, setVersionsByFile] = useState({})
+  const [loadingVersionsByFile, setLoadingVersionsByFile] = useState({})
+  const [rollingBackVersionId, setRollingBackVersionId] = useState(null)
+  const [comparePicks, setComparePicks] = useState({})
+  const [diffTarget, setDiffTarget] = useState(null)
+  const [previewFile, setPreviewFile] = useState(null)
+  const [previewMode, setPreviewMode] = useState('frame')
+  const [previewUrl, setPreviewUrl] = useState('')
+  const [previewText, setPreviewText] = useState('')
+  const [richPreview, setRichPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [editingText, setEditingText] = useState(false)
+  const [savingText, setSavingText] = useState(false)
+  const [accessByFile, setAccessByFile] = useState({})
+  const [selectedFileIds, setSelectedFileIds] = useState([])
+  const [publishTarget, setPublishTarget] = useState(null)
+  const [receiptsByFile, setReceiptsByFile] = useState({})
+  const [expandedReceiptsFileId, setExpandedReceiptsFileId] = useState(null)
+  const fileInputRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  const focusedFileRef = useRef(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+
+  const scrolledToFocusRef = useRef('')
+  const canPublishFiles = can(profile, 'file.publish_to_auditor', { scanStatus: 'clean' })
+  const canRevokeFiles = can(profile, 'file.revoke_from_auditor')
+  const managesPublication = canPublishFiles || canRevokeFiles
+  const canSeeReceipts = can(profile, 'file.view_receipts')
+
+  useEffect(() => {
+    if (!focusFileId || scrolledToFocusRef.current === focusFileId || !focusedFileRef.current) return
+    scrolledToFocusRef.current = focusFileId
+    focusedFileRef.current.scrollIntoView({ block: 'center' })
+  }, [files, focusFileId])
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort()
       }
-      const blob = new Blob([previewText], { type: previewFile.mime_type || 'text/plain' })
-      const updateResult = await supabase.storage.from('documents').update(previewFile.file_path, blob)
-      if (updateResult.error) {
-        const fallbackUpload = await supabase.storage.from('documents').upload(previewFile.file_path, blob, { upsert: true })
-        if (fallbackUpload.error) throw fallbackUpload.error
+      if (previewUrl && previewUrl.startsWith('blob:')) {
+        URL.revokeObjectURL(previewUrl)
       }
+    }
+  }, [previewUrl])
 
-      await supabase
-        .from('document_files')
-        .update({ file_size: blob.size })
-        .eq('id', previewFile.id)
+  const loadFiles = useCallback(async () => {
+    if (!document?.id || !isValidUUID(document.id)) return
 
-      await logAudit(profile.id, 'edit_file', 'document_file', previewFile.id, { mode: 'inline-text' })
-      addToast('Zapisano zmiany / Зміни збережено', 'success')
-      setEditingText(false)
-      loadFiles()
-      onUpdate?.()
-    } catch (err) {
-      addToast(`Błąd zapisu: ${sanitizeText(err?.message || 'save_failed')}`, 'error')
-    } finally {
-      setSavingText(false)
-    }
-  }
+    const baseQuery = supabase.from('document_files').select(FILE_LIST_COLUMNS).eq('document_id', document.id)
+    let query = baseQuery.order('created_at')
 
-  const rollbackVersion = async (file, version) => {
-    if (!file || !version) return
-    setRollingBackVersionId(version.id)
-    try {
-      if (versionTableReady) {
-        try {
-          await snapshotCurrentVersion(file, `before_rollback_to_v${version.version_no}`)
-        } catch (err) {
-          addToast(`Błąd snapshotu rollback: ${sanitizeText(err?.message || 'rollback_snapshot_failed')}`, 'warning')
-        }
+    if (isAuditorSide(profile?.side)) {
+      const { data: accessData } = await supabase
+        .from('document_access')
+        .select('file_id, visible_to_operator, audience_user_ids')
+        .eq('document_id', document.id)
+        .eq('visible_to_operator', true)
+
+      // Publications addressed to other auditors stay hidden.
+      const fileIds = (accessData || []).filter(a => isPublishedTo(a, profile.id)).map(a => a.file_id).filter(Boolean)
+      if (fileIds.length === 0) {
+        safeSetState(setFiles)([])
+        return
       }
+      query = query.in('id', fileIds)
+    } else if (managesPublication) {
+      const { data: accessData } = await supabase
+        .from('document_access')
+        .select('file_id, visible_to_operator, publish_at, audience_user_ids')
+        .eq('document_id', document.id)
+      safeSetState(setAccessByFile)(Object.fromEntries((accessData || []).map(a => [a.file_id, a])))
+    }
 
-      const { data: versionBlob, error: versionDownloadError } = await supabase.storage
-        .from('documents')
-        .download(version.storage_path)
-      if (versionDownloadError) throw versionDownloadError
+    let { data, error } = await query
+    if (error && /created_at/i.test(error.message || '')) {
+      const fallbackResult = await baseQuery.order('uploaded_at')
+      data = fallbackResult.data
+      error = fallbackResult.error
+    }
+    if (error && /uploaded_at/i.test(error.message || '')) {
+      const fallbackNoOrder = await baseQuery
+      data = fallbackNoOrder.data
+      error = fallbackNoOrder.error
+    }
+    if (error) {
+      addToast(`Błąd listy plików: ${sanitizeText(error.message || 'query_failed')}`, 'error')
+      safeSetState(setFiles)([])
+      return
+    }
+    safeSetState(setFiles)(data || [])
+  }, [document?.id, profile?.id, profile?.side, managesPublication, safeSetState, addToast])
 
-      const { error: restoreError } = await supabase.storage
-        .from('documents')
-        .upload(file.file_path, versionBlob, { upsert: true })
-      if (restoreError) throw restoreError
+  useEffect(() => { loadFiles() }, [loadFiles, refreshKey])
 
-      await supabase
-        .from('document_files')
-        .update({
-          file_size: version.file_size || file.file_size,
-          mime_type: version.mime_type || file.mime_type,
-          file_type: version.file_type || file.file_type
-        })
-        .eq('id', file.id)
+  // Keyed on the ids so the scan polling above does not reload receipts every few seconds.
+  const fileIdsKey = files.map(f => f.id).join(',')
+  const loadReceipts = useCallback(async () => {
+    if (!canSeeReceipts || !fileIdsKey) return
+    const { data, error } = await supabase.rpc('file_read_receipts', { p_file_ids: fileIdsKey.split(',') })
+    if (error) return
+    const grouped = {}
+    for (const row of data || []) {
+      if (!grouped[row.file_id]) grouped[row.file_id] = []
+      grouped[row.file_id].push(row)
+    }
+    safeSetState(setReceiptsByFile)(grouped)
+  }, [canSeeReceipts, fileIdsKey, safeSetState])
 
-      await logAudit(profile.id, 'rollback_file_version', 'document_file', file.id, { version_no: version.version_no })
-      addToast(`Rollback do v${version.version_no} / Відкат до v${version.version_no}`, 'success')
-      await loadFiles()
-      await loadVersionsForFile(file.id)
-      onUpdate?.()
-      if (previewFile?.id === file.id) {
-        setPreviewFile({ ...previewFile, file_size: version.file_size || previewFile.file_size })
+  useEffect(() => { loadReceipts() }, [loadReceipts])
+
+  // Quarantined uploads get a verdict within seconds; keep refreshing while any file waits for one.
+  const hasPendingScan = files.some(f => f.scan_status === 'pending')
+  useEffect(() => {
+    if (!hasPendingScan) return
+    const timer = setInterval(() => loadFiles(), SCAN_POLL_MS)
+    return () => clearInterval(timer)
+  }, [hasPendingScan, loadFiles])
+
+  // 'error' rows are retried by the scheduled sweep as well; this only skips the wait.
+  const rescanFile = async (file) => {
+    const { data, error } = await invokeFunctionWithAuthRetry('file-scan', { file_ids: [file.id] })
+    if (error || !data?.ok) {
+      const details = error ? await parseFunctionsInvokeError(error) : String(data?.error || 'scan_failed')
+      addToast(`Błąd skanowania / Помилка перевірки: ${sanitizeText(details)}`, 'error')
+      return
+    }
+    await loadFiles()
+  }
+
+  const loadVersionsForFile = useCallback(async (fileId) => {
+    if (!fileId || !versionTableReady) return
+    safeSetState(setLoadingVersionsByFile)(prev => ({ ...prev, [fileId]: true }))
+    const { data, error } = await supabase
+      .from('document_file_versions')
+      .select('*')
+      .eq('file_id', fileId)
+      .order('version_no', { ascending: false })
+
+    if (error) {
+      if (/document_file_versions|relation .* does not exist|column .* does not exist/i.test(error.message || '')) {
+        setVersionTableReady(false)
+        addToast('Wersje plików nieaktywne: uruchom SQL migrację / Версії файлів неактивні: запустіть SQL міграцію', 'warning')
+      } else {
+        addToast(`Błąd wersji: ${sanitizeText(error.message || 'version_query_failed')}`, 'error')
       }
-    } catch (err) {
-      addToast(`Błąd rollback: ${sanitizeText(err?.message || 'rollback_failed')}`, 'error')
-    } finally {
-      setRollingBackVersionId(null)
+      safeSetState(setVersionsByFile)(prev => ({ ...prev, [fileId]: [] }))
+    } else {
+      safeSetState(setVersionsByFile)(prev => ({ ...prev, [fileId]: data || [] }))
     }
+    safeSetState(setLoadingVersionsByFile)(prev => ({ ...prev, [fileId]: false }))
+  }, [safeSetState, addToast, versionTableReady])
+
+  const makeVersionPath = (file) => {
+    const ts = new Date().toISOString().replace(/[:.]/g, '-')
+    const safeName = sanitizeFileName(file.file_name || `file-${file.id}`)
+    return `versions/${document.id}/${file.id}/${ts}-${safeName}`
   }
 
-  if (!canView) return null
+  // Linked duplicates share one blob; writes go to a private copy so the other rows keep their content.
+  const writablePathFor = async (file) => {
+    const { data: shared, error } = await supabase.rpc('document_file_blob_shared', { p_file_id: file.id })
+    if (error) throw error
+    return shared ? `${document.id}/${sanitizeFileName(file.file_name || `file-${file.id}`)}` : file.file_path
+  }
 
-  return (
-    <div className="file-upload">
-      <div className="files-header">
-        <BiText pl={`Pliki (${files.length}/${MAX_FILES_PER_DOC})`} uk={`Файли (${files.length}/${MAX_FILES_PER_DOC})`} />
-      </div>
-      <ul className="files-list">
-        {files.map(file => {
-          const ext = file.file_type || getFileExtension(file.file_name)
-          const icon = FILE_ICONS[ext] || FILE_ICONS.default
-          return (
-            <li key={file.id} className="file-item">
-              <span className="file-icon" aria-hidden="true">{icon}</span>
-              <span className="file-name" title={file.file_name}>{file.file_name}</span>
-              <span className="file-size">{(file.file_size / 1024 / 1024).toFixed(2)} MB</span>
-              <div className="file-actions">
-                <button onClick={() => openInlinePreview(file)} aria-label="Podgląd wewnętrzny / Вбудований перегляд">🧾</button>
-                <button onClick={() => handlePreview(file.file_path)} aria-label="Podgląd zewnętrzny / Зовнішній перегляд">👁️</button>
-                <button
-                  onClick={() => setExpandedCommentFileId(prev => prev === file.id ? null : file.id)}
-                  aria-label="Komentarze pliku / Коментарі файлу"
-                  title="Komentarze pliku / Коментарі файлу"
-                >
-                  💬
-                </button>
-                <button
-                  onClick={async () => {
-                    const open = expandedVersionFileId === file.id
-                    setExpandedVersionFileId(open ? null : file.id)
-                    if (!open) await loadVersionsForFile(file.id)
-                  }}
-                  aria-label="Wersje / Версії"
-                >
-                  🕘
-                </button>
-                {canDelete && <button onClick={() => handleDelete(file.id, file.file_path)} aria-label="Usuń / Видалити">🗑️</button>}
-                {normalizeSide(profile?.side) === SIDE_FNU && profile?.role === 'super_admin' && (
-                  <button onClick={() => publishToOperator(file.id)} aria-label="Opublikuj dla AUDITOR" className="btn-publish">📤</button>
-                )}
-              </div>
-              {expandedVersionFileId === file.id && (
-                <div className="file-versions">
-                  {loadingVersionsByFile[file.id] ? (
-                    <span className="file-versions-empty">Ładowanie wersji... / Завантаження версій...</span>
-                  ) : (
-                    <>
-                      {(versionsByFile[file.id] || []).length === 0 ? (
-                        <span className="file-versions-empty">Brak wersji / Немає версій</span>
-                      ) : (
-                        (versionsByFile[file.id] || []).map(v => (
-                          <div key={v.id} className="file-version-item">
-                            <span>v{v.version_no}</span>
-                            <span>{new Date(v.created_at).toLocaleString()}</span>
-                            <button
-                              type="button"
-                              onClick={() => rollbackVersion(file, v)}
-                              disabled={rollingBackVersionId === v.id}
-                            >
-                              {rollingBackVersionId === v.id ? '...' : 'Rollback'}
-                            </button>
-                          </div>
-                        ))
-                      )}
-                    </>
-                  )}
-                </div>
-              )}
-              {expandedCommentFileId === file.id && (
-                <div className="file-comments-panel">
-                  <Comments
-                    entityType="file"
-                    entityId={file.id}
-                    parentDocumentId={document.id}
-                    canComment={canComment}
-                    canView={canView}
-                    displayLanguage={resolveLanguageMode('auto', profile?.side)}
-                    title="File comments / Коментарі файлу"
-                  />
-                </div>
-              )}
-            </li>
-          )
-        })}
-        {files.length === 0 && <li className="no-files"><BiText pl="Brak plików" uk="Немає файлів" /></li>}
-      </ul>
-
-      {previewFile && (
-        <div className="inline-preview">
-          <div className="inline-preview-header">
-            <strong><SafeText>{previewFile.file_name}</SafeText></strong>
-            <div className="inline-preview-actions">
-              {(previewFile.file_type === 'txt' || previewFile.file_type === 'csv' || (previewFile.mime_type || '').startsWith('text/')) && (
-                <>
-                  {!editingText ? (
-                    <button type="button" onClick={() => setEditingText(true)}>✏️ Edytuj / Редагувати</button>
-                  ) : (
-                    <button type="button" onClick={saveInlineText} disabled={savingText}>{savingText ? '...' : '💾 Zapisz / Зберегти'}</button>
-                  )}
-                </>
-              )}
-              <button
-                type="button"
-                onClick={() => {
-                  setPreviewFile(null)
-                  setPreviewText('')
-                  if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
-                  setPreviewUrl('')
-                }}
-              >
-                ✕
-              </button>
-            </div>
-          </div>
-
-          {previewLoading ? (
-            <div className="inline-preview-loading">Ładowanie... / Завантаження...</div>
-          ) : (
-            <>
-              {previewMode === 'text' ? (
-                editingText ? (
-                  <textarea
-                    className="inline-text-editor"
-                    value={previewText}
-                    onChange={e => setPreviewText(e.target.value)}
-                    aria-label="Edytor pliku tekstowego"
-                  />
-                ) : (
-                  <pre className="inline-text-preview">{previewText}</pre>
-                )
-              ) : previewMode === 'unsupported' ? (
-                <div className="inline-preview-loading">
-                  Podgląd tego formatu wbudowanie nie jest wspierany / Вбудований перегляд цього формату не підтримується
-                </div>
-              ) : (
-                <iframe className="inline-file-frame" src={previewUrl} title={previewFile.file_name} />
-              )}
-            </>
-          )}
-        </div>
-      )}
-    </div>
-  )
-}
-
-// =====================================================
-// COMMENT ITEM COMPONENT (Memoized for performance)
-// =====================================================
-const CommentItem = ({ comment, depth, maxDepth, onReply, canComment }) => {
-  if (depth >= maxDepth) return null
-  const source = comment?.source_language || detectLanguage(comment?.content || '')
-  const sourceText = parseMessageContextEnvelope(comment?.content || '').text
-  const translatedPl = parseMessageContextEnvelope(comment?.translated_pl || '').text
-  const translatedUk = parseMessageContextEnvelope(comment?.translated_uk || '').text
-  const renderedPl = translatedPl || (source === 'pl' ? sourceText : sourceText)
-  const renderedUk = translatedUk || (source === 'uk' ? sourceText : sourceText)
-  const authorDisplay = resolveCommentAuthorDisplay(comment.author)
-  const authorKey = comment.author_id || comment.author?.email || comment.author?.full_name || 'unknown'
-  const tone = getCommentAuthorTone(authorKey)
-  const commentStyle = {
-    marginLeft: depth * 16,
-    '--comment-bg': tone.bg,
-    '--comment-border': tone.border,
-    '--comment-accent': tone.accent,
-    '--comment-text-highlight': tone.textBg,
-    '--comment-text-color': tone.textFg,
-  }
+  const snapshotCurrentVersion = useCallback(async (file, reason = 'manual') => {
+    if (!versionTableReady) return
+    const { data: currentBlob, error: downloadError } = await supabase.storage.from('documents').download(file.file_path)
+    if (downloadError) throw downloadError
+    const versionPath = makeVersionPath(file)
 
-  return (
-    <div className={`comment ${depth > 0 ? 'reply' : ''}`} style={commentStyle}>
-      <div className="comment-header">
-        <span className="comment-author">
-          <span className="comment-author-name" style={{ color: tone.accent }}>
-            <SafeText>{authorDisplay.name}</SafeText>
-          </span>
-          {authorDisplay.title && <span className="comment-author-role"><SafeText>{authorDisplay.title}</SafeText></span>}
-          <span className={`side-badge ${sideClass(comment.author?.side)}`}>{formatSideLabel(comment.author?.side)}</span>
-        </span>
-        <time dateTime={comment.created_at}>{new Date(comment.created_at).toLocaleString()}</time>
-      </div>
-      <div className="comment-bilingual">
-        <div className="comment-line">
-          <span className="comment-lang comment-lang-flag" aria-label="Polski">
-            <span className="comment-flag" aria-hidden="true">🇵🇱</span>
-          </span>
-          <p className="comment-content compact">
-            <span className="comment-text-highlight"><SafeText>{renderedPl}</SafeText></span>
-          </p>
-        </div>
-        <div className="comment-line">
-          <span className="comment-lang comment-lang-flag" aria-label="Українська">
-            <span className="comment-flag" aria-hidden="true">🇺🇦</span>
-          </span>
-          <p className="comment-content compact">
-            <span className="comment-text-highlight"><SafeText>{renderedUk}</SafeText></span>
-          </p>
-        </div>
-      </div>
-      <div className="comment-actions">
-        {canComment && depth < maxDepth - 1 && (
-          <button onClick={() => onReply(comment.id)} aria-label="Odpowiedz / Відповісти">↩️ Odpowiedz</button>
-        )}
-      </div>
-    </div>
-  )
-}
+    const { error: uploadVersionError } = await supabase.storage
+      .from('documents')
+      .upload(versionPath, currentBlob, { upsert: false })
+    if (uploadVersionError) throw uploadVersionError
 
-// =====================================================
-// COMMENTS COMPONENT
-// =====================================================
-function Comments({ entityType = 'document', entityId, parentDocumentId = null, canComment, canView, displayLanguage, title }) {
-  const [comments, setComments] = useState([])
-  const [newComment, setNewComment] = useState('')
-  const [replyTo, setReplyTo] = useState(null)
-  const [submitting, setSubmitting] = useState(false)
-  const [channel, setChannel] = useState('fnu_internal')
-  const [useFilePrefixFallback, setUseFilePrefixFallback] = useState(false)
-  const addToast = useToast()
-  const profile = useProfile()
-  const safeSetState = useSafeAsync()
-  const MAX_REPLY_DEPTH = 5
-  const isLawyerAdmin = profile?.role === 'lawyer_admin' || profile?.role === 'super_admin'
-  const isAuditor = normalizeSide(profile?.side) === SIDE_AUDITOR
-  const canUseAuditorChannel = isLawyerAdmin || isAuditor
-  const entityColumn = entityType === 'section'
-    ? 'section_id'
-    : entityType === 'file'
-      ? 'file_id'
-      : 'document_id'
-  const fileCommentPrefix = entityType === 'file' && entityId ? `[file:${entityId}] ` : ''
-  const stripFilePrefix = (text) => {
-    if (typeof text !== 'string' || !fileCommentPrefix) return text
-    return text.startsWith(fileCommentPrefix) ? text.slice(fileCommentPrefix.length) : text
-  }
+    const { data: lastVersionData, error: lastVersionError } = await supabase
+      .from('document_file_versions')
+      .select('version_no')
+      .eq('file_id', file.id)
+      .order('version_no', { ascending: false })
+      .limit(1)
 
-  const loadComments = useCallback(async () => {
-    if (!entityId) return
-    const selectCols = 'id, author_id, content, source_language, translated_pl, translated_uk, translation_provider, created_at, parent_comment_id, visible_to_sides, comment_scope, author:author_id(full_name, position, email, side)'
-    const selectColsFallback = 'id, author_id, content, source_language, translated_pl, translated_uk, translation_provider, created_at, parent_comment_id, visible_to_sides, comment_scope, author:author_id(full_name, email, side)'
-    let data = []
-    let error = null
+    if (lastVersionError && !/document_file_versions|relation .* does not exist/i.test(lastVersionError.message || '')) {
+      throw lastVersionError
+    }
+    const nextVersion = ((lastVersionData && lastVersionData[0]?.version_no) || 0) + 1
 
-    const primaryQuery = await supabase
-      .from('comments')
-      .select(selectCols)
-      .eq(entityColumn, entityId)
-      .order('created_at')
-    data = primaryQuery.data || []
-    error = primaryQuery.error
+    const { error: insertVersionError } = await supabase.from('document_file_versions').insert({
+      file_id: file.id,
+      document_id: document.id,
+      version_no: nextVersion,
+      storage_path: versionPath,
+      file_name: file.file_name,
+      file_size: file.file_size || 0,
+      mime_type: file.mime_type || null,
+      file_type: file.file_type || null,
+      change_reason: reason,
+      created_by: profile.id
+    })
 
-    if (error) {
-      const details = `${String(error.message || '')} ${String(error.details || '')}`.toLowerCase()
-      if (/position|column/i.test(details)) {
-        const fallbackQuery = await supabase
-          .from('comments')
-          .select(selectColsFallback)
-          .eq(entityColumn, entityId)
-          .order('created_at')
-        data = (fallbackQuery.data || []).map((row) => ({
-          ...row,
-          author: row?.author ? { ...row.author, position: '' } : row.author
-        }))
-        error = fallbackQuery.error
+    if (insertVersionError) {
+      if (/document_file_versions|relation .* does not exist|column .* does not exist/i.test(insertVersionError.message || '')) {
+        setVersionTableReady(false)
+        addToast('Wersje plików nieaktywne: uruchom SQL migrację / Версії файлів неактивні: запустіть SQL міграцію', 'warning')
+        return
       }
+      throw insertVersionError
     }
+    await auditLog(profile.id, 'create_file_version', 'document_file', file.id, { reason, version_no: nextVersion })
+  }, [versionTableReady, document.id, profile.id, addToast, auditLog])
 
-    if (error && entityType === 'file' && parentDocumentId) {
-      const details = `${String(error.message || '')} ${String(error.details || '')} ${String(error.hint || '')}`.toLowerCase()
-      const canUseFallback = /file_id|schema cache|column/i.test(details)
-      if (canUseFallback) {
-        const fallback = await supabase
-          .from('comments')
-          .select(selectCols)
-          .eq('document_id', parentDocumentId)
-          .ilike('content', `[file:${entityId}]%`)
-          .order('created_at')
-        data = (fallback.data || []).map(c => ({
-          ...c,
-          content: stripFilePrefix(c.content),
-          translated_pl: stripFilePrefix(c.translated_pl),
-          translated_uk: stripFilePrefix(c.translated_uk),
-        }))
-        error = fallback.error
-        setUseFilePrefixFallback(!fallback.error)
-      }
-    } else if (entityType === 'file') {
-      setUseFilePrefixFallback(false)
+  const handleUpload = async (e) => {
+    const selectedFiles = Array.from(e.target.files || [])
+    if (selectedFiles.length === 0) return
+    if (!profile?.id) {
+      addToast('Brak profilu użytkownika / Немає профілю користувача', 'error')
+      return
     }
-
-    if (error) {
-      addToast(`Comments load error: ${sanitizeText(error.message || error.details || 'query_failed')}`, 'error')
+    if (files.length + selectedFiles.length > MAX_FILES_PER_DOC) {
+      addToast(`Maksymalnie ${MAX_FILES_PER_DOC} plików / Максимум ${MAX_FILES_PER_DOC} файлів`, 'error')
       return
     }
 
-    const filtered = (data || []).filter(c => {
-      if (profile?.role === 'super_admin') return true
-      if ((c.comment_scope || 'fnu_internal') === 'auditor_channel') return canUseAuditorChannel
-      return normalizeSide(profile?.side) === SIDE_FNU
-    })
-    safeSetState(setComments)(filtered)
-  }, [entityId, entityColumn, entityType, parentDocumentId, profile, safeSetState, canUseAuditorChannel, addToast, fileCommentPrefix])
-
-  useEffect(() => { if (canView) loadComments() }, [canView, loadComments])
-  useEffect(() => {
-    if (isAuditor) setChannel('auditor_channel')
-  }, [isAuditor])
+    abortControllerRef.current = new AbortController()
+    setUploading(true)
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    if (!newComment.trim() || newComment.length > MAX_COMMENT_LENGTH) return
-    setSubmitting(true)
-    const cleanContent = sanitizeText(newComment.trim())
-    const sourceLanguage = detectLanguage(cleanContent)
-    let translatedPl = cleanContent
-    let translatedUk = cleanContent
-    try {
-      ;[translatedPl, translatedUk] = await Promise.all([
-        sourceLanguage === 'pl' ? Promise.resolve(cleanContent) : llmTranslateStrict(cleanContent, sourceLanguage, 'pl'),
-        sourceLanguage === 'uk' ? Promise.resolve(cleanContent) : llmTranslateStrict(cleanContent, sourceLanguage, 'uk')
-      ])
-    } catch (translationError) {
-      const details = sanitizeText(String(translationError?.message || 'llm_unavailable'))
-      if (/invalid jwt/i.test(details)) {
-        addToast('Session expired. Please sign in again / Сесія завершилась. Увійдіть знову', 'error')
-      } else {
-        addToast(`Translation failed: ${details}`, 'error')
-      }
-      setSubmitting(false)
+    const plan = await duplicateReview.review(document.id, selectedFiles)
+    if (!plan) {
+      setUploading(false)
+      if (fileInputRef.current) fileInputRef.current.value = ''
       return
     }
-    const replyTarget = comments.find(c => c.id === replyTo)
-    const scope = replyTarget?.comment_scope || channel
-    if (scope === 'auditor_channel' && !canUseAuditorChannel) {
-      addToast('Auditor Q&A is available only for lawyer_admin and auditor.', 'error')
-      setSubmitting(false)
-      return
+
+    const CONCURRENT_UPLOADS = 3
+    let successCount = 0
+    let failedCount = 0
+    const skippedCount = plan.filter(entry => entry.action === 'skip').length
+    const queued = plan.filter(entry => entry.action !== 'skip')
+
+    for (let i = 0; i < queued.length; i += CONCURRENT_UPLOADS) {
+      if (abortControllerRef.current?.signal.aborted) break
+
+      const batch = queued.slice(i, i + CONCURRENT_UPLOADS)
+
+      await Promise.all(batch.map(async (entry) => {
+        if (abortControllerRef.current?.signal.aborted) return
+        const { file } = entry
+
+        const validation = validateFile(file)
+        if (!validation.valid) {
+          addToast(validation.error, 'error')
+          failedCount++
+          return
+        }
+
+        const safeFileName = sanitizeFileName(file.name)
+        const filePath = `${document.id}/${safeFileName}`
+
+        try {
+          let fileData = null
+          if (entry.action === 'link') {
+            fileData = await linkDuplicateFile(document.id, entry, profile.id)
+          } else {
+            await uploadQueue.enqueue(file, filePath)
+
+            const ext = getFileExtension(file.name)
+            const { data: insertedFile, error: dbError } = await supabase.from('document_files').insert({
+              document_id: document.id,
+              file_name: sanitizeText(file.name),
+              file_path: filePath,
+              file_size: file.size,
+              file_type: ext,
+              mime_type: file.type,
+              uploaded_by: profile.id,
+              content_sha256: entry.hash
+            }).select().single()
+
+            if (dbError) {
+              await supabase.storage.from('documents').remove([filePath])
+              throw dbError
+            }
+            fileData = insertedFile
+
+            await auditLog(profile.id, 'upload_file', 'document_file', document.id, { file_name: file.name })
+          }
+          requestFileScan({ fileIds: [fileData?.id] })
+
+          if (normalizeSide(profile.side) === SIDE_FNU && fileData) {
+            await supabase.from('document_access').insert({
+              document_id: document.id,
+              file_id: fileData.id,
+              visible_to_operator: false
+            })
+          }
+          successCount++
+        } catch (err) {
+          if (abortControllerRef.current?.signal.aborted) return
+          failedCount++
+          const reason = sanitizeText(err?.message || 'upload_failed')
+          addToast(`Błąd: ${file.name} (${reason})`, 'error')
+          console.error('Upload error:', err)
+        }
+      }))
     }
-    if (scope === 'fnu_internal' && normalizeSide(profile?.side) !== SIDE_FNU) {
-      addToast('Internal comments are available only for FNU users.', 'error')
-      setSubmitting(false)
-      return
+
+    if (!abortControllerRef.current?.signal.aborted) {
+      if (successCount > 0 && failedCount === 0) {
+        addToast(`Pliki przesłane (${successCount}) / Файли завантажено (${successCount})`, 'success')
+      } else if (successCount > 0 && failedCount > 0) {
+        addToast(`Częściowo: ${successCount} OK, ${failedCount} błędów / Частково: ${successCount} OK, ${failedCount} помилок`, 'warning')
+      } else if (failedCount > 0) {
+        addToast('Wysyłka nieudana / Завантаження не вдалося', 'error')
+      }
+      if (skippedCount > 0) {
+        addToast(`Pominięto duplikaty (${skippedCount}) / Пропущено дублікати (${skippedCount})`, 'info')
+      }
     }
+    setUploading(false)
+    loadFiles()
+    onUpdate?.()
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
 
-    const payload = {
-      author_id: profile.id,
-      content: cleanContent,
-      source_language: sourceLanguage,
-      translated_pl: translatedPl,
-      translated_uk: translatedUk,
-      translation_provider: 'smart-api',
-      parent_comment_id: replyTo,
-      comment_scope: scope,
-      visible_to_sides: scope === 'auditor_channel' ? [SIDE_AUDITOR] : [SIDE_FNU]
+  const handleDelete = async (fileId, filePath) => {
+    if (!confirm('Usunąć plik? / Видалити файл?')) return
+    try {
+      const fileRecord = files.find(f => f.id === fileId)
+      if (fileRecord && versionTableReady) {
+        try {
+          await snapshotCurrentVersion(fileRecord, 'before_delete')
+        } catch (err) {
+          addToast(`Błąd wersji przed usunięciem: ${sanitizeText(err?.message || 'snapshot_failed')}`, 'warning')
+        }
+      }
+
+      const { data: resultData, error: invokeError } = await invokeFunctionWithAuthRetry('file-delete', {
+        file_id: fileId,
+        file_path: filePath,
+      })
+      if (invokeError || !resultData?.ok) {
+        const details = invokeError
+          ? await parseFunctionsInvokeError(invokeError)
+          : String(resultData?.error || resultData?.message || 'delete_failed')
+        throw new Error(details)
+      }
+      if (resultData?.storage_error) {
+        addToast(`Plik usunięty, ale storage cleanup failed: ${sanitizeText(String(resultData.storage_error))}`, 'warning')
+      }
+
+      await auditLog(profile.id, 'delete_file', 'document_file', fileId)
+      await loadFiles()
+      onUpdate?.()
+      addToast('Plik usunięty / Файл видалено', 'success')
+      if (previewFile?.id === fileId) {
+        setPreviewFile(null)
+        setPreviewText('')
+        if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
+        setPreviewUrl('')
+      }
+    } catch (err) {
+      addToast(`Błąd usuwania: ${sanitizeText(err?.message || 'delete_failed')}`, 'error')
     }
-    if (entityType === 'file' && useFilePrefixFallback) {
-      if (!parentDocumentId) {
-        addToast('File comments fallback requires document context.', 'error')
-        setSubmitting(false)
+  }
+
+  const handlePreview = async (file) => {
+    let previewTab = null
+    try {
+      previewTab = window.open('about:blank', '_blank')
+      if (!previewTab) {
+        addToast('Popup blocked. Allow popups for this site.', 'warning')
         return
       }
-      payload.document_id = parentDocumentId
-      payload.content = `${fileCommentPrefix}${cleanContent}`
-    } else {
-      if (entityType === 'file' && parentDocumentId) payload.document_id = parentDocumentId
-      payload[entityColumn] = entityId
+      previewTab.opener = null
+      previewTab.document.title = 'Preview...'
+      if (needsWatermark(profile, file.file_name)) {
+        const blobUrl = URL.createObjectURL(await fetchWatermarkedPdf({ file_id: file.id }))
+        previewTab.location.replace(blobUrl)
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000)
+      } else {
+        const { data, error } = await supabase.storage.from('documents').createSignedUrl(file.file_path, 3600)
+        if (error || !data?.signedUrl) throw new Error(error?.message || 'signed_url_failed')
+        previewTab.location.replace(data.signedUrl)
+        await recordFileAccess(profile.id, file, 'view', 'tab')
+      }
+      loadReceipts()
+    } catch (err) {
+      if (previewTab && !previewTab.closed) previewTab.close()
+      addToast(`Błąd podglądu: ${sanitizeText(err?.message || 'preview_failed')}`, 'error')
     }
+  }
 
-    const { data, error } = await supabase.from('comments').insert(payload).select().single()
+  const downloadFile = async (file) => {
+    try {
+      if (needsWatermark(profile, file.file_name)) {
+        const blob = await fetchWatermarkedPdf({ file_id: file.id, purpose: 'download' })
+        downloadBlob(blob, file.file_name.replace(/\.[^.]+$/, '') + '.pdf')
+      } else {
+        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
+        if (error) throw error
+        downloadBlob(data, file.file_name)
+        await recordFileAccess(profile.id, file, 'download', 'download')
+      }
+      loadReceipts()
+    } catch (err) {
+      addToast(`Błąd pobierania / Помилка завантаження: ${sanitizeText(err?.message || 'download_failed')}`, 'error')
+    }
+  }
 
-    if (!error && data) {
-      await logAudit(profile.id, 'add_comment', 'comment', data.id)
-      setNewComment('')
-      setReplyTo(null)
-      loadComments()
-      addToast('Komentarz dodany / Коментар додано', 'success')
+  const revokeFiles = async (fileIds) => {
+    if (!confirm('Cofnąć publikację dla AUDITOR? / Відкликати публікацію для AUDITOR?')) return
+    try {
+      const data = await requestFilePublication({ action: 'revoke', file_ids: fileIds })
+      addToast(publicationSummary(data), 'success')
+      setSelectedFileIds([])
+      loadFiles()
+    } catch (err) {
+      addToast(`Błąd cofania publikacji / Помилка відкликання: ${sanitizeText(err?.message || 'revoke_failed')}`, 'error')
     }
-    setSubmitting(false)
   }
 
-  if (!canView) return null
+  const toggleFileSelection = (fileId) => {
+    setSelectedFileIds(prev => (prev.includes(fileId) ? prev.filter(id => id !== fileId) : [...prev, fileId]))
+  }
 
-  const visibleByChannel = comments.filter(c => (c.comment_scope || 'fnu_internal') === channel)
-  const topLevel = visibleByChannel.filter(c => !c.parent_comment_id)
-  const getReplies = (parentId) => comments.filter(c => c.parent_comment_id === parentId)
+  // The list leaves extracted_text out; it is fetched only when a preview falls back to it.
+  const showExtractedText = async (file) => {
+    const { data } = await supabase.from('document_files').select('extracted_text').eq('id', file.id).maybeSingle()
+    if (!data?.extracted_text) {
+      setPreviewMode('unsupported')
+      return
+    }
+    setPreviewFile(prev => (prev?.id === file.id ? { ...prev, extracted_text: data.extracted_text } : prev))
+    setPreviewMode('extracted')
+  }
 
-  const renderCommentTree = (comment, depth = 0) => (
-    <div key={comment.id}>
-      <CommentItem
-        comment={comment}
-        depth={depth}
-        maxDepth={MAX_REPLY_DEPTH}
-        onReply={setReplyTo}
-        canComment={canComment}
-      />
-      {getReplies(comment.id).map(r => renderCommentTree(r, depth + 1))}
-    </div>
-  )
+  const openInlinePreview = async (file) => {
+    setPreviewFile(file)
+    setPreviewMode('frame')
+    setEditingText(false)
+    setPreviewText('')
+    setRichPreview(null)
+    if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
+    setPreviewUrl('')
+    setPreviewLoading(true)
 
-  return (
-    <section className="comments-section" aria-label="Komentarze / Коментарі">
-      <h4><BiText pl={`${title || 'Komentarze'} (${visibleByChannel.length})`} uk={`${title || 'Коментарі'} (${visibleByChannel.length})`} /></h4>
+    const ext = (file.file_type || getFileExtension(file.file_name)).toLowerCase()
+    const isTextLike = ['txt', 'csv'].includes(ext) || (file.mime_type || '').startsWith('text/')
+    const watermarked = !isTextLike && needsWatermark(profile, file.file_name)
 
-      <div className="comment-channel-switch">
-        <button
-          type="button"
-          className={channel === 'fnu_internal' ? 'active' : ''}
-          onClick={() => setChannel('fnu_internal')}
-          disabled={isAuditor}
-        >
-          FNU Internal
-        </button>
-        {canUseAuditorChannel && (
-          <button
-            type="button"
-            className={channel === 'auditor_channel' ? 'active' : ''}
-            onClick={() => setChannel('auditor_channel')}
-          >
-            Auditor Q&A
-          </button>
-        )}
-      </div>
-
-      {canComment && (
-        <form onSubmit={handleSubmit} className="comment-form">
-          {replyTo && (
-            <div className="replying-to">
-              <BiText pl="Odpowiedź na komentarz" uk="Відповідь на коментар" />
-              <button type="button" onClick={() => setReplyTo(null)} aria-label="Anuluj odpowiedź">✕</button>
-            </div>
-          )}
-          <textarea
-            value={newComment}
-            onChange={e => setNewComment(e.target.value)}
-            placeholder="Napisz komentarz... / Напишіть коментар..."
-            maxLength={MAX_COMMENT_LENGTH}
-            aria-label="Treść komentarza"
-          />
-          <div className="comment-footer">
-            <span aria-live="polite">{newComment.length}/{MAX_COMMENT_LENGTH}</span>
-            <button type="submit" disabled={submitting || !newComment.trim()}>
-              {submitting ? '...' : 'Wyślij / Надіслати'}
-            </button>
-          </div>
-        </form>
-      )}
+    try {
+      if (isTextLike) {
+        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
+        if (error) throw error
+        const text = await data.text()
+        setPreviewText(text)
+        setPreviewMode('text')
+      } else if (watermarked) {
+        setPreviewUrl(URL.createObjectURL(await fetchWatermarkedPdf({ file_id: file.id })))
+        setPreviewMode('frame')
+      } else if (richPreviewKind(file)) {
+        const kind = richPreviewKind(file)
+        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
+        if (error) throw error
+        try {
+          const buffer = await data.arrayBuffer()
+          setRichPreview(kind === 'docx' ? { kind, doc: parseDocx(buffer) } : { kind, sheets: await parseXlsxPreview(buffer) })
+          setPreviewMode(kind)
+        } catch (err) {
+          // Damaged or unusual files still get the extracted text when there is one.
+          console.error('Rich preview failed:', err)
+          await showExtractedText(file)
+        }
+      } else {
+        const { data, error } = await supabase.storage.from('documents').download(file.file_path)
+        if (error) throw error
+        const blobUrl = URL.createObjectURL(data)
+        setPreviewUrl(blobUrl)
+        const ext = (file.file_type || getFileExtension(file.file_name)).toLowerCase()
+        const previewable = ext === 'pdf' || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'].includes(ext)
+        if (previewable) setPreviewMode('frame')
+        else await showExtractedText(file)
+      }
+      if (!watermarked) await recordFileAccess(profile.id, file, 'view', 'inline')
+      loadReceipts()
+    } catch (err) {
+      addToast(`Błąd podglądu: ${sanitizeText(err?.message || 'preview_failed')}`, 'error')
+      setPreviewFile(null)
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
 
-      <div className="comments-list" role="feed" aria-label="Lista komentarzy">
-        {topLevel.map(c => renderCommentTree(c))}
-        {visibleByChannel.length === 0 && <div className="no-comments"><BiText pl="Brak komentarzy" uk="Немає коментарів" /></div>}
-      </div>
-    </section>
-  )
-}
+  const saveInlineText = async () => {
+    if (!previewFile) return
+    setSavingText(true)
+    try {
+      if (versionTableReady) {
+        try {
+          await snapshotCurrentVersion(previewFile, 'before_inline_edit')
+        } catch (err) {
+          addToast(`Błąd wersji: ${sanitizeText(err?.message || 'version_failed')}`, 'warning')
+        }
+      }
+      const blob = new Blob([previewText], { type: previewFile.mime_type || 'text/plain' })
+      const targetPath = await writablePathFor(previewFile)
+      const detached = targetPath !== previewFile.file_path
+      const updateResult = detached
+        ? await supabase.storage.from('documents').upload(targetPath, blob)
+        : await supabase.storage.from('documents').update(targetPath, blob)
+      if (updateResult.error) {
+        const fallbackUpload = await supabase.storage.from('documents').upload(targetPath, blob, { upsert: true })
+        if (fallbackUpload.error) throw fallbackUpload.error
+      }
 
-function SectionCommentsModal({ section, onClose, displayLanguage, canComment }) {
-  const modalRef = useRef(null)
-  useFocusTrap(modalRef, true)
-  if (!section) return null
+      await supabase
+        .from('document_files')
+        .update({
+          file_size: blob.size,
+          content_sha256: await trySha256Blob(blob),
+          ...(detached ? { file_path: targetPath, linked_from_file_id: null } : {})
+        })
+        .eq('id', previewFile.id)
+      setPreviewFile(prev => (prev ? { ...prev, file_path: targetPath, file_size: blob.size } : prev))
 
-  return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div ref={modalRef} className="modal document-detail" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true">
-        <div className="modal-header">
-          <h2>
-            <span>{section.code}.</span> <SafeText>{section.name_pl}</SafeText>
-          </h2>
-          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
-        </div>
-        <Comments
-          entityType="section"
-          entityId={section.id}
-          canComment={canComment}
-          canView={true}
-          displayLanguage={displayLanguage}
-          title="Folder comments / Коментарі папки"
-        />
-      </div>
-    </div>
-  )
-}
+      await auditLog(profile.id, 'edit_file', 'document_file', previewFile.id, { mode: 'inline-text' })
+      requestFileScan({ fileIds: [previewFile.id] })
+      addToast('Zapisano zmiany / Зміни збережено', 'success')
+      setEditingText(false)
+      loadFiles()
+      onUpdate?.()
+    } catch (err) {
+      addToast(`Błąd zapisu: ${sanitizeText(err?.message || 'save_failed')}`, 'error')
+    } finally {
+      setSavingText(false)
+    }
+  }
 
-function TaskBoard({ companyId, sectionId }) {
-  const profile = useProfile()
-  const addToast = useToast()
-  const [tasks, setTasks] = useState([])
-  const [taskMembers, setTaskMembers] = useState({})
-  const [lastMessages, setLastMessages] = useState({})
-  const [users, setUsers] = useState([])
-  const [selectedTaskId, setSelectedTaskId] = useState(null)
-  const [newTask, setNewTask] = useState({ topic: '', note: '' })
-  const [newComment, setNewComment] = useState('')
-  const [recipientMode, setRecipientMode] = useState('direct')
-  const [selectedDirectUserId, setSelectedDirectUserId] = useState('')
-  const [selectedRecipients, setSelectedRecipients] = useState([])
-  const isFnu = normalizeSide(profile?.side) === SIDE_FNU
-  const formatUserLabel = useCallback((user) => {
-    const roleLabel = ROLES[user?.role]?.uk || ROLES[user?.role]?.pl || user?.role || 'Користувач'
-    const rawName = (user?.full_name || '').trim()
-    const looksLikeEmail = /@/.test(rawName)
-    const nameLabel = rawName && !looksLikeEmail ? rawName : 'Невказане імʼя'
-    return `${roleLabel} · ${nameLabel}`
-  }, [])
+  // Tagged snapshots survive the retention job (when the company policy keeps tagged versions).
+  const tagVersion = async (file, version) => {
+    const input = window.prompt('Etykieta wersji (puste = usuń) / Мітка версії (порожньо = видалити):', version.tag || '')
+    if (input === null) return
+    const tag = sanitizeText(input).trim().slice(0, 60) || null
+    const { error } = await supabase
+      .from('document_file_versions')
+      .update({ tag, tagged_by: tag ? profile.id : null, tagged_at: tag ? new Date().toISOString() : null })
+      .eq('id', version.id)
+    if (error) {
+      addToast(`Błąd etykiety: ${sanitizeText(error.message || 'tag_failed')}`, 'error')
+      return
+    }
+    await auditLog(profile.id, 'tag_file_version', 'document_file', file.id, { version_no: version.version_no, tag })
+    await loadVersionsForFile(file.id)
+  }
 
-  const loadUsers = useCallback(async () => {
-    const { data, error } = await supabase
-      .from('profiles')
-      .select('id, full_name, email, side, role')
-      .eq('is_active', true)
-      .eq('side', SIDE_FNU)
-      .neq('role', 'super_admin')
-      .neq('id', profile?.id || '')
-      .order('full_name')
-    if (!error) setUsers(data || [])
-  }, [profile?.id])
+  const rollbackVersion = async (file, version) => {
+    if (!file || !version) return
+    setRollingBackVersionId(version.id)
+    try {
+      if (versionTableReady) {
+        try {
+          await snapshotCurrentVersion(file, `before_rollback_to_v${version.version_no}`)
+        } catch (err) {
+          addToast(`Błąd snapshotu rollback: ${sanitizeText(err?.message || 'rollback_snapshot_failed')}`, 'warning')
+        }
+      }
 
-  const loadTasks = useCallback(async () => {
-    if (!profile?.id || !companyId || !sectionId) return
-    const { data, error } = await supabase
-      .from('chat_thread_members')
-      .select(`
-        thread_id,
-        thread:thread_id (
-          id, topic, updated_at, created_at, is_archived, company_id, section_id
-        )
-      `)
-      .eq('user_id', profile.id)
-      .eq('is_active', true)
-    if (error) return
-    const taskThreads = (data || [])
-      .map(r => r.thread)
-      .filter(Boolean)
-      .filter(t => t.company_id === companyId && t.section_id === sectionId && (t.topic || '').startsWith('[TASK] '))
-      .sort((a, b) => new Date(b.updated_at || b.created_at || 0) - new Date(a.updated_at || a.created_at || 0))
-    setTasks(taskThreads)
-    if (!selectedTaskId && taskThreads.length > 0) setSelectedTaskId(taskThreads[0].id)
+      const { data: versionBlob, error: versionDownloadError } = await supabase.storage
+        .from('documents')
+        .download(version.storage_path)
+      if (versionDownloadError) throw versionDownloadError
 
-    const ids = taskThreads.map(t => t.id)
-    if (ids.length === 0) return
-    const [{ data: members }, { data: msgs }] = await Promise.all([
-      supabase.from('chat_thread_members').select('thread_id, user_id, user:user_id(id, full_name, email, side)').in('thread_id', ids).eq('is_active', true),
-      supabase.from('chat_messages').select('thread_id, content, created_at, sender:sender_id(full_name, email)').in('thread_id', ids).order('created_at', { ascending: false })
-    ])
-    const groupedMembers = (members || []).reduce((acc, item) => {
-      if (!acc[item.thread_id]) acc[item.thread_id] = []
-      acc[item.thread_id].push(item)
-      return acc
-    }, {})
-    setTaskMembers(groupedMembers)
-    const lastByThread = {}
-    for (const m of msgs || []) {
-      if (!lastByThread[m.thread_id]) lastByThread[m.thread_id] = m
-    }
-    setLastMessages(lastByThread)
-  }, [profile?.id, companyId, sectionId, selectedTaskId])
+      const targetPath = await writablePathFor(file)
+      const { error: restoreError } = await supabase.storage
+        .from('documents')
+        .upload(targetPath, versionBlob, { upsert: true })
+      if (restoreError) throw restoreError
 
-  useEffect(() => { if (isFnu) loadUsers() }, [isFnu, loadUsers])
-  useEffect(() => { if (isFnu) loadTasks() }, [isFnu, loadTasks])
-  useEffect(() => {
-    if (recipientMode === 'direct') setSelectedRecipients(selectedDirectUserId ? [selectedDirectUserId] : [])
-  }, [recipientMode, selectedDirectUserId])
+      await supabase
+        .from('document_files')
+        .update({
+          file_size: version.file_size || file.file_size,
+          mime_type: version.mime_type || file.mime_type,
+          file_type: version.file_type || file.file_type,
+          content_sha256: await trySha256Blob(versionBlob),
+          ...(targetPath !== file.file_path ? { file_path: targetPath, linked_from_file_id: null } : {})
+        })
+        .eq('id', file.id)
 
-  const toggleRecipient = (id) => {
-    setSelectedRecipients(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+      await auditLog(profile.id, 'rollback_file_version', 'document_file', file.id, { version_no: version.version_no })
+      requestFileScan({ fileIds: [file.id] })
+      addToast(`Rollback do v${version.version_no} / Відкат до v${version.version_no}`, 'success')
+      await loadFiles()
+      await loadVersionsForFile(file.id)
+      onUpdate?.()
+      if (previewFile?.id === file.id) {
+        setPreviewFile({ ...previewFile, file_path: targetPath, file_size: version.file_size || previewFile.file_size })
+      }
+    } catch (err) {
+      addToast(`Błąd rollback: ${sanitizeText(err?.message || 'rollback_failed')}`, 'error')
+    } finally {
+      setRollingBackVersionId(null)
+    }
   }
 
-  const createTask = async (e) => {
-    e.preventDefault()
-    const recipients = (recipientMode === 'group' ? selectedRecipients : [selectedDirectUserId]).filter(isValidUUID)
-    if (!newTask.topic.trim() || recipients.length === 0 || !companyId || !sectionId) return
-    const { data: thread, error: threadError } = await supabase
-      .from('chat_threads')
-      .insert({
-        topic: `[TASK] ${sanitizeText(newTask.topic.trim())}`,
-        company_id: companyId,
-        section_id: sectionId,
-        created_by: profile.id,
-        is_archived: false
-      })
-      .select()
-      .single()
-    if (threadError || !thread?.id) {
-      addToast('Task create failed', 'error')
-      return
-    }
-    const members = [profile.id, ...Array.from(new Set(recipients))].map((userId) => ({
-      thread_id: thread.id,
-      user_id: userId,
-      member_role: userId === profile.id ? 'owner' : 'member',
-      is_active: true
-    }))
-    await supabase.from('chat_thread_members').insert(members)
-    if (newTask.note.trim()) {
-      await supabase.from('chat_messages').insert({
-        thread_id: thread.id,
-        sender_id: profile.id,
-        content: sanitizeText(newTask.note.trim()),
-        source_language: detectLanguage(newTask.note.trim())
-      })
-    }
-    setNewTask({ topic: '', note: '' })
-    setSelectedDirectUserId('')
-    setSelectedRecipients([])
-    setRecipientMode('direct')
-    await loadTasks()
-    setSelectedTaskId(thread.id)
-    addToast('Task published', 'success')
-  }
-
-  const markDone = async (taskId, done) => {
-    await supabase.from('chat_threads').update({ is_archived: done }).eq('id', taskId)
-    await loadTasks()
-  }
-
-  const addTaskComment = async (e) => {
-    e.preventDefault()
-    if (!selectedTaskId || !newComment.trim()) return
-    const text = sanitizeText(newComment.trim())
-    await supabase.from('chat_messages').insert({
-      thread_id: selectedTaskId,
-      sender_id: profile.id,
-      content: text,
-      source_language: detectLanguage(text)
-    })
-    setNewComment('')
-    await loadTasks()
-  }
-
-  if (!isFnu) return null
+  if (!canView) return null
 
   return (
-    <section className="task-board" aria-label="FNU Task Board">
-      <h3><BiText pl="Tablica zadań FNU" uk="Дошка завдань FNU" /></h3>
-      <form className="task-create-form" onSubmit={createTask}>
-        <input
-          value={newTask.topic}
-          onChange={e => setNewTask(prev => ({ ...prev, topic: e.target.value }))}
-          placeholder="Temat zadania / питання"
-          maxLength={120}
-          required
-        />
-        <textarea
-          value={newTask.note}
-          onChange={e => setNewTask(prev => ({ ...prev, note: e.target.value }))}
-          placeholder="Opis (opcjonalnie) / Опис (необов'язково)"
-          rows={2}
+    <div className="file-upload">
+      <div className="files-header">
+        <BiText pl={`Pliki (${files.length}/${MAX_FILES_PER_DOC})`} uk={`Файли (${files.length}/${MAX_FILES_PER_DOC})`} />
+        {managesPublication && selectedFileIds.length > 0 && (
+          <div className="files-bulk-actions">
+            {canPublishFiles && (
+              <button type="button" className="btn-publish" onClick={() => setPublishTarget({ target: { file_ids: selectedFileIds }, title: `Zaznaczone pliki / Вибрані файли: ${selectedFileIds.length}` })}>
+                📤 {selectedFileIds.length}
+              </button>
+            )}
+            {canRevokeFiles && (
+              <button type="button" onClick={() => revokeFiles(selectedFileIds)} aria-label="Cofnij publikację zaznaczonych / Відкликати вибрані">🚫 {selectedFileIds.length}</button>
+            )}
+          </div>
+        )}
+      </div>
+      {publishTarget && (
+        <PublishToAuditorModal
+          target={publishTarget.target}
+          title={publishTarget.title}
+          onClose={() => setPublishTarget(null)}
+          onDone={() => {
+            setSelectedFileIds([])
+            loadFiles()
+          }}
         />
-        <div className="task-recipient-row">
-          <select value={recipientMode} onChange={e => setRecipientMode(e.target.value)}>
-            <option value="direct">Direct / Прямо</option>
-            <option value="group">Group / Група</option>
-          </select>
-          {recipientMode === 'direct' ? (
-            <select value={selectedDirectUserId} onChange={e => setSelectedDirectUserId(e.target.value)}>
-              <option value="" disabled hidden>Wybierz użytkownika / Виберіть користувача</option>
-              {users.map(u => <option key={u.id} value={u.id}>{formatUserLabel(u)}</option>)}
-            </select>
-          ) : (
-            <div className="task-group-list">
-              {users.map(u => (
-                <label key={u.id}>
-                  <input type="checkbox" checked={selectedRecipients.includes(u.id)} onChange={() => toggleRecipient(u.id)} />
-                  <span><SafeText>{formatUserLabel(u)}</SafeText></span>
-                </label>
-              ))}
-            </div>
-          )}
-          <button type="submit"><BiText pl="Opublikuj" uk="Опублікувати" /></button>
-        </div>
-      </form>
-
-      <div className="task-list">
-        {tasks.map(task => {
-          const members = taskMembers[task.id] || []
-          const last = lastMessages[task.id]
-          const isDone = !!task.is_archived
+      )}
+      <UploadQueuePanel queue={uploadQueue} />
+      {duplicateReview.dialog}
+      <ul className="files-list">
+        {files.map(file => {
+          const ext = file.file_type || getFileExtension(file.file_name)
+          const icon = FILE_ICONS[ext] || FILE_ICONS.default
+          const openable = can(profile, 'file.open', { scanStatus: file.scan_status })
           return (
-            <article key={task.id} className={`task-card ${selectedTaskId === task.id ? 'active' : ''}`} onClick={() => setSelectedTaskId(task.id)}>
-              <header>
-                <strong><SafeText>{(task.topic || '').replace('[TASK] ', '')}</SafeText></strong>
-                <span className={`task-status ${isDone ? 'done' : 'open'}`}>
-                  {isDone ? 'Done / Виконано' : 'Open / Відкрите'}
-                </span>
-              </header>
-              <p className="task-meta">{members.length} users / користувачів</p>
-              {last && (
-                <p className="task-last">
-                  <SafeText>{last.sender?.full_name || 'Користувач'}:</SafeText> <SafeText>{String(last.content || '').slice(0, 70)}</SafeText>
-                </p>
+            <li key={file.id} className={`file-item${file.id === focusFileId ? ' focused' : ''}`} ref={file.id === focusFileId ? focusedFileRef : undefined}>
+              {managesPublication && (
+                <input
+                  type="checkbox"
+                  className="file-select"
+                  checked={selectedFileIds.includes(file.id)}
+                  onChange={() => toggleFileSelection(file.id)}
+                  aria-label={`Zaznacz / Вибрати: ${file.file_name}`}
+                />
               )}
-              <div className="task-actions">
-                <button type="button" onClick={(e) => { e.stopPropagation(); markDone(task.id, !isDone) }}>
-                  {isDone ? 'Reopen / Відкрити знову' : 'Mark done / Виконано'}
+              <FileThumbnail file={file} icon={icon} />
+              <span className="file-name" title={file.file_name}>
+                {file.file_name}
+                {file.linked_from_file_id && (
+                  <span className="file-linked-badge" title="Podlinkowany duplikat / Прив’язаний дублікат"> 🔗</span>
+                )}
+                <ScanStatusBadge item={file} />
+                {managesPublication && <PublicationBadge access={accessByFile[file.id]} />}
+              </span>
+              <span className="file-size">{(file.file_size / 1024 / 1024).toFixed(2)} MB</span>
+              <div className="file-actions">
+                <button onClick={() => openInlinePreview(file)} disabled={!openable} aria-label="Podgląd wewnętrzny / Вбудований перегляд">🧾</button>
+                <button onClick={() => handlePreview(file)} disabled={!openable} aria-label="Podgląd zewnętrzny / Зовнішній перегляд">👁️</button>
+                <button onClick={() => downloadFile(file)} disabled={!openable} aria-label="Pobierz / Завантажити" title="Pobierz / Завантажити">⬇️</button>
+                {canSeeReceipts && (
+                  <button
+                    className={`file-receipts-btn${(receiptsByFile[file.id] || []).some(r => isAuditorSide(r.side)) ? ' seen-by-auditor' : ''}`}
+                    onClick={() => setExpandedReceiptsFileId(prev => prev === file.id ? null : file.id)}
+                    aria-label="Kto otworzył / Хто відкривав"
+                    title="Kto otworzył / Хто відкривав"
+                  >
+                    ✓ {(receiptsByFile[file.id] || []).length}
+                  </button>
+                )}
+                {file.scan_status === 'error' && (
+                  <button onClick={() => rescanFile(file)} aria-label="Skanuj ponownie / Перевірити знову" title="Skanuj ponownie / Перевірити знову">🛡</button>
+                )}
+                <button
+                  onClick={() => setExpandedCommentFileId(prev => prev === file.id ? null : file.id)}
+                  aria-label="Komentarze pliku / Коментарі файлу"
+                  title="Komentarze pliku / Коментарі файлу"
+                >
+                  💬
+                </button>
+                <button
+                  onClick={async () => {
+                    const open = expandedVersionFileId === file.id
+                    setExpandedVersionFileId(open ? null : file.id)
+                    if (!open) await loadVersionsForFile(file.id)
+                  }}
+                  aria-label="Wersje / Версії"
+                >
+                  🕘
                 </button>
+                {can(profile, 'file.delete', { ...policyContext, ownerId: file.uploaded_by }) && (
+                  <button onClick={() => handleDelete(file.id, file.file_path)} aria-label="Usuń / Видалити">🗑️</button>
+                )}
+                {can(profile, 'file.publish_to_auditor', { scanStatus: file.scan_status }) && (
+                  <button onClick={() => setPublishTarget({ target: { file_ids: [file.id] }, title: file.file_name })} aria-label="Opublikuj dla AUDITOR" className="btn-publish">📤</button>
+                )}
+                {canRevokeFiles && (accessByFile[file.id]?.visible_to_operator || accessByFile[file.id]?.publish_at) && (
+                  <button onClick={() => revokeFiles([file.id])} aria-label="Cofnij publikację / Відкликати публікацію" title="Cofnij publikację / Відкликати публікацію">🚫</button>
+                )}
               </div>
-            </article>
+              {expandedVersionFileId === file.id && (
+                <div className="file-versions">
+                  {loadingVersionsByFile[file.id] ? (
+                    <span className="file-versions-empty">Ładowanie wersji... / Завантаження версій...</span>
+                  ) : (
+                    <>
+                      {(versionsByFile[file.id] || []).length > 0 && diffKindForFile(file) && (
+                        <VersionComparePicker
+                          file={file}
+                          versions={versionsByFile[file.id]}
+                          picks={comparePicks[file.id]}
+                          onPick={(picks) => setComparePicks(prev => ({ ...prev, [file.id]: picks }))}
+                          onCompare={(left, right) => setDiffTarget({ file, left, right })}
+                        />
+                      )}
+                      {(versionsByFile[file.id] || []).length === 0 ? (
+                        <span className="file-versions-empty">Brak wersji / Немає версій</span>
+                      ) : (
+                        (versionsByFile[file.id] || []).map(v => (
+                          <div key={v.id} className="file-version-item">
+                            <span>v{v.version_no}</span>
+                            <span>
+                              {new Date(v.created_at).toLocaleString()}
+                              {v.tag && <span className="file-version-tag"><SafeText>{v.tag}</SafeText></span>}
+                            </span>
+                            {can(profile, 'file.tag_version', policyContext) ? (
+                              <button type="button" onClick={() => tagVersion(file, v)} title="Oznacz wersję (chroniona przed retencją) / Позначити версію">
+                                🏷
+                              </button>
+                            ) : <span />}
+                            <button
+                              type="button"
+                              onClick={() => rollbackVersion(file, v)}
+                              disabled={rollingBackVersionId === v.id}
+                            >
+                              {rollingBackVersionId === v.id ? '...' : 'Rollback'}
+                            </button>
+                          </div>
+                        ))
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+              {expandedReceiptsFileId === file.id && <FileReceipts receipts={receiptsByFile[file.id]} />}
+              {expandedCommentFileId === file.id && (
+                <div className="file-comments-panel">
+                  <Comments
+                    entityType="file"
+                    entityId={file.id}
+                    parentDocumentId={document.id}
+                    canComment={canComment}
+                    canView={canView}
+                    displayLanguage={resolveLanguageMode('auto', profile?.side)}
+                    title="File comments / Коментарі файлу"
+                  />
+                </div>
+              )}
+            </li>
           )
         })}
-        {tasks.length === 0 && <div className="no-comments">Brak zadań w tej sekcji / Немає завдань у цій секції.</div>}
-      </div>
+        {files.length === 0 && <li className="no-files"><BiText pl="Brak plików" uk="Немає файлів" /></li>}
+      </ul>
 
-      {selectedTaskId && (
-        <form className="task-comment-form" onSubmit={addTaskComment}>
-          <input value={newComment} onChange={e => setNewComment(e.target.value)} placeholder="Dodaj komentarz / pytanie... / Додайте коментар / питання..." />
-          <button type="submit"><BiText pl="Komentarz" uk="Коментар" /></button>
-        </form>
+      {diffTarget && (
+        <ErrorBoundary>
+          <VersionDiffModal
+            file={diffTarget.file}
+            left={diffTarget.left}
+            right={diffTarget.right}
+            onClose={() => setDiffTarget(null)}
+          />
+        </ErrorBoundary>
       )}
-    </section>
-  )
-}
 
-// =====================================================
-// CHAT COMPONENT (SECURE + AUTO TRANSLATION)
-// =====================================================
-function Chat({
-  displayLanguageMode,
-  onDisplayLanguageModeChange,
-  contextHint,
-  contextSeed,
-  initialMessageDraft,
-  onDraftConsumed,
-  companies = [],
-  selectedCompanyId,
-  activeSectionId
-}) {
-  const [messages, setMessages] = useState([])
-  const [attachmentsByMessage, setAttachmentsByMessage] = useState({})
-  const [threads, setThreads] = useState([])
-  const [threadMembers, setThreadMembers] = useState({})
-  const [users, setUsers] = useState([])
-  const [selectedThreadId, setSelectedThreadId] = useState(null)
-  const [selectedDirectUserId, setSelectedDirectUserId] = useState(null)
-  const [selectedRecipients, setSelectedRecipients] = useState([])
-  const [recipientMode, setRecipientMode] = useState('direct')
-  const [newMessage, setNewMessage] = useState('')
-  const [discussionTopic, setDiscussionTopic] = useState('')
-  const [pendingFiles, setPendingFiles] = useState([])
-  const [llmSuggestions, setLlmSuggestions] = useState([])
-  const [loadingSuggestions, setLoadingSuggestions] = useState(false)
-  const [sending, setSending] = useState(false)
-  const [userSearch, setUserSearch] = useState('')
-  const [targetCompanyId, setTargetCompanyId] = useState(selectedCompanyId || '')
-  const [targetSectionId, setTargetSectionId] = useState(activeSectionId || '')
-  const [targetDocumentId, setTargetDocumentId] = useState('')
-  const [targetSections, setTargetSections] = useState([])
-  const [targetDocuments, setTargetDocuments] = useState([])
-  const fileInputRef = useRef(null)
-  const debouncedSearch = useDebounce(userSearch, 300)
-  const debouncedMessage = useDebounce(newMessage, 350)
-  const lastMessageTime = useRef(0)
-  const messagesEndRef = useRef(null)
-  const channelRef = useRef(null)
-  const addToast = useToast()
-  const profile = useProfile()
-  const safeSetState = useSafeAsync()
-  const currentThread = useMemo(
-    () => threads.find(t => t.id === selectedThreadId) || null,
-    [threads, selectedThreadId]
-  )
-  const displayLanguage = useMemo(
-    () => resolveLanguageMode(displayLanguageMode, profile?.side),
-    [displayLanguageMode, profile?.side]
-  )
+      {previewFile && (
+        <div className="inline-preview">
+          <div className="inline-preview-header">
+            <strong><SafeText>{previewFile.file_name}</SafeText></strong>
+            <div className="inline-preview-actions">
+              {(previewFile.file_type === 'txt' || previewFile.file_type === 'csv' || (previewFile.mime_type || '').startsWith('text/')) && (
+                <>
+                  {!editingText ? (
+                    <button type="button" onClick={() => setEditingText(true)}>✏️ Edytuj / Редагувати</button>
+                  ) : (
+                    <button type="button" onClick={saveInlineText} disabled={savingText}>{savingText ? '...' : '💾 Zapisz / Зберегти'}</button>
+                  )}
+                </>
+              )}
+              <button
+                type="button"
+                onClick={() => {
+                  setPreviewFile(null)
+                  setPreviewText('')
+                  if (previewUrl && previewUrl.startsWith('blob:')) URL.revokeObjectURL(previewUrl)
+                  setPreviewUrl('')
+                }}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
 
-  useEffect(() => {
-    if (selectedCompanyId) setTargetCompanyId(selectedCompanyId)
-  }, [selectedCompanyId])
+          {previewLoading ? (
+            <div className="inline-preview-loading">Ładowanie... / Завантаження...</div>
+          ) : (
+            <>
+              {previewMode === 'text' ? (
+                editingText ? (
+                  <textarea
+                    className="inline-text-editor"
+                    value={previewText}
+                    onChange={e => setPreviewText(e.target.value)}
+                    aria-label="Edytor pliku tekstowego"
+                  />
+                ) : (
+                  <pre className="inline-text-preview">{previewText}</pre>
+                )
+              ) : previewMode === 'docx' && richPreview?.doc ? (
+                <DocxPreview doc={richPreview.doc} />
+              ) : previewMode === 'xlsx' && richPreview?.sheets ? (
+                <SheetPreview sheets={richPreview.sheets} />
+              ) : previewMode === 'extracted' ? (
+                <>
+                  <div className="inline-preview-note">
+                    Podgląd tekstu wyodrębnionego z pliku / Перегляд тексту, витягнутого з файлу
+                  </div>
+                  <pre className="inline-text-preview">{previewFile.extracted_text}</pre>
+                </>
+              ) : previewMode === 'unsupported' ? (
+                <div className="inline-preview-loading">
+                  Podgląd tego formatu wbudowanie nie jest wspierany / Вбудований перегляд цього формату не підтримується
+                </div>
+              ) : (
+                <>
+                  {needsWatermark(profile, previewFile.file_name) && (
+                    <div className="inline-preview-note">
+                      🔏 Kopia ze znakiem wodnym / Копія з водяним знаком
+                    </div>
+                  )}
+                  <iframe className="inline-file-frame" src={previewUrl} title={previewFile.file_name} />
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
 
-  useEffect(() => {
-    if (activeSectionId) setTargetSectionId(activeSectionId)
-  }, [activeSectionId])
+// =====================================================
+// COMMENT ITEM COMPONENT (Memoized for performance)
+// =====================================================
+const CommentItem = ({ comment, depth, maxDepth, onReply, canComment }) => {
+  if (depth >= maxDepth) return null
+  const source = comment?.source_language || detectLanguage(comment?.content || '')
+  const sourceText = parseMessageContextEnvelope(comment?.content || '').text
+  const translatedPl = parseMessageContextEnvelope(comment?.translated_pl || '').text
+  const translatedUk = parseMessageContextEnvelope(comment?.translated_uk || '').text
+  const renderedPl = translatedPl || (source === 'pl' ? sourceText : sourceText)
+  const renderedUk = translatedUk || (source === 'uk' ? sourceText : sourceText)
+  const authorDisplay = resolveCommentAuthorDisplay(comment.author)
+  const authorKey = comment.author_id || comment.author?.email || comment.author?.full_name || 'unknown'
+  const tone = getCommentAuthorTone(authorKey)
+  const commentStyle = {
+    marginLeft: depth * 16,
+    '--comment-bg': tone.bg,
+    '--comment-border': tone.border,
+    '--comment-accent': tone.accent,
+    '--comment-text-highlight': tone.textBg,
+    '--comment-text-color': tone.textFg,
+  }
 
-  useEffect(() => {
-    if (!contextSeed) return
-    if (contextSeed.companyId) setTargetCompanyId(contextSeed.companyId)
-    if (contextSeed.sectionId) setTargetSectionId(contextSeed.sectionId)
-    if (contextSeed.documentId) setTargetDocumentId(contextSeed.documentId)
-    if (contextSeed.topic) setDiscussionTopic(contextSeed.topic)
-    setSelectedThreadId(null)
-  }, [contextSeed])
+  return (
+    <div className={`comment ${depth > 0 ? 'reply' : ''}`} style={commentStyle}>
+      <div className="comment-header">
+        <span className="comment-author">
+          <span className="comment-author-name" style={{ color: tone.accent }}>
+            <SafeText>{authorDisplay.name}</SafeText>
+          </span>
+          {authorDisplay.title && <span className="comment-author-role"><SafeText>{authorDisplay.title}</SafeText></span>}
+          <span className={`side-badge ${sideClass(comment.author?.side)}`}>{formatSideLabel(comment.author?.side)}</span>
+        </span>
+        <time dateTime={comment.created_at}>{new Date(comment.created_at).toLocaleString()}</time>
+      </div>
+      <div className="comment-bilingual">
+        <div className="comment-line">
+          <span className="comment-lang comment-lang-flag" aria-label="Polski">
+            <span className="comment-flag" aria-hidden="true">🇵🇱</span>
+          </span>
+          <p className="comment-content compact">
+            <span className="comment-text-highlight"><SafeText>{renderedPl}</SafeText></span>
+          </p>
+        </div>
+        <div className="comment-line">
+          <span className="comment-lang comment-lang-flag" aria-label="Українська">
+            <span className="comment-flag" aria-hidden="true">🇺🇦</span>
+          </span>
+          <p className="comment-content compact">
+            <span className="comment-text-highlight"><SafeText>{renderedUk}</SafeText></span>
+          </p>
+        </div>
+      </div>
+      <div className="comment-actions">
+        {canComment && depth < maxDepth - 1 && (
+          <button onClick={() => onReply(comment.id)} aria-label="Odpowiedz / Відповісти">↩️ Odpowiedz</button>
+        )}
+      </div>
+    </div>
+  )
+}
 
-  useEffect(() => {
-    if (!initialMessageDraft) return
-    setNewMessage(initialMessageDraft)
-    onDraftConsumed?.()
-  }, [initialMessageDraft, onDraftConsumed])
+// =====================================================
+// COMMENTS COMPONENT
+// =====================================================
+function Comments({ entityType = 'document', entityId, parentDocumentId = null, canComment, canView, displayLanguage, title, refreshKey }) {
+  const [comments, setComments] = useState([])
+  const [newComment, setNewComment] = useState('')
+  const [replyTo, setReplyTo] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [channel, setChannel] = useState('fnu_internal')
+  const [useFilePrefixFallback, setUseFilePrefixFallback] = useState(false)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+  const MAX_REPLY_DEPTH = 5
+  const isAuditor = normalizeSide(profile?.side) === SIDE_AUDITOR
+  const canUseAuditorChannel = can(profile, 'comment.post', { commentScope: 'auditor_channel' })
+  const entityColumn = entityType === 'section'
+    ? 'section_id'
+    : entityType === 'file'
+      ? 'file_id'
+      : 'document_id'
+  const fileCommentPrefix = entityType === 'file' && entityId ? `[file:${entityId}] ` : ''
+  const stripFilePrefix = (text) => {
+    if (typeof text !== 'string' || !fileCommentPrefix) return text
+    return text.startsWith(fileCommentPrefix) ? text.slice(fileCommentPrefix.length) : text
+  }
 
-  useEffect(() => {
-    const loadUsers = async () => {
-      if (!profile?.id) return
-      let query = supabase
-        .from('profiles')
-        .select('id, full_name, email, side, role')
-        .eq('is_active', true)
-        .neq('id', profile.id)
-        .limit(USERS_PAGE_SIZE)
+  const loadComments = useCallback(async () => {
+    if (!entityId) return
+    const selectCols = 'id, author_id, content, source_language, translated_pl, translated_uk, translation_provider, created_at, parent_comment_id, visible_to_sides, comment_scope, author:author_id(full_name, position, email, side)'
+    const selectColsFallback = 'id, author_id, content, source_language, translated_pl, translated_uk, translation_provider, created_at, parent_comment_id, visible_to_sides, comment_scope, author:author_id(full_name, email, side)'
+    let data = []
+    let error = null
 
-      if (debouncedSearch) {
-        query = query.or(`full_name.ilike.%${sanitizeText(debouncedSearch)}%,email.ilike.%${sanitizeText(debouncedSearch)}%`)
-      }
+    const primaryQuery = await supabase
+      .from('comments')
+      .select(selectCols)
+      .eq(entityColumn, entityId)
+      .order('created_at')
+    data = primaryQuery.data || []
+    error = primaryQuery.error
 
-      if (profile.role !== 'super_admin') {
-        const { data: permissions } = await supabase
-          .from('chat_permissions')
-          .select('can_message_user_id')
-          .eq('user_id', profile.id)
-        if (permissions && permissions.length > 0) {
-          const allowedIds = permissions.map(p => p.can_message_user_id).filter(isValidUUID)
-          if (allowedIds.length > 0) query = query.in('id', allowedIds)
-          else return safeSetState(setUsers)([])
-        } else {
-          return safeSetState(setUsers)([])
-        }
+    if (error) {
+      const details = `${String(error.message || '')} ${String(error.details || '')}`.toLowerCase()
+      if (/position|column/i.test(details)) {
+        const fallbackQuery = await supabase
+          .from('comments')
+          .select(selectColsFallback)
+          .eq(entityColumn, entityId)
+          .order('created_at')
+        data = (fallbackQuery.data || []).map((row) => ({
+          ...row,
+          author: row?.author ? { ...row.author, position: '' } : row.author
+        }))
+        error = fallbackQuery.error
       }
+    }
 
-      const { data } = await query
-      safeSetState(setUsers)(data || [])
+    if (error && entityType === 'file' && parentDocumentId) {
+      const details = `${String(error.message || '')} ${String(error.details || '')} ${String(error.hint || '')}`.toLowerCase()
+      const canUseFallback = /file_id|schema cache|column/i.test(details)
+      if (canUseFallback) {
+        const fallback = await supabase
+          .from('comments')
+          .select(selectCols)
+          .eq('document_id', parentDocumentId)
+          .ilike('content', `[file:${entityId}]%`)
+          .order('created_at')
+        data = (fallback.data || []).map(c => ({
+          ...c,
+          content: stripFilePrefix(c.content),
+          translated_pl: stripFilePrefix(c.translated_pl),
+          translated_uk: stripFilePrefix(c.translated_uk),
+        }))
+        error = fallback.error
+        setUseFilePrefixFallback(!fallback.error)
+      }
+    } else if (entityType === 'file') {
+      setUseFilePrefixFallback(false)
     }
-    loadUsers()
-  }, [profile?.id, profile?.role, debouncedSearch, safeSetState])
 
-  useEffect(() => {
-    if (recipientMode === 'direct' && selectedDirectUserId) {
-      setSelectedRecipients([selectedDirectUserId])
+    if (error) {
+      addToast(`Comments load error: ${sanitizeText(error.message || error.details || 'query_failed')}`, 'error')
+      return
     }
-  }, [recipientMode, selectedDirectUserId])
 
+    const filtered = (data || []).filter(c => can(profile, 'comment.view', { commentScope: c.comment_scope || 'fnu_internal' }))
+    safeSetState(setComments)(filtered)
+  }, [entityId, entityColumn, entityType, parentDocumentId, profile, safeSetState, canUseAuditorChannel, addToast, fileCommentPrefix])
+
+  useEffect(() => { if (canView) loadComments() }, [canView, loadComments, refreshKey])
   useEffect(() => {
-    const loadSections = async () => {
-      if (!targetCompanyId || !isValidUUID(targetCompanyId)) {
-        safeSetState(setTargetSections)([])
-        return
-      }
-      const { data } = await supabase
-        .from('document_sections')
-        .select('id, code, name_pl, name_uk')
-        .eq('company_id', targetCompanyId)
-        .is('parent_section_id', null)
-        .order('order_index')
-      safeSetState(setTargetSections)(data || [])
-      if ((!targetSectionId || !data?.some(s => s.id === targetSectionId)) && data?.length > 0) {
-        setTargetSectionId(data[0].id)
+    if (isAuditor) setChannel('auditor_channel')
+  }, [isAuditor])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!newComment.trim() || newComment.length > MAX_COMMENT_LENGTH) return
+    setSubmitting(true)
+    const cleanContent = sanitizeText(newComment.trim())
+    const sourceLanguage = detectLanguage(cleanContent)
+    let translatedPl = cleanContent
+    let translatedUk = cleanContent
+    try {
+      ;[translatedPl, translatedUk] = await Promise.all([
+        sourceLanguage === 'pl' ? Promise.resolve(cleanContent) : llmTranslateStrict(cleanContent, sourceLanguage, 'pl'),
+        sourceLanguage === 'uk' ? Promise.resolve(cleanContent) : llmTranslateStrict(cleanContent, sourceLanguage, 'uk')
+      ])
+    } catch (translationError) {
+      const details = sanitizeText(String(translationError?.message || 'llm_unavailable'))
+      if (/invalid jwt/i.test(details)) {
+        addToast('Session expired. Please sign in again / Сесія завершилась. Увійдіть знову', 'error')
+      } else {
+        addToast(`Translation failed: ${details}`, 'error')
       }
+      setSubmitting(false)
+      return
+    }
+    const replyTarget = comments.find(c => c.id === replyTo)
+    const scope = replyTarget?.comment_scope || channel
+    if (scope === 'auditor_channel' && !canUseAuditorChannel) {
+      addToast('Auditor Q&A is available only for lawyer_admin and auditor.', 'error')
+      setSubmitting(false)
+      return
+    }
+    if (scope === 'fnu_internal' && normalizeSide(profile?.side) !== SIDE_FNU) {
+      addToast('Internal comments are available only for FNU users.', 'error')
+      setSubmitting(false)
+      return
     }
-    loadSections()
-  }, [targetCompanyId, targetSectionId, safeSetState])
 
-  useEffect(() => {
-    const loadDocumentsForTarget = async () => {
-      if (!targetSectionId || !isValidUUID(targetSectionId)) {
-        safeSetState(setTargetDocuments)([])
+    const payload = {
+      author_id: profile.id,
+      content: cleanContent,
+      source_language: sourceLanguage,
+      translated_pl: translatedPl,
+      translated_uk: translatedUk,
+      translation_provider: 'smart-api',
+      parent_comment_id: replyTo,
+      comment_scope: scope,
+      visible_to_sides: scope === 'auditor_channel' ? [SIDE_AUDITOR] : [SIDE_FNU]
+    }
+    if (entityType === 'file' && useFilePrefixFallback) {
+      if (!parentDocumentId) {
+        addToast('File comments fallback requires document context.', 'error')
+        setSubmitting(false)
         return
       }
-      const { data: subSections } = await supabase
-        .from('document_sections')
-        .select('id')
-        .eq('parent_section_id', targetSectionId)
-      const sectionIds = [targetSectionId, ...(subSections || []).map(s => s.id)]
-      const { data } = await supabase
-        .from('documents')
-        .select('id, code, name_pl, name_uk')
-        .in('section_id', sectionIds)
-        .order('order_index')
-      safeSetState(setTargetDocuments)(data || [])
-      if ((!targetDocumentId || !data?.some(d => d.id === targetDocumentId)) && data?.length > 0) {
-        setTargetDocumentId(data[0].id)
-      }
+      payload.document_id = parentDocumentId
+      payload.content = `${fileCommentPrefix}${cleanContent}`
+    } else {
+      if (entityType === 'file' && parentDocumentId) payload.document_id = parentDocumentId
+      payload[entityColumn] = entityId
     }
-    loadDocumentsForTarget()
-  }, [targetSectionId, targetDocumentId, safeSetState])
 
-  const loadThreads = useCallback(async () => {
-    if (!profile?.id) return
-    const { data, error } = await supabase
-      .from('chat_thread_members')
-      .select(`
-        thread_id,
-        thread:thread_id (
-          id,
-          company_id,
-          section_id,
-          document_id,
-          topic,
-          updated_at,
-          created_by,
-          is_archived
-        )
-      `)
-      .eq('user_id', profile.id)
-      .eq('is_active', true)
-      .order('joined_at', { ascending: false })
+    const { data, error } = await supabase.from('comments').insert(payload).select().single()
 
-    if (error) {
-      safeSetState(setThreads)([])
-      return
+    if (!error && data) {
+      await auditLog(profile.id, 'add_comment', 'comment', data.id)
+      setNewComment('')
+      setReplyTo(null)
+      loadComments()
+      addToast('Komentarz dodany / Коментар додано', 'success')
     }
+    setSubmitting(false)
+  }
 
-    const normalized = (data || [])
-      .map(row => row.thread)
-      .filter(Boolean)
-      .sort((a, b) => new Date(b.updated_at || b.created_at || 0) - new Date(a.updated_at || a.created_at || 0))
+  if (!canView) return null
 
-    safeSetState(setThreads)(normalized)
-    if (!selectedThreadId && normalized.length > 0) setSelectedThreadId(normalized[0].id)
-  }, [profile?.id, safeSetState, selectedThreadId])
+  const visibleByChannel = comments.filter(c => (c.comment_scope || 'fnu_internal') === channel)
+  const topLevel = visibleByChannel.filter(c => !c.parent_comment_id)
+  const getReplies = (parentId) => comments.filter(c => c.parent_comment_id === parentId)
 
-  const loadThreadMembers = useCallback(async (threadList) => {
-    const ids = (threadList || []).map(t => t.id).filter(isValidUUID)
-    if (ids.length === 0) return safeSetState(setThreadMembers)({})
-    const { data, error } = await supabase
-      .from('chat_thread_members')
-      .select('thread_id, user_id, member_role, user:user_id(id, full_name, email, side)')
-      .in('thread_id', ids)
-      .eq('is_active', true)
-    if (error) return safeSetState(setThreadMembers)({})
-    const grouped = (data || []).reduce((acc, item) => {
-      if (!acc[item.thread_id]) acc[item.thread_id] = []
-      acc[item.thread_id].push(item)
-      return acc
-    }, {})
-    safeSetState(setThreadMembers)(grouped)
-  }, [safeSetState])
+  const renderCommentTree = (comment, depth = 0) => (
+    <div key={comment.id}>
+      <CommentItem
+        comment={comment}
+        depth={depth}
+        maxDepth={MAX_REPLY_DEPTH}
+        onReply={setReplyTo}
+        canComment={canComment}
+      />
+      {getReplies(comment.id).map(r => renderCommentTree(r, depth + 1))}
+    </div>
+  )
 
-  useEffect(() => {
-    loadThreads()
-  }, [loadThreads])
+  return (
+    <section className="comments-section" aria-label="Komentarze / Коментарі">
+      <h4><BiText pl={`${title || 'Komentarze'} (${visibleByChannel.length})`} uk={`${title || 'Коментарі'} (${visibleByChannel.length})`} /></h4>
 
-  useEffect(() => {
-    loadThreadMembers(threads)
-  }, [threads, loadThreadMembers])
+      <div className="comment-channel-switch">
+        <button
+          type="button"
+          className={channel === 'fnu_internal' ? 'active' : ''}
+          onClick={() => setChannel('fnu_internal')}
+          disabled={isAuditor}
+        >
+          FNU Internal
+        </button>
+        {canUseAuditorChannel && (
+          <button
+            type="button"
+            className={channel === 'auditor_channel' ? 'active' : ''}
+            onClick={() => setChannel('auditor_channel')}
+          >
+            Auditor Q&A
+          </button>
+        )}
+      </div>
 
-  const loadAttachments = useCallback(async (messageList) => {
-    const ids = (messageList || []).map(m => m.id).filter(isValidUUID)
-    if (ids.length === 0) return safeSetState(setAttachmentsByMessage)({})
-    const { data, error } = await supabase
-      .from('chat_attachments')
-      .select('*')
-      .in('message_id', ids)
-      .order('created_at', { ascending: true })
-    if (error) return safeSetState(setAttachmentsByMessage)({})
-    const grouped = (data || []).reduce((acc, item) => {
-      if (!acc[item.message_id]) acc[item.message_id] = []
-      acc[item.message_id].push(item)
-      return acc
-    }, {})
-    safeSetState(setAttachmentsByMessage)(grouped)
-  }, [safeSetState])
+      {canComment && (
+        <form onSubmit={handleSubmit} className="comment-form">
+          {replyTo && (
+            <div className="replying-to">
+              <BiText pl="Odpowiedź na komentarz" uk="Відповідь на коментар" />
+              <button type="button" onClick={() => setReplyTo(null)} aria-label="Anuluj odpowiedź">✕</button>
+            </div>
+          )}
+          <textarea
+            value={newComment}
+            onChange={e => setNewComment(e.target.value)}
+            placeholder="Napisz komentarz... / Напишіть коментар..."
+            maxLength={MAX_COMMENT_LENGTH}
+            aria-label="Treść komentarza"
+          />
+          <div className="comment-footer">
+            <span aria-live="polite">{newComment.length}/{MAX_COMMENT_LENGTH}</span>
+            <button type="submit" disabled={submitting || !newComment.trim()}>
+              {submitting ? '...' : 'Wyślij / Надіслати'}
+            </button>
+          </div>
+        </form>
+      )}
 
-  const loadMessages = useCallback(async () => {
-    if (!selectedThreadId || !isValidUUID(selectedThreadId)) {
-      safeSetState(setMessages)([])
-      safeSetState(setAttachmentsByMessage)({})
-      return
-    }
-    const { data } = await supabase
-      .from('chat_messages')
-      .select('*, sender:sender_id(full_name, email, side)')
-      .eq('thread_id', selectedThreadId)
-      .order('created_at', { ascending: true })
-      .limit(120)
-    const allMessages = data || []
-    safeSetState(setMessages)(allMessages)
-    loadAttachments(allMessages)
-  }, [selectedThreadId, safeSetState, loadAttachments])
+      <div className="comments-list" role="feed" aria-label="Lista komentarzy">
+        {topLevel.map(c => renderCommentTree(c))}
+        {visibleByChannel.length === 0 && <div className="no-comments"><BiText pl="Brak komentarzy" uk="Немає коментарів" /></div>}
+      </div>
+    </section>
+  )
+}
 
-  useEffect(() => {
-    if (!profile?.id || !isValidUUID(profile.id)) return
-    channelRef.current = supabase
-      .channel(`chat_${profile.id}`)
-      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'chat_messages' }, (payload) => {
-        if (payload.new.thread_id && payload.new.thread_id === selectedThreadId) loadMessages()
-      })
-      .subscribe()
-    return () => {
-      if (channelRef.current) supabase.removeChannel(channelRef.current)
-    }
-  }, [profile?.id, selectedThreadId, loadMessages])
-
-  useEffect(() => {
-    if (selectedThreadId) loadMessages()
-  }, [selectedThreadId, loadMessages])
-
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [messages])
+function SectionCommentsModal({ section, onClose, displayLanguage, canComment }) {
+  const modalRef = useRef(null)
+  useFocusTrap(modalRef, true)
+  if (!section) return null
 
-  useEffect(() => {
-    const loadSuggestions = async () => {
-      if (!debouncedMessage.trim()) return safeSetState(setLlmSuggestions)([])
-      const recentMessagesContext = messages
-        .slice(-6)
-        .map((m) => `${m.sender?.full_name || m.sender?.email || 'User'}: ${resolveDisplayedText(m, displayLanguage)}`)
-        .join('\n')
-      const fullContext = [contextHint || '', discussionTopic, recentMessagesContext].filter(Boolean).join('\n')
-      safeSetState(setLoadingSuggestions)(true)
-      const suggestions = await llmSuggestCompletions(debouncedMessage, detectLanguage(debouncedMessage), fullContext)
-      safeSetState(setLlmSuggestions)(suggestions)
-      safeSetState(setLoadingSuggestions)(false)
-    }
-    loadSuggestions()
-  }, [debouncedMessage, safeSetState, messages, displayLanguage, contextHint, discussionTopic])
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal document-detail" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true">
+        <div className="modal-header">
+          <h2>
+            <span>{section.code}.</span> <SafeText>{section.name_pl}</SafeText>
+          </h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <Comments
+          entityType="section"
+          entityId={section.id}
+          canComment={canComment}
+          canView={true}
+          displayLanguage={displayLanguage}
+          title="Folder comments / Коментарі папки"
+        />
+      </div>
+    </div>
+  )
+}
 
-  const onPickFiles = (e) => {
-    const picked = Array.from(e.target.files || [])
-    const valid = []
-    for (const file of picked) {
-      const result = validateFile(file)
-      if (!result.valid) {
-        addToast(result.error, 'error')
-        continue
-      }
-      valid.push(file)
-    }
-    setPendingFiles(prev => [...prev, ...valid].slice(0, 10))
-    if (fileInputRef.current) fileInputRef.current.value = ''
-  }
+function TaskBoard({ companyId, sectionId }) {
+  const profile = useProfile()
+  const addToast = useToast()
+  const [tasks, setTasks] = useState([])
+  const [taskMembers, setTaskMembers] = useState({})
+  const [lastMessages, setLastMessages] = useState({})
+  const [users, setUsers] = useState([])
+  const [selectedTaskId, setSelectedTaskId] = useState(null)
+  const [newTask, setNewTask] = useState({ topic: '', note: '' })
+  const [newComment, setNewComment] = useState('')
+  const [recipientMode, setRecipientMode] = useState('direct')
+  const [selectedDirectUserId, setSelectedDirectUserId] = useState('')
+  const [selectedRecipients, setSelectedRecipients] = useState([])
+  const isFnu = normalizeSide(profile?.side) === SIDE_FNU
+  const formatUserLabel = useCallback((user) => {
+    const roleLabel = ROLES[user?.role]?.uk || ROLES[user?.role]?.pl || user?.role || 'Користувач'
+    const rawName = (user?.full_name || '').trim()
+    const looksLikeEmail = /@/.test(rawName)
+    const nameLabel = rawName && !looksLikeEmail ? rawName : 'Невказане імʼя'
+    return `${roleLabel} · ${nameLabel}`
+  }, [])
 
-  const removePendingFile = (name) => {
-    setPendingFiles(prev => prev.filter(f => f.name !== name))
-  }
+  const loadUsers = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, full_name, email, side, role')
+      .eq('is_active', true)
+      .eq('side', SIDE_FNU)
+      .neq('role', 'super_admin')
+      .neq('id', profile?.id || '')
+      .order('full_name')
+    if (!error) setUsers(data || [])
+  }, [profile?.id])
 
-  const findDirectThreadWithUser = useCallback((userId) => {
-    if (!userId || !profile?.id) return null
-    return threads.find((thread) => {
-      const members = threadMembers[thread.id] || []
-      if (members.length !== 2) return false
-      const ids = members.map(m => m.user_id)
-      return ids.includes(profile.id) && ids.includes(userId)
-    }) || null
-  }, [threads, threadMembers, profile?.id])
+  const loadTasks = useCallback(async () => {
+    if (!profile?.id || !companyId || !sectionId) return
+    const { data, error } = await supabase
+      .from('chat_thread_members')
+      .select(`
+        thread_id,
+        thread:thread_id (
+          id, topic, updated_at, created_at, is_archived, company_id, section_id
+        )
+      `)
+      .eq('user_id', profile.id)
+      .eq('is_active', true)
+    if (error) return
+    const taskThreads = (data || [])
+      .map(r => r.thread)
+      .filter(Boolean)
+      .filter(t => t.company_id === companyId && t.section_id === sectionId && (t.topic || '').startsWith('[TASK] '))
+      .sort((a, b) => new Date(b.updated_at || b.created_at || 0) - new Date(a.updated_at || a.created_at || 0))
+    setTasks(taskThreads)
+    if (!selectedTaskId && taskThreads.length > 0) setSelectedTaskId(taskThreads[0].id)
 
-  const selectDirectUser = (userId) => {
-    setRecipientMode('direct')
-    setSelectedDirectUserId(userId)
-    setSelectedRecipients([userId])
-    const existing = findDirectThreadWithUser(userId)
-    if (existing) {
-      setSelectedThreadId(existing.id)
-      setDiscussionTopic(existing.topic || '')
-      if (existing.company_id) setTargetCompanyId(existing.company_id)
-      if (existing.section_id) setTargetSectionId(existing.section_id)
-      if (existing.document_id) setTargetDocumentId(existing.document_id)
-    } else {
-      setSelectedThreadId(null)
+    const ids = taskThreads.map(t => t.id)
+    if (ids.length === 0) return
+    const [{ data: members }, { data: msgs }] = await Promise.all([
+      supabase.from('chat_thread_members').select('thread_id, user_id, user:user_id(id, full_name, email, side)').in('thread_id', ids).eq('is_active', true),
+      supabase.from('chat_messages').select('thread_id, content, created_at, sender:sender_id(full_name, email)').in('thread_id', ids).order('created_at', { ascending: false })
+    ])
+    const groupedMembers = (members || []).reduce((acc, item) => {
+      if (!acc[item.thread_id]) acc[item.thread_id] = []
+      acc[item.thread_id].push(item)
+      return acc
+    }, {})
+    setTaskMembers(groupedMembers)
+    const lastByThread = {}
+    for (const m of msgs || []) {
+      if (!lastByThread[m.thread_id]) lastByThread[m.thread_id] = m
     }
-  }
+    setLastMessages(lastByThread)
+  }, [profile?.id, companyId, sectionId, selectedTaskId])
+
+  useEffect(() => { if (isFnu) loadUsers() }, [isFnu, loadUsers])
+  useEffect(() => { if (isFnu) loadTasks() }, [isFnu, loadTasks])
+  useEffect(() => {
+    if (recipientMode === 'direct') setSelectedRecipients(selectedDirectUserId ? [selectedDirectUserId] : [])
+  }, [recipientMode, selectedDirectUserId])
 
   const toggleRecipient = (id) => {
     setSelectedRecipients(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
   }
 
-  const uploadAttachmentsForMessage = async (messageId, threadId, recipientId = null) => {
-    if (pendingFiles.length === 0) return
-    for (const file of pendingFiles) {
-      const ext = getFileExtension(file.name)
-      const safeFileName = sanitizeFileName(file.name)
-      const filePath = `chat/${targetCompanyId}/${targetSectionId}/${targetDocumentId}/${messageId}/${safeFileName}`
-      const { error: uploadError } = await supabase.storage.from('documents').upload(filePath, file)
-      if (uploadError) throw uploadError
-      const { error: dbError } = await supabase.from('chat_attachments').insert({
-        message_id: messageId,
-        thread_id: threadId,
-        sender_id: profile.id,
-        recipient_id: recipientId,
-        company_id: targetCompanyId,
-        section_id: targetSectionId,
-        document_id: targetDocumentId,
-        file_name: sanitizeText(file.name),
-        file_path: filePath,
-        file_size: file.size,
-        file_type: ext,
-        mime_type: file.type
-      })
-      if (dbError) {
-        await supabase.storage.from('documents').remove([filePath])
-        throw dbError
-      }
-    }
-    await supabase.from('chat_messages').update({ has_attachments: true }).eq('id', messageId)
-  }
-
-  const openAttachment = async (attachment) => {
-    const { data } = await supabase.storage.from('documents').createSignedUrl(attachment.file_path, 3600)
-    if (data?.signedUrl) window.open(data.signedUrl, '_blank', 'noopener,noreferrer')
-  }
-
-  const downloadAttachment = async (attachment) => {
-    const { data } = await supabase.storage.from('documents').download(attachment.file_path)
-    if (data) {
-      const url = URL.createObjectURL(data)
-      const a = window.document.createElement('a')
-      a.href = url
-      a.download = attachment.file_name
-      a.click()
-      setTimeout(() => URL.revokeObjectURL(url), 10000)
-    }
-  }
-
-  const createThread = async (recipients) => {
-    const cleanRecipients = Array.from(new Set(recipients.filter(isValidUUID)))
+  const createTask = async (e) => {
+    e.preventDefault()
+    const recipients = (recipientMode === 'group' ? selectedRecipients : [selectedDirectUserId]).filter(isValidUUID)
+    if (!newTask.topic.trim() || recipients.length === 0 || !companyId || !sectionId) return
     const { data: thread, error: threadError } = await supabase
       .from('chat_threads')
       .insert({
-        company_id: targetCompanyId,
-        section_id: targetSectionId,
-        document_id: targetDocumentId,
-        topic: sanitizeText(discussionTopic.trim()),
-        created_by: profile.id
+        topic: `[TASK] ${sanitizeText(newTask.topic.trim())}`,
+        company_id: companyId,
+        section_id: sectionId,
+        created_by: profile.id,
+        is_archived: false
       })
       .select()
       .single()
-    if (threadError || !thread?.id) throw threadError || new Error('Thread not created')
-
-    const members = [profile.id, ...cleanRecipients].map((userId) => ({
+    if (threadError || !thread?.id) {
+      addToast('Task create failed', 'error')
+      return
+    }
+    const members = [profile.id, ...Array.from(new Set(recipients))].map((userId) => ({
       thread_id: thread.id,
       user_id: userId,
       member_role: userId === profile.id ? 'owner' : 'member',
       is_active: true
     }))
-    const { error: membersError } = await supabase.from('chat_thread_members').insert(members)
-    if (membersError) throw membersError
-    await loadThreads()
-    return thread
+    await supabase.from('chat_thread_members').insert(members)
+    if (newTask.note.trim()) {
+      await supabase.from('chat_messages').insert({
+        thread_id: thread.id,
+        sender_id: profile.id,
+        content: sanitizeText(newTask.note.trim()),
+        source_language: detectLanguage(newTask.note.trim())
+      })
+    }
+    setNewTask({ topic: '', note: '' })
+    setSelectedDirectUserId('')
+    setSelectedRecipients([])
+    setRecipientMode('direct')
+    await loadTasks()
+    setSelectedTaskId(thread.id)
+    addToast('Task published', 'success')
   }
 
-  const sendMessage = async (e) => {
-    e.preventDefault()
-    const recipients = (recipientMode === 'group' ? selectedRecipients : [selectedDirectUserId]).filter(isValidUUID)
-    if ((!newMessage.trim() && pendingFiles.length === 0) || (recipients.length === 0 && !selectedThreadId)) return
-    if (!targetCompanyId || !targetSectionId || !targetDocumentId) {
-      addToast('Wybierz firmę, sekcję i dokument / Виберіть компанію, секцію і документ', 'warning')
-      return
-    }
-    if (!discussionTopic.trim()) {
-      addToast('Wpisz temat dyskusji / Вкажіть тему обговорення', 'warning')
-      return
-    }
-
-    const now = Date.now()
-    if (now - lastMessageTime.current < RATE_LIMIT_MS) {
-      addToast('Zbyt szybko / Занадто швидко', 'warning')
-      return
-    }
-    lastMessageTime.current = now
-
-    const messagePlain = sanitizeText(newMessage.trim() || (pendingFiles.length > 0 ? '📎 Attachment' : ''))
-    if (messagePlain.length > MAX_MESSAGE_LENGTH) {
-      addToast(`Maksymalnie ${MAX_MESSAGE_LENGTH} znaków`, 'error')
-      return
-    }
-
-    setSending(true)
-    const sourceLanguage = detectLanguage(messagePlain)
-    let translatedPl = messagePlain
-    let translatedUk = messagePlain
-    try {
-      translatedPl = sourceLanguage === 'pl' ? messagePlain : await llmTranslateStrict(messagePlain, sourceLanguage, 'pl')
-      translatedUk = sourceLanguage === 'uk' ? messagePlain : await llmTranslateStrict(messagePlain, sourceLanguage, 'uk')
-    } catch (translationError) {
-      const details = sanitizeText(String(translationError?.message || 'llm_unavailable'))
-      if (/invalid jwt/i.test(details)) {
-        addToast('Session expired. Please sign in again / Сесія завершилась. Увійдіть знову', 'error')
-      } else {
-        addToast(`Translation failed: ${details}`, 'error')
-      }
-      setSending(false)
-      return
-    }
+  const markDone = async (taskId, done) => {
+    await supabase.from('chat_threads').update({ is_archived: done }).eq('id', taskId)
+    await loadTasks()
+  }
 
-    const envelope = buildMessageContextEnvelope({
-      companyId: targetCompanyId,
-      sectionId: targetSectionId,
-      documentId: targetDocumentId,
-      topic: discussionTopic
+  const addTaskComment = async (e) => {
+    e.preventDefault()
+    if (!selectedTaskId || !newComment.trim()) return
+    const text = sanitizeText(newComment.trim())
+    await supabase.from('chat_messages').insert({
+      thread_id: selectedTaskId,
+      sender_id: profile.id,
+      content: text,
+      source_language: detectLanguage(text)
     })
-
-    try {
-      let threadId = selectedThreadId
-      if (!threadId) {
-        const createdThread = await createThread(recipients)
-        threadId = createdThread.id
-        setSelectedThreadId(threadId)
-      }
-
-      const { data: createdMessage, error } = await supabase.from('chat_messages').insert({
-        sender_id: profile.id,
-        thread_id: threadId,
-        recipient_id: null,
-        content: `${envelope}\n${messagePlain}`,
-        source_language: sourceLanguage,
-        translated_pl: `${envelope}\n${translatedPl}`,
-        translated_uk: `${envelope}\n${translatedUk}`,
-        translation_provider: 'llm-translator',
-        has_attachments: pendingFiles.length > 0
-      }).select().single()
-      if (error || !createdMessage?.id) throw error || new Error('Message not created')
-      if (pendingFiles.length > 0) {
-        await uploadAttachmentsForMessage(createdMessage.id, threadId, recipientMode === 'direct' ? recipients[0] : null)
-      }
-
-      await loadThreads()
-      if (threadId) setSelectedThreadId(threadId)
-      setNewMessage('')
-      setLlmSuggestions([])
-      setPendingFiles([])
-    } catch (err) {
-      addToast('Błąd wysyłania / Помилка надсилання', 'error')
-      console.error('Send message error:', err)
-    }
-    setSending(false)
+    setNewComment('')
+    await loadTasks()
   }
 
+  if (!isFnu) return null
+
   return (
-    <div className="chat-panel" role="region" aria-label="Czat / Чат">
-      <div className="chat-header">
-        <div className="chat-title-stack">
-          <BiText pl="Czat roboczy" uk="Робочий чат" />
-          {contextHint && <small className="chat-context"><SafeText>{contextHint}</SafeText></small>}
-        </div>
-        <div className="chat-language-controls">
-          <label htmlFor="chat-recipient-mode"><BiText pl="Adresaci" uk="Одержувачі" /></label>
-          <select id="chat-recipient-mode" value={recipientMode} onChange={e => setRecipientMode(e.target.value)}>
-            <option value="direct">Direct</option>
-            <option value="group">Group</option>
-          </select>
-          <label htmlFor="chat-language-mode">Język / Мова</label>
-          <select
-            id="chat-language-mode"
-            value={displayLanguageMode}
-            onChange={e => {
-              const nextMode = e.target.value
-              if (LANGUAGE_MODES.includes(nextMode)) onDisplayLanguageModeChange(nextMode)
-            }}
-          >
-            <option value="auto">Auto</option>
-            <option value="pl">Polski</option>
-            <option value="uk">Українська</option>
+    <section className="task-board" aria-label="FNU Task Board">
+      <h3><BiText pl="Tablica zadań FNU" uk="Дошка завдань FNU" /></h3>
+      <form className="task-create-form" onSubmit={createTask}>
+        <input
+          value={newTask.topic}
+          onChange={e => setNewTask(prev => ({ ...prev, topic: e.target.value }))}
+          placeholder="Temat zadania / питання"
+          maxLength={120}
+          required
+        />
+        <textarea
+          value={newTask.note}
+          onChange={e => setNewTask(prev => ({ ...prev, note: e.target.value }))}
+          placeholder="Opis (opcjonalnie) / Опис (необов'язково)"
+          rows={2}
+        />
+        <div className="task-recipient-row">
+          <select value={recipientMode} onChange={e => setRecipientMode(e.target.value)}>
+            <option value="direct">Direct / Прямо</option>
+            <option value="group">Group / Група</option>
           </select>
-          <span className="language-pill">{displayLanguage.toUpperCase()}</span>
+          {recipientMode === 'direct' ? (
+            <select value={selectedDirectUserId} onChange={e => setSelectedDirectUserId(e.target.value)}>
+              <option value="" disabled hidden>Wybierz użytkownika / Виберіть користувача</option>
+              {users.map(u => <option key={u.id} value={u.id}>{formatUserLabel(u)}</option>)}
+            </select>
+          ) : (
+            <div className="task-group-list">
+              {users.map(u => (
+                <label key={u.id}>
+                  <input type="checkbox" checked={selectedRecipients.includes(u.id)} onChange={() => toggleRecipient(u.id)} />
+                  <span><SafeText>{formatUserLabel(u)}</SafeText></span>
+                </label>
+              ))}
+            </div>
+          )}
+          <button type="submit"><BiText pl="Opublikuj" uk="Опублікувати" /></button>
         </div>
-      </div>
+      </form>
 
-      <div className="chat-body">
-        <div className="chat-users">
-          <div className="threads-list">
-            {threads.map(thread => (
-              <button
-                key={thread.id}
-                className={`thread-item ${selectedThreadId === thread.id ? 'active' : ''}`}
-                onClick={() => {
-                  setSelectedThreadId(thread.id)
-                  setDiscussionTopic(thread.topic || '')
-                  if (thread.company_id) setTargetCompanyId(thread.company_id)
-                  if (thread.section_id) setTargetSectionId(thread.section_id)
-                  if (thread.document_id) setTargetDocumentId(thread.document_id)
-                }}
-              >
-                <strong><SafeText>{thread.topic || 'Thread'}</SafeText></strong>
-                <small>{(threadMembers[thread.id] || []).length} users</small>
-              </button>
-            ))}
-          </div>
-          <input
-            type="search"
-            placeholder="Szukaj... / Пошук..."
-            value={userSearch}
-            onChange={e => setUserSearch(e.target.value)}
-            className="user-search"
-            aria-label="Szukaj użytkownika"
-          />
-          <div className="users-list" role="listbox" aria-label="Lista kontaktów">
-            {users.map(u => (
-              <div key={u.id} className={`chat-user ${selectedDirectUserId === u.id ? 'active' : ''}`}>
-                <button type="button" className="chat-user-main" onClick={() => selectDirectUser(u.id)} role="option" aria-selected={selectedDirectUserId === u.id}>
-                  <span className="user-name"><SafeText>{u.full_name || u.email}</SafeText></span>
-                  <span className={`side-badge ${sideClass(u.side)}`}>{formatSideLabel(u.side)}</span>
+      <div className="task-list">
+        {tasks.map(task => {
+          const members = taskMembers[task.id] || []
+          const last = lastMessages[task.id]
+          const isDone = !!task.is_archived
+          return (
+            <article key={task.id} className={`task-card ${selectedTaskId === task.id ? 'active' : ''}`} onClick={() => setSelectedTaskId(task.id)}>
+              <header>
+                <strong><SafeText>{(task.topic || '').replace('[TASK] ', '')}</SafeText></strong>
+                <span className={`task-status ${isDone ? 'done' : 'open'}`}>
+                  {isDone ? 'Done / Виконано' : 'Open / Відкрите'}
+                </span>
+              </header>
+              <p className="task-meta">{members.length} users / користувачів</p>
+              {last && (
+                <p className="task-last">
+                  <SafeText>{last.sender?.full_name || 'Користувач'}:</SafeText> <SafeText>{String(last.content || '').slice(0, 70)}</SafeText>
+                </p>
+              )}
+              <div className="task-actions">
+                <button type="button" onClick={(e) => { e.stopPropagation(); markDone(task.id, !isDone) }}>
+                  {isDone ? 'Reopen / Відкрити знову' : 'Mark done / Виконано'}
                 </button>
-                <label className="chat-user-select">
-                  <input
-                    type="checkbox"
-                    checked={selectedRecipients.includes(u.id)}
-                    onChange={() => toggleRecipient(u.id)}
-                  />
-                  <span>{recipientMode === 'group' ? 'Do grupy' : 'Adresat'}</span>
-                </label>
-              </div>
-            ))}
-            {users.length === 0 && (
-              <div className="no-contacts">
-                <BiText pl="Brak kontaktów" uk="Немає контактів" />
               </div>
-            )}
-          </div>
-        </div>
+            </article>
+          )
+        })}
+        {tasks.length === 0 && <div className="no-comments">Brak zadań w tej sekcji / Немає завдань у цій секції.</div>}
+      </div>
 
-        <div className="chat-messages">
-          {selectedThreadId || selectedRecipients.length > 0 ? (
-            <>
-              <div className="messages-list" role="log" aria-live="polite" aria-atomic="false" aria-label="Historia wiadomości">
-                {messages.map(m => {
-                  const parsed = parseMessageContextEnvelope(resolveDisplayedText(m, displayLanguage))
-                  const rawCtx = parseMessageContextEnvelope(m.content).context
-                  return (
-                    <div key={m.id} className={`message ${m.sender_id === profile?.id ? 'sent' : 'received'}`}>
-                      <div className="message-header">
-                        <span className="message-sender"><SafeText>{m.sender?.full_name || m.sender?.email}</SafeText></span>
-                        <span className={`side-badge ${sideClass(m.sender?.side)}`}>{formatSideLabel(m.sender?.side)}</span>
-                      </div>
-                      {rawCtx?.topic && <span className="message-context-chip"><SafeText>{rawCtx.topic}</SafeText></span>}
-                      <p className="message-content"><SafeText>{parsed.text}</SafeText></p>
-                      {(attachmentsByMessage[m.id] || []).length > 0 && (
-                        <div className="message-attachments">
-                          {(attachmentsByMessage[m.id] || []).map(att => (
-                            <div key={att.id} className="message-attachment-card">
-                              <span className="attachment-name"><SafeText>{att.file_name}</SafeText></span>
-                              <span className="attachment-meta">{(att.file_size / 1024 / 1024).toFixed(2)} MB</span>
-                              <div className="attachment-actions">
-                                <button type="button" onClick={() => openAttachment(att)}>👁️</button>
-                                <button type="button" onClick={() => downloadAttachment(att)}>⬇️</button>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      )}
-                      <time className="message-time" dateTime={m.created_at}>{new Date(m.created_at).toLocaleString()}</time>
-                    </div>
-                  )
-                })}
-                <div ref={messagesEndRef} />
-              </div>
-
-              <div className="attachment-target">
-                <select value={targetCompanyId} onChange={e => setTargetCompanyId(e.target.value)} aria-label="Firma">
-                  <option value="">Firma / Компанія</option>
-                  {companies.map(c => <option key={c.id} value={c.id}>{c.name_pl || c.name}</option>)}
-                </select>
-                <select value={targetSectionId} onChange={e => setTargetSectionId(e.target.value)} aria-label="Sekcja">
-                  <option value="">Sekcja / Секція</option>
-                  {targetSections.map(s => <option key={s.id} value={s.id}>{s.code} {s.name_pl}</option>)}
-                </select>
-                <select value={targetDocumentId} onChange={e => setTargetDocumentId(e.target.value)} aria-label="Dokument">
-                  <option value="">Dokument / Документ</option>
-                  {targetDocuments.map(d => <option key={d.id} value={d.id}>{d.code} {d.name_pl}</option>)}
-                </select>
-                <input
-                  type="text"
-                  value={discussionTopic}
-                  onChange={e => setDiscussionTopic(e.target.value)}
-                  placeholder="Temat dyskusji / Тема обговорення"
-                  maxLength={120}
-                  aria-label="Temat dyskusji"
-                />
-                <label className="chat-attach-btn">
-                  📎
-                  <input ref={fileInputRef} type="file" multiple onChange={onPickFiles} style={{ display: 'none' }} />
-                </label>
-              </div>
-
-              {pendingFiles.length > 0 && (
-                <div className="pending-files">
-                  {pendingFiles.map(file => (
-                    <button key={file.name + file.size} type="button" onClick={() => removePendingFile(file.name)}>
-                      <SafeText>{file.name}</SafeText> ✕
-                    </button>
-                  ))}
-                </div>
-              )}
-
-              <form onSubmit={sendMessage} className="message-form">
-                <textarea
-                  value={newMessage}
-                  onChange={e => setNewMessage(e.target.value)}
-                  placeholder="Napisz wiadomość... / Напишіть повідомлення..."
-                  maxLength={MAX_MESSAGE_LENGTH}
-                  aria-label="Treść wiadomości"
-                  rows={3}
-                />
-                <button type="submit" disabled={sending || (!newMessage.trim() && pendingFiles.length === 0)} aria-label="Wyślij wiadomość">📤</button>
-              </form>
-
-              <div className="llm-suggestions" aria-live="polite">
-                {loadingSuggestions ? (
-                  <span className="llm-hint">...</span>
-                ) : (
-                  llmSuggestions.map((hint, idx) => (
-                    <button key={idx} type="button" onClick={() => setNewMessage(hint)}>{hint}</button>
-                  ))
-                )}
-              </div>
-            </>
-          ) : (
-            <div className="select-user"><BiText pl="Wybierz kontakt lub temat" uk="Виберіть контакт або тему" /></div>
-          )}
-        </div>
-      </div>
-    </div>
+      {selectedTaskId && (
+        <form className="task-comment-form" onSubmit={addTaskComment}>
+          <input value={newComment} onChange={e => setNewComment(e.target.value)} placeholder="Dodaj komentarz / pytanie... / Додайте коментар / питання..." />
+          <button type="submit"><BiText pl="Komentarz" uk="Коментар" /></button>
+        </form>
+      )}
+    </section>
   )
 }
 
 // =====================================================
-// USER MANAGEMENT COMPONENT
+// CHAT COMPONENT (SECURE + AUTO TRANSLATION)
 // =====================================================
-function UserManagement({ onClose }) {
+function Chat({
+  displayLanguageMode,
+  onDisplayLanguageModeChange,
+  contextHint,
+  contextSeed,
+  initialMessageDraft,
+  onDraftConsumed,
+  companies = [],
+  selectedCompanyId,
+  activeSectionId
+}) {
+  const [messages, setMessages] = useState([])
+  const [attachmentsByMessage, setAttachmentsByMessage] = useState({})
+  const [threads, setThreads] = useState([])
+  const [threadMembers, setThreadMembers] = useState({})
   const [users, setUsers] = useState([])
-  const [invites, setInvites] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [loadingInvites, setLoadingInvites] = useState(false)
-  const [newUser, setNewUser] = useState({
-    email: '',
-    password: '',
-    full_name: '',
-    phone: '',
-    position: '',
-    company_name: '',
-    role: 'user_fnu',
-    side: SIDE_FNU,
-    access_mode: 'all',
-    access_section_id: '',
-    preset_key: ''
-  })
-  const [inviteForm, setInviteForm] = useState({ email: '', role: 'user_fnu', side: SIDE_FNU, expires_hours: 24 })
-  const [sectionsCatalog, setSectionsCatalog] = useState([])
-  const [scopeByUser, setScopeByUser] = useState({})
-  const [profileDrafts, setProfileDrafts] = useState({})
-  const [savingScopeUserId, setSavingScopeUserId] = useState('')
-  const [savingProfileUserId, setSavingProfileUserId] = useState('')
-  const [creating, setCreating] = useState(false)
-  const [sendingInvite, setSendingInvite] = useState(false)
-  const modalRef = useRef(null)
+  const [selectedThreadId, setSelectedThreadId] = useState(null)
+  const [selectedDirectUserId, setSelectedDirectUserId] = useState(null)
+  const [selectedRecipients, setSelectedRecipients] = useState([])
+  const [recipientMode, setRecipientMode] = useState('direct')
+  const [newMessage, setNewMessage] = useState('')
+  const [discussionTopic, setDiscussionTopic] = useState('')
+  const [pendingFiles, setPendingFiles] = useState([])
+  const [llmSuggestions, setLlmSuggestions] = useState([])
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [userSearch, setUserSearch] = useState('')
+  const [targetCompanyId, setTargetCompanyId] = useState(selectedCompanyId || '')
+  const [targetSectionId, setTargetSectionId] = useState(activeSectionId || '')
+  const [targetDocumentId, setTargetDocumentId] = useState('')
+  const [targetSections, setTargetSections] = useState([])
+  const [targetDocuments, setTargetDocuments] = useState([])
+  const fileInputRef = useRef(null)
+  const debouncedSearch = useDebounce(userSearch, 300)
+  const debouncedMessage = useDebounce(newMessage, 350)
+  const lastMessageTime = useRef(0)
+  const messagesEndRef = useRef(null)
+  const channelRef = useRef(null)
   const addToast = useToast()
   const profile = useProfile()
   const safeSetState = useSafeAsync()
+  const currentThread = useMemo(
+    () => threads.find(t => t.id === selectedThreadId) || null,
+    [threads, selectedThreadId]
+  )
+  const displayLanguage = useMemo(
+    () => resolveLanguageMode(displayLanguageMode, profile?.side),
+    [displayLanguageMode, profile?.side]
+  )
 
-  useFocusTrap(modalRef, true)
+  useEffect(() => {
+    if (selectedCompanyId) setTargetCompanyId(selectedCompanyId)
+  }, [selectedCompanyId])
 
-  const loadSectionsCatalog = useCallback(async () => {
-    try {
-      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
-        action: 'list_sections',
-        app_slug: 'audit'
-      })
-      if (error || !data?.ok) throw error || new Error(data?.error || 'list_sections_failed')
-      safeSetState(setSectionsCatalog)(Array.isArray(data.sections) ? data.sections : [])
-    } catch {
-      const { data } = await supabase
-        .from('document_sections')
-        .select('id, company_id, parent_section_id, code, name_pl, name_uk, order_index')
-        .order('company_id', { ascending: true })
-        .order('order_index', { ascending: true })
-      safeSetState(setSectionsCatalog)(Array.isArray(data) ? data : [])
-    }
-  }, [safeSetState])
+  useEffect(() => {
+    if (activeSectionId) setTargetSectionId(activeSectionId)
+  }, [activeSectionId])
 
-  const applyProfileDrafts = useCallback((rows) => {
-    const next = {}
-    ;(rows || []).forEach((u) => {
-      next[u.id] = {
-        full_name: String(u.full_name || ''),
-        position: String(u.position || ''),
-        phone: String(u.phone || ''),
-        company_name: String(u.company_name || ''),
-        role: String(u.role || 'user_fnu'),
-        side: normalizeSide(u.side || SIDE_FNU),
-        is_active: Boolean(u.is_active)
+  useEffect(() => {
+    if (!contextSeed) return
+    if (contextSeed.companyId) setTargetCompanyId(contextSeed.companyId)
+    if (contextSeed.sectionId) setTargetSectionId(contextSeed.sectionId)
+    if (contextSeed.documentId) setTargetDocumentId(contextSeed.documentId)
+    if (contextSeed.topic) setDiscussionTopic(contextSeed.topic)
+    setSelectedThreadId(null)
+  }, [contextSeed])
+
+  useEffect(() => {
+    if (!initialMessageDraft) return
+    setNewMessage(initialMessageDraft)
+    onDraftConsumed?.()
+  }, [initialMessageDraft, onDraftConsumed])
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      if (!profile?.id) return
+      let query = supabase
+        .from('profiles')
+        .select('id, full_name, email, side, role')
+        .eq('is_active', true)
+        .neq('id', profile.id)
+        .limit(USERS_PAGE_SIZE)
+
+      if (debouncedSearch) {
+        query = query.or(`full_name.ilike.%${sanitizeText(debouncedSearch)}%,email.ilike.%${sanitizeText(debouncedSearch)}%`)
       }
-    })
-    safeSetState(setProfileDrafts)(next)
-  }, [safeSetState])
 
-  const loadScopesForUsers = useCallback(async (rows) => {
-    const userIds = (rows || []).map((u) => String(u.id || '')).filter(isValidUUID)
-    if (userIds.length === 0) {
-      safeSetState(setScopeByUser)({})
-      return
-    }
-    const fallback = {}
-    userIds.forEach((id) => { fallback[id] = { mode: 'all', section_id: '' } })
-    try {
-      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
-        action: 'list_scopes',
-        app_slug: 'audit',
-        user_ids: userIds
-      })
-      if (error || !data?.ok) throw error || new Error(data?.error || 'list_scopes_failed')
-      const next = { ...fallback }
-      ;(Array.isArray(data.scopes) ? data.scopes : []).forEach((scope) => {
-        const userId = String(scope?.user_id || '')
-        if (!isValidUUID(userId)) return
-        next[userId] = {
-          mode: String(scope?.mode || 'all') === 'single' ? 'single' : 'all',
-          section_id: String(scope?.section_id || '')
+      if (!can(profile, 'chat.message_anyone')) {
+        const { data: permissions } = await supabase
+          .from('chat_permissions')
+          .select('can_message_user_id')
+          .eq('user_id', profile.id)
+        if (permissions && permissions.length > 0) {
+          const allowedIds = permissions.map(p => p.can_message_user_id).filter(isValidUUID)
+          if (allowedIds.length > 0) query = query.in('id', allowedIds)
+          else return safeSetState(setUsers)([])
+        } else {
+          return safeSetState(setUsers)([])
         }
-      })
-      safeSetState(setScopeByUser)(next)
-    } catch {
-      safeSetState(setScopeByUser)(fallback)
+      }
+
+      const { data } = await query
+      safeSetState(setUsers)(data || [])
     }
-  }, [safeSetState])
+    loadUsers()
+  }, [profile?.id, profile?.role, debouncedSearch, safeSetState])
 
-  const loadUsers = useCallback(async () => {
-    safeSetState(setLoading)(true)
-    let rows = []
-    try {
-      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
-        action: 'list_users',
-        app_slug: 'audit'
-      })
-      if (error || !data?.ok) throw error || new Error(data?.error || 'list_users_failed')
-      rows = Array.isArray(data.users) ? data.users : []
-    } catch {
-      const { data } = await supabase.from('profiles').select('*').order('created_at', { ascending: false })
-      rows = Array.isArray(data) ? data : []
+  useEffect(() => {
+    if (recipientMode === 'direct' && selectedDirectUserId) {
+      setSelectedRecipients([selectedDirectUserId])
     }
-    safeSetState(setUsers)(rows)
-    applyProfileDrafts(rows)
-    await loadScopesForUsers(rows)
-    safeSetState(setLoading)(false)
-  }, [safeSetState, applyProfileDrafts, loadScopesForUsers])
+  }, [recipientMode, selectedDirectUserId])
 
-  const loadInvites = useCallback(async () => {
-    safeSetState(setLoadingInvites)(true)
-    const { data, error } = await supabase.functions.invoke('invite-user', {
-      body: { action: 'list' }
-    })
-    if (error || !data?.ok) {
-      addToast(`Błąd invite list: ${sanitizeText(error?.message || data?.error || 'invite_list_failed')}`, 'error')
-      safeSetState(setLoadingInvites)(false)
-      return
+  useEffect(() => {
+    const loadSections = async () => {
+      if (!targetCompanyId || !isValidUUID(targetCompanyId)) {
+        safeSetState(setTargetSections)([])
+        return
+      }
+      const { data } = await supabase
+        .from('document_sections')
+        .select('id, code, name_pl, name_uk')
+        .eq('company_id', targetCompanyId)
+        .is('parent_section_id', null)
+        .order('order_index')
+      safeSetState(setTargetSections)(data || [])
+      if ((!targetSectionId || !data?.some(s => s.id === targetSectionId)) && data?.length > 0) {
+        setTargetSectionId(data[0].id)
+      }
     }
-    safeSetState(setInvites)(Array.isArray(data.invites) ? data.invites : [])
-    safeSetState(setLoadingInvites)(false)
-  }, [addToast, safeSetState])
+    loadSections()
+  }, [targetCompanyId, targetSectionId, safeSetState])
 
   useEffect(() => {
-    loadSectionsCatalog()
-  }, [loadSectionsCatalog])
+    const loadDocumentsForTarget = async () => {
+      if (!targetSectionId || !isValidUUID(targetSectionId)) {
+        safeSetState(setTargetDocuments)([])
+        return
+      }
+      const { data: subSections } = await supabase
+        .from('document_sections')
+        .select('id')
+        .eq('parent_section_id', targetSectionId)
+      const sectionIds = [targetSectionId, ...(subSections || []).map(s => s.id)]
+      const { data } = await supabase
+        .from('documents')
+        .select('id, code, name_pl, name_uk')
+        .in('section_id', sectionIds)
+        .order('order_index')
+      safeSetState(setTargetDocuments)(data || [])
+      if ((!targetDocumentId || !data?.some(d => d.id === targetDocumentId)) && data?.length > 0) {
+        setTargetDocumentId(data[0].id)
+      }
+    }
+    loadDocumentsForTarget()
+  }, [targetSectionId, targetDocumentId, safeSetState])
 
-  useEffect(() => {
-    loadUsers()
-  }, [loadUsers])
+  const loadThreads = useCallback(async () => {
+    if (!profile?.id) return
+    const { data, error } = await supabase
+      .from('chat_thread_members')
+      .select(`
+        thread_id,
+        thread:thread_id (
+          id,
+          company_id,
+          section_id,
+          document_id,
+          topic,
+          updated_at,
+          created_by,
+          is_archived
+        )
+      `)
+      .eq('user_id', profile.id)
+      .eq('is_active', true)
+      .order('joined_at', { ascending: false })
+
+    if (error) {
+      safeSetState(setThreads)([])
+      return
+    }
+
+    const normalized = (data || [])
+      .map(row => row.thread)
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.updated_at || b.created_at || 0) - new Date(a.updated_at || a.created_at || 0))
+
+    safeSetState(setThreads)(normalized)
+    if (!selectedThreadId && normalized.length > 0) setSelectedThreadId(normalized[0].id)
+  }, [profile?.id, safeSetState, selectedThreadId])
+
+  const loadThreadMembers = useCallback(async (threadList) => {
+    const ids = (threadList || []).map(t => t.id).filter(isValidUUID)
+    if (ids.length === 0) return safeSetState(setThreadMembers)({})
+    const { data, error } = await supabase
+      .from('chat_thread_members')
+      .select('thread_id, user_id, member_role, user:user_id(id, full_name, email, side)')
+      .in('thread_id', ids)
+      .eq('is_active', true)
+    if (error) return safeSetState(setThreadMembers)({})
+    const grouped = (data || []).reduce((acc, item) => {
+      if (!acc[item.thread_id]) acc[item.thread_id] = []
+      acc[item.thread_id].push(item)
+      return acc
+    }, {})
+    safeSetState(setThreadMembers)(grouped)
+  }, [safeSetState])
 
   useEffect(() => {
-    loadInvites()
-  }, [loadInvites])
+    loadThreads()
+  }, [loadThreads])
 
-  const setProfileDraftField = (userId, key, value) => {
-    safeSetState(setProfileDrafts)((prev) => ({
-      ...prev,
-      [userId]: {
-        ...(prev[userId] || {}),
-        [key]: value
-      }
-    }))
-  }
+  useEffect(() => {
+    loadThreadMembers(threads)
+  }, [threads, loadThreadMembers])
 
-  const setScopeDraft = (userId, patch) => {
-    safeSetState(setScopeByUser)((prev) => ({
-      ...prev,
-      [userId]: {
-        ...(prev[userId] || { mode: 'all', section_id: '' }),
-        ...patch
-      }
-    }))
-  }
+  const loadAttachments = useCallback(async (messageList) => {
+    const ids = (messageList || []).map(m => m.id).filter(isValidUUID)
+    if (ids.length === 0) return safeSetState(setAttachmentsByMessage)({})
+    const { data, error } = await supabase
+      .from('chat_attachments')
+      .select('*')
+      .in('message_id', ids)
+      .order('created_at', { ascending: true })
+    if (error) return safeSetState(setAttachmentsByMessage)({})
+    const grouped = (data || []).reduce((acc, item) => {
+      if (!acc[item.message_id]) acc[item.message_id] = []
+      acc[item.message_id].push(item)
+      return acc
+    }, {})
+    safeSetState(setAttachmentsByMessage)(grouped)
+  }, [safeSetState])
 
-  const saveUserScope = async (userId, customScope = null, silent = false) => {
-    const draft = customScope || scopeByUser[userId] || { mode: 'all', section_id: '' }
-    if (!['all', 'single'].includes(String(draft.mode || ''))) {
-      addToast('Wybierz tryb dostępu: all albo single', 'warning')
-      return false
-    }
-    if (draft.mode === 'single' && !isValidUUID(String(draft.section_id || ''))) {
-      addToast('Wybierz folder dla trybu single', 'warning')
-      return false
+  const loadMessages = useCallback(async () => {
+    if (!selectedThreadId || !isValidUUID(selectedThreadId)) {
+      safeSetState(setMessages)([])
+      safeSetState(setAttachmentsByMessage)({})
+      return
     }
-    setSavingScopeUserId(userId)
-    try {
-      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
-        action: 'set_scope',
-        app_slug: 'audit',
-        user_id: userId,
-        mode: draft.mode,
-        section_id: draft.mode === 'single' ? draft.section_id : null
+    const { data } = await supabase
+      .from('chat_messages')
+      .select('*, sender:sender_id(full_name, email, side)')
+      .eq('thread_id', selectedThreadId)
+      .order('created_at', { ascending: true })
+      .limit(120)
+    const allMessages = data || []
+    safeSetState(setMessages)(allMessages)
+    loadAttachments(allMessages)
+  }, [selectedThreadId, safeSetState, loadAttachments])
+
+  useEffect(() => {
+    if (!profile?.id || !isValidUUID(profile.id)) return
+    channelRef.current = supabase
+      .channel(`chat_${profile.id}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'chat_messages' }, (payload) => {
+        if (payload.new.thread_id && payload.new.thread_id === selectedThreadId) loadMessages()
       })
-      if (error || !data?.ok) throw error || new Error(data?.error || 'set_scope_failed')
-      safeSetState(setScopeByUser)((prev) => ({
-        ...prev,
-        [userId]: {
-          mode: draft.mode,
-          section_id: draft.mode === 'single' ? String(draft.section_id || '') : ''
-        }
-      }))
-      if (!silent) addToast('Dostęp do folderów zapisany / Доступ до папок збережено', 'success')
-      return true
-    } catch (err) {
-      if (!silent) addToast(`Błąd dostępu: ${sanitizeText(err?.message || 'set_scope_failed')}`, 'error')
-      return false
-    } finally {
-      setSavingScopeUserId('')
+      .subscribe()
+    return () => {
+      if (channelRef.current) supabase.removeChannel(channelRef.current)
     }
-  }
+  }, [profile?.id, selectedThreadId, loadMessages])
 
-  const createUser = async (e) => {
-    e.preventDefault()
-    if (newUser.access_mode === 'single' && !isValidUUID(String(newUser.access_section_id || ''))) {
-      addToast('Wybierz folder dla trybu single / Виберіть папку для режиму single', 'warning')
-      return
-    }
-    setCreating(true)
-    try {
-      const { data, error } = await supabase.auth.signUp({
-        email: newUser.email,
-        password: newUser.password,
-        options: { data: { full_name: newUser.full_name, role: newUser.role, side: newUser.side } }
-      })
-      if (error) throw error
+  useEffect(() => {
+    if (selectedThreadId) loadMessages()
+  }, [selectedThreadId, loadMessages])
 
-      if (data.user) {
-        const requestedSide = normalizeSide(newUser.side)
-        const upsertResult = await supabase.from('profiles').upsert({
-          id: data.user.id,
-          email: newUser.email,
-          full_name: sanitizeText(newUser.full_name),
-          phone: sanitizeText(newUser.phone),
-          position: sanitizeText(newUser.position),
-          company_name: sanitizeText(newUser.company_name),
-          role: newUser.role,
-          side: requestedSide,
-          is_active: true
-        })
-        // If DB still expects legacy side value, retry once.
-        if (upsertResult.error && requestedSide === SIDE_AUDITOR) {
-          await supabase.from('profiles').upsert({
-            id: data.user.id,
-            email: newUser.email,
-            full_name: sanitizeText(newUser.full_name),
-            phone: sanitizeText(newUser.phone),
-            position: sanitizeText(newUser.position),
-            company_name: sanitizeText(newUser.company_name),
-            role: newUser.role,
-            side: SIDE_OPERATOR_LEGACY,
-            is_active: true
-          })
-        }
-        await logAudit(profile.id, 'create_user', 'profile', data.user.id)
-        await saveUserScope(
-          data.user.id,
-          { mode: newUser.access_mode, section_id: newUser.access_section_id },
-          true
-        )
-      }
+  const hasPendingScan = Object.values(attachmentsByMessage).some(list => list.some(att => att.scan_status === 'pending'))
+  useEffect(() => {
+    if (!hasPendingScan) return
+    const timer = setInterval(() => loadAttachments(messages), SCAN_POLL_MS)
+    return () => clearInterval(timer)
+  }, [hasPendingScan, loadAttachments, messages])
 
-      setNewUser({
-        email: '',
-        password: '',
-        full_name: '',
-        phone: '',
-        position: '',
-        company_name: '',
-        role: 'user_fnu',
-        side: SIDE_FNU,
-        access_mode: 'all',
-        access_section_id: '',
-        preset_key: ''
-      })
-      await loadUsers()
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [messages])
 
-      addToast('Użytkownik utworzony / Користувача створено', 'success')
-    } catch (err) { addToast('Błąd: ' + err.message, 'error') }
-    setCreating(false)
-  }
+  useEffect(() => {
+    const loadSuggestions = async () => {
+      if (!debouncedMessage.trim()) return safeSetState(setLlmSuggestions)([])
+      const recentMessagesContext = messages
+        .slice(-6)
+        .map((m) => `${m.sender?.full_name || m.sender?.email || 'User'}: ${resolveDisplayedText(m, displayLanguage)}`)
+        .join('\n')
+      const fullContext = [contextHint || '', discussionTopic, recentMessagesContext].filter(Boolean).join('\n')
+      safeSetState(setLoadingSuggestions)(true)
+      const suggestions = await llmSuggestCompletions(debouncedMessage, detectLanguage(debouncedMessage), fullContext)
+      safeSetState(setLlmSuggestions)(suggestions)
+      safeSetState(setLoadingSuggestions)(false)
+    }
+    loadSuggestions()
+  }, [debouncedMessage, safeSetState, messages, displayLanguage, contextHint, discussionTopic])
 
-  const updateUser = async (userId, updates) => {
-    setSavingProfileUserId(userId)
-    try {
-      const next = { ...updates }
-      if (next.side) next.side = normalizeSide(next.side)
-      const payload = {
-        action: 'update_profile',
-        app_slug: 'audit',
-        user_id: userId,
-        ...next
-      }
-      const { data, error } = await invokeUserAccessAdminWithAuthRetry(payload)
-      if (error || !data?.ok) {
-        let { error: directError } = await supabase.from('profiles').update(next).eq('id', userId)
-        if (directError && next.side === SIDE_AUDITOR) {
-          const retry = await supabase.from('profiles').update({ ...next, side: SIDE_OPERATOR_LEGACY }).eq('id', userId)
-          directError = retry.error
-        }
-        if (directError) throw directError
+  const onPickFiles = (e) => {
+    const picked = Array.from(e.target.files || [])
+    const valid = []
+    for (const file of picked) {
+      const result = validateFile(file)
+      if (!result.valid) {
+        addToast(result.error, 'error')
+        continue
       }
-      await logAudit(profile.id, 'update_user', 'profile', userId, next)
-      await loadUsers()
-      addToast('Zaktualizowano / Оновлено', 'success')
-    } catch (err) {
-      addToast('Błąd: ' + sanitizeText(err?.message || 'update_failed'), 'error')
-    } finally {
-      setSavingProfileUserId('')
+      valid.push(file)
     }
+    setPendingFiles(prev => [...prev, ...valid].slice(0, 10))
+    if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
-  const applyPreset = (presetIndex) => {
-    const idx = Number(presetIndex)
-    if (!Number.isFinite(idx) || idx < 0 || idx >= EXPERT_PRESETS.length) return
-    const preset = EXPERT_PRESETS[idx]
-    setNewUser((prev) => ({
-      ...prev,
-      preset_key: String(idx),
-      full_name: preset.full_name,
-      position: preset.position,
-      side: preset.side,
-      role: preset.role
-    }))
+  const removePendingFile = (name) => {
+    setPendingFiles(prev => prev.filter(f => f.name !== name))
   }
 
-  const sendInvite = async (e) => {
-    e.preventDefault()
-    if (!inviteForm.email.trim()) return
-    setSendingInvite(true)
-    try {
-      const payload = {
-        action: 'send',
-        email: inviteForm.email.trim().toLowerCase(),
-        role: inviteForm.role,
-        side: normalizeSide(inviteForm.side),
-        expires_hours: Number(inviteForm.expires_hours || 24)
+  const findDirectThreadWithUser = useCallback((userId) => {
+    if (!userId || !profile?.id) return null
+    return threads.find((thread) => {
+      const members = threadMembers[thread.id] || []
+      if (members.length !== 2) return false
+      const ids = members.map(m => m.user_id)
+      return ids.includes(profile.id) && ids.includes(userId)
+    }) || null
+  }, [threads, threadMembers, profile?.id])
+
+  const selectDirectUser = (userId) => {
+    setRecipientMode('direct')
+    setSelectedDirectUserId(userId)
+    setSelectedRecipients([userId])
+    const existing = findDirectThreadWithUser(userId)
+    if (existing) {
+      setSelectedThreadId(existing.id)
+      setDiscussionTopic(existing.topic || '')
+      if (existing.company_id) setTargetCompanyId(existing.company_id)
+      if (existing.section_id) setTargetSectionId(existing.section_id)
+      if (existing.document_id) setTargetDocumentId(existing.document_id)
+    } else {
+      setSelectedThreadId(null)
+    }
+  }
+
+  const toggleRecipient = (id) => {
+    setSelectedRecipients(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+  }
+
+  const uploadAttachmentsForMessage = async (messageId, threadId, recipientId = null) => {
+    if (pendingFiles.length === 0) return
+    const attachmentIds = []
+    for (const file of pendingFiles) {
+      const ext = getFileExtension(file.name)
+      const safeFileName = sanitizeFileName(file.name)
+      const filePath = `chat/${targetCompanyId}/${targetSectionId}/${targetDocumentId}/${messageId}/${safeFileName}`
+      const { error: uploadError } = await supabase.storage.from('documents').upload(filePath, file)
+      if (uploadError) throw uploadError
+      const { data: attachment, error: dbError } = await supabase.from('chat_attachments').insert({
+        message_id: messageId,
+        thread_id: threadId,
+        sender_id: profile.id,
+        recipient_id: recipientId,
+        company_id: targetCompanyId,
+        section_id: targetSectionId,
+        document_id: targetDocumentId,
+        file_name: sanitizeText(file.name),
+        file_path: filePath,
+        file_size: file.size,
+        file_type: ext,
+        mime_type: file.type
+      }).select('id').single()
+      if (dbError) {
+        await supabase.storage.from('documents').remove([filePath])
+        throw dbError
       }
-      const { data, error } = await supabase.functions.invoke('invite-user', { body: payload })
-      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_send_failed')
-      setInviteForm({ email: '', role: 'user_fnu', side: SIDE_FNU, expires_hours: 24 })
-      addToast('Zaproszenie wysłane / Запрошення надіслано', 'success')
-      await loadInvites()
-    } catch (err) {
-      addToast(`Błąd invite: ${sanitizeText(err?.message || 'invite_send_failed')}`, 'error')
-    } finally {
-      setSendingInvite(false)
+      attachmentIds.push(attachment.id)
     }
+    await supabase.from('chat_messages').update({ has_attachments: true }).eq('id', messageId)
+    requestFileScan({ attachmentIds })
   }
 
-  const resendInvite = async (inviteId) => {
-    if (!inviteId) return
-    try {
-      const { data, error } = await supabase.functions.invoke('invite-user', {
-        body: { action: 'resend', invite_id: inviteId }
-      })
-      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_resend_failed')
-      addToast('Zaproszenie wysłane ponownie / Запрошення відправлено повторно', 'success')
-      await loadInvites()
-    } catch (err) {
-      addToast(`Błąd resend: ${sanitizeText(err?.message || 'invite_resend_failed')}`, 'error')
+  const openAttachment = async (attachment) => {
+    const { data } = await supabase.storage.from('documents').createSignedUrl(attachment.file_path, 3600)
+    if (data?.signedUrl) window.open(data.signedUrl, '_blank', 'noopener,noreferrer')
+  }
+
+  const downloadAttachment = async (attachment) => {
+    const { data } = await supabase.storage.from('documents').download(attachment.file_path)
+    if (data) {
+      const url = URL.createObjectURL(data)
+      const a = window.document.createElement('a')
+      a.href = url
+      a.download = attachment.file_name
+      a.click()
+      setTimeout(() => URL.revokeObjectURL(url), 10000)
     }
   }
 
-  const revokeInvite = async (inviteId) => {
-    if (!inviteId) return
-    try {
-      const { data, error } = await supabase.functions.invoke('invite-user', {
-        body: { action: 'revoke', invite_id: inviteId }
+  const createThread = async (recipients) => {
+    const cleanRecipients = Array.from(new Set(recipients.filter(isValidUUID)))
+    const { data: thread, error: threadError } = await supabase
+      .from('chat_threads')
+      .insert({
+        company_id: targetCompanyId,
+        section_id: targetSectionId,
+        document_id: targetDocumentId,
+        topic: sanitizeText(discussionTopic.trim()),
+        created_by: profile.id
       })
-      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_revoke_failed')
-      addToast('Zaproszenie cofnięte / Запрошення відкликано', 'warning')
-      await loadInvites()
-    } catch (err) {
-      addToast(`Błąd revoke: ${sanitizeText(err?.message || 'invite_revoke_failed')}`, 'error')
-    }
+      .select()
+      .single()
+    if (threadError || !thread?.id) throw threadError || new Error('Thread not created')
+
+    const members = [profile.id, ...cleanRecipients].map((userId) => ({
+      thread_id: thread.id,
+      user_id: userId,
+      member_role: userId === profile.id ? 'owner' : 'member',
+      is_active: true
+    }))
+    const { error: membersError } = await supabase.from('chat_thread_members').insert(members)
+    if (membersError) throw membersError
+    await loadThreads()
+    return thread
   }
 
-  if (loading) return <div className="loading">Ładowanie... / Завантаження...</div>
+  const sendMessage = async (e) => {
+    e.preventDefault()
+    const recipients = (recipientMode === 'group' ? selectedRecipients : [selectedDirectUserId]).filter(isValidUUID)
+    if ((!newMessage.trim() && pendingFiles.length === 0) || (recipients.length === 0 && !selectedThreadId)) return
+    if (!targetCompanyId || !targetSectionId || !targetDocumentId) {
+      addToast('Wybierz firmę, sekcję i dokument / Виберіть компанію, секцію і документ', 'warning')
+      return
+    }
+    if (!discussionTopic.trim()) {
+      addToast('Wpisz temat dyskusji / Вкажіть тему обговорення', 'warning')
+      return
+    }
 
-  return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div ref={modalRef} className="modal user-management wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="user-mgmt-title">
-        <div className="modal-header">
-          <h2 id="user-mgmt-title"><BiText pl="Zarządzanie użytkownikami" uk="Управління користувачами" /></h2>
-          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
-        </div>
+    const now = Date.now()
+    if (now - lastMessageTime.current < RATE_LIMIT_MS) {
+      addToast('Zbyt szybko / Занадто швидко', 'warning')
+      return
+    }
+    lastMessageTime.current = now
 
-        <div className="modal-body">
-          <div className="add-user-section">
-            <h4><BiText pl="Invite-only onboarding (email link)" uk="Запрошення через email-посилання" /></h4>
-            <form onSubmit={sendInvite} className="user-form">
-              <div className="form-grid">
-                <input
-                  placeholder="Email zaproszenia / Email запрошення"
-                  type="email"
-                  value={inviteForm.email}
-                  onChange={e => setInviteForm({ ...inviteForm, email: e.target.value })}
-                  required
-                  aria-label="Email zaproszenia"
-                />
-                <select value={inviteForm.side} onChange={e => setInviteForm({ ...inviteForm, side: e.target.value })} aria-label="Strona invite">
-                  {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                </select>
-                <select value={inviteForm.role} onChange={e => setInviteForm({ ...inviteForm, role: e.target.value })} aria-label="Rola invite">
-                  {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                </select>
-                <input
-                  type="number"
-                  min="1"
-                  max="168"
-                  value={inviteForm.expires_hours}
-                  onChange={e => setInviteForm({ ...inviteForm, expires_hours: Number(e.target.value || 24) })}
-                  aria-label="Wygasa za godzin"
-                  placeholder="Expires hours"
-                />
-              </div>
-              <button type="submit" className="btn-primary" disabled={sendingInvite}>
-                {sendingInvite ? '...' : 'Wyślij invite / Надіслати invite'}
+    const messagePlain = sanitizeText(newMessage.trim() || (pendingFiles.length > 0 ? '📎 Attachment' : ''))
+    if (messagePlain.length > MAX_MESSAGE_LENGTH) {
+      addToast(`Maksymalnie ${MAX_MESSAGE_LENGTH} znaków`, 'error')
+      return
+    }
+
+    setSending(true)
+    const sourceLanguage = detectLanguage(messagePlain)
+    let translatedPl = messagePlain
+    let translatedUk = messagePlain
+    try {
+      translatedPl = sourceLanguage === 'pl' ? messagePlain : await llmTranslateStrict(messagePlain, sourceLanguage, 'pl')
+      translatedUk = sourceLanguage === 'uk' ? messagePlain : await llmTranslateStrict(messagePlain, sourceLanguage, 'uk')
+    } catch (translationError) {
+      const details = sanitizeText(String(translationError?.message || 'llm_unavailable'))
+      if (/invalid jwt/i.test(details)) {
+        addToast('Session expired. Please sign in again / Сесія завершилась. Увійдіть знову', 'error')
+      } else {
+        addToast(`Translation failed: ${details}`, 'error')
+      }
+      setSending(false)
+      return
+    }
+
+    const envelope = buildMessageContextEnvelope({
+      companyId: targetCompanyId,
+      sectionId: targetSectionId,
+      documentId: targetDocumentId,
+      topic: discussionTopic
+    })
+
+    try {
+      let threadId = selectedThreadId
+      if (!threadId) {
+        const createdThread = await createThread(recipients)
+        threadId = createdThread.id
+        setSelectedThreadId(threadId)
+      }
+
+      const { data: createdMessage, error } = await supabase.from('chat_messages').insert({
+        sender_id: profile.id,
+        thread_id: threadId,
+        recipient_id: null,
+        content: `${envelope}\n${messagePlain}`,
+        source_language: sourceLanguage,
+        translated_pl: `${envelope}\n${translatedPl}`,
+        translated_uk: `${envelope}\n${translatedUk}`,
+        translation_provider: 'llm-translator',
+        has_attachments: pendingFiles.length > 0
+      }).select().single()
+      if (error || !createdMessage?.id) throw error || new Error('Message not created')
+      if (pendingFiles.length > 0) {
+        await uploadAttachmentsForMessage(createdMessage.id, threadId, recipientMode === 'direct' ? recipients[0] : null)
+      }
+
+      await loadThreads()
+      if (threadId) setSelectedThreadId(threadId)
+      setNewMessage('')
+      setLlmSuggestions([])
+      setPendingFiles([])
+    } catch (err) {
+      addToast('Błąd wysyłania / Помилка надсилання', 'error')
+      console.error('Send message error:', err)
+    }
+    setSending(false)
+  }
+
+  return (
+    <div className="chat-panel" role="region" aria-label="Czat / Чат">
+      <div className="chat-header">
+        <div className="chat-title-stack">
+          <BiText pl="Czat roboczy" uk="Робочий чат" />
+          {contextHint && <small className="chat-context"><SafeText>{contextHint}</SafeText></small>}
+        </div>
+        <div className="chat-language-controls">
+          <label htmlFor="chat-recipient-mode"><BiText pl="Adresaci" uk="Одержувачі" /></label>
+          <select id="chat-recipient-mode" value={recipientMode} onChange={e => setRecipientMode(e.target.value)}>
+            <option value="direct">Direct</option>
+            <option value="group">Group</option>
+          </select>
+          <label htmlFor="chat-language-mode">Język / Мова</label>
+          <select
+            id="chat-language-mode"
+            value={displayLanguageMode}
+            onChange={e => {
+              const nextMode = e.target.value
+              if (LANGUAGE_MODES.includes(nextMode)) onDisplayLanguageModeChange(nextMode)
+            }}
+          >
+            <option value="auto">Auto</option>
+            <option value="pl">Polski</option>
+            <option value="uk">Українська</option>
+          </select>
+          <span className="language-pill">{displayLanguage.toUpperCase()}</span>
+        </div>
+      </div>
+
+      <div className="chat-body">
+        <div className="chat-users">
+          <div className="threads-list">
+            {threads.map(thread => (
+              <button
+                key={thread.id}
+                className={`thread-item ${selectedThreadId === thread.id ? 'active' : ''}`}
+                onClick={() => {
+                  setSelectedThreadId(thread.id)
+                  setDiscussionTopic(thread.topic || '')
+                  if (thread.company_id) setTargetCompanyId(thread.company_id)
+                  if (thread.section_id) setTargetSectionId(thread.section_id)
+                  if (thread.document_id) setTargetDocumentId(thread.document_id)
+                }}
+              >
+                <strong><SafeText>{thread.topic || 'Thread'}</SafeText></strong>
+                <small>{(threadMembers[thread.id] || []).length} users</small>
               </button>
-            </form>
-            <div className="users-table-container" style={{ marginTop: 12 }}>
-              <h4><BiText pl={`Zaproszenia (${invites.length})`} uk={`Запрошення (${invites.length})`} /></h4>
-              {loadingInvites ? <div className="loading">...</div> : (
-                <table className="users-table" aria-label="Lista zaproszeń">
-                  <thead>
-                    <tr>
-                      <th scope="col">Email</th>
-                      <th scope="col">Rola</th>
-                      <th scope="col">Strona</th>
-                      <th scope="col">Status</th>
-                      <th scope="col">Wygasa</th>
-                      <th scope="col">Akcje</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {invites.map(inv => (
-                      <tr key={inv.id}>
-                        <td>{inv.email}</td>
-                        <td>{ROLES[inv.role]?.pl || inv.role}</td>
-                        <td>{formatSideLabel(inv.side)}</td>
-                        <td>{inv.invite_status}</td>
-                        <td>{inv.expires_at ? new Date(inv.expires_at).toLocaleString() : '—'}</td>
-                        <td>
-                          <button onClick={() => resendInvite(inv.id)} className="btn-success" disabled={inv.invite_status === 'revoked'} aria-label="Resend invite">
-                            ↻
-                          </button>
-                          <button onClick={() => revokeInvite(inv.id)} className="btn-danger" disabled={inv.invite_status === 'revoked'} aria-label="Revoke invite">
-                            ✕
-                          </button>
-                        </td>
-                      </tr>
-                    ))}
-                    {!invites.length && (
-                      <tr>
-                        <td colSpan="6">Brak zaproszeń / Немає запрошень</td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
-              )}
-            </div>
+            ))}
           </div>
-
-          <div className="add-user-section">
-            <h4><BiText pl="Nowy użytkownik" uk="Новий користувач" /></h4>
-            <form onSubmit={createUser} className="user-form">
-              <div className="form-grid">
-                <select
-                  value={newUser.preset_key}
-                  onChange={e => applyPreset(e.target.value)}
-                  aria-label="Szablon eksperta"
-                >
-                  <option value="">Szablon eksperta (opcjonalnie)</option>
-                  {EXPERT_PRESETS.map((preset, idx) => (
-                    <option key={`${preset.full_name}-${idx}`} value={idx}>
-                      {preset.full_name} - {preset.position}
-                    </option>
-                  ))}
-                </select>
-                <input placeholder="Email" type="email" value={newUser.email} onChange={e => setNewUser({...newUser, email: e.target.value})} required aria-label="Email" />
-                <input placeholder="Hasło / Пароль" type="password" value={newUser.password} onChange={e => setNewUser({...newUser, password: e.target.value})} required minLength={6} aria-label="Hasło" />
-                <input placeholder="Imię i nazwisko / Ім'я" value={newUser.full_name} onChange={e => setNewUser({...newUser, full_name: e.target.value})} required aria-label="Imię i nazwisko" />
-                <input placeholder="Telefon / Телефон" value={newUser.phone} onChange={e => setNewUser({...newUser, phone: e.target.value})} aria-label="Telefon" />
-                <input placeholder="Stanowisko / Посада" value={newUser.position} onChange={e => setNewUser({...newUser, position: e.target.value})} aria-label="Stanowisko" />
-                <input placeholder="Firma / Компанія" value={newUser.company_name} onChange={e => setNewUser({...newUser, company_name: e.target.value})} aria-label="Firma" />
-                <select value={newUser.side} onChange={e => setNewUser({...newUser, side: e.target.value})} aria-label="Strona">
-                  {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                </select>
-                <select value={newUser.role} onChange={e => setNewUser({...newUser, role: e.target.value})} aria-label="Rola">
-                  {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                </select>
-                <select value={newUser.access_mode} onChange={e => setNewUser({ ...newUser, access_mode: e.target.value, access_section_id: e.target.value === 'all' ? '' : newUser.access_section_id })} aria-label="Zakres dostępu folderów">
-                  <option value="all">Dostęp do wszystkich folderów</option>
-                  <option value="single">Dostęp tylko do jednej папки</option>
-                </select>
-                <select
-                  value={newUser.access_section_id}
-                  onChange={e => setNewUser({ ...newUser, access_section_id: e.target.value })}
-                  aria-label="Folder dostępu"
-                  disabled={newUser.access_mode !== 'single'}
-                >
-                  <option value="">Wybierz folder</option>
-                  {sectionsCatalog.map((s) => (
-                    <option key={s.id} value={s.id}>
-                      {s.code} {s.name_pl}
-                    </option>
-                  ))}
-                </select>
+          <input
+            type="search"
+            placeholder="Szukaj... / Пошук..."
+            value={userSearch}
+            onChange={e => setUserSearch(e.target.value)}
+            className="user-search"
+            aria-label="Szukaj użytkownika"
+          />
+          <div className="users-list" role="listbox" aria-label="Lista kontaktów">
+            {users.map(u => (
+              <div key={u.id} className={`chat-user ${selectedDirectUserId === u.id ? 'active' : ''}`}>
+                <button type="button" className="chat-user-main" onClick={() => selectDirectUser(u.id)} role="option" aria-selected={selectedDirectUserId === u.id}>
+                  <span className="user-name"><SafeText>{u.full_name || u.email}</SafeText></span>
+                  <span className={`side-badge ${sideClass(u.side)}`}>{formatSideLabel(u.side)}</span>
+                </button>
+                <label className="chat-user-select">
+                  <input
+                    type="checkbox"
+                    checked={selectedRecipients.includes(u.id)}
+                    onChange={() => toggleRecipient(u.id)}
+                  />
+                  <span>{recipientMode === 'group' ? 'Do grupy' : 'Adresat'}</span>
+                </label>
               </div>
-              <button type="submit" className="btn-primary" disabled={creating}>{creating ? '...' : 'Utwórz / Створити'}</button>
-            </form>
+            ))}
+            {users.length === 0 && (
+              <div className="no-contacts">
+                <BiText pl="Brak kontaktów" uk="Немає контактів" />
+              </div>
+            )}
           </div>
+        </div>
 
-          <h4><BiText pl={`Lista użytkowników (${users.length})`} uk={`Список користувачів (${users.length})`} /></h4>
-          <div className="users-table-container">
-            <table className="users-table" aria-label="Lista użytkowników">
+        <div className="chat-messages">
+          {selectedThreadId || selectedRecipients.length > 0 ? (
+            <>
+              <div className="messages-list" role="log" aria-live="polite" aria-atomic="false" aria-label="Historia wiadomości">
+                {messages.map(m => {
+                  const parsed = parseMessageContextEnvelope(resolveDisplayedText(m, displayLanguage))
+                  const rawCtx = parseMessageContextEnvelope(m.content).context
+                  return (
+                    <div key={m.id} className={`message ${m.sender_id === profile?.id ? 'sent' : 'received'}`}>
+                      <div className="message-header">
+                        <span className="message-sender"><SafeText>{m.sender?.full_name || m.sender?.email}</SafeText></span>
+                        <span className={`side-badge ${sideClass(m.sender?.side)}`}>{formatSideLabel(m.sender?.side)}</span>
+                      </div>
+                      {rawCtx?.topic && <span className="message-context-chip"><SafeText>{rawCtx.topic}</SafeText></span>}
+                      <p className="message-content"><SafeText>{parsed.text}</SafeText></p>
+                      {(attachmentsByMessage[m.id] || []).length > 0 && (
+                        <div className="message-attachments">
+                          {(attachmentsByMessage[m.id] || []).map(att => (
+                            <div key={att.id} className="message-attachment-card">
+                              <span className="attachment-name"><SafeText>{att.file_name}</SafeText></span>
+                              <span className="attachment-meta">{(att.file_size / 1024 / 1024).toFixed(2)} MB</span>
+                              <ScanStatusBadge item={att} />
+                              <div className="attachment-actions">
+                                <button type="button" onClick={() => openAttachment(att)} disabled={!can(profile, 'file.open', { scanStatus: att.scan_status })}>👁️</button>
+                                <button type="button" onClick={() => downloadAttachment(att)} disabled={!can(profile, 'file.open', { scanStatus: att.scan_status })}>⬇️</button>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      <time className="message-time" dateTime={m.created_at}>{new Date(m.created_at).toLocaleString()}</time>
+                    </div>
+                  )
+                })}
+                <div ref={messagesEndRef} />
+              </div>
+
+              <div className="attachment-target">
+                <select value={targetCompanyId} onChange={e => setTargetCompanyId(e.target.value)} aria-label="Firma">
+                  <option value="">Firma / Компанія</option>
+                  {companies.map(c => <option key={c.id} value={c.id}>{c.name_pl || c.name}</option>)}
+                </select>
+                <select value={targetSectionId} onChange={e => setTargetSectionId(e.target.value)} aria-label="Sekcja">
+                  <option value="">Sekcja / Секція</option>
+                  {targetSections.map(s => <option key={s.id} value={s.id}>{s.code} {s.name_pl}</option>)}
+                </select>
+                <select value={targetDocumentId} onChange={e => setTargetDocumentId(e.target.value)} aria-label="Dokument">
+                  <option value="">Dokument / Документ</option>
+                  {targetDocuments.map(d => <option key={d.id} value={d.id}>{d.code} {d.name_pl}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={discussionTopic}
+                  onChange={e => setDiscussionTopic(e.target.value)}
+                  placeholder="Temat dyskusji / Тема обговорення"
+                  maxLength={120}
+                  aria-label="Temat dyskusji"
+                />
+                <label className="chat-attach-btn">
+                  📎
+                  <input ref={fileInputRef} type="file" multiple onChange={onPickFiles} style={{ display: 'none' }} />
+                </label>
+              </div>
+
+              {pendingFiles.length > 0 && (
+                <div className="pending-files">
+                  {pendingFiles.map(file => (
+                    <button key={file.name + file.size} type="button" onClick={() => removePendingFile(file.name)}>
+                      <SafeText>{file.name}</SafeText> ✕
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <form onSubmit={sendMessage} className="message-form">
+                <textarea
+                  value={newMessage}
+                  onChange={e => setNewMessage(e.target.value)}
+                  placeholder="Napisz wiadomość... / Напишіть повідомлення..."
+                  maxLength={MAX_MESSAGE_LENGTH}
+                  aria-label="Treść wiadomości"
+                  rows={3}
+                />
+                <button type="submit" disabled={sending || (!newMessage.trim() && pendingFiles.length === 0)} aria-label="Wyślij wiadomość">📤</button>
+              </form>
+
+              <div className="llm-suggestions" aria-live="polite">
+                {loadingSuggestions ? (
+                  <span className="llm-hint">...</span>
+                ) : (
+                  llmSuggestions.map((hint, idx) => (
+                    <button key={idx} type="button" onClick={() => setNewMessage(hint)}>{hint}</button>
+                  ))
+                )}
+              </div>
+            </>
+          ) : (
+            <div className="select-user"><BiText pl="Wybierz kontakt lub temat" uk="Виберіть контакт або тему" /></div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// =====================================================
+// SECTION ACL MATRIX
+// =====================================================
+const ACL_FLAGS = [
+  { key: 'can_view', pl: 'Podgląd', uk: 'Перегляд' },
+  { key: 'can_comment', pl: 'Komentarze', uk: 'Коментарі' },
+  { key: 'can_upload', pl: 'Upload', uk: 'Завантаження' },
+  { key: 'can_manage', pl: 'Zarządzanie', uk: 'Керування' }
+]
+const NO_ACCESS = { can_view: false, can_comment: false, can_upload: false, can_manage: false }
+
+// Depth-first order of a flat section list, so subsections render under their parent.
+function flattenSectionTree(sections) {
+  const children = new Map()
+  ;(sections || []).forEach((s) => {
+    const key = s.parent_section_id || 'root'
+    if (!children.has(key)) children.set(key, [])
+    children.get(key).push(s)
+  })
+  const out = []
+  const walk = (parentKey, depth) => {
+    const list = (children.get(parentKey) || []).slice().sort((a, b) => (a.order_index || 0) - (b.order_index || 0))
+    list.forEach((s) => {
+      out.push({ ...s, depth })
+      if (depth < 20) walk(s.id, depth + 1)
+    })
+  }
+  walk('root', 0)
+  return out
+}
+
+// Mirrors effective_section_acl(): the nearest explicit entry on the section or an ancestor wins.
+function resolveSectionAcl(sectionId, sectionsById, entriesBySection) {
+  let current = sectionsById.get(sectionId)
+  for (let depth = 0; current && depth < 20; depth++) {
+    const entry = entriesBySection[current.id]
+    if (entry) return { ...entry, source_section_id: current.id, inherited: current.id !== sectionId }
+    current = current.parent_section_id ? sectionsById.get(current.parent_section_id) : null
+  }
+  return null
+}
+
+function SectionAclEditor({ user, sections, entries, onClose, onSave }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries((entries || []).map(e => [e.section_id, {
+    can_view: Boolean(e.can_view),
+    can_comment: Boolean(e.can_comment),
+    can_upload: Boolean(e.can_upload),
+    can_manage: Boolean(e.can_manage)
+  }])))
+  const [companies, setCompanies] = useState([])
+  const [companyFilter, setCompanyFilter] = useState('')
+  const [saving, setSaving] = useState(false)
+  const modalRef = useRef(null)
+  const safeSetState = useSafeAsync()
+  useFocusTrap(modalRef, true)
+
+  useEffect(() => {
+    supabase.from('companies').select('id, name_pl, name_uk').order('order_index').then(({ data }) => {
+      safeSetState(setCompanies)(data || [])
+    })
+  }, [safeSetState])
+
+  const sectionsById = useMemo(() => new Map((sections || []).map(s => [s.id, s])), [sections])
+  const rows = useMemo(() => {
+    const scoped = companyFilter ? (sections || []).filter(s => s.company_id === companyFilter) : sections
+    return flattenSectionTree(scoped)
+  }, [sections, companyFilter])
+  const explicitCount = Object.keys(draft).length
+
+  const toggleExplicit = (section) => {
+    setDraft((prev) => {
+      const next = { ...prev }
+      if (next[section.id]) {
+        delete next[section.id]
+        return next
+      }
+      const inherited = resolveSectionAcl(section.id, sectionsById, prev)
+      next[section.id] = inherited
+        ? { can_view: inherited.can_view, can_comment: inherited.can_comment, can_upload: inherited.can_upload, can_manage: inherited.can_manage }
+        : { ...NO_ACCESS, can_view: true }
+      return next
+    })
+  }
+
+  const toggleFlag = (sectionId, flag) => {
+    setDraft((prev) => {
+      const entry = { ...(prev[sectionId] || NO_ACCESS), [flag]: !prev[sectionId]?.[flag] }
+      // Any right implies view; removing view removes everything.
+      if (flag !== 'can_view' && entry[flag]) entry.can_view = true
+      if (flag === 'can_view' && !entry.can_view) Object.assign(entry, NO_ACCESS)
+      return { ...prev, [sectionId]: entry }
+    })
+  }
+
+  const save = async () => {
+    setSaving(true)
+    const ok = await onSave(Object.entries(draft).map(([sectionId, flags]) => ({ section_id: sectionId, ...flags })))
+    setSaving(false)
+    if (ok) onClose()
+  }
+
+  return (
+    <div className="modal-overlay" onClick={e => { e.stopPropagation(); onClose() }}>
+      <div ref={modalRef} className="modal wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="acl-editor-title">
+        <div className="modal-header">
+          <div>
+            <h2 id="acl-editor-title"><BiText pl="Dostęp do folderów" uk="Доступ до папок" /></h2>
+            <p><SafeText>{user.full_name || user.email}</SafeText> · {user.email}</p>
+          </div>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <p className="acl-editor-help">
+            Bez własnych wpisów użytkownik widzi wszystkie foldery. Wpis obowiązuje też w podfolderach, dopóki podfolder nie ma własnego.
+            {' / '}Без власних записів користувач бачить усі папки. Запис діє й у підпапках, доки підпапка не має власного.
+          </p>
+          <div className="acl-editor-toolbar">
+            <select value={companyFilter} onChange={e => setCompanyFilter(e.target.value)} aria-label="Firma / Компанія">
+              <option value="">Wszystkie firmy / Усі компанії</option>
+              {companies.map(c => <option key={c.id} value={c.id}>{c.name_pl}</option>)}
+            </select>
+            <span>Własne wpisy / Власні записи: {explicitCount}</span>
+            {explicitCount > 0 && (
+              <button type="button" className="btn-secondary" onClick={() => setDraft({})}>
+                Dostęp do wszystkich / Доступ до всіх
+              </button>
+            )}
+          </div>
+          <div className="users-table-container">
+            <table className="users-table acl-matrix" aria-label="Macierz dostępu / Матриця доступу">
               <thead>
                 <tr>
-                  <th scope="col">Imię i nazwisko</th>
-                  <th scope="col">Posada / Посада</th>
-                  <th scope="col">Email</th>
-                  <th scope="col">Strona</th>
-                  <th scope="col">Rola</th>
-                  <th scope="col">Dostęp folderów</th>
-                  <th scope="col">Status</th>
-                  <th scope="col">Akcje</th>
+                  <th scope="col">Folder / Папка</th>
+                  <th scope="col">Własne / Власні</th>
+                  {ACL_FLAGS.map(flag => <th key={flag.key} scope="col">{flag.pl} / {flag.uk}</th>)}
                 </tr>
               </thead>
               <tbody>
-                {users.map(u => (
-                  <tr key={u.id} className={u.is_active ? '' : 'inactive'}>
-                    <td>
-                      <input
-                        value={profileDrafts[u.id]?.full_name ?? u.full_name ?? ''}
-                        onChange={e => setProfileDraftField(u.id, 'full_name', e.target.value)}
-                        aria-label={`Imię i nazwisko dla ${u.email}`}
-                      />
-                    </td>
-                    <td>
-                      <input
-                        value={profileDrafts[u.id]?.position ?? u.position ?? ''}
-                        onChange={e => setProfileDraftField(u.id, 'position', e.target.value)}
-                        aria-label={`Stanowisko dla ${u.email}`}
-                      />
-                    </td>
-                    <td>{u.email}</td>
-                    <td>
-                      <select
-                        value={normalizeSide(profileDrafts[u.id]?.side || u.side) || SIDE_FNU}
-                        onChange={e => setProfileDraftField(u.id, 'side', e.target.value)}
-                        className={`side-select ${sideClass(profileDrafts[u.id]?.side || u.side)}`}
-                        aria-label={`Strona dla ${u.email}`}
-                      >
-                        {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                      </select>
-                    </td>
-                    <td>
-                      <select
-                        value={profileDrafts[u.id]?.role || u.role}
-                        onChange={e => setProfileDraftField(u.id, 'role', e.target.value)}
-                        disabled={u.id === profile?.id}
-                        aria-label={`Rola dla ${u.email}`}
-                      >
-                        {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
-                      </select>
-                    </td>
-                    <td>
-                      <div style={{ display: 'grid', gap: '0.35rem' }}>
-                        <select
-                          value={scopeByUser[u.id]?.mode || 'all'}
-                          onChange={e => setScopeDraft(u.id, { mode: e.target.value, section_id: e.target.value === 'all' ? '' : (scopeByUser[u.id]?.section_id || '') })}
-                          aria-label={`Zakres folderów dla ${u.email}`}
-                        >
-                          <option value="all">Wszystkie</option>
-                          <option value="single">Jedna папка</option>
-                        </select>
-                        <select
-                          value={scopeByUser[u.id]?.section_id || ''}
-                          onChange={e => setScopeDraft(u.id, { section_id: e.target.value })}
-                          disabled={(scopeByUser[u.id]?.mode || 'all') !== 'single'}
-                          aria-label={`Folder dla ${u.email}`}
-                        >
-                          <option value="">Wybierz folder</option>
-                          {sectionsCatalog.map((s) => (
-                            <option key={s.id} value={s.id}>{s.code} {s.name_pl}</option>
-                          ))}
-                        </select>
-                        <button
-                          onClick={() => saveUserScope(u.id)}
-                          className="btn-success"
-                          disabled={savingScopeUserId === u.id}
-                          aria-label={`Zapisz доступ folderów для ${u.email}`}
-                        >
-                          {savingScopeUserId === u.id ? '...' : '💾 Dostęp'}
-                        </button>
-                      </div>
-                    </td>
-                    <td>
-                      <span className={`status-badge ${Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'active' : 'inactive'}`}>
-                        {Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'Aktywny' : 'Nieaktywny'}
-                      </span>
-                    </td>
-                    <td>
-                      <button
-                        onClick={() => updateUser(u.id, {
-                          full_name: profileDrafts[u.id]?.full_name ?? u.full_name ?? '',
-                          position: profileDrafts[u.id]?.position ?? u.position ?? '',
-                          phone: profileDrafts[u.id]?.phone ?? u.phone ?? '',
-                          company_name: profileDrafts[u.id]?.company_name ?? u.company_name ?? '',
-                          side: normalizeSide(profileDrafts[u.id]?.side || u.side || SIDE_FNU),
-                          role: profileDrafts[u.id]?.role || u.role,
-                          is_active: Boolean(profileDrafts[u.id]?.is_active ?? u.is_active)
-                        })}
-                        className="btn-success"
-                        disabled={savingProfileUserId === u.id}
-                        aria-label={`Zapisz profil ${u.email}`}
-                      >
-                        {savingProfileUserId === u.id ? '...' : '💾 Profil'}
-                      </button>
-                      {u.id !== profile?.id && (
-                        <button
-                          onClick={() => {
-                            const activeNow = Boolean(profileDrafts[u.id]?.is_active ?? u.is_active)
-                            setProfileDraftField(u.id, 'is_active', !activeNow)
-                            updateUser(u.id, { is_active: !activeNow })
-                          }}
-                          className={Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'btn-danger' : 'btn-success'}
-                          aria-label={Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'Dezaktywuj' : 'Aktywuj'}
-                        >
-                          {Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? '🔒' : '🔓'}
-                        </button>
-                      )}
-                    </td>
-                  </tr>
-                ))}
+                {rows.map((section) => {
+                  const explicit = draft[section.id]
+                  const effective = explicitCount === 0 ? null : resolveSectionAcl(section.id, sectionsById, draft)
+                  const source = effective?.inherited ? sectionsById.get(effective.source_section_id) : null
+                  const company = section.depth === 0 && !companyFilter ? companies.find(c => c.id === section.company_id) : null
+                  return (
+                    <tr key={section.id} className={explicit ? 'acl-explicit' : 'acl-inherited'}>
+                      <td>
+                        <span className="acl-section-name" style={{ paddingLeft: `${section.depth * 1.1}rem` }}>
+                          {section.depth > 0 && '↳ '}{section.code}. <SafeText>{section.name_pl}</SafeText>
+                        </span>
+                        {company && <small className="acl-note"><SafeText>{company.name_pl}</SafeText></small>}
+                        {source && <small className="acl-note">← {source.code}</small>}
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(explicit)}
+                          onChange={() => toggleExplicit(section)}
+                          aria-label={`Własne uprawnienia ${section.code}`}
+                        />
+                      </td>
+                      {ACL_FLAGS.map(flag => (
+                        <td key={flag.key}>
+                          <input
+                            type="checkbox"
+                            checked={explicitCount === 0 ? true : Boolean((explicit || effective)?.[flag.key])}
+                            disabled={!explicit}
+                            onChange={() => toggleFlag(section.id, flag.key)}
+                            aria-label={`${flag.pl} ${section.code}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  )
+                })}
               </tbody>
             </table>
           </div>
+          <div className="acl-editor-actions">
+            <button type="button" className="btn-secondary" onClick={onClose}>Anuluj / Скасувати</button>
+            <button type="button" className="btn-primary" onClick={save} disabled={saving}>
+              {saving ? '...' : '💾 Zapisz / Зберегти'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// =====================================================
+// USER MANAGEMENT COMPONENT
+// =====================================================
+function UserManagement({ onClose }) {
+  const [users, setUsers] = useState([])
+  const [invites, setInvites] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingInvites, setLoadingInvites] = useState(false)
+  const [newUser, setNewUser] = useState({
+    email: '',
+    password: '',
+    full_name: '',
+    phone: '',
+    position: '',
+    company_name: '',
+    role: 'user_fnu',
+    side: SIDE_FNU,
+    access_mode: 'all',
+    access_section_id: '',
+    access_can_comment: true,
+    access_can_upload: true,
+    preset_key: ''
+  })
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'user_fnu', side: SIDE_FNU, expires_hours: 24 })
+  const [sectionsCatalog, setSectionsCatalog] = useState([])
+  const [aclByUser, setAclByUser] = useState({})
+  const [aclEditorUser, setAclEditorUser] = useState(null)
+  const [profileDrafts, setProfileDrafts] = useState({})
+  const [savingProfileUserId, setSavingProfileUserId] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [sendingInvite, setSendingInvite] = useState(false)
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+
+  useFocusTrap(modalRef, true)
+
+  const loadSectionsCatalog = useCallback(async () => {
+    try {
+      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
+        action: 'list_sections',
+        app_slug: 'audit'
+      })
+      if (error || !data?.ok) throw error || new Error(data?.error || 'list_sections_failed')
+      safeSetState(setSectionsCatalog)(Array.isArray(data.sections) ? data.sections : [])
+    } catch {
+      const { data } = await supabase
+        .from('document_sections')
+        .select('id, company_id, parent_section_id, code, name_pl, name_uk, order_index')
+        .order('company_id', { ascending: true })
+        .order('order_index', { ascending: true })
+      safeSetState(setSectionsCatalog)(Array.isArray(data) ? data : [])
+    }
+  }, [safeSetState])
+
+  const applyProfileDrafts = useCallback((rows) => {
+    const next = {}
+    ;(rows || []).forEach((u) => {
+      next[u.id] = {
+        full_name: String(u.full_name || ''),
+        position: String(u.position || ''),
+        phone: String(u.phone || ''),
+        company_name: String(u.company_name || ''),
+        role: String(u.role || 'user_fnu'),
+        side: normalizeSide(u.side || SIDE_FNU),
+        is_active: Boolean(u.is_active)
+      }
+    })
+    safeSetState(setProfileDrafts)(next)
+  }, [safeSetState])
+
+  const loadAclForUsers = useCallback(async (rows) => {
+    const userIds = (rows || []).map((u) => String(u.id || '')).filter(isValidUUID)
+    if (userIds.length === 0) {
+      safeSetState(setAclByUser)({})
+      return
+    }
+    try {
+      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
+        action: 'list_acl',
+        app_slug: 'audit',
+        user_ids: userIds
+      })
+      if (error || !data?.ok) throw error || new Error(data?.error || 'list_acl_failed')
+      const next = {}
+      ;(Array.isArray(data.acl) ? data.acl : []).forEach((row) => {
+        const userId = String(row?.user_id || '')
+        if (!isValidUUID(userId)) return
+        if (!next[userId]) next[userId] = []
+        next[userId].push(row)
+      })
+      safeSetState(setAclByUser)(next)
+    } catch {
+      safeSetState(setAclByUser)({})
+    }
+  }, [safeSetState])
+
+  const loadUsers = useCallback(async () => {
+    safeSetState(setLoading)(true)
+    let rows = []
+    try {
+      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
+        action: 'list_users',
+        app_slug: 'audit'
+      })
+      if (error || !data?.ok) throw error || new Error(data?.error || 'list_users_failed')
+      rows = Array.isArray(data.users) ? data.users : []
+    } catch {
+      const { data } = await supabase.from('profiles').select('*').order('created_at', { ascending: false })
+      rows = Array.isArray(data) ? data : []
+    }
+    safeSetState(setUsers)(rows)
+    applyProfileDrafts(rows)
+    await loadAclForUsers(rows)
+    safeSetState(setLoading)(false)
+  }, [safeSetState, applyProfileDrafts, loadAclForUsers])
+
+  const loadInvites = useCallback(async () => {
+    safeSetState(setLoadingInvites)(true)
+    const { data, error } = await supabase.functions.invoke('invite-user', {
+      body: { action: 'list' }
+    })
+    if (error || !data?.ok) {
+      addToast(`Błąd invite list: ${sanitizeText(error?.message || data?.error || 'invite_list_failed')}`, 'error')
+      safeSetState(setLoadingInvites)(false)
+      return
+    }
+    safeSetState(setInvites)(Array.isArray(data.invites) ? data.invites : [])
+    safeSetState(setLoadingInvites)(false)
+  }, [addToast, safeSetState])
+
+  useEffect(() => {
+    loadSectionsCatalog()
+  }, [loadSectionsCatalog])
+
+  useEffect(() => {
+    loadUsers()
+  }, [loadUsers])
+
+  useEffect(() => {
+    loadInvites()
+  }, [loadInvites])
+
+  const setProfileDraftField = (userId, key, value) => {
+    safeSetState(setProfileDrafts)((prev) => ({
+      ...prev,
+      [userId]: {
+        ...(prev[userId] || {}),
+        [key]: value
+      }
+    }))
+  }
+
+  const saveUserAcl = async (userId, entries, silent = false) => {
+    try {
+      const { data, error } = await invokeUserAccessAdminWithAuthRetry({
+        action: 'set_acl',
+        app_slug: 'audit',
+        user_id: userId,
+        entries
+      })
+      if (error || !data?.ok) throw error || new Error(data?.error || 'set_acl_failed')
+      safeSetState(setAclByUser)((prev) => ({ ...prev, [userId]: entries }))
+      if (!silent) addToast('Dostęp do folderów zapisany / Доступ до папок збережено', 'success')
+      return true
+    } catch (err) {
+      if (!silent) addToast(`Błąd dostępu: ${sanitizeText(err?.message || 'set_acl_failed')}`, 'error')
+      return false
+    }
+  }
+
+  const createUser = async (e) => {
+    e.preventDefault()
+    if (newUser.access_mode === 'single' && !isValidUUID(String(newUser.access_section_id || ''))) {
+      addToast('Wybierz folder dla trybu single / Виберіть папку для режиму single', 'warning')
+      return
+    }
+    setCreating(true)
+    try {
+      const { data, error } = await supabase.auth.signUp({
+        email: newUser.email,
+        password: newUser.password,
+        options: { data: { full_name: newUser.full_name, role: newUser.role, side: newUser.side } }
+      })
+      if (error) throw error
+
+      if (data.user) {
+        const requestedSide = normalizeSide(newUser.side)
+        const upsertResult = await supabase.from('profiles').upsert({
+          id: data.user.id,
+          email: newUser.email,
+          full_name: sanitizeText(newUser.full_name),
+          phone: sanitizeText(newUser.phone),
+          position: sanitizeText(newUser.position),
+          company_name: sanitizeText(newUser.company_name),
+          role: newUser.role,
+          side: requestedSide,
+          is_active: true
+        })
+        // If DB still expects legacy side value, retry once.
+        if (upsertResult.error && requestedSide === SIDE_AUDITOR) {
+          await supabase.from('profiles').upsert({
+            id: data.user.id,
+            email: newUser.email,
+            full_name: sanitizeText(newUser.full_name),
+            phone: sanitizeText(newUser.phone),
+            position: sanitizeText(newUser.position),
+            company_name: sanitizeText(newUser.company_name),
+            role: newUser.role,
+            side: SIDE_OPERATOR_LEGACY,
+            is_active: true
+          })
+        }
+        await auditLog(profile.id, 'create_user', 'profile', data.user.id)
+        await saveUserAcl(
+          data.user.id,
+          newUser.access_mode === 'single'
+            ? [{
+              section_id: newUser.access_section_id,
+              can_view: true,
+              can_comment: Boolean(newUser.access_can_comment),
+              can_upload: Boolean(newUser.access_can_upload),
+              can_manage: false
+            }]
+            : [],
+          true
+        )
+      }
+
+      setNewUser({
+        email: '',
+        password: '',
+        full_name: '',
+        phone: '',
+        position: '',
+        company_name: '',
+        role: 'user_fnu',
+        side: SIDE_FNU,
+        access_mode: 'all',
+        access_section_id: '',
+        access_can_comment: true,
+        access_can_upload: true,
+        preset_key: ''
+      })
+      await loadUsers()
+
+      addToast('Użytkownik utworzony / Користувача створено', 'success')
+    } catch (err) { addToast('Błąd: ' + err.message, 'error') }
+    setCreating(false)
+  }
+
+  const updateUser = async (userId, updates) => {
+    setSavingProfileUserId(userId)
+    try {
+      const next = { ...updates }
+      if (next.side) next.side = normalizeSide(next.side)
+      const payload = {
+        action: 'update_profile',
+        app_slug: 'audit',
+        user_id: userId,
+        ...next
+      }
+      const { data, error } = await invokeUserAccessAdminWithAuthRetry(payload)
+      if (error || !data?.ok) {
+        let { error: directError } = await supabase.from('profiles').update(next).eq('id', userId)
+        if (directError && next.side === SIDE_AUDITOR) {
+          const retry = await supabase.from('profiles').update({ ...next, side: SIDE_OPERATOR_LEGACY }).eq('id', userId)
+          directError = retry.error
+        }
+        if (directError) throw directError
+      }
+      await auditLog(profile.id, 'update_user', 'profile', userId, next)
+      await loadUsers()
+      addToast('Zaktualizowano / Оновлено', 'success')
+    } catch (err) {
+      addToast('Błąd: ' + sanitizeText(err?.message || 'update_failed'), 'error')
+    } finally {
+      setSavingProfileUserId('')
+    }
+  }
+
+  const applyPreset = (presetIndex) => {
+    const idx = Number(presetIndex)
+    if (!Number.isFinite(idx) || idx < 0 || idx >= EXPERT_PRESETS.length) return
+    const preset = EXPERT_PRESETS[idx]
+    setNewUser((prev) => ({
+      ...prev,
+      preset_key: String(idx),
+      full_name: preset.full_name,
+      position: preset.position,
+      side: preset.side,
+      role: preset.role
+    }))
+  }
+
+  const sendInvite = async (e) => {
+    e.preventDefault()
+    if (!inviteForm.email.trim()) return
+    setSendingInvite(true)
+    try {
+      const payload = {
+        action: 'send',
+        email: inviteForm.email.trim().toLowerCase(),
+        role: inviteForm.role,
+        side: normalizeSide(inviteForm.side),
+        expires_hours: Number(inviteForm.expires_hours || 24)
+      }
+      const { data, error } = await supabase.functions.invoke('invite-user', { body: payload })
+      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_send_failed')
+      setInviteForm({ email: '', role: 'user_fnu', side: SIDE_FNU, expires_hours: 24 })
+      addToast('Zaproszenie wysłane / Запрошення надіслано', 'success')
+      await loadInvites()
+    } catch (err) {
+      addToast(`Błąd invite: ${sanitizeText(err?.message || 'invite_send_failed')}`, 'error')
+    } finally {
+      setSendingInvite(false)
+    }
+  }
+
+  const resendInvite = async (inviteId) => {
+    if (!inviteId) return
+    try {
+      const { data, error } = await supabase.functions.invoke('invite-user', {
+        body: { action: 'resend', invite_id: inviteId }
+      })
+      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_resend_failed')
+      addToast('Zaproszenie wysłane ponownie / Запрошення відправлено повторно', 'success')
+      await loadInvites()
+    } catch (err) {
+      addToast(`Błąd resend: ${sanitizeText(err?.message || 'invite_resend_failed')}`, 'error')
+    }
+  }
+
+  const revokeInvite = async (inviteId) => {
+    if (!inviteId) return
+    try {
+      const { data, error } = await supabase.functions.invoke('invite-user', {
+        body: { action: 'revoke', invite_id: inviteId }
+      })
+      if (error || !data?.ok) throw new Error(error?.message || data?.error || 'invite_revoke_failed')
+      addToast('Zaproszenie cofnięte / Запрошення відкликано', 'warning')
+      await loadInvites()
+    } catch (err) {
+      addToast(`Błąd revoke: ${sanitizeText(err?.message || 'invite_revoke_failed')}`, 'error')
+    }
+  }
+
+  if (loading) return <div className="loading">Ładowanie... / Завантаження...</div>
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal user-management wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="user-mgmt-title">
+        <div className="modal-header">
+          <h2 id="user-mgmt-title"><BiText pl="Zarządzanie użytkownikami" uk="Управління користувачами" /></h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="add-user-section">
+            <h4><BiText pl="Invite-only onboarding (email link)" uk="Запрошення через email-посилання" /></h4>
+            <form onSubmit={sendInvite} className="user-form">
+              <div className="form-grid">
+                <input
+                  placeholder="Email zaproszenia / Email запрошення"
+                  type="email"
+                  value={inviteForm.email}
+                  onChange={e => setInviteForm({ ...inviteForm, email: e.target.value })}
+                  required
+                  aria-label="Email zaproszenia"
+                />
+                <select value={inviteForm.side} onChange={e => setInviteForm({ ...inviteForm, side: e.target.value })} aria-label="Strona invite">
+                  {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                </select>
+                <select value={inviteForm.role} onChange={e => setInviteForm({ ...inviteForm, role: e.target.value })} aria-label="Rola invite">
+                  {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="168"
+                  value={inviteForm.expires_hours}
+                  onChange={e => setInviteForm({ ...inviteForm, expires_hours: Number(e.target.value || 24) })}
+                  aria-label="Wygasa za godzin"
+                  placeholder="Expires hours"
+                />
+              </div>
+              <button type="submit" className="btn-primary" disabled={sendingInvite}>
+                {sendingInvite ? '...' : 'Wyślij invite / Надіслати invite'}
+              </button>
+            </form>
+            <div className="users-table-container" style={{ marginTop: 12 }}>
+              <h4><BiText pl={`Zaproszenia (${invites.length})`} uk={`Запрошення (${invites.length})`} /></h4>
+              {loadingInvites ? <div className="loading">...</div> : (
+                <table className="users-table" aria-label="Lista zaproszeń">
+                  <thead>
+                    <tr>
+                      <th scope="col">Email</th>
+                      <th scope="col">Rola</th>
+                      <th scope="col">Strona</th>
+                      <th scope="col">Status</th>
+                      <th scope="col">Wygasa</th>
+                      <th scope="col">Akcje</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invites.map(inv => (
+                      <tr key={inv.id}>
+                        <td>{inv.email}</td>
+                        <td>{ROLES[inv.role]?.pl || inv.role}</td>
+                        <td>{formatSideLabel(inv.side)}</td>
+                        <td>{inv.invite_status}</td>
+                        <td>{inv.expires_at ? new Date(inv.expires_at).toLocaleString() : '—'}</td>
+                        <td>
+                          <button onClick={() => resendInvite(inv.id)} className="btn-success" disabled={inv.invite_status === 'revoked'} aria-label="Resend invite">
+                            ↻
+                          </button>
+                          <button onClick={() => revokeInvite(inv.id)} className="btn-danger" disabled={inv.invite_status === 'revoked'} aria-label="Revoke invite">
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                    {!invites.length && (
+                      <tr>
+                        <td colSpan="6">Brak zaproszeń / Немає запрошень</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+
+          <div className="add-user-section">
+            <h4><BiText pl="Nowy użytkownik" uk="Новий користувач" /></h4>
+            <form onSubmit={createUser} className="user-form">
+              <div className="form-grid">
+                <select
+                  value={newUser.preset_key}
+                  onChange={e => applyPreset(e.target.value)}
+                  aria-label="Szablon eksperta"
+                >
+                  <option value="">Szablon eksperta (opcjonalnie)</option>
+                  {EXPERT_PRESETS.map((preset, idx) => (
+                    <option key={`${preset.full_name}-${idx}`} value={idx}>
+                      {preset.full_name} - {preset.position}
+                    </option>
+                  ))}
+                </select>
+                <input placeholder="Email" type="email" value={newUser.email} onChange={e => setNewUser({...newUser, email: e.target.value})} required aria-label="Email" />
+                <input placeholder="Hasło / Пароль" type="password" value={newUser.password} onChange={e => setNewUser({...newUser, password: e.target.value})} required minLength={6} aria-label="Hasło" />
+                <input placeholder="Imię i nazwisko / Ім'я" value={newUser.full_name} onChange={e => setNewUser({...newUser, full_name: e.target.value})} required aria-label="Imię i nazwisko" />
+                <input placeholder="Telefon / Телефон" value={newUser.phone} onChange={e => setNewUser({...newUser, phone: e.target.value})} aria-label="Telefon" />
+                <input placeholder="Stanowisko / Посада" value={newUser.position} onChange={e => setNewUser({...newUser, position: e.target.value})} aria-label="Stanowisko" />
+                <input placeholder="Firma / Компанія" value={newUser.company_name} onChange={e => setNewUser({...newUser, company_name: e.target.value})} aria-label="Firma" />
+                <select value={newUser.side} onChange={e => setNewUser({...newUser, side: e.target.value})} aria-label="Strona">
+                  {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                </select>
+                <select value={newUser.role} onChange={e => setNewUser({...newUser, role: e.target.value})} aria-label="Rola">
+                  {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                </select>
+                <select value={newUser.access_mode} onChange={e => setNewUser({ ...newUser, access_mode: e.target.value, access_section_id: e.target.value === 'all' ? '' : newUser.access_section_id })} aria-label="Zakres dostępu folderów">
+                  <option value="all">Dostęp do wszystkich folderów</option>
+                  <option value="single">Dostęp tylko do jednej папки</option>
+                </select>
+                <select
+                  value={newUser.access_section_id}
+                  onChange={e => setNewUser({ ...newUser, access_section_id: e.target.value })}
+                  aria-label="Folder dostępu"
+                  disabled={newUser.access_mode !== 'single'}
+                >
+                  <option value="">Wybierz folder</option>
+                  {sectionsCatalog.map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {s.code} {s.name_pl}
+                    </option>
+                  ))}
+                </select>
+                <div className="acl-new-user-flags">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={newUser.access_can_comment}
+                      onChange={e => setNewUser({ ...newUser, access_can_comment: e.target.checked })}
+                      disabled={newUser.access_mode !== 'single'}
+                    />
+                    Komentarze / Коментарі
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={newUser.access_can_upload}
+                      onChange={e => setNewUser({ ...newUser, access_can_upload: e.target.checked })}
+                      disabled={newUser.access_mode !== 'single'}
+                    />
+                    Upload / Завантаження
+                  </label>
+                </div>
+              </div>
+              <button type="submit" className="btn-primary" disabled={creating}>{creating ? '...' : 'Utwórz / Створити'}</button>
+            </form>
+          </div>
+
+          <h4><BiText pl={`Lista użytkowników (${users.length})`} uk={`Список користувачів (${users.length})`} /></h4>
+          <div className="users-table-container">
+            <table className="users-table" aria-label="Lista użytkowników">
+              <thead>
+                <tr>
+                  <th scope="col">Imię i nazwisko</th>
+                  <th scope="col">Posada / Посада</th>
+                  <th scope="col">Email</th>
+                  <th scope="col">Strona</th>
+                  <th scope="col">Rola</th>
+                  <th scope="col">Dostęp folderów</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Akcje</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(u => (
+                  <tr key={u.id} className={u.is_active ? '' : 'inactive'}>
+                    <td>
+                      <input
+                        value={profileDrafts[u.id]?.full_name ?? u.full_name ?? ''}
+                        onChange={e => setProfileDraftField(u.id, 'full_name', e.target.value)}
+                        aria-label={`Imię i nazwisko dla ${u.email}`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        value={profileDrafts[u.id]?.position ?? u.position ?? ''}
+                        onChange={e => setProfileDraftField(u.id, 'position', e.target.value)}
+                        aria-label={`Stanowisko dla ${u.email}`}
+                      />
+                    </td>
+                    <td>{u.email}</td>
+                    <td>
+                      <select
+                        value={normalizeSide(profileDrafts[u.id]?.side || u.side) || SIDE_FNU}
+                        onChange={e => setProfileDraftField(u.id, 'side', e.target.value)}
+                        className={`side-select ${sideClass(profileDrafts[u.id]?.side || u.side)}`}
+                        aria-label={`Strona dla ${u.email}`}
+                      >
+                        {Object.entries(SIDES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        value={profileDrafts[u.id]?.role || u.role}
+                        onChange={e => setProfileDraftField(u.id, 'role', e.target.value)}
+                        disabled={u.id === profile?.id}
+                        aria-label={`Rola dla ${u.email}`}
+                      >
+                        {Object.entries(ROLES).map(([k, v]) => <option key={k} value={k}>{v.pl}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <div className="acl-summary">
+                        <span>
+                          {(aclByUser[u.id] || []).length === 0
+                            ? 'Wszystkie / Усі'
+                            : `${(aclByUser[u.id] || []).filter(e => e.can_view).length} folderów / папок`}
+                        </span>
+                        <button
+                          onClick={() => setAclEditorUser(u)}
+                          className="btn-success"
+                          aria-label={`Edytuj dostęp folderów dla ${u.email}`}
+                        >
+                          🔐 Dostęp
+                        </button>
+                      </div>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'active' : 'inactive'}`}>
+                        {Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'Aktywny' : 'Nieaktywny'}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => updateUser(u.id, {
+                          full_name: profileDrafts[u.id]?.full_name ?? u.full_name ?? '',
+                          position: profileDrafts[u.id]?.position ?? u.position ?? '',
+                          phone: profileDrafts[u.id]?.phone ?? u.phone ?? '',
+                          company_name: profileDrafts[u.id]?.company_name ?? u.company_name ?? '',
+                          side: normalizeSide(profileDrafts[u.id]?.side || u.side || SIDE_FNU),
+                          role: profileDrafts[u.id]?.role || u.role,
+                          is_active: Boolean(profileDrafts[u.id]?.is_active ?? u.is_active)
+                        })}
+                        className="btn-success"
+                        disabled={savingProfileUserId === u.id}
+                        aria-label={`Zapisz profil ${u.email}`}
+                      >
+                        {savingProfileUserId === u.id ? '...' : '💾 Profil'}
+                      </button>
+                      {u.id !== profile?.id && (
+                        <button
+                          onClick={() => {
+                            const activeNow = Boolean(profileDrafts[u.id]?.is_active ?? u.is_active)
+                            setProfileDraftField(u.id, 'is_active', !activeNow)
+                            updateUser(u.id, { is_active: !activeNow })
+                          }}
+                          className={Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'btn-danger' : 'btn-success'}
+                          aria-label={Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? 'Dezaktywuj' : 'Aktywuj'}
+                        >
+                          {Boolean(profileDrafts[u.id]?.is_active ?? u.is_active) ? '🔒' : '🔓'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+      {aclEditorUser && (
+        <SectionAclEditor
+          user={aclEditorUser}
+          sections={sectionsCatalog}
+          entries={aclByUser[aclEditorUser.id] || []}
+          onClose={() => setAclEditorUser(null)}
+          onSave={(entries) => saveUserAcl(aclEditorUser.id, entries)}
+        />
+      )}
+    </div>
+  )
+}
+
+// =====================================================
+// AUDIT LOG COMPONENT
+// =====================================================
+const AUDIT_ENTITY_TYPES = [
+  { value: 'company', pl: 'Firma', uk: 'Компанія' },
+  { value: 'section', pl: 'Sekcja', uk: 'Розділ' },
+  { value: 'document', pl: 'Dokument', uk: 'Документ' },
+  { value: 'document_file', pl: 'Plik', uk: 'Файл' },
+  { value: 'comment', pl: 'Komentarz', uk: 'Коментар' },
+  { value: 'chat_attachment', pl: 'Załącznik czatu', uk: 'Вкладення чату' },
+  { value: 'delivery_package', pl: 'Paczka dostawy', uk: 'Пакет передачі' },
+  { value: 'profile', pl: 'Użytkownik', uk: 'Користувач' }
+]
+
+const EMPTY_AUDIT_FILTERS = { userId: '', side: '', action: '', entityType: '', entityId: '', from: '', to: '' }
+const AUDIT_EXPORT_PAGE_SIZE = 1000
+const AUDIT_EXPORT_MAX_ROWS = 50000
+
+// Date inputs are local calendar days; the range is [from 00:00, to + 1 day 00:00) in the user's timezone.
+function localDayBoundaryIso(isoDate, addDays = 0) {
+  const d = new Date(`${isoDate}T00:00:00`)
+  if (Number.isNaN(d.getTime())) return null
+  d.setDate(d.getDate() + addDays)
+  return d.toISOString()
+}
+
+function buildAuditLogQuery(filters) {
+  // Filtering on the embedded profile needs an inner join; rows without a user (system) drop out then.
+  // audit_log_actor() is the computed relationship to profiles (audit_log has no foreign keys).
+  const userEmbed = filters.side ? 'user:audit_log_actor!inner(full_name, email, side)' : 'user:audit_log_actor(full_name, email, side)'
+  let query = supabase.from('audit_log').select(`*, ${userEmbed}`)
+  if (isValidUUID(filters.userId)) query = query.eq('user_id', filters.userId)
+  if (filters.side) query = query.in('user.side', filters.side === SIDE_AUDITOR ? [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY] : [SIDE_FNU])
+  if (filters.action) query = query.eq('action', filters.action)
+  if (filters.entityType) query = query.eq('entity_type', filters.entityType)
+  if (isValidUUID(filters.entityId)) query = query.eq('entity_id', filters.entityId)
+  const fromIso = filters.from ? localDayBoundaryIso(filters.from) : null
+  const toIso = filters.to ? localDayBoundaryIso(filters.to, 1) : null
+  if (fromIso) query = query.gte('created_at', fromIso)
+  if (toIso) query = query.lt('created_at', toIso)
+  return query.order('seq', { ascending: false, nullsFirst: false })
+}
+
+const AUDIT_EXPORT_COLUMNS = ['seq', 'created_at', 'user_email', 'user_name', 'user_side', 'action', 'entity_type', 'entity_id', 'details', 'entry_hash']
+
+function auditLogExportRow(log) {
+  return {
+    seq: log.seq ?? null,
+    created_at: log.created_at,
+    user_email: log.user?.email || '',
+    user_name: log.user?.full_name || '',
+    user_side: log.user?.side ? formatSideLabel(log.user.side) : '',
+    action: log.action,
+    entity_type: log.entity_type || '',
+    entity_id: log.entity_id || '',
+    details: log.details ?? null,
+    entry_hash: log.entry_hash || ''
+  }
+}
+
+function AuditLog({ onClose }) {
+  const [logs, setLogs] = useState([])
+  const [chainBusy, setChainBusy] = useState('')
+  const [chainResult, setChainResult] = useState(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [hasMore, setHasMore] = useState(true)
+  const [page, setPage] = useState(0)
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS)
+  const [users, setUsers] = useState([])
+  const [exporting, setExporting] = useState('')
+  const appliedFilters = useDebounce(filters, 300)
+  const modalRef = useRef(null)
+  const safeSetState = useSafeAsync()
+  const PAGE_SIZE = 60
+
+  useFocusTrap(modalRef, true)
+
+  useEffect(() => {
+    supabase
+      .from('profiles')
+      .select('id, full_name, email, side')
+      .order('email')
+      .limit(1000)
+      .then(({ data }) => safeSetState(setUsers)(data || []))
+  }, [safeSetState])
+
+  const loadPage = useCallback(async (pageIndex = 0, append = false) => {
+    const from = pageIndex * PAGE_SIZE
+    const to = from + PAGE_SIZE - 1
+    const { data, error } = await buildAuditLogQuery(appliedFilters).range(from, to)
+    if (error) addToast(`Błąd dziennika: ${sanitizeText(error.message || 'query_failed')}`, 'error')
+
+    const rows = data || []
+    if (append) {
+      safeSetState(setLogs)(prev => [...prev, ...rows])
+    } else {
+      safeSetState(setLogs)(rows)
+    }
+    safeSetState(setHasMore)(rows.length === PAGE_SIZE)
+    safeSetState(setPage)(pageIndex)
+  }, [safeSetState, appliedFilters, addToast])
+
+  useEffect(() => {
+    const loadInitial = async () => {
+      setLoading(true)
+      await loadPage(0, false)
+      safeSetState(setLoading)(false)
+    }
+    loadInitial()
+  }, [loadPage, safeSetState])
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
+  const hasFilters = Object.values(filters).some(Boolean)
+
+  const exportFiltered = async (format) => {
+    if (exporting) return
+    setExporting(format)
+    try {
+      const rows = []
+      let truncated = false
+      for (let from = 0; ; from += AUDIT_EXPORT_PAGE_SIZE) {
+        const { data, error } = await buildAuditLogQuery(appliedFilters).range(from, from + AUDIT_EXPORT_PAGE_SIZE - 1)
+        if (error) throw error
+        rows.push(...(data || []))
+        if ((data || []).length < AUDIT_EXPORT_PAGE_SIZE) break
+        if (rows.length >= AUDIT_EXPORT_MAX_ROWS) {
+          truncated = true
+          break
+        }
+      }
+      const entries = rows.map(auditLogExportRow)
+      const stamp = new Date().toISOString().slice(0, 10)
+      if (format === 'csv') {
+        const csv = toCsv([
+          AUDIT_EXPORT_COLUMNS,
+          ...entries.map(e => AUDIT_EXPORT_COLUMNS.map(c => (c === 'details' && e.details !== null ? JSON.stringify(e.details) : e[c])))
+        ])
+        downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `audit-log-${stamp}.csv`)
+      } else {
+        const payload = { generated_at: new Date().toISOString(), filters: appliedFilters, count: entries.length, truncated, entries }
+        downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `audit-log-${stamp}.json`)
+      }
+      if (truncated) addToast(`Eksport ograniczony do ${AUDIT_EXPORT_MAX_ROWS} wpisów / Експорт обмежено до ${AUDIT_EXPORT_MAX_ROWS} записів`, 'warning')
+      await auditLog(profile?.id, 'export_audit_log', 'audit_log', null, { format, count: entries.length, filters: appliedFilters })
+    } catch (err) {
+      addToast(`Błąd eksportu: ${sanitizeText(err?.message || 'export_failed')}`, 'error')
+    } finally {
+      safeSetState(setExporting)('')
+    }
+  }
+
+  const loadMore = async () => {
+    if (loadingMore || !hasMore) return
+    setLoadingMore(true)
+    await loadPage(page + 1, true)
+    setLoadingMore(false)
+  }
+
+  const actionLabels = {
+    'upload_file': '📤 Przesłanie pliku',
+    'link_duplicate_file': '🔗 Podlinkowanie duplikatu pliku',
+    'delete_file': '🗑️ Usunięcie pliku',
+    'download_file': '⬇️ Pobranie pliku',
+    'view_file': '👁️ Podgląd pliku',
+    'view_watermarked_file': '🔏 Podgląd pliku ze znakiem wodnym',
+    'view_document': '👁️ Podgląd dokumentu',
+    'update_status': '🔄 Zmiana statusu',
+    'add_comment': '💬 Dodanie komentarza',
+    'create_user': '👤 Utworzenie użytkownika',
+    'update_user': '✏️ Aktualizacja użytkownika',
+    'invite_send': '✉️ Wysłanie zaproszenia',
+    'invite_resend': '🔁 Ponowne wysłanie zaproszenia',
+    'invite_revoke': '⛔ Cofnięcie zaproszenia',
+    'export_audit_chain': '🔗 Eksport łańcucha audytu',
+    'export_audit_log': '⤓ Eksport dziennika audytu',
+    'compare_file_versions': '⇄ Porównanie wersji pliku',
+    'tag_file_version': '🏷 Oznaczenie wersji pliku',
+    'update_retention_policy': '🧹 Zmiana polityki retencji',
+    'version_retention_prune': '🧹 Usunięcie starych wersji',
+    'file_infected': '⛔ Wykryto wirusa w pliku',
+    'publish_file': '📢 Publikacja pliku dla AUDITOR',
+    'schedule_file_publication': '⏰ Zaplanowanie publikacji pliku',
+    'revoke_file_publication': '🚫 Cofnięcie publikacji pliku',
+    'create_package': '📦 Utworzenie paczki dostawy',
+    'deliver_package': '📦 Dostarczenie paczki',
+    'download_package_item': '⬇️ Pobranie pliku z paczki',
+    'submit_document_review': '📨 Przesłanie do przeglądu',
+    'approve_document': '✅ Akceptacja dokumentu',
+    'reject_document': '↩️ Odrzucenie dokumentu'
+  }
+  const actionOptions = [...new Set([...Object.keys(actionLabels), ...logs.map(l => l.action).filter(Boolean)])].sort()
+
+  const runChainVerification = async () => {
+    if (chainBusy) return
+    setChainBusy('verify')
+    try {
+      const problems = await verifyAuditChain()
+      safeSetState(setChainResult)({ problems, checkedAt: new Date().toISOString() })
+      if (problems.length === 0) addToast('Łańcuch audytu nienaruszony / Ланцюжок аудиту цілий', 'success')
+      else addToast(`Wykryto naruszenia: ${problems.length} / Виявлено порушення: ${problems.length}`, 'error')
+    } catch (err) {
+      addToast(`Błąd weryfikacji: ${sanitizeText(err?.message || 'verify_failed')}`, 'error')
+    } finally {
+      safeSetState(setChainBusy)('')
+    }
+  }
+
+  const exportChain = async () => {
+    if (chainBusy) return
+    setChainBusy('export')
+    try {
+      const payload = await buildAuditChainExport(profile?.email)
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' })
+      downloadBlob(blob, `audit-log-chain-${new Date().toISOString().slice(0, 10)}.json`)
+      safeSetState(setChainResult)({ problems: payload.verification.problems, checkedAt: payload.generated_at })
+      await auditLog(profile?.id, 'export_audit_chain', 'audit_log', null, {
+        entries: payload.entries.length,
+        head_seq: payload.head?.seq || null,
+        head_hash: payload.head?.entry_hash || null,
+        ok: payload.verification.ok
+      })
+    } catch (err) {
+      addToast(`Błąd eksportu: ${sanitizeText(err?.message || 'export_failed')}`, 'error')
+    } finally {
+      safeSetState(setChainBusy)('')
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal audit-log wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="audit-title">
+        <div className="modal-header">
+          <h2 id="audit-title"><BiText pl="Dziennik audytu" uk="Журнал аудиту" /></h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <div className="audit-chain-bar">
+            <button type="button" onClick={runChainVerification} disabled={Boolean(chainBusy)}>
+              {chainBusy === 'verify' ? '...' : '🔗 Weryfikuj łańcuch / Перевірити ланцюжок'}
+            </button>
+            <button type="button" onClick={exportChain} disabled={Boolean(chainBusy)}>
+              {chainBusy === 'export' ? '...' : '⤓ Eksport JSON / Експорт JSON'}
+            </button>
+            {chainResult && (
+              <span className={`audit-chain-status ${chainResult.problems.length === 0 ? 'ok' : 'broken'}`} role="status">
+                {chainResult.problems.length === 0
+                  ? '✓ Nienaruszony / Цілий'
+                  : `⚠ ${chainResult.problems.length} naruszeń / порушень`}
+              </span>
+            )}
+          </div>
+          {chainResult?.problems.length > 0 && (
+            <ul className="audit-chain-problems">
+              {chainResult.problems.slice(0, 20).map((p, i) => (
+                <li key={`${p.seq}-${p.entry_id}-${i}`}>
+                  <strong>#{p.seq ?? '—'}</strong> {p.problem}
+                  {p.expected && <code title={`${p.expected} ≠ ${p.actual || ''}`}>{String(p.expected).slice(0, 12)} ≠ {String(p.actual || '').slice(0, 12)}</code>}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="audit-filters">
+            <select value={filters.userId} onChange={e => setFilter('userId', e.target.value)} aria-label="Użytkownik / Користувач">
+              <option value="">Wszyscy użytkownicy / Усі користувачі</option>
+              {users.map(u => <option key={u.id} value={u.id}>{u.full_name ? `${u.full_name} (${u.email})` : u.email}</option>)}
+            </select>
+            <select value={filters.side} onChange={e => setFilter('side', e.target.value)} aria-label="Strona / Сторона">
+              <option value="">FNU + AUDITOR</option>
+              <option value={SIDE_FNU}>FNU</option>
+              <option value={SIDE_AUDITOR}>AUDITOR</option>
+            </select>
+            <select value={filters.action} onChange={e => setFilter('action', e.target.value)} aria-label="Akcja / Дія">
+              <option value="">Wszystkie akcje / Усі дії</option>
+              {actionOptions.map(a => <option key={a} value={a}>{actionLabels[a] || a}</option>)}
+            </select>
+            <select value={filters.entityType} onChange={e => setFilter('entityType', e.target.value)} aria-label="Typ obiektu / Тип об'єкта">
+              <option value="">Wszystkie obiekty / Усі об'єкти</option>
+              {AUDIT_ENTITY_TYPES.map(t => <option key={t.value} value={t.value}>{t.pl} / {t.uk}</option>)}
+            </select>
+            <input
+              type="search"
+              value={filters.entityId}
+              onChange={e => setFilter('entityId', e.target.value.trim())}
+              placeholder="ID obiektu (UUID) / ID об'єкта"
+              aria-label="ID obiektu"
+              className={filters.entityId && !isValidUUID(filters.entityId) ? 'invalid' : ''}
+            />
+            <label>
+              <span>Od / Від</span>
+              <input type="date" value={filters.from} max={filters.to || undefined} onChange={e => setFilter('from', e.target.value)} />
+            </label>
+            <label>
+              <span>Do / До</span>
+              <input type="date" value={filters.to} min={filters.from || undefined} onChange={e => setFilter('to', e.target.value)} />
+            </label>
+            <div className="audit-filter-actions">
+              <button type="button" onClick={() => setFilters(EMPTY_AUDIT_FILTERS)} disabled={!hasFilters}>✕ Wyczyść / Очистити</button>
+              <button type="button" onClick={() => exportFiltered('csv')} disabled={Boolean(exporting)}>{exporting === 'csv' ? '...' : '⤓ CSV'}</button>
+              <button type="button" onClick={() => exportFiltered('json')} disabled={Boolean(exporting)}>{exporting === 'json' ? '...' : '⤓ JSON'}</button>
+            </div>
+          </div>
+          {loading ? <div className="loading">...</div> : (
+            <>
+              <div className="audit-list" role="log">
+                {logs.length === 0 && <div className="no-logs">Brak wpisów / Немає записів</div>}
+                {logs.map(log => (
+                  <div key={log.id} className="audit-item">
+                    <div className="audit-header">
+                      <span className="audit-action">
+                        {log.seq != null && <span className="audit-seq" title={log.entry_hash || ''}>#{log.seq}</span>}
+                        {actionLabels[log.action] || log.action}
+                      </span>
+                      <time dateTime={log.created_at}>{new Date(log.created_at).toLocaleString()}</time>
+                    </div>
+                    <div className="audit-user">
+                      <SafeText>{log.user?.full_name || log.user?.email || 'System'}</SafeText>
+                      {log.user?.side && <span className={`side-badge ${sideClass(log.user.side)}`}>{formatSideLabel(log.user.side)}</span>}
+                    </div>
+                    {log.entity_id && (
+                      <button
+                        type="button"
+                        className="audit-entity-link"
+                        onClick={() => setFilters({ ...EMPTY_AUDIT_FILTERS, entityType: log.entity_type || '', entityId: log.entity_id })}
+                        title="Pokaż historię obiektu / Показати історію об'єкта"
+                      >
+                        {log.entity_type || 'entity'} · {String(log.entity_id).slice(0, 8)}
+                      </button>
+                    )}
+                    {log.details && <pre className="audit-details">{JSON.stringify(log.details, null, 2)}</pre>}
+                  </div>
+                ))}
+              </div>
+              <div className="audit-footer">
+                <span>{logs.length} / {hasMore ? '...' : logs.length}</span>
+                <button onClick={loadMore} disabled={!hasMore || loadingMore}>
+                  {loadingMore ? '...' : 'Więcej / Більше'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// =====================================================
+// DOCUMENT TIMELINE
+// =====================================================
+const TIMELINE_AUDIT_EVENTS = {
+  create_document: { icon: '🆕', pl: 'Utworzenie dokumentu', uk: 'Створення документа' },
+  update_status: { icon: '🔄', pl: 'Zmiana statusu', uk: 'Зміна статусу' },
+  update_deadline: { icon: '📅', pl: 'Zmiana terminu', uk: 'Зміна терміну' },
+  upload_file: { icon: '📤', pl: 'Przesłanie pliku', uk: 'Завантаження файлу' },
+  link_duplicate_file: { icon: '🔗', pl: 'Podlinkowanie duplikatu', uk: 'Прив’язка дубліката' },
+  delete_file: { icon: '🗑️', pl: 'Usunięcie pliku', uk: 'Видалення файлу' },
+  edit_file: { icon: '✏️', pl: 'Edycja pliku', uk: 'Редагування файлу' },
+  rollback_file_version: { icon: '↩️', pl: 'Przywrócenie wersji', uk: 'Відновлення версії' },
+  file_infected: { icon: '⛔', pl: 'Wykryto wirusa', uk: 'Виявлено вірус' },
+  schedule_file_publication: { icon: '⏰', pl: 'Zaplanowano publikację dla AUDITOR', uk: 'Заплановано публікацію для AUDITOR' },
+  revoke_file_publication: { icon: '🚫', pl: 'Cofnięto publikację dla AUDITOR', uk: 'Відкликано публікацію для AUDITOR' },
+  download_file: { icon: '⬇️', pl: 'Pobranie pliku', uk: 'Завантаження файлу (копія)', view: true },
+  view_file: { icon: '👁️', pl: 'Podgląd pliku', uk: 'Перегляд файлу', view: true },
+  view_document: { icon: '👁️', pl: 'Podgląd dokumentu', uk: 'Перегляд документа', view: true }
+}
+// Covered by their own tables (document_file_versions, comments, document_access, document_review_events),
+// which carry more detail.
+const TIMELINE_SKIPPED_ACTIONS = new Set(['create_file_version', 'add_comment', 'publish_file', 'submit_document_review', 'approve_document', 'reject_document'])
+const TIMELINE_FILE_PREFIX = /^\[file:[0-9a-f-]{36}\]\s*/i
+
+function timelineStatusLabel(status) {
+  const opt = STATUS_OPTIONS.find(o => o.value === status)
+  return opt ? `${opt.pl} / ${opt.uk}` : String(status || '')
+}
+
+// Merges audit_log, file versions, AUDITOR publications and comments of one document into a single feed.
+async function loadDocumentTimeline(documentId, profile, policyContext) {
+  const [{ data: files }, { data: access }] = await Promise.all([
+    supabase.from('document_files').select('id, file_name').eq('document_id', documentId),
+    supabase.from('document_access').select('file_id, visible_to_operator, audience_user_ids, published_at, published_by').eq('document_id', documentId)
+  ])
+  const fileNames = new Map((files || []).map(f => [f.id, f.file_name]))
+  const shared = new Set((access || []).filter(a => isPublishedTo(a, profile?.id)).map(a => a.file_id))
+  const sharedNames = new Set([...shared].map(id => fileNames.get(id)).filter(Boolean))
+  // Same rule as the file list: AUDITOR-side users only see events of files published to them.
+  const canSeeFile = (fileId) => can(profile, 'file.view', { ...policyContext, sharedWithAuditor: shared.has(fileId) })
+  // upload_file entries reference the document, so the file is matched by name.
+  const canSeeFileNamed = (name) => can(profile, 'file.view', { ...policyContext, sharedWithAuditor: sharedNames.has(name) })
+
+  const auditIds = [documentId, ...fileNames.keys()].filter(isValidUUID)
+  const [auditRes, versionsRes, commentsRes, reviewsRes] = await Promise.all([
+    supabase
+      .from('audit_log')
+      .select('id, user_id, action, entity_type, entity_id, details, created_at')
+      .or(`and(entity_type.eq.document,entity_id.eq.${documentId}),and(entity_type.eq.document_file,entity_id.in.(${auditIds.join(',')}))`)
+      .order('created_at', { ascending: false })
+      .limit(500),
+    supabase
+      .from('document_file_versions')
+      .select('id, file_id, version_no, file_name, change_reason, created_by, created_at')
+      .eq('document_id', documentId),
+    supabase
+      .from('comments')
+      .select('id, author_id, content, source_language, translated_pl, translated_uk, comment_scope, created_at')
+      .eq('document_id', documentId),
+    supabase
+      .from('document_review_events')
+      .select('id, action, reason, actor_id, created_at')
+      .eq('document_id', documentId)
+  ])
+
+  const events = []
+  for (const row of auditRes.data || []) {
+    if (TIMELINE_SKIPPED_ACTIONS.has(row.action)) continue
+    const meta = TIMELINE_AUDIT_EVENTS[row.action] || { icon: '•', pl: row.action, uk: row.action }
+    const details = row.details || {}
+    const fileId = row.entity_type === 'document_file' && row.entity_id !== documentId ? row.entity_id : null
+    if (fileId && !canSeeFile(fileId)) continue
+    if (row.action === 'upload_file' && !canSeeFileNamed(details.file_name)) continue
+    let detail = ''
+    if (row.action === 'update_status') detail = timelineStatusLabel(details.status)
+    else if (row.action === 'update_deadline') detail = details.due_date || '—'
+    else if (details.file_name) detail = details.file_name
+    else if (fileId) detail = fileNames.get(fileId) || fileId.slice(0, 8)
+    if (row.action === 'rollback_file_version' && details.version_no) detail = `${detail} · v${details.version_no}`
+    events.push({ key: `a:${row.id}`, at: row.created_at, kind: meta.view ? 'view' : 'audit', icon: meta.icon, pl: meta.pl, uk: meta.uk, actorId: row.user_id, detail })
+  }
+  for (const v of versionsRes.data || []) {
+    if (!canSeeFile(v.file_id)) continue
+    events.push({
+      key: `v:${v.id}`,
+      at: v.created_at,
+      kind: 'version',
+      icon: '🕘',
+      pl: `Wersja v${v.version_no}`,
+      uk: `Версія v${v.version_no}`,
+      actorId: v.created_by,
+      detail: [v.file_name || fileNames.get(v.file_id), v.change_reason].filter(Boolean).join(' · ')
+    })
+  }
+  for (const a of access || []) {
+    if (!a.visible_to_operator || !a.published_at || !canSeeFile(a.file_id)) continue
+    events.push({
+      key: `p:${a.file_id}`,
+      at: a.published_at,
+      kind: 'publish',
+      icon: '📢',
+      pl: 'Opublikowano dla AUDITOR',
+      uk: 'Опубліковано для AUDITOR',
+      actorId: a.published_by,
+      detail: fileNames.get(a.file_id) || ''
+    })
+  }
+  for (const r of reviewsRes.data || []) {
+    const meta = REVIEW_EVENT_LABELS[r.action] || { icon: '•', pl: r.action, uk: r.action }
+    events.push({ key: `r:${r.id}`, at: r.created_at, kind: 'review', icon: meta.icon, pl: meta.pl, uk: meta.uk, actorId: r.actor_id, detail: r.reason || '' })
+  }
+  for (const c of commentsRes.data || []) {
+    if (!can(profile, 'comment.view', { commentScope: c.comment_scope || 'fnu_internal' })) continue
+    const auditorChannel = c.comment_scope === 'auditor_channel'
+    events.push({
+      key: `c:${c.id}`,
+      at: c.created_at,
+      kind: 'comment',
+      icon: '💬',
+      pl: auditorChannel ? 'Komentarz (kanał AUDITOR)' : 'Komentarz',
+      uk: auditorChannel ? 'Коментар (канал AUDITOR)' : 'Коментар',
+      actorId: c.author_id,
+      comment: c
+    })
+  }
+
+  const actorIds = [...new Set(events.map(e => e.actorId).filter(isValidUUID))]
+  const actors = new Map()
+  if (actorIds.length > 0) {
+    const { data: people } = await supabase.from('profiles').select('id, full_name, email, side').in('id', actorIds)
+    ;(people || []).forEach(p => actors.set(p.id, p))
+  }
+  return events
+    .map(e => ({ ...e, actor: actors.get(e.actorId) || null }))
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+}
+
+function DocumentTimeline({ documentId, policyContext, displayLanguage, refreshKey }) {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showViews, setShowViews] = useState(false)
+  const profile = useProfile()
+  const addToast = useToast()
+  const safeSetState = useSafeAsync()
+  // The parent rebuilds the context object on every render; reload only when its content changes.
+  const policyKey = JSON.stringify(policyContext || {})
+
+  const load = useCallback(async () => {
+    if (!isValidUUID(documentId)) return
+    setLoading(true)
+    try {
+      safeSetState(setEvents)(await loadDocumentTimeline(documentId, profile, JSON.parse(policyKey)))
+    } catch (err) {
+      addToast(`Błąd historii: ${sanitizeText(err?.message || 'timeline_failed')}`, 'error')
+    } finally {
+      safeSetState(setLoading)(false)
+    }
+  }, [documentId, profile, policyKey, safeSetState, addToast])
+
+  useEffect(() => { load() }, [load, refreshKey])
+
+  const visible = showViews ? events : events.filter(e => e.kind !== 'view')
+
+  return (
+    <section className="doc-timeline" aria-labelledby="doc-timeline-title">
+      <div className="doc-timeline-header">
+        <h4 id="doc-timeline-title"><BiText pl="Historia dokumentu" uk="Історія документа" /></h4>
+        <label className="doc-timeline-toggle">
+          <input type="checkbox" checked={showViews} onChange={e => setShowViews(e.target.checked)} />
+          <span>Podglądy / Перегляди</span>
+        </label>
+        <button type="button" onClick={load} disabled={loading} aria-label="Odśwież historię">↻</button>
+      </div>
+      {loading ? (
+        <div className="loading">...</div>
+      ) : visible.length === 0 ? (
+        <p className="doc-timeline-empty">Brak zdarzeń / Немає подій</p>
+      ) : (
+        <ol className="doc-timeline-list">
+          {visible.map(e => (
+            <li key={e.key} className={`doc-timeline-item ${e.kind}`}>
+              <span className="doc-timeline-icon" aria-hidden="true">{e.icon}</span>
+              <div className="doc-timeline-body">
+                <div className="doc-timeline-line">
+                  <strong><BiText pl={e.pl} uk={e.uk} /></strong>
+                  <time dateTime={e.at}>{new Date(e.at).toLocaleString()}</time>
+                </div>
+                <div className="doc-timeline-meta">
+                  <SafeText>{e.actor?.full_name || e.actor?.email || 'System'}</SafeText>
+                  {e.actor?.side && <span className={`side-badge ${sideClass(e.actor.side)}`}>{formatSideLabel(e.actor.side)}</span>}
+                  {e.detail && <span className="doc-timeline-detail"><SafeText>{e.detail}</SafeText></span>}
+                </div>
+                {e.comment && (
+                  <p className="doc-timeline-comment">
+                    <SafeText>{resolveDisplayedText(e.comment, displayLanguage).replace(TIMELINE_FILE_PREFIX, '').slice(0, 280)}</SafeText>
+                  </p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  )
+}
+
+// =====================================================
+// DOCUMENT REVIEW
+// =====================================================
+const REVIEW_EVENT_LABELS = {
+  submit: { icon: '📨', pl: 'Przesłano do przeglądu', uk: 'Надіслано на перевірку' },
+  approve: { icon: '✅', pl: 'Zaakceptowano', uk: 'Погоджено' },
+  reject: { icon: '↩️', pl: 'Odrzucono', uk: 'Відхилено' }
+}
+const REVIEW_SUBMITTABLE_STATUSES = ['pending', 'in_progress', 'missing']
+const REVIEW_ERROR_MESSAGES = {
+  reason_required: 'Podaj powód odrzucenia / Вкажіть причину відхилення',
+  invalid_transition: 'Status dokumentu nie pozwala na tę akcję / Статус документа не дозволяє цю дію',
+  status_changed: 'Status zmienił się w międzyczasie, odśwież / Статус змінився, оновіть'
+}
+
+async function requestDocumentReview(documentId, action, reason = '') {
+  const { data, error } = await invokeFunctionWithAuthRetry('document-review', { document_id: documentId, action, reason })
+  if (error) throw new Error(await parseFunctionsInvokeError(error))
+  if (!data?.ok) throw new Error(data?.error || 'review_failed')
+  return data
+}
+
+// Submit / approve / reject, plus the last few review decisions. A rejection reason stays visible
+// until the document is submitted again.
+function DocumentReviewPanel({ doc, policyContext, onChanged }) {
+  const [events, setEvents] = useState([])
+  const [busy, setBusy] = useState('')
+  const [rejecting, setRejecting] = useState(false)
+  const [reason, setReason] = useState('')
+  const addToast = useToast()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+
+  const status = doc.status || 'pending'
+  const canSubmit = can(profile, 'document.submit_review', policyContext) && REVIEW_SUBMITTABLE_STATUSES.includes(status)
+  const canDecide = can(profile, 'document.review', policyContext) && status === 'in_review'
+
+  const loadEvents = useCallback(async () => {
+    const { data } = await supabase
+      .from('document_review_events')
+      .select('id, action, reason, created_at, actor:actor_id(full_name, email, side)')
+      .eq('document_id', doc.id)
+      .order('created_at', { ascending: false })
+      .limit(5)
+    safeSetState(setEvents)(data || [])
+  }, [doc.id, safeSetState])
+
+  useEffect(() => { loadEvents() }, [loadEvents, status])
+
+  const run = async (action) => {
+    const text = action === 'reject' ? sanitizeText(reason) : ''
+    if (action === 'reject' && !text) {
+      addToast(REVIEW_ERROR_MESSAGES.reason_required, 'error')
+      return
+    }
+    if (action === 'approve' && !confirm('Zaakceptować dokument? / Погодити документ?')) return
+    setBusy(action)
+    try {
+      const data = await requestDocumentReview(doc.id, action, text)
+      const label = REVIEW_EVENT_LABELS[action]
+      addToast(`${label.pl} / ${label.uk}`, 'success')
+      safeSetState(setReason)('')
+      safeSetState(setRejecting)(false)
+      onChanged?.(data.document || {})
+    } catch (err) {
+      const code = String(err?.message || 'review_failed')
+      addToast(REVIEW_ERROR_MESSAGES[code.split(' | ')[0]] || `Błąd przeglądu / Помилка перевірки: ${sanitizeText(code)}`, 'error')
+    } finally {
+      safeSetState(setBusy)('')
+    }
+  }
+
+  const lastRejection = status === 'in_progress' && events[0]?.action === 'reject' ? events[0] : null
+  if (!canSubmit && !canDecide && status !== 'in_review' && events.length === 0) return null
+
+  return (
+    <section className="doc-review" aria-labelledby="doc-review-title">
+      <div className="doc-review-header">
+        <h4 id="doc-review-title"><BiText pl="Przegląd dokumentu" uk="Перевірка документа" /></h4>
+        {status === 'in_review' && (
+          <span className="doc-review-state"><BiText pl="Oczekuje na decyzję AUDITOR" uk="Очікує рішення AUDITOR" /></span>
+        )}
+        {status === 'done' && doc.approved_at && (
+          <span className="doc-review-state approved">✅ {new Date(doc.approved_at).toLocaleString()}</span>
+        )}
+      </div>
+
+      {lastRejection && (
+        <div className="doc-review-rejection" role="note">
+          <strong><BiText pl="Powód odrzucenia" uk="Причина відхилення" /></strong>
+          <p><SafeText>{lastRejection.reason || '—'}</SafeText></p>
+        </div>
+      )}
+
+      {(canSubmit || canDecide) && (
+        <div className="doc-review-actions">
+          {canSubmit && (
+            <button type="button" className="btn-primary" onClick={() => run('submit')} disabled={Boolean(busy)}>
+              {busy === 'submit' ? '...' : '📨 Prześlij do przeglądu / Надіслати на перевірку'}
+            </button>
+          )}
+          {canDecide && !rejecting && (
+            <>
+              <button type="button" className="btn-primary" onClick={() => run('approve')} disabled={Boolean(busy)}>
+                {busy === 'approve' ? '...' : '✅ Zaakceptuj / Погодити'}
+              </button>
+              <button type="button" className="btn-secondary" onClick={() => setRejecting(true)} disabled={Boolean(busy)}>
+                ↩️ Odrzuć / Відхилити
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {canDecide && rejecting && (
+        <form className="doc-review-reject" onSubmit={e => { e.preventDefault(); run('reject') }}>
+          <label htmlFor="doc-review-reason"><BiText pl="Powód odrzucenia (wymagany)" uk="Причина відхилення (обов’язково)" /></label>
+          <textarea
+            id="doc-review-reason"
+            value={reason}
+            onChange={e => setReason(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            required
+          />
+          <div className="doc-review-actions">
+            <button type="submit" className="btn-danger" disabled={Boolean(busy) || !reason.trim()}>
+              {busy === 'reject' ? '...' : 'Odrzuć / Відхилити'}
+            </button>
+            <button type="button" className="btn-secondary" onClick={() => { setRejecting(false); setReason('') }} disabled={Boolean(busy)}>
+              Anuluj / Скасувати
+            </button>
+          </div>
+        </form>
+      )}
+
+      {events.length > 0 && (
+        <ol className="doc-review-history">
+          {events.map(ev => {
+            const label = REVIEW_EVENT_LABELS[ev.action] || { icon: '•', pl: ev.action, uk: ev.action }
+            return (
+              <li key={ev.id}>
+                <span aria-hidden="true">{label.icon}</span>
+                <BiText pl={label.pl} uk={label.uk} />
+                <SafeText>{ev.actor?.full_name || ev.actor?.email || 'System'}</SafeText>
+                <time dateTime={ev.created_at}>{new Date(ev.created_at).toLocaleString()}</time>
+                {ev.reason && <span className="doc-review-reason"><SafeText>{ev.reason}</SafeText></span>}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </section>
+  )
+}
+
+// =====================================================
+// DOCUMENT DETAIL MODAL
+// =====================================================
+function DocumentDetail({ document, onClose, onUpdate, displayLanguage, permissions }) {
+  const [doc, setDoc] = useState(document)
+  const [users, setUsers] = useState([])
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+
+  const canEditDetails = can(profile, 'document.edit_details')
+  const canPublishDocument = can(profile, 'file.publish_to_auditor', { scanStatus: 'clean' })
+  const [showPublish, setShowPublish] = useState(false)
+  const [filesRefreshKey, setFilesRefreshKey] = useState(0)
+  const canAdd = Boolean(permissions?.can_upload)
+  const canComment = Boolean(permissions?.can_comment)
+  const canView = true
+
+  useFocusTrap(modalRef, true)
+
+  useEffect(() => {
+    const handleEsc = (e) => { if (e.key === 'Escape') onClose() }
+    window.document.addEventListener('keydown', handleEsc)
+    return () => window.document.removeEventListener('keydown', handleEsc)
+  }, [onClose])
+
+  useEffect(() => {
+    supabase.from('profiles').select('id, full_name, email, side').eq('is_active', true).then(({ data }) => safeSetState(setUsers)(data || []))
+    logAudit(profile?.id, 'view_document', 'document', document.id)
+  }, [document.id, profile?.id, safeSetState])
+
+  const updateStatus = async (status) => {
+    const { error } = await supabase.from('documents').update({ status, updated_at: new Date().toISOString() }).eq('id', doc.id)
+    if (error) {
+      addToast(statusUpdateErrorMessage(error), 'error')
+      return
+    }
+    await auditLog(profile.id, 'update_status', 'document', doc.id, { status })
+    setDoc({ ...doc, status })
+    onUpdate?.()
+    addToast('Status zaktualizowany / Статус оновлено', 'success')
+  }
+
+  const updateDeadline = async (changes) => {
+    const next = { ...doc, ...changes }
+    const reminderDays = Math.min(60, Math.max(0, Number.parseInt(next.reminder_days, 10) || 0))
+    const { error } = await supabase
+      .from('documents')
+      .update({ due_date: next.due_date || null, reminder_days: reminderDays, updated_at: new Date().toISOString() })
+      .eq('id', doc.id)
+    if (error) {
+      addToast(`Błąd terminu / Помилка терміну: ${sanitizeText(error.message || 'update_failed')}`, 'error')
+      return
+    }
+    await auditLog(profile.id, 'update_deadline', 'document', doc.id, { due_date: next.due_date || null, reminder_days: reminderDays })
+    setDoc({ ...next, reminder_days: reminderDays, reminder_sent_at: null, escalated_at: null })
+    onUpdate?.()
+    addToast('Termin zaktualizowany / Термін оновлено', 'success')
+  }
+
+  const updateResponsible = async (userId) => {
+    await supabase.from('documents').update({ responsible_user_id: userId || null, updated_at: new Date().toISOString() }).eq('id', doc.id)
+    const user = users.find(u => u.id === userId)
+    setDoc({ ...doc, responsible_user_id: userId, responsible: user })
+    onUpdate?.()
+    addToast('Odpowiedzialny zaktualizowany / Відповідального оновлено', 'success')
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal document-detail" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="doc-title">
+        <div className="modal-header">
+          <div>
+            <span className="doc-code">{doc.code}</span>
+            <h3 id="doc-title" className="doc-title-pl"><SafeText>{doc.name_pl}</SafeText></h3>
+            <p className="doc-title-uk"><SafeText>{doc.name_uk}</SafeText></p>
+          </div>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="doc-meta">
+            <div className="meta-item">
+              <label htmlFor="doc-status"><BiText pl="Status" uk="Статус" /></label>
+              <select id="doc-status" value={doc.status || 'pending'} onChange={e => updateStatus(e.target.value)} disabled={!canEditDetails || doc.status === 'in_review'}>
+                {STATUS_OPTIONS.map(opt => <option key={opt.value} value={opt.value} disabled={isReviewOnlyStatus(opt.value, doc.status)}>{opt.pl} / {opt.uk}</option>)}
+              </select>
+            </div>
+            <div className="meta-item">
+              <label htmlFor="doc-responsible"><BiText pl="Odpowiedzialny" uk="Відповідальний" /></label>
+              <select id="doc-responsible" value={doc.responsible_user_id || ''} onChange={e => updateResponsible(e.target.value)} disabled={!canEditDetails}>
+                <option value="">— Nie przypisano / Не призначено —</option>
+                {users.map(u => <option key={u.id} value={u.id}>{u.full_name || u.email} ({u.side})</option>)}
+              </select>
+            </div>
+            <div className="meta-item">
+              <label htmlFor="doc-due-date"><BiText pl="Termin" uk="Термін" /></label>
+              <input
+                id="doc-due-date"
+                type="date"
+                value={doc.due_date || ''}
+                onChange={e => updateDeadline({ due_date: e.target.value })}
+                disabled={!canEditDetails}
+              />
+              <DeadlineBadge doc={doc} />
+            </div>
+            <div className="meta-item">
+              <label htmlFor="doc-reminder-days"><BiText pl="Przypomnienie (dni przed)" uk="Нагадування (днів до)" /></label>
+              <input
+                id="doc-reminder-days"
+                type="number"
+                min={0}
+                max={60}
+                defaultValue={doc.reminder_days ?? DEFAULT_REMINDER_DAYS}
+                onBlur={e => {
+                  if (String(e.target.value) !== String(doc.reminder_days ?? DEFAULT_REMINDER_DAYS)) updateDeadline({ reminder_days: e.target.value })
+                }}
+                disabled={!canEditDetails || !doc.due_date}
+              />
+            </div>
+          </div>
+
+          {canPublishDocument && (
+            <div className="doc-publish-row">
+              <button type="button" className="btn-publish" onClick={() => setShowPublish(true)}>
+                📤 Publikuj dokument dla AUDITOR / Опублікувати документ для AUDITOR
+              </button>
+            </div>
+          )}
+          {showPublish && (
+            <PublishToAuditorModal
+              target={{ document_ids: [doc.id] }}
+              title={`${doc.code || ''} ${doc.name_pl || ''}`.trim()}
+              onClose={() => setShowPublish(false)}
+              onDone={() => setFilesRefreshKey(k => k + 1)}
+            />
+          )}
+          <ErrorBoundary>
+            <DocumentReviewPanel
+              doc={doc}
+              policyContext={permissions?.policyContext}
+              onChanged={changes => {
+                setDoc(prev => ({ ...prev, ...changes }))
+                onUpdate?.()
+              }}
+            />
+          </ErrorBoundary>
+          <ErrorBoundary>
+            <FileUpload document={doc} onUpdate={onUpdate} canAdd={canAdd} policyContext={permissions?.policyContext} canView={canView} canComment={canComment} focusFileId={document.focusFileId} refreshKey={filesRefreshKey} />
+          </ErrorBoundary>
+          <ErrorBoundary>
+            <Comments
+              entityType="document"
+              entityId={doc.id}
+              canComment={canComment}
+              canView={canView}
+              displayLanguage={displayLanguage}
+              title="Document comments / Коментарі документа"
+              refreshKey={doc.status}
+            />
+          </ErrorBoundary>
+          <ErrorBoundary>
+            <DocumentTimeline
+              documentId={doc.id}
+              policyContext={permissions?.policyContext}
+              displayLanguage={displayLanguage}
+              refreshKey={`${doc.status}|${doc.due_date || ''}`}
+            />
+          </ErrorBoundary>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// =====================================================
+// BULK DOCUMENT IMPORT
+// =====================================================
+const DOCUMENT_IMPORT_COLUMNS = {
+  code: ['code', 'kod', 'код', 'nr', 'no'],
+  name_pl: ['name_pl', 'nazwa_pl', 'nazwa', 'nazwa_(pl)', 'pl'],
+  name_uk: ['name_uk', 'name_ua', 'nazwa_uk', 'назва', 'назва_(uk)', 'uk', 'ua'],
+  responsible_email: ['responsible_email', 'responsible', 'email', 'odpowiedzialny', 'відповідальний'],
+  due_date: ['due_date', 'due', 'deadline', 'termin', 'термін'],
+  status: ['status', 'статус']
+}
+const DOCUMENT_IMPORT_MAX_ROWS = 1000
+
+function mapImportHeader(headerRow) {
+  const mapping = {}
+  headerRow.forEach((raw, idx) => {
+    const key = String(raw || '').trim().toLowerCase().replace(/\s+/g, '_')
+    for (const [field, aliases] of Object.entries(DOCUMENT_IMPORT_COLUMNS)) {
+      if (mapping[field] === undefined && aliases.includes(key)) mapping[field] = idx
+    }
+  })
+  return mapping
+}
+
+function parseImportDate(value) {
+  const text = String(value || '').trim()
+  if (!text) return { value: '' }
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  let y, m, d
+  if (match) [, y, m, d] = match
+  else if ((match = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/))) [, d, m, y] = match
+  else return { error: `zła data / невірна дата: ${text}` }
+  const iso = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+  const parsed = new Date(`${iso}T00:00:00Z`)
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== iso) {
+    return { error: `zła data / невірна дата: ${text}` }
+  }
+  return { value: iso }
+}
+
+function parseImportStatus(value) {
+  const text = String(value || '').trim().toLowerCase()
+  if (!text) return { value: '' }
+  const match = STATUS_OPTIONS.find(opt => (
+    opt.value === text ||
+    opt.pl.replace(/^\S+\s/, '').toLowerCase() === text ||
+    opt.uk.toLowerCase() === text
+  ))
+  return match ? { value: match.value } : { error: `nieznany status / невідомий статус: ${text}` }
+}
+
+// Builds the preview plan: one entry per data row with action create | update | unchanged | error.
+// Empty cells never overwrite existing values.
+function buildDocumentImportPlan(rows, existingDocuments, profilesByEmail) {
+  const [headerRow = [], ...dataRows] = rows
+  const columns = mapImportHeader(headerRow)
+  if (columns.code === undefined) {
+    return { error: 'Brak kolumny "code" / Немає колонки "code"', entries: [] }
+  }
+  const existingByCode = new Map((existingDocuments || []).map(doc => [String(doc.code || '').trim().toLowerCase(), doc]))
+  const seenCodes = new Set()
+  const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim())
+
+  const entries = dataRows.slice(0, DOCUMENT_IMPORT_MAX_ROWS).map((row, idx) => {
+    const rowNumber = idx + 2
+    const errors = []
+    const code = sanitizeText(cell(row, 'code'))
+    const namePl = sanitizeText(cell(row, 'name_pl'))
+    const nameUk = sanitizeText(cell(row, 'name_uk'))
+    const email = cell(row, 'responsible_email').toLowerCase()
+    const due = parseImportDate(cell(row, 'due_date'))
+    const status = parseImportStatus(cell(row, 'status'))
+
+    if (!code) errors.push('brak kodu / немає коду')
+    if (code && seenCodes.has(code.toLowerCase())) errors.push('zduplikowany kod / дубльований код')
+    seenCodes.add(code.toLowerCase())
+    if (due.error) errors.push(due.error)
+    if (status.error) errors.push(status.error)
+    let responsibleId = ''
+    if (email) {
+      responsibleId = profilesByEmail.get(email) || ''
+      if (!responsibleId) errors.push(`nieznany email / невідомий email: ${email}`)
+    }
+
+    const fields = {}
+    if (namePl) fields.name_pl = namePl
+    if (nameUk) fields.name_uk = nameUk
+    if (responsibleId) fields.responsible_user_id = responsibleId
+    if (due.value) fields.due_date = due.value
+    if (status.value) fields.status = status.value
+
+    const existing = existingByCode.get(code.toLowerCase())
+    if (!existing && !namePl && !nameUk) errors.push('brak nazwy / немає назви')
+    if (status.value && isReviewOnlyStatus(status.value, existing?.status)) {
+      errors.push(`status tylko przez przegląd / статус лише через перевірку: ${status.value}`)
+    }
+    if (errors.length > 0) return { rowNumber, code, email, action: 'error', errors, fields, changes: [] }
+
+    if (!existing) {
+      return { rowNumber, code, email, action: 'create', errors, fields, changes: Object.keys(fields) }
+    }
+    const changes = Object.keys(fields).filter(key => String(existing[key] ?? '') !== String(fields[key]))
+    return {
+      rowNumber,
+      code,
+      email,
+      action: changes.length ? 'update' : 'unchanged',
+      errors,
+      fields,
+      changes,
+      existing
+    }
+  })
+  return {
+    error: dataRows.length > DOCUMENT_IMPORT_MAX_ROWS ? `Tylko pierwsze ${DOCUMENT_IMPORT_MAX_ROWS} wierszy / Лише перші ${DOCUMENT_IMPORT_MAX_ROWS} рядків` : '',
+    entries
+  }
+}
+
+const IMPORT_ACTION_LABELS = {
+  create: 'Nowy / Новий',
+  update: 'Zmiana / Зміна',
+  unchanged: 'Bez zmian / Без змін',
+  error: 'Błąd / Помилка'
+}
+
+function DocumentImportModal({ section, documents, onClose, onImported }) {
+  const [fileName, setFileName] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [parsing, setParsing] = useState(false)
+  const [applying, setApplying] = useState(false)
+  const [applyResults, setApplyResults] = useState([])
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  useFocusTrap(modalRef, true)
+
+  const onPickFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setParsing(true)
+    setApplyResults([])
+    try {
+      const [rows, { data: profileRows }] = await Promise.all([
+        readTabularFile(file),
+        supabase.from('profiles').select('id, email').eq('is_active', true)
+      ])
+      const profilesByEmail = new Map((profileRows || []).map(p => [String(p.email || '').toLowerCase(), p.id]))
+      setFileName(file.name)
+      setPlan(buildDocumentImportPlan(rows, documents, profilesByEmail))
+    } catch (err) {
+      addToast(`Błąd pliku / Помилка файлу: ${sanitizeText(err?.message || 'parse_failed')}`, 'error')
+      setPlan(null)
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const entries = plan?.entries || []
+  const counts = entries.reduce((acc, entry) => ({ ...acc, [entry.action]: (acc[entry.action] || 0) + 1 }), {})
+  const actionable = entries.filter(entry => entry.action === 'create' || entry.action === 'update')
+
+  const applyImport = async () => {
+    if (!section?.id || actionable.length === 0) return
+    setApplying(true)
+    let nextOrder = (documents || []).reduce((max, doc) => Math.max(max, Number(doc.order_index) || 0), 0) + 1
+    // Row by row, so a duplicate code or a failing constraint only rejects its own row.
+    const results = []
+    for (const entry of actionable) {
+      let error = null
+      if (entry.action === 'create') {
+        ({ error } = await supabase.from('documents').insert({
+          section_id: section.id,
+          code: entry.code,
+          name_pl: entry.fields.name_pl || entry.fields.name_uk,
+          name_uk: entry.fields.name_uk || entry.fields.name_pl,
+          status: entry.fields.status || 'pending',
+          responsible_user_id: entry.fields.responsible_user_id || null,
+          due_date: entry.fields.due_date || null,
+          order_index: nextOrder,
+          created_by: profile.id
+        }))
+        if (!error) nextOrder++
+      } else {
+        const changes = Object.fromEntries(entry.changes.map(key => [key, entry.fields[key]]))
+        ;({ error } = await supabase
+          .from('documents')
+          .update({ ...changes, updated_at: new Date().toISOString() })
+          .eq('id', entry.existing.id))
+      }
+      results.push({ rowNumber: entry.rowNumber, code: entry.code, action: entry.action, ok: !error, message: error?.message || '' })
+    }
+    const failures = results.filter(r => !r.ok)
+
+    await auditLog(profile.id, 'bulk_import_documents', 'section', section.id, {
+      file_name: fileName,
+      created: results.filter(r => r.ok && r.action === 'create').length,
+      updated: results.filter(r => r.ok && r.action === 'update').length,
+      failed: failures.length
+    })
+    setApplying(false)
+    setApplyResults(results)
+    onImported?.()
+    if (failures.length === 0) {
+      addToast(`Zaimportowano ${actionable.length} / Імпортовано ${actionable.length}`, 'success')
+      onClose()
+    } else {
+      addToast(`Import częściowy: ${failures.length} błędów / Частковий імпорт: ${failures.length} помилок`, 'warning')
+      setPlan(null)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="doc-import-title">
+        <div className="modal-header">
+          <div>
+            <h2 id="doc-import-title"><BiText pl="Import dokumentów z CSV/XLSX" uk="Імпорт документів з CSV/XLSX" /></h2>
+            <p>{section?.code}. <SafeText>{section?.name_pl}</SafeText></p>
+          </div>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <p className="doc-import-help">
+            Kolumny / Колонки: code, name_pl, name_uk, responsible_email, due_date (YYYY-MM-DD / DD.MM.YYYY), status
+          </p>
+          <label className="upload-btn">
+            {parsing ? '...' : '📄 Wybierz plik / Оберіть файл'}
+            <input type="file" accept=".csv,.xlsx" onChange={onPickFile} style={{ display: 'none' }} disabled={parsing || applying} />
+          </label>
+          {fileName && <span className="doc-import-file"><SafeText>{fileName}</SafeText></span>}
+
+          {applyResults.length > 0 && (
+            <div className="users-table-container">
+              <table className="users-table" aria-label="Wynik importu / Результат імпорту">
+                <thead>
+                  <tr>
+                    <th scope="col">#</th>
+                    <th scope="col">Kod / Код</th>
+                    <th scope="col">Akcja / Дія</th>
+                    <th scope="col">Wynik / Результат</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {applyResults.map(r => (
+                    <tr key={r.rowNumber} className="doc-import-row">
+                      <td>{r.rowNumber}</td>
+                      <td><SafeText>{r.code || '—'}</SafeText></td>
+                      <td><span className={`doc-import-action ${r.action}`}>{IMPORT_ACTION_LABELS[r.action]}</span></td>
+                      <td>
+                        {r.ok
+                          ? <span className="doc-import-action create">✓ OK</span>
+                          : <span className="doc-import-action error"><SafeText>{r.message}</SafeText></span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {plan?.error && <div className="import-report-warning" role="alert">{plan.error}</div>}
+
+          {entries.length > 0 && (
+            <>
+              <div className="doc-import-summary">
+                {Object.keys(IMPORT_ACTION_LABELS).map(action => (
+                  <span key={action} className={`doc-import-action ${action}`}>{IMPORT_ACTION_LABELS[action]}: {counts[action] || 0}</span>
+                ))}
+              </div>
+              <div className="users-table-container">
+                <table className="users-table" aria-label="Podgląd importu / Попередній перегляд імпорту">
+                  <thead>
+                    <tr>
+                      <th scope="col">#</th>
+                      <th scope="col">Kod / Код</th>
+                      <th scope="col">Akcja / Дія</th>
+                      <th scope="col">Zmiany / Зміни</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entries.map(entry => (
+                      <tr key={entry.rowNumber} className={`doc-import-row ${entry.action}`}>
+                        <td>{entry.rowNumber}</td>
+                        <td><SafeText>{entry.code || '—'}</SafeText></td>
+                        <td><span className={`doc-import-action ${entry.action}`}>{IMPORT_ACTION_LABELS[entry.action]}</span></td>
+                        <td>
+                          {entry.action === 'error'
+                            ? <SafeText>{entry.errors.join('; ')}</SafeText>
+                            : entry.changes.map(key => (
+                              <div key={key} className="doc-import-change">
+                                <strong>{key}</strong>:{' '}
+                                {entry.existing && (
+                                  <><del><SafeText>{key === 'responsible_user_id' ? (entry.existing.responsible?.email || '—') : String(entry.existing[key] ?? '—')}</SafeText></del> → </>
+                                )}
+                                <SafeText>{key === 'responsible_user_id' ? entry.email : String(entry.fields[key])}</SafeText>
+                              </div>
+                            ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="doc-import-actions">
+                <button type="button" className="btn-secondary" onClick={onClose}>Anuluj / Скасувати</button>
+                <button type="button" className="btn-primary" onClick={applyImport} disabled={applying || actionable.length === 0}>
+                  {applying ? '...' : `Importuj ${actionable.length} / Імпортувати ${actionable.length}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// =====================================================
+// ENGAGEMENT TEMPLATES
+// =====================================================
+function countTemplateItems(template) {
+  const templateSections = Array.isArray(template?.payload?.sections) ? template.payload.sections : []
+  const documentsCount = templateSections.reduce((acc, sec) => acc + (Array.isArray(sec.documents) ? sec.documents.length : 0), 0)
+  return { sections: templateSections.length, documents: documentsCount }
+}
+
+function EngagementTemplatesPanel({ company, hasSections, onApplied }) {
+  const [templates, setTemplates] = useState([])
+  const [selectedTemplateId, setSelectedTemplateId] = useState('')
+  const [templateName, setTemplateName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  const safeSetState = useSafeAsync()
+
+  const loadTemplates = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('engagement_templates')
+      .select('id, name, description, payload, source_company_id, created_at')
+      .order('created_at', { ascending: false })
+    if (error) {
+      addToast(`Szablony niedostępne / Шаблони недоступні: ${sanitizeText(error.message || 'query_failed')}`, 'warning')
+      return
+    }
+    safeSetState(setTemplates)(data || [])
+  }, [addToast, safeSetState])
+
+  useEffect(() => { loadTemplates() }, [loadTemplates])
+
+  const selectedTemplate = templates.find(t => t.id === selectedTemplateId) || null
+  const selectedCounts = countTemplateItems(selectedTemplate)
+
+  const saveTemplate = async (e) => {
+    e.preventDefault()
+    const name = sanitizeText(templateName.trim())
+    if (!name) return
+    setBusy(true)
+    const { data: templateId, error } = await supabase.rpc('save_engagement_template', {
+      p_company_id: company.id,
+      p_name: name,
+      p_description: `${company.name_pl || ''} / ${company.name_uk || ''}`.trim()
+    })
+    if (error) {
+      addToast(`Błąd zapisu szablonu / Помилка збереження шаблону: ${sanitizeText(error.message || 'save_failed')}`, 'error')
+    } else {
+      await auditLog(profile.id, 'save_engagement_template', 'engagement_template', templateId, { company_id: company.id, name })
+      setTemplateName('')
+      addToast('Szablon zapisany / Шаблон збережено', 'success')
+      await loadTemplates()
+    }
+    setBusy(false)
+  }
+
+  const applyTemplate = async () => {
+    if (!selectedTemplate || hasSections) return
+    if (!confirm(`Zastosować szablon "${selectedTemplate.name}" do ${company.name_pl}? / Застосувати шаблон до ${company.name_uk}?`)) return
+    setBusy(true)
+    const { data, error } = await supabase.rpc('apply_engagement_template', {
+      p_template_id: selectedTemplate.id,
+      p_company_id: company.id
+    })
+    if (error) {
+      const message = /company_not_empty/.test(error.message || '')
+        ? 'Firma ma już sekcje / Компанія вже має розділи'
+        : sanitizeText(error.message || 'apply_failed')
+      addToast(`Błąd szablonu / Помилка шаблону: ${message}`, 'error')
+    } else {
+      await auditLog(profile.id, 'apply_engagement_template', 'company', company.id, { template_id: selectedTemplate.id, ...data })
+      addToast(`Utworzono ${data?.sections_created || 0} sekcji i ${data?.documents_created || 0} dokumentów / Створено розділів: ${data?.sections_created || 0}, документів: ${data?.documents_created || 0}`, 'success')
+      onApplied?.()
+    }
+    setBusy(false)
+  }
+
+  const deleteTemplate = async () => {
+    if (!selectedTemplate) return
+    if (!confirm('Usunąć szablon? / Видалити шаблон?')) return
+    const { error } = await supabase.from('engagement_templates').delete().eq('id', selectedTemplate.id)
+    if (error) {
+      addToast(`Błąd / Помилка: ${sanitizeText(error.message || 'delete_failed')}`, 'error')
+      return
+    }
+    await auditLog(profile.id, 'delete_engagement_template', 'engagement_template', selectedTemplate.id, { name: selectedTemplate.name })
+    setSelectedTemplateId('')
+    await loadTemplates()
+  }
+
+  return (
+    <div className="engagement-templates">
+      <h3><BiText pl="Szablony zlecenia" uk="Шаблони завдання" /></h3>
+      <div className="engagement-templates-row">
+        <select value={selectedTemplateId} onChange={e => setSelectedTemplateId(e.target.value)} aria-label="Szablon / Шаблон">
+          <option value="">— Wybierz szablon / Оберіть шаблон —</option>
+          {templates.map(t => {
+            const counts = countTemplateItems(t)
+            return <option key={t.id} value={t.id}>{t.name} ({counts.sections} / {counts.documents})</option>
+          })}
+        </select>
+        <button type="button" className="btn-primary" onClick={applyTemplate} disabled={busy || !selectedTemplate || hasSections}>
+          Zastosuj / Застосувати
+        </button>
+        <button type="button" className="btn-danger" onClick={deleteTemplate} disabled={busy || !selectedTemplate} aria-label="Usuń szablon / Видалити шаблон">🗑️</button>
+      </div>
+      {selectedTemplate && (
+        <small className="engagement-templates-hint">
+          {selectedCounts.sections} sekcji, {selectedCounts.documents} dokumentów / {selectedCounts.sections} розділів, {selectedCounts.documents} документів
+          {hasSections && ' · Szablon można zastosować tylko do pustej firmy / Шаблон можна застосувати лише до порожньої компанії'}
+        </small>
+      )}
+      <form onSubmit={saveTemplate} className="engagement-templates-row">
+        <input
+          value={templateName}
+          onChange={e => setTemplateName(e.target.value)}
+          placeholder="Nazwa nowego szablonu / Назва нового шаблону"
+          aria-label="Nazwa szablonu / Назва шаблону"
+          maxLength={120}
+          required
+        />
+        <button type="submit" className="btn-secondary" disabled={busy || !hasSections}>
+          💾 Zapisz firmę jako szablon / Зберегти компанію як шаблон
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// =====================================================
+// SECTION MANAGER
+// =====================================================
+function SectionManager({ company, sections, onUpdate, onClose, canManageMain }) {
+  const [newSection, setNewSection] = useState({ code: getNextSectionCode(sections), name_pl: '', name_uk: '' })
+  const [parentSectionId, setParentSectionId] = useState('')
+  const [allSections, setAllSections] = useState([])
+  const [creating, setCreating] = useState(false)
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const profile = useProfile()
+
+  useFocusTrap(modalRef, true)
+
+  useEffect(() => {
+    setNewSection(prev => ({ ...prev, code: getNextSectionCode(sections) }))
+  }, [sections])
+
+  useEffect(() => {
+    const loadAllSections = async () => {
+      const { data } = await supabase
+        .from('document_sections')
+        .select('id, parent_section_id, code, name_pl, name_uk, order_index')
+        .eq('company_id', company.id)
+        .order('order_index')
+      setAllSections(data || [])
+    }
+    loadAllSections()
+  }, [company.id, sections])
+
+  const createSection = async (e) => {
+    e.preventDefault()
+    if (!canManageMain && !parentSectionId) {
+      addToast('Only admin can create root folders. Choose parent folder.', 'warning')
+      return
+    }
+    setCreating(true)
+    const { error } = await supabase.from('document_sections').insert({
+      company_id: company.id,
+      code: sanitizeText(newSection.code || getNextSectionCode(sections)),
+      name_pl: sanitizeText(newSection.name_pl),
+      name_uk: sanitizeText(newSection.name_uk),
+      parent_section_id: parentSectionId || null,
+      order_index: sections.length + 1,
+      created_by: profile.id
+    })
+
+    if (!error) {
+      setNewSection({ code: getNextSectionCode(sections), name_pl: '', name_uk: '' })
+      setParentSectionId('')
+      onUpdate()
+      addToast('Sekcja utworzona / Розділ створено', 'success')
+    }
+    setCreating(false)
+  }
+
+  const deleteSection = async (sectionId) => {
+    const section = (allSections.length ? allSections : sections).find((s) => s.id === sectionId)
+    if (!canManageMain && !section?.parent_section_id) {
+      addToast('Only admin can delete root folders.', 'error')
+      return
+    }
+    if (!confirm('Usunąć sekcję? / Видалити розділ?')) return
+    await supabase.from('document_sections').delete().eq('id', sectionId)
+    onUpdate()
+    addToast('Sekcja usunięta / Розділ видалено', 'success')
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal section-manager" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true">
+        <div className="modal-header">
+          <h2><BiText pl="Zarządzanie sekcjami" uk="Управління розділами" /></h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          {canManageMain && (
+            <EngagementTemplatesPanel
+              company={company}
+              hasSections={(allSections.length ? allSections : sections).length > 0}
+              onApplied={onUpdate}
+            />
+          )}
+          <form onSubmit={createSection} className="section-form">
+            <input placeholder="Kod auto" value={newSection.code} readOnly maxLength={10} aria-label="Kod sekcji (auto)" />
+            <input placeholder="Nazwa (PL)" value={newSection.name_pl} onChange={e => setNewSection({...newSection, name_pl: e.target.value})} required aria-label="Nazwa polska" />
+            <input placeholder="Назва (UK)" value={newSection.name_uk} onChange={e => setNewSection({...newSection, name_uk: e.target.value})} required aria-label="Nazwa ukraińska" />
+            <select value={parentSectionId} onChange={e => setParentSectionId(e.target.value)} aria-label="Sekcja nadrzędna">
+              <option value="">{canManageMain ? 'Folder główny / Головна папка' : 'Wymagana папка nadrzędna / Потрібна батьківська папка'}</option>
+              {(allSections || []).map(s => (
+                <option key={s.id} value={s.id}>{s.code} {s.name_pl}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={creating}>{creating ? '...' : '+ Dodaj / Додати'}</button>
+          </form>
+
+          <div className="sections-list">
+            {(allSections.length ? allSections : sections).map(s => (
+              <div key={s.id} className="section-item">
+                <span className="section-code">{s.code}</span>
+                <span className="section-name"><SafeText>{s.name_pl}</SafeText> / <SafeText>{s.name_uk}</SafeText></span>
+                <button onClick={() => deleteSection(s.id)} className="btn-danger" aria-label={`Usuń sekcję ${s.code}`}>🗑️</button>
+              </div>
+            ))}
+          </div>
         </div>
       </div>
     </div>
@@ -3408,206 +6319,439 @@ function UserManagement({ onClose }) {
 }
 
 // =====================================================
-// AUDIT LOG COMPONENT
+// NOTIFICATIONS BELL
 // =====================================================
-function AuditLog({ onClose }) {
-  const [logs, setLogs] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [loadingMore, setLoadingMore] = useState(false)
-  const [hasMore, setHasMore] = useState(true)
-  const [page, setPage] = useState(0)
-  const [filter, setFilter] = useState('')
-  const debouncedFilter = useDebounce(filter, 300)
-  const modalRef = useRef(null)
+function NotificationsBell() {
+  const [notifications, setNotifications] = useState([])
+  const [showDropdown, setShowDropdown] = useState(false)
+  const profile = useProfile()
   const safeSetState = useSafeAsync()
-  const PAGE_SIZE = 60
-
-  useFocusTrap(modalRef, true)
+  const channelRef = useRef(null)
 
-  const loadPage = useCallback(async (pageIndex = 0, append = false) => {
-    const from = pageIndex * PAGE_SIZE
-    const to = from + PAGE_SIZE - 1
-    const { data } = await supabase
-      .from('audit_log')
-      .select('*, user:user_id(full_name, email, side)')
-      .order('created_at', { ascending: false })
-      .range(from, to)
+  useEffect(() => {
+    const load = async () => {
+      if (!profile?.id) return
+      const { data } = await supabase
+        .from('notifications')
+        .select('*')
+        .eq('user_id', profile.id)
+        .eq('is_read', false)
+        .order('created_at', { ascending: false })
+        .limit(10)
+      safeSetState(setNotifications)(data || [])
+    }
+    load()
 
-    const rows = data || []
-    if (append) {
-      safeSetState(setLogs)(prev => [...prev, ...rows])
-    } else {
-      safeSetState(setLogs)(rows)
+    if (profile?.id && isValidUUID(profile.id)) {
+      channelRef.current = supabase
+        .channel(`notifications_${profile.id}`)
+        .on('postgres_changes',
+          { event: 'INSERT', schema: 'public', table: 'notifications' },
+          (payload) => {
+            if (payload.new.user_id === profile.id) {
+              load()
+            }
+          }
+        )
+        .subscribe()
     }
-    safeSetState(setHasMore)(rows.length === PAGE_SIZE)
-    safeSetState(setPage)(pageIndex)
-  }, [safeSetState])
 
-  useEffect(() => {
-    const loadInitial = async () => {
-      await loadPage(0, false)
-      safeSetState(setLoading)(false)
+    return () => {
+      if (channelRef.current) {
+        supabase.removeChannel(channelRef.current)
+      }
     }
-    loadInitial()
-  }, [loadPage, safeSetState])
+  }, [profile?.id, safeSetState])
 
-  const loadMore = async () => {
-    if (loadingMore || !hasMore) return
-    setLoadingMore(true)
-    await loadPage(page + 1, true)
-    setLoadingMore(false)
+  const markAsRead = async (id) => {
+    await supabase.from('notifications').update({ is_read: true }).eq('id', id)
+    setNotifications(prev => prev.filter(n => n.id !== id))
   }
 
-  const actionLabels = {
-    'upload_file': '📤 Przesłanie pliku',
-    'delete_file': '🗑️ Usunięcie pliku',
-    'download_file': '⬇️ Pobranie pliku',
-    'view_file': '👁️ Podgląd pliku',
-    'view_document': '👁️ Podgląd dokumentu',
-    'update_status': '🔄 Zmiana statusu',
-    'add_comment': '💬 Dodanie komentarza',
-    'create_user': '👤 Utworzenie użytkownika',
-    'update_user': '✏️ Aktualizacja użytkownika',
-    'invite_send': '✉️ Wysłanie zaproszenia',
-    'invite_resend': '🔁 Ponowne wysłanie zaproszenia',
-    'invite_revoke': '⛔ Cofnięcie zaproszenia'
+  const markAllRead = async () => {
+    await supabase.from('notifications').update({ is_read: true }).eq('user_id', profile.id)
+    setNotifications([])
   }
 
-  const filtered = useMemo(() => {
-    if (!debouncedFilter) return logs
-    const lower = debouncedFilter.toLowerCase()
-    return logs.filter(l => l.action?.includes(lower) || l.user?.email?.toLowerCase().includes(lower))
-  }, [logs, debouncedFilter])
-
   return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div ref={modalRef} className="modal audit-log wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="audit-title">
-        <div className="modal-header">
-          <h2 id="audit-title"><BiText pl="Dziennik audytu" uk="Журнал аудиту" /></h2>
-          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
-        </div>
-        <div className="modal-body">
-          <input type="search" placeholder="Filtr... / Фільтр..." value={filter} onChange={e => setFilter(e.target.value)} className="filter-input" aria-label="Filtruj logi" />
-          {loading ? <div className="loading">...</div> : (
-            <>
-              <div className="audit-list" role="log">
-                {filtered.map(log => (
-                  <div key={log.id} className="audit-item">
-                    <div className="audit-header">
-                      <span className="audit-action">{actionLabels[log.action] || log.action}</span>
-                      <time dateTime={log.created_at}>{new Date(log.created_at).toLocaleString()}</time>
-                    </div>
-                    <div className="audit-user">
-                      <SafeText>{log.user?.full_name || log.user?.email || 'System'}</SafeText>
-                      {log.user?.side && <span className={`side-badge ${sideClass(log.user.side)}`}>{formatSideLabel(log.user.side)}</span>}
-                    </div>
-                    {log.details && <pre className="audit-details">{JSON.stringify(log.details, null, 2)}</pre>}
-                  </div>
-                ))}
-              </div>
-              <div className="audit-footer">
-                <span>{logs.length} / {hasMore ? '...' : logs.length}</span>
-                <button onClick={loadMore} disabled={!hasMore || loadingMore}>
-                  {loadingMore ? '...' : 'Więcej / Більше'}
-                </button>
+    <div className="notifications-bell">
+      <button
+        onClick={() => setShowDropdown(!showDropdown)}
+        className="bell-btn"
+        aria-label={`Powiadomienia (${notifications.length} nieprzeczytanych)`}
+        aria-expanded={showDropdown}
+        aria-haspopup="true"
+      >
+        🔔 {notifications.length > 0 && <span className="badge" aria-hidden="true">{notifications.length}</span>}
+      </button>
+      {showDropdown && (
+        <div className="notifications-dropdown" role="menu" aria-label="Powiadomienia">
+          <div className="notif-header">
+            <BiText pl="Powiadomienia" uk="Сповіщення" />
+            {notifications.length > 0 && <button onClick={markAllRead}>✓ Wszystko</button>}
+          </div>
+          {notifications.length === 0 ? (
+            <div className="no-notif"><BiText pl="Brak powiadomień" uk="Немає сповіщень" /></div>
+          ) : (
+            notifications.map(n => (
+              <div key={n.id} className="notif-item" onClick={() => markAsRead(n.id)} role="menuitem" tabIndex={0} onKeyPress={e => e.key === 'Enter' && markAsRead(n.id)}>
+                <strong><SafeText>{n.title}</SafeText></strong>
+                <p><SafeText>{n.message}</SafeText></p>
+                {/^https?:\/\//.test(n.link_url || '') && (
+                  <a className="notif-link" href={n.link_url} target="_blank" rel="noopener noreferrer" onClick={e => e.stopPropagation()}>
+                    ⬇ Pobierz / Завантажити
+                  </a>
+                )}
+                <time dateTime={n.created_at}>{new Date(n.created_at).toLocaleString()}</time>
               </div>
-            </>
+            ))
           )}
         </div>
+      )}
+    </div>
+  )
+}
+
+function DeadlineBadge({ doc }) {
+  const deadline = getDeadlineState(doc)
+  if (!deadline) return null
+  const label = deadline.tone === 'overdue'
+    ? `⏰ ${-deadline.daysLeft} d po terminie / після терміну`
+    : deadline.daysLeft === 0
+      ? '⏰ Dziś / Сьогодні'
+      : `📅 ${doc.due_date}`
+  return (
+    <span className={`deadline-badge ${deadline.tone}`} title={`Termin / Термін: ${doc.due_date}`}>
+      {label}
+    </span>
+  )
+}
+
+function SmartInbox({ documents, profile }) {
+  const critical = useMemo(() => (documents || []).filter(d => d.status === 'missing'), [documents])
+  const inProgress = useMemo(() => (documents || []).filter(d => d.status === 'in_progress'), [documents])
+  const unassigned = useMemo(() => (documents || []).filter(d => !d.responsible_user_id), [documents])
+  const myDocs = useMemo(() => (documents || []).filter(d => d.responsible_user_id === profile?.id), [documents, profile?.id])
+  const overdue = useMemo(() => (documents || [])
+    .filter(d => getDeadlineState(d)?.tone === 'overdue')
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date))), [documents])
+  const dueSoon = useMemo(() => (documents || []).filter(d => getDeadlineState(d)?.tone === 'soon'), [documents])
+
+  const cards = [
+    { id: 'overdue', titlePl: 'Po terminie', titleUk: 'Прострочені', value: overdue.length, tone: 'danger' },
+    { id: 'due-soon', titlePl: 'Termin wkrótce', titleUk: 'Термін незабаром', value: dueSoon.length, tone: 'warning' },
+    { id: 'critical', titlePl: 'Krytyczne braki', titleUk: 'Критичні відсутності', value: critical.length, tone: 'danger' },
+    { id: 'progress', titlePl: 'W trakcie', titleUk: 'В роботі', value: inProgress.length, tone: 'warning' },
+    { id: 'unassigned', titlePl: 'Bez odpowiedzialnego', titleUk: 'Без відповідального', value: unassigned.length, tone: 'muted' },
+    { id: 'mine', titlePl: 'Moje dokumenty', titleUk: 'Мої документи', value: myDocs.length, tone: 'success' }
+  ]
+
+  return (
+    <section className="smart-inbox" aria-label="Smart Inbox">
+      <h4><BiText pl="Priorytety dnia" uk="Пріоритети дня" /></h4>
+      <div className="inbox-grid">
+        {cards.map(card => (
+          <article key={card.id} className={`inbox-card ${card.tone}`}>
+            <span className="inbox-value">{card.value}</span>
+            <span className="inbox-label">
+              <span className="text-pl">{card.titlePl}</span>
+              <span className="text-uk">{card.titleUk}</span>
+            </span>
+          </article>
+        ))}
+      </div>
+      {overdue.length > 0 && (
+        <ul className="inbox-overdue-list" aria-label="Po terminie / Прострочені">
+          {overdue.slice(0, 5).map(d => (
+            <li key={d.id}>
+              <span className="doc-code">{d.code}</span>
+              <span className="inbox-overdue-name"><SafeText>{d.name_pl || d.name_uk}</SafeText></span>
+              <DeadlineBadge doc={d} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function InlineDocumentDrawer({ document, onUpdate, displayLanguage, permissions }) {
+  const canAdd = Boolean(permissions?.can_upload)
+  const canComment = Boolean(permissions?.can_comment)
+  const canView = true
+
+  return (
+    <div className="inline-doc-drawer">
+      <div className="inline-doc-meta">
+        <span className="doc-code">{document.code}</span>
+        <strong><SafeText>{document.name_pl}</SafeText></strong>
+        <span><SafeText>{document.name_uk}</SafeText></span>
+      </div>
+      <div className="inline-doc-panels">
+        <ErrorBoundary>
+          <FileUpload document={document} onUpdate={onUpdate} canAdd={canAdd} policyContext={permissions?.policyContext} canView={canView} canComment={canComment} />
+        </ErrorBoundary>
+        <ErrorBoundary>
+          <Comments
+            entityType="document"
+            entityId={document.id}
+            canComment={canComment}
+            canView={canView}
+            displayLanguage={displayLanguage}
+            title="Document comments / Коментарі документа"
+          />
+        </ErrorBoundary>
       </div>
     </div>
   )
 }
 
 // =====================================================
-// DOCUMENT DETAIL MODAL
+// GLOBAL SEARCH
 // =====================================================
-function DocumentDetail({ document, onClose, onUpdate, displayLanguage, permissions }) {
-  const [doc, setDoc] = useState(document)
-  const [users, setUsers] = useState([])
-  const modalRef = useRef(null)
-  const addToast = useToast()
-  const profile = useProfile()
-  const safeSetState = useSafeAsync()
+const SEARCH_KIND_META = {
+  document: { icon: '📄', pl: 'Dokument', uk: 'Документ' },
+  file: { icon: '📎', pl: 'Plik', uk: 'Файл' },
+  comment: { icon: '💬', pl: 'Komentarz', uk: 'Коментар' },
+  chat_message: { icon: '🗨️', pl: 'Wiadomość', uk: 'Повідомлення' }
+}
 
-  const isSuperAdmin = profile?.role === 'super_admin'
-  const isAdmin = isSuperAdmin || profile?.role === 'lawyer_admin'
-  const canAdd = isAdmin || Boolean(permissions?.can_upload)
-  const canDelete = isAdmin || Boolean(permissions?.can_manage)
-  const canComment = isAdmin || Boolean(permissions?.can_comment)
-  const canView = true
+// search_audit() wraps matches in «» so they can be highlighted without rendering HTML.
+function SearchSnippet({ text }) {
+  const parts = String(text || '').split(/(«[^»]*»)/g)
+  return (
+    <span className="search-snippet">
+      {parts.map((part, idx) => (
+        part.startsWith('«') && part.endsWith('»')
+          ? <mark key={idx}><SafeText>{part.slice(1, -1)}</SafeText></mark>
+          : <SafeText key={idx}>{part}</SafeText>
+      ))}
+    </span>
+  )
+}
 
-  useFocusTrap(modalRef, true)
+function GlobalSearch({ companyId, onOpenResult }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [open, setOpen] = useState(false)
+  const debouncedQuery = useDebounce(query.trim(), 350)
+  const containerRef = useRef(null)
+  const addToast = useToast()
+  const safeSetState = useSafeAsync()
 
   useEffect(() => {
-    const handleEsc = (e) => { if (e.key === 'Escape') onClose() }
-    window.document.addEventListener('keydown', handleEsc)
-    return () => window.document.removeEventListener('keydown', handleEsc)
-  }, [onClose])
+    if (debouncedQuery.length < 2 || !companyId) {
+      setResults([])
+      return
+    }
+    let cancelled = false
+    setSearching(true)
+    supabase
+      .rpc('search_audit', { p_query: debouncedQuery, p_company_id: companyId, p_limit: 30 })
+      .then(({ data, error }) => {
+        if (cancelled) return
+        if (error) {
+          addToast(`Błąd wyszukiwania / Помилка пошуку: ${sanitizeText(error.message || 'search_failed')}`, 'error')
+          safeSetState(setResults)([])
+        } else {
+          safeSetState(setResults)(Array.isArray(data) ? data : [])
+        }
+        safeSetState(setSearching)(false)
+      })
+    return () => { cancelled = true }
+  }, [debouncedQuery, companyId, addToast, safeSetState])
 
   useEffect(() => {
-    supabase.from('profiles').select('id, full_name, email, side').eq('is_active', true).then(({ data }) => safeSetState(setUsers)(data || []))
-    logAudit(profile?.id, 'view_document', 'document', document.id)
-  }, [document.id, profile?.id, safeSetState])
+    if (!open) return
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false)
+    }
+    window.document.addEventListener('mousedown', handleClick)
+    return () => window.document.removeEventListener('mousedown', handleClick)
+  }, [open])
 
-  const updateStatus = async (status) => {
-    await supabase.from('documents').update({ status, updated_at: new Date().toISOString() }).eq('id', doc.id)
-    await logAudit(profile.id, 'update_status', 'document', doc.id, { status })
-    setDoc({ ...doc, status })
-    onUpdate?.()
-    addToast('Status zaktualizowany / Статус оновлено', 'success')
+  const pick = (hit) => {
+    setOpen(false)
+    onOpenResult(hit)
   }
 
-  const updateResponsible = async (userId) => {
-    await supabase.from('documents').update({ responsible_user_id: userId || null, updated_at: new Date().toISOString() }).eq('id', doc.id)
-    const user = users.find(u => u.id === userId)
-    setDoc({ ...doc, responsible_user_id: userId, responsible: user })
-    onUpdate?.()
-    addToast('Odpowiedzialny zaktualizowany / Відповідального оновлено', 'success')
+  return (
+    <div className="global-search" ref={containerRef}>
+      <input
+        type="search"
+        className="filter-input"
+        value={query}
+        onChange={e => { setQuery(e.target.value); setOpen(true) }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={e => { if (e.key === 'Escape') setOpen(false) }}
+        placeholder="🔍 Szukaj wszędzie / Шукати всюди"
+        aria-label="Szukaj wszędzie / Шукати всюди"
+        maxLength={200}
+      />
+      {open && debouncedQuery.length >= 2 && (
+        <ul className="global-search-results" role="listbox" aria-busy={searching}>
+          {searching && results.length === 0 && <li className="global-search-empty">Szukam... / Шукаю...</li>}
+          {!searching && results.length === 0 && <li className="global-search-empty">Brak wyników / Немає результатів</li>}
+          {results.map(hit => {
+            const meta = SEARCH_KIND_META[hit.kind] || SEARCH_KIND_META.document
+            return (
+              <li key={`${hit.kind}-${hit.id}`} role="option" aria-selected={false}>
+                <button type="button" onClick={() => pick(hit)}>
+                  <span className="global-search-kind" aria-hidden="true">{meta.icon}</span>
+                  <span className="global-search-body">
+                    <span className="global-search-title">
+                      <SafeText>{hit.title || meta.pl}</SafeText>
+                      <small>{meta.pl} / {meta.uk}</small>
+                    </span>
+                    <SearchSnippet text={hit.snippet} />
+                  </span>
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// =====================================================
+// STATUS REPORTS
+// =====================================================
+function getStatusLabels(status) {
+  const opt = STATUS_OPTIONS.find(o => o.value === (status || 'pending')) || STATUS_OPTIONS[0]
+  return { pl: opt.pl.replace(/^\S+\s/, ''), uk: opt.uk }
+}
+
+// Returns report sections for one top-level section and its subtree, in tree order.
+// `preloaded` lets the currently open section reuse the documents and docFileStats already on screen.
+async function collectStatusReportSections(rootSection, preloaded = null) {
+  const sectionIds = await loadSectionTreeIds(rootSection.id)
+  const { data: sectionRows } = await supabase
+    .from('document_sections')
+    .select('id, code, name_pl, name_uk')
+    .in('id', sectionIds)
+  let docs = preloaded?.documents
+  let fileStats = preloaded?.fileStats
+  if (!docs) {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*, responsible:profiles!documents_responsible_user_id_fkey(full_name, email, side)')
+      .in('section_id', sectionIds)
+      .order('order_index')
+    if (error) throw error
+    docs = data || []
+    fileStats = (await loadDocumentFileStats(docs.map(d => d.id))) || {}
+  }
+  const sectionById = new Map((sectionRows || []).map(row => [row.id, row]))
+  return sectionIds
+    .map(id => {
+      const section = sectionById.get(id) || (id === rootSection.id ? rootSection : null)
+      if (!section) return null
+      const sectionDocs = docs.filter(doc => doc.section_id === id).map(doc => {
+        const stat = fileStats?.[doc.id] || {}
+        const labels = getStatusLabels(doc.status)
+        const lastActivity = [doc.updated_at, doc.created_at, stat.lastAt]
+          .filter(Boolean)
+          .sort()
+          .pop() || null
+        return {
+          code: doc.code || '',
+          name_pl: doc.name_pl || '',
+          name_uk: doc.name_uk || '',
+          status: doc.status || 'pending',
+          status_pl: labels.pl,
+          status_uk: labels.uk,
+          responsible: doc.responsible?.full_name || doc.responsible?.email || '',
+          due_date: doc.due_date || '',
+          files: stat.total || 0,
+          last_activity: lastActivity
+        }
+      })
+      return { code: section.code, name_pl: section.name_pl, name_uk: section.name_uk, documents: sectionDocs }
+    })
+    .filter(section => section && (section.documents.length > 0 || section.code === rootSection.code))
+}
+
+function StatusReportModal({ company, sections, activeSection, documents, docFileStats, onClose }) {
+  const [scope, setScope] = useState(activeSection ? 'section' : 'company')
+  const [busyFormat, setBusyFormat] = useState('')
+  const modalRef = useRef(null)
+  const addToast = useToast()
+  const auditLog = useAuditLog()
+  const profile = useProfile()
+  useFocusTrap(modalRef, true)
+
+  const generate = async (format) => {
+    if (!company?.id) return
+    setBusyFormat(format)
+    try {
+      const roots = scope === 'section' && activeSection ? [activeSection] : sections
+      const reportSections = []
+      for (const root of roots) {
+        const preloaded = root.id === activeSection?.id ? { documents, fileStats: docFileStats } : null
+        reportSections.push(...await collectStatusReportSections(root, preloaded))
+      }
+      const companyName = [company.name_pl, company.name_uk].filter(Boolean).join(' / ') || company.name || ''
+      const report = {
+        title: 'Raport statusu audytu / Звіт про стан аудиту',
+        scope: scope === 'section' && activeSection
+          ? `${companyName} — ${activeSection.code}. ${activeSection.name_pl || ''}`
+          : companyName,
+        generatedAt: new Date().toISOString(),
+        generatedBy: profile?.full_name || profile?.email || '',
+        sections: reportSections
+      }
+      const blob = format === 'pdf' ? await buildStatusReportPdf(report) : await buildStatusReportXlsx(report)
+      downloadBlob(blob, statusReportFileName(report, format))
+      const totals = summarizeReport(report)
+      await auditLog(profile.id, 'export_status_report', 'company', company.id, {
+        format,
+        scope,
+        section_id: scope === 'section' ? activeSection?.id || null : null,
+        documents: totals.total,
+        done: totals.done
+      })
+      addToast('Raport wygenerowany / Звіт сформовано', 'success')
+    } catch (err) {
+      addToast(`Błąd raportu / Помилка звіту: ${sanitizeText(err?.message || 'report_failed')}`, 'error')
+    } finally {
+      setBusyFormat('')
+    }
   }
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div ref={modalRef} className="modal document-detail" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="doc-title">
+      <div ref={modalRef} className="modal" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="status-report-title">
         <div className="modal-header">
-          <div>
-            <span className="doc-code">{doc.code}</span>
-            <h3 id="doc-title" className="doc-title-pl"><SafeText>{doc.name_pl}</SafeText></h3>
-            <p className="doc-title-uk"><SafeText>{doc.name_uk}</SafeText></p>
-          </div>
+          <h2 id="status-report-title"><BiText pl="Raport statusu" uk="Звіт про стан" /></h2>
           <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
         </div>
-
         <div className="modal-body">
-          <div className="doc-meta">
-            <div className="meta-item">
-              <label htmlFor="doc-status"><BiText pl="Status" uk="Статус" /></label>
-              <select id="doc-status" value={doc.status || 'pending'} onChange={e => updateStatus(e.target.value)} disabled={!isAdmin}>
-                {STATUS_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.pl} / {opt.uk}</option>)}
-              </select>
-            </div>
-            <div className="meta-item">
-              <label htmlFor="doc-responsible"><BiText pl="Odpowiedzialny" uk="Відповідальний" /></label>
-              <select id="doc-responsible" value={doc.responsible_user_id || ''} onChange={e => updateResponsible(e.target.value)} disabled={!isAdmin}>
-                <option value="">— Nie przypisano / Не призначено —</option>
-                {users.map(u => <option key={u.id} value={u.id}>{u.full_name || u.email} ({u.side})</option>)}
-              </select>
-            </div>
+          <fieldset className="status-report-scope">
+            <legend>Zakres / Обсяг</legend>
+            <label>
+              <input type="radio" name="status-report-scope" value="section" checked={scope === 'section'} disabled={!activeSection} onChange={() => setScope('section')} />
+              {' '}Bieżąca sekcja / Поточна секція{activeSection ? `: ${activeSection.code}. ` : ''}
+              {activeSection && <SafeText>{activeSection.name_pl}</SafeText>}
+            </label>
+            <label>
+              <input type="radio" name="status-report-scope" value="company" checked={scope === 'company'} onChange={() => setScope('company')} />
+              {' '}Cała firma / Вся компанія ({sections.length})
+            </label>
+          </fieldset>
+          <p className="status-report-help">
+            Dokumenty, statusy, odpowiedzialni, liczba plików i ostatnia aktywność. / Документи, статуси, відповідальні, кількість файлів та остання активність.
+          </p>
+          <div className="status-report-actions">
+            <button type="button" className="btn-secondary" onClick={() => generate('xlsx')} disabled={Boolean(busyFormat)}>
+              {busyFormat === 'xlsx' ? '...' : '📊 XLSX'}
+            </button>
+            <button type="button" className="btn-primary" onClick={() => generate('pdf')} disabled={Boolean(busyFormat)}>
+              {busyFormat === 'pdf' ? '...' : '📄 PDF (PL/UK)'}
+            </button>
           </div>
-
-          <ErrorBoundary>
-            <FileUpload document={doc} onUpdate={onUpdate} canAdd={canAdd} canDelete={canDelete} canView={canView} canComment={canComment} />
-          </ErrorBoundary>
-          <ErrorBoundary>
-            <Comments
-              entityType="document"
-              entityId={doc.id}
-              canComment={canComment}
-              canView={canView}
-              displayLanguage={displayLanguage}
-              title="Document comments / Коментарі документа"
-            />
-          </ErrorBoundary>
         </div>
       </div>
     </div>
@@ -3615,103 +6759,169 @@ function DocumentDetail({ document, onClose, onUpdate, displayLanguage, permissi
 }
 
 // =====================================================
-// SECTION MANAGER
+// VERSION RETENTION
 // =====================================================
-function SectionManager({ company, sections, onUpdate, onClose, canManageMain }) {
-  const [newSection, setNewSection] = useState({ code: getNextSectionCode(sections), name_pl: '', name_uk: '' })
-  const [parentSectionId, setParentSectionId] = useState('')
-  const [allSections, setAllSections] = useState([])
-  const [creating, setCreating] = useState(false)
+const DEFAULT_RETENTION_POLICY = { enabled: false, keep_last: 10, keep_days: 90, keep_tagged: true }
+
+function RetentionPolicyModal({ company, onClose }) {
+  const [policy, setPolicy] = useState(DEFAULT_RETENTION_POLICY)
+  const [runs, setRuns] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState('')
+  const [preview, setPreview] = useState(null)
   const modalRef = useRef(null)
   const addToast = useToast()
+  const auditLog = useAuditLog()
   const profile = useProfile()
+  const safeSetState = useSafeAsync()
 
   useFocusTrap(modalRef, true)
 
-  useEffect(() => {
-    setNewSection(prev => ({ ...prev, code: getNextSectionCode(sections) }))
-  }, [sections])
+  const loadRuns = useCallback(async () => {
+    const { data } = await supabase
+      .from('version_retention_runs')
+      .select('id, dry_run, status, versions_removed, bytes_freed, errors, started_at, finished_at')
+      .eq('company_id', company.id)
+      .order('started_at', { ascending: false })
+      .limit(10)
+    safeSetState(setRuns)(data || [])
+  }, [company.id, safeSetState])
 
   useEffect(() => {
-    const loadAllSections = async () => {
-      const { data } = await supabase
-        .from('document_sections')
-        .select('id, parent_section_id, code, name_pl, name_uk, order_index')
+    const load = async () => {
+      const { data, error } = await supabase
+        .from('version_retention_policies')
+        .select('enabled, keep_last, keep_days, keep_tagged')
         .eq('company_id', company.id)
-        .order('order_index')
-      setAllSections(data || [])
+        .maybeSingle()
+      if (error) addToast(`Błąd polityki: ${sanitizeText(error.message || 'policy_query_failed')}`, 'error')
+      if (data) safeSetState(setPolicy)(data)
+      await loadRuns()
+      safeSetState(setLoading)(false)
     }
-    loadAllSections()
-  }, [company.id, sections])
+    load()
+  }, [company.id, loadRuns, safeSetState, addToast])
 
-  const createSection = async (e) => {
-    e.preventDefault()
-    if (!canManageMain && !parentSectionId) {
-      addToast('Only admin can create root folders. Choose parent folder.', 'warning')
-      return
-    }
-    setCreating(true)
-    const { error } = await supabase.from('document_sections').insert({
-      company_id: company.id,
-      code: sanitizeText(newSection.code || getNextSectionCode(sections)),
-      name_pl: sanitizeText(newSection.name_pl),
-      name_uk: sanitizeText(newSection.name_uk),
-      parent_section_id: parentSectionId || null,
-      order_index: sections.length + 1,
-      created_by: profile.id
-    })
+  const setField = (key, value) => {
+    setPolicy(prev => ({ ...prev, [key]: value }))
+    setPreview(null)
+  }
 
-    if (!error) {
-      setNewSection({ code: getNextSectionCode(sections), name_pl: '', name_uk: '' })
-      setParentSectionId('')
-      onUpdate()
-      addToast('Sekcja utworzona / Розділ створено', 'success')
+  const save = async () => {
+    setBusy('save')
+    const next = {
+      company_id: company.id,
+      enabled: Boolean(policy.enabled),
+      keep_last: Math.max(1, Number.parseInt(policy.keep_last, 10) || 1),
+      keep_days: Math.max(0, Number.parseInt(policy.keep_days, 10) || 0),
+      keep_tagged: Boolean(policy.keep_tagged),
+      updated_by: profile.id,
+      updated_at: new Date().toISOString()
     }
-    setCreating(false)
+    const { error } = await supabase.from('version_retention_policies').upsert(next, { onConflict: 'company_id' })
+    if (error) {
+      addToast(`Błąd zapisu: ${sanitizeText(error.message || 'save_failed')}`, 'error')
+    } else {
+      await auditLog(profile.id, 'update_retention_policy', 'company', company.id, {
+        enabled: next.enabled,
+        keep_last: next.keep_last,
+        keep_days: next.keep_days,
+        keep_tagged: next.keep_tagged
+      })
+      safeSetState(setPolicy)(next)
+      addToast('Polityka zapisana / Політику збережено', 'success')
+    }
+    safeSetState(setBusy)('')
   }
 
-  const deleteSection = async (sectionId) => {
-    const section = (allSections.length ? allSections : sections).find((s) => s.id === sectionId)
-    if (!canManageMain && !section?.parent_section_id) {
-      addToast('Only admin can delete root folders.', 'error')
-      return
+  // The edge function reads the saved policy, so a preview reflects what is stored, not unsaved edits.
+  const run = async (dryRun) => {
+    if (!dryRun && !confirm('Usunąć stare wersje zgodnie z polityką? / Видалити старі версії згідно з політикою?')) return
+    setBusy(dryRun ? 'preview' : 'run')
+    try {
+      const { data, error } = await invokeFunctionWithAuthRetry('version-retention', { company_id: company.id, dry_run: dryRun })
+      if (error) throw new Error(await parseFunctionsInvokeError(error))
+      if (!data?.ok) throw new Error(data?.error || 'retention_failed')
+      if (dryRun) {
+        safeSetState(setPreview)({ versions: data.versions_removed, bytes: data.bytes_freed })
+      } else {
+        addToast(`Usunięto ${data.versions_removed} wersji / Видалено ${data.versions_removed} версій`, 'success')
+      }
+      await loadRuns()
+    } catch (err) {
+      addToast(`Błąd retencji: ${sanitizeText(err?.message || 'retention_failed')}`, 'error')
+    } finally {
+      safeSetState(setBusy)('')
     }
-    if (!confirm('Usunąć sekcję? / Видалити розділ?')) return
-    await supabase.from('document_sections').delete().eq('id', sectionId)
-    onUpdate()
-    addToast('Sekcja usunięta / Розділ видалено', 'success')
   }
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div ref={modalRef} className="modal section-manager" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true">
+      <div ref={modalRef} className="modal retention-modal" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="retention-title">
         <div className="modal-header">
-          <h2><BiText pl="Zarządzanie sekcjami" uk="Управління розділами" /></h2>
+          <h2 id="retention-title"><BiText pl="Retencja wersji plików" uk="Зберігання версій файлів" /></h2>
           <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
         </div>
         <div className="modal-body">
-          <form onSubmit={createSection} className="section-form">
-            <input placeholder="Kod auto" value={newSection.code} readOnly maxLength={10} aria-label="Kod sekcji (auto)" />
-            <input placeholder="Nazwa (PL)" value={newSection.name_pl} onChange={e => setNewSection({...newSection, name_pl: e.target.value})} required aria-label="Nazwa polska" />
-            <input placeholder="Назва (UK)" value={newSection.name_uk} onChange={e => setNewSection({...newSection, name_uk: e.target.value})} required aria-label="Nazwa ukraińska" />
-            <select value={parentSectionId} onChange={e => setParentSectionId(e.target.value)} aria-label="Sekcja nadrzędna">
-              <option value="">{canManageMain ? 'Folder główny / Головна папка' : 'Wymagana папка nadrzędna / Потрібна батьківська папка'}</option>
-              {(allSections || []).map(s => (
-                <option key={s.id} value={s.id}>{s.code} {s.name_pl}</option>
-              ))}
-            </select>
-            <button type="submit" disabled={creating}>{creating ? '...' : '+ Dodaj / Додати'}</button>
-          </form>
-
-          <div className="sections-list">
-            {(allSections.length ? allSections : sections).map(s => (
-              <div key={s.id} className="section-item">
-                <span className="section-code">{s.code}</span>
-                <span className="section-name"><SafeText>{s.name_pl}</SafeText> / <SafeText>{s.name_uk}</SafeText></span>
-                <button onClick={() => deleteSection(s.id)} className="btn-danger" aria-label={`Usuń sekcję ${s.code}`}>🗑️</button>
+          {loading ? <div className="loading">...</div> : (
+            <>
+              <p className="retention-hint">
+                <SafeText>{company.name_pl}</SafeText>: wersja zostaje, jeśli spełnia dowolną regułę / версія зберігається, якщо виконується будь-яке правило.
+              </p>
+              <div className="retention-form">
+                <label className="retention-check">
+                  <input type="checkbox" checked={Boolean(policy.enabled)} onChange={e => setField('enabled', e.target.checked)} />
+                  <span>Włączona / Увімкнено</span>
+                </label>
+                <label>
+                  <span>Zachowaj ostatnie N wersji pliku / Зберігати останні N версій</span>
+                  <input type="number" min={1} max={1000} value={policy.keep_last} onChange={e => setField('keep_last', e.target.value)} />
+                </label>
+                <label>
+                  <span>Zachowaj wszystkie z ostatnich X dni / Зберігати всі за останні X днів</span>
+                  <input type="number" min={0} max={3650} value={policy.keep_days} onChange={e => setField('keep_days', e.target.value)} />
+                </label>
+                <label className="retention-check">
+                  <input type="checkbox" checked={Boolean(policy.keep_tagged)} onChange={e => setField('keep_tagged', e.target.checked)} />
+                  <span>Zachowaj oznaczone wersje (🏷) / Зберігати позначені версії (🏷)</span>
+                </label>
               </div>
-            ))}
-          </div>
+              <div className="retention-actions">
+                <button type="button" onClick={() => run(true)} disabled={Boolean(busy)}>
+                  {busy === 'preview' ? '...' : 'Podgląd / Попередній перегляд'}
+                </button>
+                <button type="button" onClick={() => run(false)} disabled={Boolean(busy) || !policy.enabled}>
+                  {busy === 'run' ? '...' : 'Uruchom teraz / Запустити зараз'}
+                </button>
+                <button type="button" className="btn-primary" onClick={save} disabled={Boolean(busy)}>
+                  {busy === 'save' ? '...' : 'Zapisz / Зберегти'}
+                </button>
+              </div>
+              {preview && (
+                <p className="retention-preview" role="status">
+                  Do usunięcia: {preview.versions} wersji, {(preview.bytes / 1024 / 1024).toFixed(2)} MB / До видалення: {preview.versions} версій
+                </p>
+              )}
+              <h4 className="retention-runs-title"><BiText pl="Ostatnie uruchomienia" uk="Останні запуски" /></h4>
+              {runs.length === 0 ? (
+                <p className="retention-hint">Brak / Немає</p>
+              ) : (
+                <table className="retention-runs">
+                  <tbody>
+                    {runs.map(r => (
+                      <tr key={r.id}>
+                        <td><time dateTime={r.started_at}>{new Date(r.started_at).toLocaleString()}</time></td>
+                        <td>{r.dry_run ? 'podgląd / перегляд' : r.status}</td>
+                        <td>{r.versions_removed} wersji / версій</td>
+                        <td>{(Number(r.bytes_freed || 0) / 1024 / 1024).toFixed(2)} MB</td>
+                        <td>{(r.errors || []).length > 0 ? `⚠ ${(r.errors || []).length}` : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -3719,155 +6929,258 @@ function SectionManager({ company, sections, onUpdate, onClose, canManageMain })
 }
 
 // =====================================================
-// NOTIFICATIONS BELL
+// DELIVERY PACKAGES
 // =====================================================
-function NotificationsBell() {
-  const [notifications, setNotifications] = useState([])
-  const [showDropdown, setShowDropdown] = useState(false)
+const PACKAGE_STATUS_LABELS = {
+  scheduled: '⏰ Oczekuje / Очікує',
+  delivered: '✅ Dostarczona / Передано',
+  cancelled: '✕ Anulowana / Скасовано'
+}
+
+const PACKAGE_MANIFEST_COLUMNS = ['package_no', 'delivered_at', 'document_code', 'document_name', 'file_name', 'file_size', 'mime_type', 'sha256', 'frozen_at']
+
+// Packages are frozen copies written by file-publish; AUDITOR users only get the delivered ones addressed to them,
+// FNU users with folder ACLs only the items from folders they can view (RLS).
+function DeliveryPackagesModal({ company, onClose }) {
+  const [packages, setPackages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [openPackageId, setOpenPackageId] = useState(null)
+  const [itemsByPackage, setItemsByPackage] = useState({})
+  const [downloadingId, setDownloadingId] = useState(null)
+  const modalRef = useRef(null)
+  const addToast = useToast()
   const profile = useProfile()
   const safeSetState = useSafeAsync()
-  const channelRef = useRef(null)
+
+  useFocusTrap(modalRef, true)
 
   useEffect(() => {
     const load = async () => {
-      if (!profile?.id) return
-      const { data } = await supabase
-        .from('notifications')
-        .select('*')
-        .eq('user_id', profile.id)
-        .eq('is_read', false)
+      const { data, error } = await supabase
+        .from('delivery_packages')
+        .select('id, package_no, title, status, scheduled_for, delivered_at, file_count, total_bytes, audience_user_ids, created_at')
+        .eq('company_id', company.id)
         .order('created_at', { ascending: false })
-        .limit(10)
-      safeSetState(setNotifications)(data || [])
+        .limit(200)
+      if (error) addToast(`Błąd paczek: ${sanitizeText(error.message || 'packages_query_failed')}`, 'error')
+      safeSetState(setPackages)(data || [])
+      safeSetState(setLoading)(false)
     }
     load()
-
-    if (profile?.id && isValidUUID(profile.id)) {
-      channelRef.current = supabase
-        .channel(`notifications_${profile.id}`)
-        .on('postgres_changes',
-          { event: 'INSERT', schema: 'public', table: 'notifications' },
-          (payload) => {
-            if (payload.new.user_id === profile.id) {
-              load()
-            }
-          }
-        )
-        .subscribe()
+  }, [company.id, safeSetState, addToast])
+
+  const loadItems = useCallback(async (packageId) => {
+    if (itemsByPackage[packageId]) return itemsByPackage[packageId]
+    const { data, error } = await supabase
+      .from('delivery_package_items')
+      .select('id, file_id, document_id, document_code, document_name_pl, document_name_uk, file_name, file_size, mime_type, content_sha256, frozen_at')
+      .eq('package_id', packageId)
+      .order('document_code')
+      .order('file_name')
+    if (error) {
+      addToast(`Błąd paczki: ${sanitizeText(error.message || 'items_query_failed')}`, 'error')
+      return []
     }
+    safeSetState(setItemsByPackage)(prev => ({ ...prev, [packageId]: data || [] }))
+    return data || []
+  }, [itemsByPackage, safeSetState, addToast])
 
-    return () => {
-      if (channelRef.current) {
-        supabase.removeChannel(channelRef.current)
-      }
+  const togglePackage = async (packageId) => {
+    if (openPackageId === packageId) {
+      setOpenPackageId(null)
+      return
     }
-  }, [profile?.id, safeSetState])
+    setOpenPackageId(packageId)
+    await loadItems(packageId)
+  }
 
-  const markAsRead = async (id) => {
-    await supabase.from('notifications').update({ is_read: true }).eq('id', id)
-    setNotifications(prev => prev.filter(n => n.id !== id))
+  const downloadItem = async (item) => {
+    setDownloadingId(item.id)
+    try {
+      if (needsWatermark(profile, item.file_name)) {
+        const blob = await fetchWatermarkedPdf({ package_item_id: item.id })
+        downloadBlob(blob, item.file_name.replace(/\.[^.]+$/, '') + '.pdf')
+        return
+      }
+      const { data, error } = await invokeFunctionWithAuthRetry('delivery-package', { item_id: item.id })
+      if (error) throw new Error(await parseFunctionsInvokeError(error))
+      if (!data?.ok || !data.url) throw new Error(data?.error || 'download_failed')
+      window.open(data.url, '_blank', 'noopener,noreferrer')
+    } catch (err) {
+      addToast(`Błąd pobierania / Помилка завантаження: ${sanitizeText(err?.message || 'download_failed')}`, 'error')
+    } finally {
+      safeSetState(setDownloadingId)(null)
+    }
   }
 
-  const markAllRead = async () => {
-    await supabase.from('notifications').update({ is_read: true }).eq('user_id', profile.id)
-    setNotifications([])
+  const exportManifest = async (pkg) => {
+    const items = await loadItems(pkg.id)
+    const rows = items.map(item => ({
+      package_no: pkg.package_no ?? '',
+      delivered_at: pkg.delivered_at || '',
+      document_code: item.document_code || '',
+      document_name: item.document_name_pl || item.document_name_uk || '',
+      file_name: item.file_name,
+      file_size: item.file_size ?? '',
+      mime_type: item.mime_type || '',
+      sha256: item.content_sha256 || '',
+      frozen_at: item.frozen_at
+    }))
+    const csv = toCsv([PACKAGE_MANIFEST_COLUMNS, ...rows.map(r => PACKAGE_MANIFEST_COLUMNS.map(c => r[c]))])
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `package-${pkg.package_no ?? pkg.id.slice(0, 8)}-manifest.csv`)
   }
 
   return (
-    <div className="notifications-bell">
-      <button
-        onClick={() => setShowDropdown(!showDropdown)}
-        className="bell-btn"
-        aria-label={`Powiadomienia (${notifications.length} nieprzeczytanych)`}
-        aria-expanded={showDropdown}
-        aria-haspopup="true"
-      >
-        🔔 {notifications.length > 0 && <span className="badge" aria-hidden="true">{notifications.length}</span>}
-      </button>
-      {showDropdown && (
-        <div className="notifications-dropdown" role="menu" aria-label="Powiadomienia">
-          <div className="notif-header">
-            <BiText pl="Powiadomienia" uk="Сповіщення" />
-            {notifications.length > 0 && <button onClick={markAllRead}>✓ Wszystko</button>}
-          </div>
-          {notifications.length === 0 ? (
-            <div className="no-notif"><BiText pl="Brak powiadomień" uk="Немає сповіщень" /></div>
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal packages-modal" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="packages-title">
+        <div className="modal-header">
+          <h2 id="packages-title"><BiText pl="Paczki dostaw dla AUDITOR" uk="Пакети передачі для AUDITOR" /></h2>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          <p className="packages-hint">
+            <SafeText>{company.name_pl}</SafeText>: kopie plików zamrożone w chwili przekazania / копії файлів, зафіксовані в момент передачі.
+          </p>
+          {loading ? <div className="loading">...</div> : packages.length === 0 ? (
+            <p className="packages-hint">Brak paczek / Немає пакетів</p>
           ) : (
-            notifications.map(n => (
-              <div key={n.id} className="notif-item" onClick={() => markAsRead(n.id)} role="menuitem" tabIndex={0} onKeyPress={e => e.key === 'Enter' && markAsRead(n.id)}>
-                <strong><SafeText>{n.title}</SafeText></strong>
-                <p><SafeText>{n.message}</SafeText></p>
-                <time dateTime={n.created_at}>{new Date(n.created_at).toLocaleString()}</time>
-              </div>
-            ))
+            <ul className="packages-list">
+              {packages.map(pkg => {
+                const items = itemsByPackage[pkg.id]
+                const open = openPackageId === pkg.id
+                return (
+                  <li key={pkg.id} className={`package-item ${pkg.status}`}>
+                    <div className="package-row">
+                      <button type="button" className="package-toggle" onClick={() => togglePackage(pkg.id)} aria-expanded={open}>
+                        <strong>{pkg.package_no ? `№ ${pkg.package_no}` : '—'}</strong>
+                        {pkg.title && <span className="package-title"><SafeText>{pkg.title}</SafeText></span>}
+                      </button>
+                      <span className="package-date">
+                        {pkg.delivered_at
+                          ? <time dateTime={pkg.delivered_at}>{new Date(pkg.delivered_at).toLocaleString()}</time>
+                          : pkg.scheduled_for ? <time dateTime={pkg.scheduled_for}>{new Date(pkg.scheduled_for).toLocaleString()}</time> : ''}
+                      </span>
+                      <span className="package-count">{pkg.file_count} plików / файлів · {(Number(pkg.total_bytes || 0) / 1024 / 1024).toFixed(2)} MB</span>
+                      <span className={`package-status ${pkg.status}`}>{PACKAGE_STATUS_LABELS[pkg.status] || pkg.status}</span>
+                      {(pkg.audience_user_ids || []).length > 0 && (
+                        <span className="package-audience" title="Wybrani audytorzy / Вибрані аудитори">👤 {pkg.audience_user_ids.length}</span>
+                      )}
+                      {pkg.status === 'delivered' && (
+                        <button type="button" className="btn-secondary" onClick={() => exportManifest(pkg)}>⬇ CSV</button>
+                      )}
+                    </div>
+                    {open && (
+                      !items ? <div className="loading">...</div> : items.length === 0 ? (
+                        <p className="packages-hint">Brak plików / Немає файлів</p>
+                      ) : (
+                        <table className="package-files">
+                          <tbody>
+                            {items.map(item => (
+                              <tr key={item.id}>
+                                <td className="package-doc"><SafeText>{[item.document_code, item.document_name_pl || item.document_name_uk].filter(Boolean).join(' ')}</SafeText></td>
+                                <td><SafeText>{item.file_name}</SafeText></td>
+                                <td>{item.file_size ? `${(item.file_size / 1024).toFixed(1)} KB` : ''}</td>
+                                <td className="package-hash" title={item.content_sha256 || ''}>{item.content_sha256 ? item.content_sha256.slice(0, 12) : '—'}</td>
+                                <td>
+                                  <button type="button" onClick={() => downloadItem(item)} disabled={downloadingId === item.id} aria-label={`Pobierz ${item.file_name}`}>
+                                    {downloadingId === item.id ? '...' : '⬇'}
+                                  </button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
           )}
         </div>
-      )}
+      </div>
     </div>
   )
 }
 
-function SmartInbox({ documents, profile }) {
-  const critical = useMemo(() => (documents || []).filter(d => d.status === 'missing'), [documents])
-  const inProgress = useMemo(() => (documents || []).filter(d => d.status === 'in_progress'), [documents])
-  const unassigned = useMemo(() => (documents || []).filter(d => !d.responsible_user_id), [documents])
-  const myDocs = useMemo(() => (documents || []).filter(d => d.responsible_user_id === profile?.id), [documents, profile?.id])
-
-  const cards = [
-    { id: 'critical', titlePl: 'Krytyczne braki', titleUk: 'Критичні відсутності', value: critical.length, tone: 'danger' },
-    { id: 'progress', titlePl: 'W trakcie', titleUk: 'В роботі', value: inProgress.length, tone: 'warning' },
-    { id: 'unassigned', titlePl: 'Bez odpowiedzialnego', titleUk: 'Без відповідального', value: unassigned.length, tone: 'muted' },
-    { id: 'mine', titlePl: 'Moje dokumenty', titleUk: 'Мої документи', value: myDocs.length, tone: 'success' }
-  ]
-
-  return (
-    <section className="smart-inbox" aria-label="Smart Inbox">
-      <h4><BiText pl="Priorytety dnia" uk="Пріоритети дня" /></h4>
-      <div className="inbox-grid">
-        {cards.map(card => (
-          <article key={card.id} className={`inbox-card ${card.tone}`}>
-            <span className="inbox-value">{card.value}</span>
-            <span className="inbox-label">
-              <span className="text-pl">{card.titlePl}</span>
-              <span className="text-uk">{card.titleUk}</span>
-            </span>
-          </article>
-        ))}
-      </div>
-    </section>
-  )
-}
+// =====================================================
+// GOOGLE DRIVE IMPORT REPORT
+// =====================================================
+function DriveImportReport({ report, onClose }) {
+  const modalRef = useRef(null)
+  const [onlyProblems, setOnlyProblems] = useState(false)
+  useFocusTrap(modalRef, true)
 
-function InlineDocumentDrawer({ document, onUpdate, displayLanguage, permissions }) {
-  const profile = useProfile()
-  const isSuperAdmin = profile?.role === 'super_admin'
-  const isAdmin = isSuperAdmin || profile?.role === 'lawyer_admin'
-  const canAdd = isAdmin || Boolean(permissions?.can_upload)
-  const canDelete = isAdmin || Boolean(permissions?.can_manage)
-  const canComment = isAdmin || Boolean(permissions?.can_comment)
-  const canView = true
+  const results = Array.isArray(report?.results) ? report.results : []
+  const folderErrors = Array.isArray(report?.folder_errors) ? report.folder_errors : []
+  const visibleResults = onlyProblems ? results.filter(r => r.status !== 'imported') : results
 
   return (
-    <div className="inline-doc-drawer">
-      <div className="inline-doc-meta">
-        <span className="doc-code">{document.code}</span>
-        <strong><SafeText>{document.name_pl}</SafeText></strong>
-        <span><SafeText>{document.name_uk}</SafeText></span>
-      </div>
-      <div className="inline-doc-panels">
-        <ErrorBoundary>
-          <FileUpload document={document} onUpdate={onUpdate} canAdd={canAdd} canDelete={canDelete} canView={canView} canComment={canComment} />
-        </ErrorBoundary>
-        <ErrorBoundary>
-          <Comments
-            entityType="document"
-            entityId={document.id}
-            canComment={canComment}
-            canView={canView}
-            displayLanguage={displayLanguage}
-            title="Document comments / Коментарі документа"
-          />
-        </ErrorBoundary>
+    <div className="modal-overlay" onClick={onClose}>
+      <div ref={modalRef} className="modal wide" onClick={e => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="drive-report-title">
+        <div className="modal-header">
+          <div>
+            <h2 id="drive-report-title"><BiText pl="Raport importu Google Drive" uk="Звіт імпорту Google Drive" /></h2>
+            <p>
+              {Number(report?.imported || 0)} / {Number(report?.scanned || 0)} OK · {Number(report?.sections_created || 0)} folders
+              {Number(report?.duplicates || 0) > 0 ? ` · ${Number(report.duplicates)} duplicates (${report.duplicate_mode || 'import'})` : ''}
+              {report?.run_id ? ` · run_id=${report.run_id}` : ''}
+            </p>
+          </div>
+          <button className="close-btn" onClick={onClose} aria-label="Zamknij">✕</button>
+        </div>
+        <div className="modal-body">
+          {report?.truncated && (
+            <div className="import-report-warning" role="note">
+              <BiText pl="Import obcięty: przekroczono limit plików lub głębokości folderów." uk="Імпорт обрізано: перевищено ліміт файлів або глибини папок." />
+            </div>
+          )}
+          {folderErrors.length > 0 && (
+            <ul className="import-report-errors">
+              {folderErrors.map((f, idx) => (
+                <li key={`${f.id}-${idx}`}><SafeText>{f.path || f.id}</SafeText>: <SafeText>{f.reason}</SafeText></li>
+              ))}
+            </ul>
+          )}
+          <label className="import-report-filter">
+            <input type="checkbox" checked={onlyProblems} onChange={e => setOnlyProblems(e.target.checked)} />
+            <BiText pl="Tylko pominięte" uk="Лише пропущені" />
+          </label>
+          <div className="users-table-container">
+            <table className="users-table" aria-label="Wyniki importu">
+              <thead>
+                <tr>
+                  <th scope="col">Ścieżka / Шлях</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">Powód / Причина</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleResults.map((r, idx) => (
+                  <tr key={`${r.drive_file_id}-${idx}`}>
+                    <td><SafeText>{r.path || r.name}</SafeText></td>
+                    <td>
+                      <span className={`status-badge ${r.status === 'imported' ? 'active' : 'inactive'}`}>
+                        {r.status === 'imported' ? 'OK' : 'Pominięto / Пропущено'}
+                      </span>
+                    </td>
+                    <td>
+                      <SafeText>{r.reason || '—'}</SafeText>
+                      {r.status === 'imported' && r.duplicate_of && (
+                        <span className="import-report-duplicate">
+                          {' '}≡ <SafeText>{`${r.duplicate_of.document_code || ''} / ${r.duplicate_of.file_name || ''}`}</SafeText>
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {visibleResults.length === 0 && (
+                  <tr><td colSpan="3">Brak plików / Немає файлів</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
       </div>
     </div>
   )
@@ -3900,13 +7213,20 @@ function AppContent() {
   const [sectionToolsBusy, setSectionToolsBusy] = useState(false)
   const [localUploadDocId, setLocalUploadDocId] = useState('')
   const [localUploadBusyDocId, setLocalUploadBusyDocId] = useState('')
+  const [driveImportReport, setDriveImportReport] = useState(null)
+  const uploadQueue = useUploadQueue()
+  const duplicateReview = useDuplicateReview()
   const localUploadInputRef = useRef(null)
   const [newDocument, setNewDocument] = useState({ code: '', name_pl: '', name_uk: '' })
   const [creatingDocument, setCreatingDocument] = useState(false)
+  const [showDocumentImport, setShowDocumentImport] = useState(false)
+  const [showStatusReport, setShowStatusReport] = useState(false)
+  const [showRetention, setShowRetention] = useState(false)
+  const [showSectionPublish, setShowSectionPublish] = useState(false)
+  const [showPackages, setShowPackages] = useState(false)
   const addToast = useToast()
+  const auditLog = useAuditLog()
   const safeSetState = useSafeAsync()
-  const isSuperAdmin = profile?.role === 'super_admin'
-  const isAdmin = isSuperAdmin || profile?.role === 'lawyer_admin'
   const aclBySection = useMemo(() => {
     const map = new Map()
     for (const row of folderAclRows || []) {
@@ -3914,12 +7234,22 @@ function AppContent() {
     }
     return map
   }, [folderAclRows])
-  const aclEnabledForUser = !isAdmin && normalizeSide(profile?.side) === SIDE_FNU && folderAclRows.length > 0
-  const currentSectionAcl = activeSection?.id ? aclBySection.get(activeSection.id) : null
-  const canViewCurrentSection = isAdmin || !aclEnabledForUser || Boolean(currentSectionAcl?.can_view)
-  const canCommentCurrentSection = isAdmin || !aclEnabledForUser || Boolean(currentSectionAcl?.can_comment)
-  const canUploadCurrentSection = isAdmin || !aclEnabledForUser || Boolean(currentSectionAcl?.can_upload)
-  const canManageCurrentSection = isAdmin || !aclEnabledForUser || Boolean(currentSectionAcl?.can_manage)
+  // Admins never get ACL rows (see loadFolderAcl); the policy ignores them for AUDITOR users.
+  const aclEnabledForUser = normalizeSide(profile?.side) === SIDE_FNU && folderAclRows.length > 0
+  const sectionPolicyContext = (sectionId) => ({
+    aclEnabled: aclEnabledForUser,
+    acl: (sectionId && aclBySection.get(sectionId)) || null
+  })
+  const currentSectionPermissions = sectionPermissions(profile, sectionPolicyContext(activeSection?.id))
+  const canViewCurrentSection = currentSectionPermissions.can_view
+  const canCommentCurrentSection = currentSectionPermissions.can_comment
+  const canManageCurrentSection = currentSectionPermissions.can_manage
+  // Documents may live in subsections with their own (or inherited) rights.
+  // policyContext is passed down so per-file checks (delete) use the same ACL row.
+  const getDocumentPermissions = (doc) => {
+    const policyContext = sectionPolicyContext(doc?.section_id)
+    return { ...sectionPermissions(profile, policyContext), policyContext }
+  }
 
   useEffect(() => {
     supabase.auth.getSession().then(({ data }) => {
@@ -3972,28 +7302,35 @@ function AppContent() {
       setFolderAclRows([])
       return
     }
-    if (profile.role === 'super_admin' || profile.role === 'lawyer_admin') {
+    if (isAdminRole(profile.role)) {
       setFolderAclRows([])
       return
     }
-    const { data } = await supabase
+    // Effective rows include subsections inheriting from an ancestor's entry.
+    const { data, error } = await supabase.rpc('effective_section_acl', { p_app_id: auditAppId })
+    if (!error) {
+      setFolderAclRows(Array.isArray(data) ? data : [])
+      return
+    }
+    const { data: rawRows } = await supabase
       .from('tw_folder_acl')
       .select('id,section_id,can_view,can_comment,can_upload,can_manage')
       .eq('user_id', profile.id)
       .eq('app_id', auditAppId)
-    setFolderAclRows(Array.isArray(data) ? data : [])
+    setFolderAclRows(Array.isArray(rawRows) ? rawRows : [])
   }, [profile?.id, profile?.role, auditAppId])
 
   const loadSections = useCallback(async () => {
     if (!selectedCompany) return
     const { data } = await supabase.from('document_sections').select('*').eq('company_id', selectedCompany.id).is('parent_section_id', null).order('order_index')
     const all = data || []
+    // A top-level section stays navigable when only one of its subsections is granted.
     const visible = aclEnabledForUser
-      ? all.filter((s) => Boolean(aclBySection.get(s.id)?.can_view))
+      ? all.filter((s) => folderAclRows.some((row) => row.can_view && (row.section_id === s.id || row.root_section_id === s.id)))
       : all
     safeSetState(setSections)(visible)
     if (visible?.length > 0 && !activeSection) safeSetState(setActiveSection)(visible[0])
-  }, [selectedCompany, activeSection, safeSetState, aclEnabledForUser, aclBySection])
+  }, [selectedCompany, activeSection, safeSetState, aclEnabledForUser, folderAclRows])
 
   useEffect(() => { if (selectedCompany) loadSections() }, [selectedCompany, loadSections])
   useEffect(() => { loadAuditAppId() }, [loadAuditAppId])
@@ -4007,17 +7344,13 @@ function AppContent() {
 
   const loadDocuments = useCallback(async () => {
     if (!activeSection) return
-    const enforceAcl = profile?.role !== 'super_admin' && profile?.role !== 'lawyer_admin' && normalizeSide(profile?.side) === SIDE_FNU && folderAclRows.length > 0
-    if (enforceAcl) {
-      const acl = folderAclRows.find((r) => r.section_id === activeSection.id)
-      if (!acl?.can_view) {
-        safeSetState(setDocuments)([])
-        safeSetState(setDocFileStats)({})
-        return
-      }
+    const treeIds = await loadSectionTreeIds(activeSection.id)
+    const sectionIds = treeIds.filter((id) => can(profile, 'section.view', sectionPolicyContext(id)))
+    if (sectionIds.length === 0) {
+      safeSetState(setDocuments)([])
+      safeSetState(setDocFileStats)({})
+      return
     }
-    const { data: subSections } = await supabase.from('document_sections').select('id').eq('parent_section_id', activeSection.id)
-    const sectionIds = [activeSection.id, ...(subSections || []).map(s => s.id)]
 
     const { data } = await supabase
       .from('documents')
@@ -4027,47 +7360,20 @@ function AppContent() {
     const docs = data || []
     safeSetState(setDocuments)(docs)
 
-    const ids = docs.map(d => d.id).filter(isValidUUID)
-    if (ids.length === 0) {
-      safeSetState(setDocFileStats)({})
-      return
-    }
-    let { data: fileRows, error: fileStatsError } = await supabase
-      .from('document_files')
-      .select('document_id, created_at, uploaded_at')
-      .in('document_id', ids)
-    if (fileStatsError && /uploaded_at/i.test(fileStatsError.message || '')) {
-      const fallback = await supabase
-        .from('document_files')
-        .select('document_id, created_at')
-        .in('document_id', ids)
-      fileRows = fallback.data
-      fileStatsError = fallback.error
-    }
-    if (fileStatsError) {
-      safeSetState(setDocFileStats)({})
-      return
-    }
-    const startOfDay = new Date()
-    startOfDay.setHours(0, 0, 0, 0)
-    const stats = {}
-    ids.forEach(id => { stats[id] = { total: 0, newToday: 0 } })
-    ;(fileRows || []).forEach(row => {
-      const docId = row.document_id
-      if (!stats[docId]) stats[docId] = { total: 0, newToday: 0 }
-      stats[docId].total += 1
-      const created = row.created_at || row.uploaded_at
-      if (created && new Date(created) >= startOfDay) stats[docId].newToday += 1
-    })
-    safeSetState(setDocFileStats)(stats)
-  }, [activeSection, safeSetState, folderAclRows, profile?.role, profile?.side])
+    const stats = await loadDocumentFileStats(docs.map(d => d.id))
+    safeSetState(setDocFileStats)(stats || {})
+  }, [activeSection, safeSetState, folderAclRows, profile])
 
   useEffect(() => { if (activeSection) loadDocuments() }, [activeSection, loadDocuments])
 
   const updateStatus = async (docId, status) => {
     if (!isValidUUID(docId)) return
-    await supabase.from('documents').update({ status, updated_at: new Date().toISOString() }).eq('id', docId)
-    await logAudit(profile.id, 'update_status', 'document', docId, { status })
+    const { error } = await supabase.from('documents').update({ status, updated_at: new Date().toISOString() }).eq('id', docId)
+    if (error) {
+      addToast(statusUpdateErrorMessage(error), 'error')
+      return
+    }
+    await auditLog(profile.id, 'update_status', 'document', docId, { status })
     loadDocuments()
   }
 
@@ -4087,7 +7393,7 @@ function AppContent() {
       }
       const { error } = await supabase.from('documents').insert(payload)
       if (error) throw error
-      await logAudit(profile.id, 'create_document', 'document', null, { section_id: activeSection.id, code: payload.code })
+      await auditLog(profile.id, 'create_document', 'document', null, { section_id: activeSection.id, code: payload.code })
       setNewDocument({ code: '', name_pl: '', name_uk: '' })
       addToast('Dokument utworzony / Документ створено', 'success')
       loadDocuments()
@@ -4112,7 +7418,11 @@ function AppContent() {
 
   const q = docSearch.trim().toLowerCase()
   const filteredDocuments = documents.filter(doc => {
-    const byStatus = docStatusFilter === 'all' ? true : (doc.status || 'pending') === docStatusFilter
+    const byStatus = docStatusFilter === 'all'
+      ? true
+      : docStatusFilter === 'overdue'
+        ? getDeadlineState(doc)?.tone === 'overdue'
+        : (doc.status || 'pending') === docStatusFilter
     const bySearch = !q
       ? true
       : [doc.code, doc.name_pl, doc.name_uk].some(v => (v || '').toLowerCase().includes(q))
@@ -4132,68 +7442,51 @@ function AppContent() {
     setExpandedDocId(prev => (prev === docId ? null : docId))
   }
 
+  // The archive is built by the section-archive edge function; the signed link arrives as a notification.
   const downloadSectionArchive = async () => {
     if (!activeSection?.id) return
     setSectionToolsBusy(true)
     try {
-      const { data: subSections } = await supabase.from('document_sections').select('id,code,name_pl').eq('parent_section_id', activeSection.id)
-      const sectionIds = [activeSection.id, ...(subSections || []).map((s) => s.id)]
-      const { data: docs } = await supabase
-        .from('documents')
-        .select('id,code,name_pl,section_id')
-        .in('section_id', sectionIds)
-        .order('order_index')
-      const docIds = (docs || []).map((d) => d.id)
-      if (!docIds.length) {
-        addToast('No documents to export in this section.', 'warning')
-        setSectionToolsBusy(false)
-        return
-      }
-      const { data: files } = await supabase
-        .from('document_files')
-        .select('id,document_id,file_name,file_path')
-        .in('document_id', docIds)
-      if (!files?.length) {
-        addToast('No files to export in this section.', 'warning')
-        setSectionToolsBusy(false)
-        return
-      }
-
-      const sectionMap = new Map([[activeSection.id, `${activeSection.code} ${activeSection.name_pl}`], ...((subSections || []).map((s) => [s.id, `${s.code} ${s.name_pl}`]))])
-      const docMap = new Map((docs || []).map((d) => [d.id, d]))
-      const zip = new JSZip()
-      for (const file of files) {
-        const doc = docMap.get(file.document_id)
-        if (!doc) continue
-        const { data: blob, error } = await supabase.storage.from('documents').download(file.file_path)
-        if (error || !blob) continue
-        const folderName = sectionMap.get(doc.section_id) || 'Section'
-        const docFolder = `${folderName}/${doc.code || 'DOC'} ${doc.name_pl || 'Document'}`
-        zip.folder(docFolder)?.file(file.file_name || 'file.bin', blob)
+      const { data, error } = await invokeFunctionWithAuthRetry('section-archive', { section_id: activeSection.id })
+      if (error || !data?.ok) {
+        const details = error
+          ? await parseFunctionsInvokeError(error)
+          : String(data?.error || 'archive_failed')
+        if (details === 'no_files') {
+          addToast('Brak plików w sekcji / Немає файлів у секції', 'warning')
+          return
+        }
+        throw new Error(details)
       }
-      const zipped = await zip.generateAsync({ type: 'blob' })
-      const url = URL.createObjectURL(zipped)
-      const a = window.document.createElement('a')
-      a.href = url
-      a.download = `${activeSection.code || 'section'}-archive.zip`
-      a.click()
-      setTimeout(() => URL.revokeObjectURL(url), 15000)
-      addToast('Section archive prepared.', 'success')
+      await auditLog(profile.id, 'request_section_archive', 'section', activeSection.id, { job_id: data.job_id, files: data.files })
+      addToast(`Archiwum w przygotowaniu (${data.files} plików) — link pojawi się w powiadomieniach / Архів готується (${data.files} файлів) — посилання з'явиться у сповіщеннях`, 'info')
     } catch (e) {
       addToast(`Archive error: ${sanitizeText(e?.message || 'failed')}`, 'error')
+    } finally {
+      setSectionToolsBusy(false)
     }
-    setSectionToolsBusy(false)
   }
 
   const importGoogleDriveForDocument = async (doc) => {
     if (!doc?.id || !doc?.section_id || !selectedCompany?.id) return
-    const sourceUrl = window.prompt('Google Drive file URL or file ID:')
+    const sourceUrl = window.prompt('Google Drive file or folder URL / ID:')
     if (!sourceUrl) return
-    if (/\/folders\//i.test(sourceUrl)) {
-      addToast('Only file links are supported. Please provide Google Drive file URL/ID.', 'warning')
-      return
+    let importType = /\/folders\//i.test(sourceUrl) ? 'folder' : 'file'
+    if (!/[/?]/.test(sourceUrl.trim())) {
+      const typeInput = window.prompt('Drive ID type: file | folder', 'file')
+      importType = String(typeInput || '').trim().toLowerCase()
+      if (!['file', 'folder'].includes(importType)) {
+        addToast('Choose Drive ID type: file or folder.', 'warning')
+        return
+      }
     }
-    const modeInput = window.prompt('Import destination: current | new (new subfolder)', 'current')
+    const isFolderImport = importType === 'folder'
+    const modeInput = window.prompt(
+      isFolderImport
+        ? 'Import destination: current (mirror into this section) | new (new subfolder)'
+        : 'Import destination: current | new (new subfolder)',
+      'current'
+    )
     const mode = String(modeInput || '').trim().toLowerCase()
     if (!['current', 'new'].includes(mode)) {
       addToast('Choose destination mode: current or new.', 'warning')
@@ -4202,13 +7495,30 @@ function AppContent() {
     const createSubfolder = mode === 'new'
     let subfolderName = ''
     if (createSubfolder) {
-      subfolderName = window.prompt('Enter new subfolder name:', '') || ''
-      if (!subfolderName.trim()) {
+      subfolderName = window.prompt(
+        isFolderImport ? 'New subfolder name (empty = Drive folder name):' : 'Enter new subfolder name:',
+        ''
+      ) || ''
+      if (!subfolderName.trim() && !isFolderImport) {
         addToast('Subfolder name is required for mode=new.', 'warning')
         return
       }
     }
 
+    const exportInput = window.prompt('Google Docs/Sheets export: office (DOCX/XLSX) | pdf', 'office')
+    const exportFormat = String(exportInput || '').trim().toLowerCase()
+    if (!['office', 'pdf'].includes(exportFormat)) {
+      addToast('Choose export format: office or pdf.', 'warning')
+      return
+    }
+    // Identical files already in this document are always skipped; this covers the rest of the company.
+    const duplicateInput = window.prompt('Files identical to existing ones in the company: import | link | skip', 'link')
+    const duplicateMode = String(duplicateInput || '').trim().toLowerCase()
+    if (!['import', 'link', 'skip'].includes(duplicateMode)) {
+      addToast('Choose duplicate handling: import, link or skip.', 'warning')
+      return
+    }
+
     setSectionToolsBusy(true)
     try {
       const { data: currentSessionData, error: currentSessionErr } = await supabase.auth.getSession()
@@ -4230,14 +7540,16 @@ function AppContent() {
       }
 
       const payload = {
-        import_type: 'file',
+        import_type: importType,
         source_url: sourceUrl.trim(),
-        file_url: sourceUrl.trim(),
+        ...(isFolderImport ? { folder_url: sourceUrl.trim() } : { file_url: sourceUrl.trim() }),
         company_id: selectedCompany.id,
         section_id: doc.section_id,
-        target_document_id: createSubfolder ? '' : doc.id,
+        target_document_id: createSubfolder || isFolderImport ? '' : doc.id,
         create_subfolder: createSubfolder,
         subfolder_name: subfolderName.trim(),
+        export_format: exportFormat,
+        duplicate_mode: duplicateMode,
       }
 
       const { data, error } = await invokeGdriveImportWithAuthRetry(payload)
@@ -4254,9 +7566,15 @@ function AppContent() {
       const scanned = Number(data.scanned || 0)
       const skipped = Number(data.skipped || 0)
       const runId = data?.run_id ? ` | run_id=${String(data.run_id)}` : ''
+      const duplicates = Number(data.duplicates || 0)
+      if (isFolderImport) {
+        setDriveImportReport({ ...data, source_url: sourceUrl.trim() })
+      }
       if (imported > 0) {
-        const destination = createSubfolder ? `new subfolder "${subfolderName.trim()}"` : `document ${doc.code}`
-        addToast(`Imported ${imported}/${scanned || imported} file(s) from Google Drive to ${destination}.${runId}`, 'success')
+        const destination = createSubfolder
+          ? `new subfolder "${subfolderName.trim() || 'Google Drive'}"`
+          : isFolderImport ? 'current section' : `document ${doc.code}`
+        addToast(`Imported ${imported}/${scanned || imported} file(s) from Google Drive to ${destination}.${duplicates > 0 ? ` Duplicates: ${duplicates}.` : ''}${runId}`, 'success')
       } else {
         const firstReason = Array.isArray(data.skipped_samples) && data.skipped_samples[0]?.reason ? String(data.skipped_samples[0].reason) : 'no files imported'
         addToast(`Imported 0/${scanned} from Google Drive. Skipped: ${skipped}. Reason: ${firstReason}${runId}`, 'warning')
@@ -4304,10 +7622,19 @@ function AppContent() {
         return
       }
 
+      const plan = await duplicateReview.review(doc.id, files)
+      if (!plan) return
+
       let successCount = 0
       let failedCount = 0
+      let skippedCount = 0
 
-      for (const file of files) {
+      for (const entry of plan) {
+        const { file } = entry
+        if (entry.action === 'skip') {
+          skippedCount++
+          continue
+        }
         const validation = validateFile(file)
         if (!validation.valid) {
           failedCount++
@@ -4318,26 +7645,33 @@ function AppContent() {
         const safeFileName = sanitizeFileName(file.name)
         const filePath = `${doc.id}/${safeFileName}`
         try {
-          const { error: uploadError } = await supabase.storage.from('documents').upload(filePath, file)
-          if (uploadError) throw uploadError
-
-          const ext = getFileExtension(file.name)
-          const { data: fileData, error: dbError } = await supabase.from('document_files').insert({
-            document_id: doc.id,
-            file_name: sanitizeText(file.name),
-            file_path: filePath,
-            file_size: file.size,
-            file_type: ext,
-            mime_type: file.type,
-            uploaded_by: profile.id
-          }).select().single()
-
-          if (dbError) {
-            await supabase.storage.from('documents').remove([filePath])
-            throw dbError
-          }
+          let fileData = null
+          if (entry.action === 'link') {
+            fileData = await linkDuplicateFile(doc.id, entry, profile.id)
+          } else {
+            await uploadQueue.enqueue(file, filePath)
+
+            const ext = getFileExtension(file.name)
+            const { data: insertedFile, error: dbError } = await supabase.from('document_files').insert({
+              document_id: doc.id,
+              file_name: sanitizeText(file.name),
+              file_path: filePath,
+              file_size: file.size,
+              file_type: ext,
+              mime_type: file.type,
+              uploaded_by: profile.id,
+              content_sha256: entry.hash
+            }).select().single()
+
+            if (dbError) {
+              await supabase.storage.from('documents').remove([filePath])
+              throw dbError
+            }
+            fileData = insertedFile
 
-          await logAudit(profile.id, 'upload_file', 'document_file', doc.id, { file_name: file.name, source: 'doc_row_upload' })
+            await auditLog(profile.id, 'upload_file', 'document_file', doc.id, { file_name: file.name, source: 'doc_row_upload' })
+          }
+          requestFileScan({ fileIds: [fileData?.id] })
 
           if (normalizeSide(profile.side) === SIDE_FNU && fileData) {
             await supabase.from('document_access').insert({
@@ -4360,6 +7694,9 @@ function AppContent() {
       } else if (failedCount > 0) {
         addToast('Wysyłka nieudana / Завантаження не вдалося', 'error')
       }
+      if (skippedCount > 0) {
+        addToast(`Pominięto duplikaty (${skippedCount}) / Пропущено дублікати (${skippedCount})`, 'info')
+      }
 
       await loadSections()
       await loadDocuments()
@@ -4371,8 +7708,25 @@ function AppContent() {
     }
   }
 
+  const openSearchResult = async (hit) => {
+    if (!hit?.section_id) return
+    const rootSection = await loadRootSection(hit.section_id)
+    if (!rootSection || !sections.some(s => s.id === rootSection.id)) {
+      addToast('Brak dostępu do sekcji / Немає доступу до розділу', 'warning')
+      return
+    }
+    setActiveSection(rootSection)
+    if (!hit.document_id) {
+      if (hit.kind === 'comment' && rootSection.id === hit.section_id) setShowSectionComments(true)
+      return
+    }
+    const { data: doc } = await supabase.from('documents').select('*').eq('id', hit.document_id).maybeSingle()
+    if (!doc) return
+    setSelectedDocument({ ...doc, focusFileId: hit.file_id || null })
+  }
+
   const openLocalUploadForDocument = (doc) => {
-    if (!doc?.id || !canUploadCurrentSection || sectionToolsBusy || localUploadBusyDocId) return
+    if (!doc?.id || !getDocumentPermissions(doc).can_upload || sectionToolsBusy || localUploadBusyDocId) return
     setLocalUploadDocId(doc.id)
     if (localUploadInputRef.current) {
       localUploadInputRef.current.value = ''
@@ -4420,9 +7774,11 @@ function AppContent() {
               <span className="role-badge">{ROLES[profile.role]?.pl}</span>
             </div>
 
+            <GlobalSearch companyId={selectedCompany?.id} onOpenResult={openSearchResult} />
+
             <NotificationsBell />
 
-            {isAdmin && (
+            {can(profile, 'users.manage') && (
               <button
                 onClick={() => setShowUserManagement(true)}
                 aria-label="Zarządzanie użytkownikami"
@@ -4431,10 +7787,19 @@ function AppContent() {
                 👥
               </button>
             )}
-            {isSuperAdmin && (
+            {selectedCompany && (
+              <button onClick={() => setShowStatusReport(true)} aria-label="Raport statusu" title="Raport statusu / Звіт про стан">📊</button>
+            )}
+            {selectedCompany && (
+              <button onClick={() => setShowPackages(true)} aria-label="Paczki dostaw" title="Paczki dostaw / Пакети передачі">📦</button>
+            )}
+            {selectedCompany && can(profile, 'retention.manage') && (
+              <button onClick={() => setShowRetention(true)} aria-label="Retencja wersji" title="Retencja wersji / Зберігання версій">🧹</button>
+            )}
+            {can(profile, 'audit_log.view') && (
               <button onClick={() => setShowAuditLog(true)} aria-label="Dziennik audytu">📜</button>
             )}
-            {(isAdmin || normalizeSide(profile.side) === SIDE_FNU) && (
+            {can(profile, 'sections.open_manager') && (
               <button onClick={() => setShowSectionManager(true)} aria-label="Zarządzanie sekcjami">📁</button>
             )}
 
@@ -4486,6 +7851,11 @@ function AppContent() {
                 <button type="button" className="section-comments-btn" onClick={downloadSectionArchive} disabled={sectionToolsBusy || !canViewCurrentSection}>
                   📦 Download folder (.zip)
                 </button>
+                {can(profile, 'file.publish_to_auditor', { scanStatus: 'clean' }) && (
+                  <button type="button" className="section-comments-btn" onClick={() => setShowSectionPublish(true)} disabled={!activeSection?.id}>
+                    📤 Publikuj sekcję / Опублікувати секцію
+                  </button>
+                )}
               </div>
             </div>
 
@@ -4499,6 +7869,7 @@ function AppContent() {
                 <select value={docStatusFilter} onChange={e => setDocStatusFilter(e.target.value)} aria-label="Filtr statusu">
                   <option value="all">Wszystkie / Усі</option>
                   {STATUS_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.pl} / {opt.uk}</option>)}
+                  <option value="overdue">⏰ Po terminie / Прострочені</option>
                 </select>
               </div>
               <div className="context-chip">
@@ -4542,6 +7913,9 @@ function AppContent() {
                 <button type="submit" disabled={creatingDocument}>
                   {creatingDocument ? '...' : '+ Dokument / + Документ'}
                 </button>
+                <button type="button" onClick={() => setShowDocumentImport(true)} title="Import CSV/XLSX">
+                  ⤒ CSV/XLSX
+                </button>
               </form>
             )}
 
@@ -4574,6 +7948,7 @@ function AppContent() {
                       <span className="name-uk"><SafeText>{doc.name_uk}</SafeText></span>
                       <span className="doc-file-stats">
                         📎 {(docFileStats[doc.id]?.total || 0)} | 🆕 {(docFileStats[doc.id]?.newToday || 0)}
+                        <DeadlineBadge doc={doc} />
                       </span>
                     </div>
                   </div>
@@ -4591,7 +7966,7 @@ function AppContent() {
                           e.stopPropagation()
                           openLocalUploadForDocument(doc)
                         }}
-                        disabled={sectionToolsBusy || Boolean(localUploadBusyDocId) || !canUploadCurrentSection}
+                        disabled={sectionToolsBusy || Boolean(localUploadBusyDocId) || !getDocumentPermissions(doc).can_upload}
                         aria-label={`Upload pliku lokalnego do dokumentu ${doc.code}`}
                         title="Upload local file"
                       >
@@ -4605,9 +7980,9 @@ function AppContent() {
                           e.stopPropagation()
                           importGoogleDriveForDocument(doc)
                         }}
-                        disabled={sectionToolsBusy || !canUploadCurrentSection}
+                        disabled={sectionToolsBusy || !getDocumentPermissions(doc).can_upload}
                         aria-label={`Import Google Drive do dokumentu ${doc.code}`}
-                        title="Import Google Drive (file only)"
+                        title="Import Google Drive (file or folder)"
                       >
                         <GoogleDriveIcon className="drive-icon" />
                         <span>Import</span>
@@ -4628,10 +8003,10 @@ function AppContent() {
                       value={doc.status || 'pending'}
                       onChange={e => { e.stopPropagation(); updateStatus(doc.id, e.target.value) }}
                       onClick={e => e.stopPropagation()}
-                      disabled={!canManageCurrentSection}
+                      disabled={!getDocumentPermissions(doc).can_manage || doc.status === 'in_review'}
                       aria-label={`Status dokumentu ${doc.code}`}
                     >
-                      {STATUS_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.pl}</option>)}
+                      {STATUS_OPTIONS.map(opt => <option key={opt.value} value={opt.value} disabled={isReviewOnlyStatus(opt.value, doc.status)}>{opt.pl}</option>)}
                     </select>
                   </article>
                   {expandedDocId === doc.id && (
@@ -4639,11 +8014,7 @@ function AppContent() {
                       document={doc}
                       onUpdate={loadDocuments}
                       displayLanguage={resolveLanguageMode('auto', profile?.side)}
-                      permissions={{
-                        can_comment: canCommentCurrentSection,
-                        can_upload: canUploadCurrentSection,
-                        can_manage: canManageCurrentSection,
-                      }}
+                      permissions={getDocumentPermissions(doc)}
                     />
                   )}
                 </div>
@@ -4675,7 +8046,7 @@ function AppContent() {
               sections={sections}
               onUpdate={loadSections}
               onClose={() => setShowSectionManager(false)}
-              canManageMain={isAdmin}
+              canManageMain={can(profile, 'sections.manage_tree')}
             />
           </ErrorBoundary>
         )}
@@ -4689,6 +8060,56 @@ function AppContent() {
             />
           </ErrorBoundary>
         )}
+        <UploadQueuePanel queue={uploadQueue} floating />
+        {duplicateReview.dialog}
+        {showSectionPublish && activeSection && (
+          <ErrorBoundary>
+            <PublishToAuditorModal
+              target={{ section_ids: [activeSection.id] }}
+              title={`${activeSection.code || ''} ${activeSection.name_pl || ''}`.trim()}
+              onClose={() => setShowSectionPublish(false)}
+              onDone={loadDocuments}
+            />
+          </ErrorBoundary>
+        )}
+        {showPackages && selectedCompany && (
+          <ErrorBoundary>
+            <DeliveryPackagesModal company={selectedCompany} onClose={() => setShowPackages(false)} />
+          </ErrorBoundary>
+        )}
+        {showRetention && selectedCompany && (
+          <ErrorBoundary>
+            <RetentionPolicyModal company={selectedCompany} onClose={() => setShowRetention(false)} />
+          </ErrorBoundary>
+        )}
+
+        {showStatusReport && selectedCompany && (
+          <ErrorBoundary>
+            <StatusReportModal
+              company={selectedCompany}
+              sections={sections}
+              activeSection={activeSection}
+              documents={documents}
+              docFileStats={docFileStats}
+              onClose={() => setShowStatusReport(false)}
+            />
+          </ErrorBoundary>
+        )}
+        {showDocumentImport && activeSection && (
+          <ErrorBoundary>
+            <DocumentImportModal
+              section={activeSection}
+              documents={documents.filter(doc => doc.section_id === activeSection.id)}
+              onClose={() => setShowDocumentImport(false)}
+              onImported={loadDocuments}
+            />
+          </ErrorBoundary>
+        )}
+        {driveImportReport && (
+          <ErrorBoundary>
+            <DriveImportReport report={driveImportReport} onClose={() => setDriveImportReport(null)} />
+          </ErrorBoundary>
+        )}
         {selectedDocument && (
           <ErrorBoundary>
             <DocumentDetail
@@ -4696,11 +8117,7 @@ function AppContent() {
               onClose={() => setSelectedDocument(null)}
               onUpdate={loadDocuments}
               displayLanguage={resolveLanguageMode('auto', profile?.side)}
-              permissions={{
-                can_comment: canCommentCurrentSection,
-                can_upload: canUploadCurrentSection,
-                can_manage: canManageCurrentSection,
-              }}
+              permissions={getDocumentPermissions(selectedDocument)}
             />
           </ErrorBoundary>
         )}
@@ -1,17 +0,0 @@
-export const companies = [
-  { id: 'liceum', name: 'Liceum', country: 'UA' },
-  { id: 'prestiz', name: 'Prestiż', country: 'UA' },
-  { id: 'nowa', name: 'Nowa Szkoła', country: 'PL' },
-  { id: 'integra', name: 'Integra', country: 'PL' }
-  ]
-
-export const statusOptions = [
-  { value: 'done', label: 'Готово' },
-  { value: 'progress', label: 'В процесі' },
-  { value: 'waiting', label: 'Очікує' }
-  ]
-
-export const sections = {
-    A: { title: 'Sekcja A - Dokumenty korporacyjne', items: [{ id: 'A1', pl: 'Statut', ua: 'Статут' }] },
-    B: { title: 'Sekcja B - Dokumenty finansowe', items: [{ id: 'B1', pl: 'Bilans', ua: 'Баланс' }] }
-}
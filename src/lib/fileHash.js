@@ -0,0 +1,15 @@
+// SHA-256 of file contents (lowercase hex), stored on document_files.content_sha256.
+export async function sha256Blob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Upload flows treat a missing hash as "no duplicate check" rather than failing the upload.
+export async function trySha256Blob(blob) {
+  try {
+    return await sha256Blob(blob)
+  } catch (err) {
+    console.error('Hashing failed:', err)
+    return null
+  }
+}
@@ -0,0 +1,118 @@
+import { Upload } from 'tus-js-client'
+import { supabase, supabaseUrl } from './supabase'
+
+// Supabase Storage only accepts 6 MB chunks on its TUS endpoint.
+const CHUNK_SIZE = 6 * 1024 * 1024
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000]
+
+// Resumable (TUS) upload into a Storage bucket.
+// tus retries failed chunks itself; when the browser goes offline the upload parks
+// in 'offline' and restarts on the next 'online' event. The fingerprint is keyed by
+// bucket/path, so picking the same file again continues from the stored offset.
+// abort() stops the transfer but keeps the server-side upload, so the same file resumes later.
+// States: uploading | paused | offline | done | error | cancelled
+export function createResumableUpload({ bucket, path, file, upsert = false, onProgress, onStateChange }) {
+  let upload = null
+  let state = 'idle'
+  let resolveDone
+  let rejectDone
+  const done = new Promise((resolve, reject) => {
+    resolveDone = resolve
+    rejectDone = reject
+  })
+
+  const setState = (next) => {
+    state = next
+    onStateChange?.(next)
+  }
+
+  const onOnline = () => {
+    if (state === 'offline') start()
+  }
+
+  const fail = (err) => {
+    setState('error')
+    rejectDone(err)
+  }
+
+  async function start() {
+    if (state === 'done' || state === 'cancelled' || state === 'uploading') return
+    setState('uploading')
+    const { data } = await supabase.auth.getSession()
+    const accessToken = data?.session?.access_token
+    if (!accessToken) {
+      fail(new Error('Session not found. Please sign in again.'))
+      return
+    }
+    // State may have changed while the session was loading.
+    if (state !== 'uploading') return
+
+    if (!upload) {
+      upload = new Upload(file, {
+        endpoint: `${supabaseUrl}/storage/v1/upload/resumable`,
+        chunkSize: CHUNK_SIZE,
+        retryDelays: RETRY_DELAYS,
+        removeFingerprintOnSuccess: true,
+        uploadDataDuringCreation: true,
+        metadata: {
+          bucketName: bucket,
+          objectName: path,
+          contentType: file.type || 'application/octet-stream',
+          cacheControl: '3600',
+        },
+        fingerprint: async () => ['supabase-tus', bucket, path, file.size, file.lastModified].join(':'),
+        onProgress: (bytesUploaded, bytesTotal) => onProgress?.(bytesUploaded, bytesTotal),
+        onSuccess: () => {
+          window.removeEventListener('online', onOnline)
+          setState('done')
+          resolveDone({ path })
+        },
+        onError: (err) => {
+          if (state === 'paused' || state === 'cancelled') return
+          if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            setState('offline')
+            window.addEventListener('online', onOnline, { once: true })
+            return
+          }
+          window.removeEventListener('online', onOnline)
+          const body = err?.originalResponse?.getBody?.() || ''
+          fail(new Error(body ? `${err.message} (${body})` : err?.message || 'upload_failed'))
+        },
+      })
+      const previous = await upload.findPreviousUploads().catch(() => [])
+      if (previous.length > 0) upload.resumeFromPreviousUpload(previous[0])
+    }
+    // Tokens may have been refreshed while paused/offline.
+    upload.options.headers = { authorization: `Bearer ${accessToken}`, 'x-upsert': upsert ? 'true' : 'false' }
+    upload.start()
+  }
+
+  const pause = () => {
+    if (state !== 'uploading' && state !== 'offline') return
+    setState('paused')
+    window.removeEventListener('online', onOnline)
+    upload?.abort(false)
+  }
+
+  const resume = () => {
+    if (state === 'paused') start()
+  }
+
+  const cancel = () => {
+    if (state === 'done' || state === 'cancelled') return
+    setState('cancelled')
+    window.removeEventListener('online', onOnline)
+    upload?.abort(true).catch(() => {})
+    rejectDone(new Error('upload_cancelled'))
+  }
+
+  const abort = () => {
+    if (state === 'done' || state === 'cancelled') return
+    setState('cancelled')
+    window.removeEventListener('online', onOnline)
+    upload?.abort(false).catch(() => {})
+    rejectDone(new Error('upload_aborted'))
+  }
+
+  return { done, start, pause, resume, cancel, abort }
+}
@@ -0,0 +1,163 @@
+// In-browser previews of Office files and small thumbnails for the file list.
+// DOCX is parsed into plain blocks that the app renders as React elements (never as an HTML string);
+// XLSX goes through the same ExcelJS reader as imports and version diffs.
+import { strFromU8, unzipSync } from 'fflate'
+import { readXlsxSheets } from './spreadsheet'
+
+export const MAX_PREVIEW_ROWS = 500
+export const MAX_PREVIEW_COLUMNS = 50
+export const MAX_THUMBNAIL_SOURCE_BYTES = 1024 * 1024
+
+const MAX_DOCX_BLOCKS = 5000
+const THUMBNAIL_SIZE = 96
+const MAX_CACHED_THUMBNAILS = 300
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+const THUMBNAIL_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp']
+
+function fileExt(file) {
+  return String(file?.file_type || file?.file_name?.split('.').pop() || '').toLowerCase()
+}
+
+export function richPreviewKind(file) {
+  const ext = fileExt(file)
+  return ext === 'docx' || ext === 'xlsx' ? ext : null
+}
+
+export function thumbnailKind(file) {
+  const ext = fileExt(file)
+  if (THUMBNAIL_IMAGE_EXTENSIONS.includes(ext)) return 'image'
+  return richPreviewKind(file)
+}
+
+function wChildren(node, localName) {
+  return Array.from(node?.childNodes || []).filter(n => n.namespaceURI === W_NS && n.localName === localName)
+}
+
+function wFlag(props, localName) {
+  const el = wChildren(props, localName)[0]
+  if (!el) return false
+  const val = el.getAttributeNS(W_NS, 'val')
+  return val !== 'false' && val !== '0' && val !== 'none'
+}
+
+// Heading styles are localized in the style id (Heading1, Nagwek1, Заголовок1...); Title counts as level 1.
+function headingLevel(props) {
+  const styleId = wChildren(props, 'pStyle')[0]?.getAttributeNS(W_NS, 'val') || ''
+  if (/^title$/i.test(styleId)) return 1
+  const match = styleId.match(/(heading|nag[lł]?[oó]?wek|заголовок)\s*(\d)/i)
+  return match ? Math.min(6, Number(match[2])) : 0
+}
+
+function paragraphBlock(p) {
+  const props = wChildren(p, 'pPr')[0]
+  const runs = []
+  for (const r of p.getElementsByTagNameNS(W_NS, 'r')) {
+    const rProps = wChildren(r, 'rPr')[0]
+    let text = ''
+    for (const child of r.childNodes) {
+      if (child.localName === 't') text += child.textContent
+      else if (child.localName === 'tab') text += '\t'
+      else if (child.localName === 'br' || child.localName === 'cr') text += '\n'
+    }
+    if (text) runs.push({ text, bold: wFlag(rProps, 'b'), italic: wFlag(rProps, 'i'), underline: wFlag(rProps, 'u') })
+  }
+  const numbering = wChildren(props, 'numPr')[0]
+  return {
+    type: 'paragraph',
+    level: headingLevel(props),
+    listLevel: numbering ? Number(wChildren(numbering, 'ilvl')[0]?.getAttributeNS(W_NS, 'val') || 0) : null,
+    runs
+  }
+}
+
+function tableBlock(tbl) {
+  return {
+    type: 'table',
+    rows: wChildren(tbl, 'tr').map(tr => wChildren(tr, 'tc').map(tc => {
+      const span = Number(wChildren(wChildren(tc, 'tcPr')[0], 'gridSpan')[0]?.getAttributeNS(W_NS, 'val') || 1)
+      // Nested tables are flattened into the cell's paragraphs.
+      const paragraphs = Array.from(tc.getElementsByTagNameNS(W_NS, 'p')).map(paragraphBlock)
+      return { span, paragraphs }
+    }))
+  }
+}
+
+function collectBlocks(container, blocks) {
+  for (const node of Array.from(container.childNodes)) {
+    if (blocks.length >= MAX_DOCX_BLOCKS) return
+    if (node.namespaceURI !== W_NS) continue
+    if (node.localName === 'p') blocks.push(paragraphBlock(node))
+    else if (node.localName === 'tbl') blocks.push(tableBlock(node))
+    else if (node.localName === 'sdt') wChildren(node, 'sdtContent').forEach(c => collectBlocks(c, blocks))
+  }
+}
+
+// { blocks: ({ type: 'paragraph', level, listLevel, runs } | { type: 'table', rows })[], truncated }
+export function parseDocx(arrayBuffer) {
+  const entries = unzipSync(new Uint8Array(arrayBuffer), { filter: (f) => f.name === 'word/document.xml' })
+  const xml = entries['word/document.xml']
+  if (!xml) throw new Error('docx_document_missing')
+  const doc = new DOMParser().parseFromString(strFromU8(xml), 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('docx_parse_failed')
+  const body = doc.getElementsByTagNameNS(W_NS, 'body')[0]
+  const blocks = []
+  if (body) collectBlocks(body, blocks)
+  return { blocks, truncated: blocks.length >= MAX_DOCX_BLOCKS }
+}
+
+// Sheets cut to MAX_PREVIEW_ROWS x MAX_PREVIEW_COLUMNS, with the full size kept for the "truncated" note.
+export async function parseXlsxPreview(arrayBuffer) {
+  const sheets = await readXlsxSheets(arrayBuffer)
+  return sheets.map(sheet => {
+    const totalColumns = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0)
+    return {
+      name: sheet.name,
+      rows: sheet.rows.slice(0, MAX_PREVIEW_ROWS).map(row => row.slice(0, MAX_PREVIEW_COLUMNS)),
+      columns: Math.min(totalColumns, MAX_PREVIEW_COLUMNS),
+      totalRows: sheet.rows.length,
+      totalColumns
+    }
+  })
+}
+
+async function imageThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob)
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height))
+  const canvas = window.document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close?.()
+  return { type: 'image', url: canvas.toDataURL('image/png') }
+}
+
+// { type: 'image', url } | { type: 'text', text } | { type: 'grid', rows }
+async function buildThumbnail(blob, kind) {
+  if (kind === 'image') return imageThumbnail(blob)
+  const buffer = await blob.arrayBuffer()
+  if (kind === 'docx') {
+    const text = parseDocx(buffer).blocks
+      .filter(b => b.type === 'paragraph')
+      .map(b => b.runs.map(r => r.text).join(''))
+      .filter(line => line.trim())
+      .join(' ')
+    return { type: 'text', text: text.slice(0, 160) }
+  }
+  const [first] = await parseXlsxPreview(buffer)
+  return { type: 'grid', rows: (first?.rows || []).filter(r => r.some(c => String(c).trim())).slice(0, 4).map(r => r.slice(0, 4)) }
+}
+
+const thumbnailCache = new Map()
+let thumbnailQueue = Promise.resolve()
+
+// One thumbnail at a time, so opening a long file list does not download everything at once.
+// Resolves to null when the file cannot be read or rendered.
+export function loadThumbnail(key, kind, fetchBlob) {
+  if (!thumbnailCache.has(key)) {
+    const job = thumbnailQueue.then(async () => buildThumbnail(await fetchBlob(), kind)).catch(() => null)
+    thumbnailQueue = job
+    thumbnailCache.set(key, job)
+    if (thumbnailCache.size > MAX_CACHED_THUMBNAILS) thumbnailCache.delete(thumbnailCache.keys().next().value)
+  }
+  return thumbnailCache.get(key)
+}
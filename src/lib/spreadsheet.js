@@ -0,0 +1,125 @@
+// CSV / XLSX helpers for spreadsheet imports and exports.
+// ExcelJS is large, so it is only loaded when a workbook is actually read or written.
+
+export async function loadExcelJs() {
+  const mod = await import('exceljs')
+  return mod.default || mod
+}
+
+// RFC 4180 parser. Excel in PL/UA locales saves CSV with ';', so the delimiter is detected from the header line.
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const firstLine = source.split(/\r?\n/, 1)[0] || ''
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        inQuotes = false
+      } else {
+        field += ch
+      }
+      continue
+    }
+    if (ch === '"') {
+      inQuotes = true
+    } else if (ch === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(cell => String(cell).trim() !== ''))
+}
+
+// Inverse of parseCsv: ';'-separated with a BOM so Excel in PL/UA locales opens it as UTF-8 columns.
+// Cells starting with = + - @ are prefixed with ' to keep spreadsheet apps from evaluating them.
+export function toCsv(rows, delimiter = ';') {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value)
+    if (/^[=+\-@]/.test(text)) text = `'${text}`
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  return '\uFEFF' + rows.map(row => row.map(escape).join(delimiter)).join('\r\n')
+}
+
+function excelCellText(cell) {
+  const value = cell?.value
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('')
+    if ('result' in value) return value.result instanceof Date ? value.result.toISOString().slice(0, 10) : String(value.result ?? '')
+    if ('text' in value) return String(value.text ?? '')
+  }
+  return String(value)
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+export function columnLetter(index) {
+  let n = index + 1
+  let out = ''
+  while (n > 0) {
+    const rem = (n - 1) % 26
+    out = String.fromCharCode(65 + rem) + out
+    n = Math.floor((n - 1) / 26)
+  }
+  return out
+}
+
+// Reads every worksheet of an .xlsx into { name, rows: string[][] }.
+export async function readXlsxSheets(arrayBuffer) {
+  const ExcelJS = await loadExcelJs()
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(arrayBuffer)
+  return workbook.worksheets.map(sheet => {
+    const rows = []
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const cells = []
+      for (let col = 1; col <= sheet.columnCount; col++) cells.push(excelCellText(row.getCell(col)))
+      rows[rowNumber - 1] = cells
+    })
+    return { name: sheet.name, rows: Array.from(rows, r => r || []) }
+  })
+}
+
+// First sheet of an .xlsx, or the whole .csv, as string rows.
+export async function readTabularFile(file) {
+  const name = String(file?.name || '').toLowerCase()
+  if (name.endsWith('.xlsx')) {
+    const sheets = await readXlsxSheets(await file.arrayBuffer())
+    return (sheets[0]?.rows || []).filter(r => r.some(cell => String(cell).trim() !== ''))
+  }
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    return parseCsv(await file.text())
+  }
+  throw new Error('Unsupported file type: use .csv or .xlsx')
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const a = window.document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 15000)
+}
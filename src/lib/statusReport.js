@@ -0,0 +1,210 @@
+// Weekly status report exports (XLSX + bilingual PDF).
+// The report object is assembled in App.jsx; this module only renders it.
+//
+// report = {
+//   title, scope, generatedAt, generatedBy,
+//   sections: [{ code, name_pl, name_uk, documents: [{
+//     code, name_pl, name_uk, status, status_pl, status_uk,
+//     responsible, due_date, files, last_activity
+//   }] }]
+// }
+import { loadExcelJs } from './spreadsheet'
+
+export function summarizeSection(section) {
+  const docs = section.documents || []
+  const done = docs.filter(d => d.status === 'done').length
+  return {
+    total: docs.length,
+    done,
+    inProgress: docs.filter(d => d.status === 'in_progress').length,
+    missing: docs.filter(d => d.status === 'missing').length,
+    files: docs.reduce((sum, d) => sum + (Number(d.files) || 0), 0),
+    progress: docs.length > 0 ? Math.round((done / docs.length) * 100) : 0
+  }
+}
+
+export function summarizeReport(report) {
+  const totals = (report.sections || []).map(summarizeSection).reduce((acc, s) => ({
+    total: acc.total + s.total,
+    done: acc.done + s.done,
+    inProgress: acc.inProgress + s.inProgress,
+    missing: acc.missing + s.missing,
+    files: acc.files + s.files
+  }), { total: 0, done: 0, inProgress: 0, missing: 0, files: 0 })
+  return { ...totals, progress: totals.total > 0 ? Math.round((totals.done / totals.total) * 100) : 0 }
+}
+
+function formatTimestamp(value) {
+  if (!value) return ''
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return `${date.toISOString().slice(0, 10)} ${date.toTimeString().slice(0, 5)}`
+}
+
+export function statusReportFileName(report, extension) {
+  const slug = String(report.scope || 'report')
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/_+/g, '_')
+    .slice(0, 60)
+  return `status-${slug}-${String(report.generatedAt || '').slice(0, 10)}.${extension}`
+}
+
+const SUMMARY_HEADER = ['Kod / Код', 'Sekcja', 'Секція', 'Dokumenty / Документи', 'Gotowe / Готово', 'W trakcie / В роботі', 'Brak / Відсутні', 'Pliki / Файли', '%']
+const DETAIL_HEADER = ['Sekcja / Секція', 'Kod / Код', 'Nazwa (PL)', 'Назва (UK)', 'Status', 'Статус', 'Odpowiedzialny / Відповідальний', 'Termin / Термін', 'Pliki / Файли', 'Ostatnia aktywność / Остання активність']
+
+export async function buildStatusReportXlsx(report) {
+  const ExcelJS = await loadExcelJs()
+  const workbook = new ExcelJS.Workbook()
+  workbook.created = new Date(report.generatedAt || Date.now())
+  workbook.creator = report.generatedBy || 'Audit System'
+
+  const summary = workbook.addWorksheet('Podsumowanie - Підсумок')
+  summary.addRow([report.title])
+  summary.addRow([report.scope])
+  summary.addRow([`${formatTimestamp(report.generatedAt)} · ${report.generatedBy || ''}`])
+  summary.addRow([])
+  summary.getRow(1).font = { bold: true, size: 14 }
+  const header = summary.addRow(SUMMARY_HEADER)
+  header.font = { bold: true }
+  for (const section of report.sections || []) {
+    const s = summarizeSection(section)
+    summary.addRow([section.code, section.name_pl, section.name_uk, s.total, s.done, s.inProgress, s.missing, s.files, s.progress / 100])
+  }
+  const t = summarizeReport(report)
+  const totalRow = summary.addRow(['', 'Razem', 'Разом', t.total, t.done, t.inProgress, t.missing, t.files, t.progress / 100])
+  totalRow.font = { bold: true }
+  summary.getColumn(9).numFmt = '0%'
+  summary.columns.forEach((col, idx) => { col.width = [10, 34, 34, 14, 12, 14, 12, 10, 8][idx] || 12 })
+
+  const details = workbook.addWorksheet('Dokumenty - Документи')
+  details.addRow(DETAIL_HEADER).font = { bold: true }
+  details.views = [{ state: 'frozen', ySplit: 1 }]
+  for (const section of report.sections || []) {
+    for (const doc of section.documents || []) {
+      details.addRow([
+        `${section.code}. ${section.name_pl || ''}`,
+        doc.code,
+        doc.name_pl,
+        doc.name_uk,
+        doc.status_pl,
+        doc.status_uk,
+        doc.responsible,
+        doc.due_date || '',
+        Number(doc.files) || 0,
+        formatTimestamp(doc.last_activity)
+      ])
+    }
+  }
+  details.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: DETAIL_HEADER.length } }
+  details.columns.forEach((col, idx) => { col.width = [28, 10, 40, 40, 14, 14, 28, 12, 8, 18][idx] || 12 })
+
+  const buffer = await workbook.xlsx.writeBuffer()
+  return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+}
+
+async function loadPdfMake() {
+  const [pdfMakeMod, fontsMod] = await Promise.all([
+    import('pdfmake/build/pdfmake'),
+    import('pdfmake/build/vfs_fonts')
+  ])
+  const pdfMake = pdfMakeMod.default || pdfMakeMod
+  const vfs = fontsMod.default || fontsMod
+  // Bundled Roboto covers both Polish diacritics and Cyrillic.
+  pdfMake.vfs = vfs.pdfMake?.vfs || vfs
+  return pdfMake
+}
+
+function cell(text, extra = {}) {
+  return { text: String(text ?? ''), ...extra }
+}
+
+export async function buildStatusReportPdf(report) {
+  const pdfMake = await loadPdfMake()
+  const totals = summarizeReport(report)
+
+  const summaryBody = [
+    SUMMARY_HEADER.map(h => cell(h, { style: 'th' })),
+    ...(report.sections || []).map(section => {
+      const s = summarizeSection(section)
+      return [
+        cell(section.code),
+        cell(section.name_pl),
+        cell(section.name_uk),
+        cell(s.total), cell(s.done), cell(s.inProgress), cell(s.missing), cell(s.files), cell(`${s.progress}%`)
+      ]
+    }),
+    [cell(''), cell('Razem', { bold: true }), cell('Разом', { bold: true }),
+      cell(totals.total, { bold: true }), cell(totals.done, { bold: true }), cell(totals.inProgress, { bold: true }),
+      cell(totals.missing, { bold: true }), cell(totals.files, { bold: true }), cell(`${totals.progress}%`, { bold: true })]
+  ]
+
+  const sectionBlocks = (report.sections || []).flatMap(section => {
+    const docs = section.documents || []
+    return [
+      { text: `${section.code}. ${section.name_pl || ''} / ${section.name_uk || ''}`, style: 'h2', pageBreak: 'before' },
+      docs.length === 0
+        ? { text: 'Brak dokumentów / Немає документів', italics: true, color: '#718096' }
+        : {
+          table: {
+            headerRows: 1,
+            widths: [40, '*', 60, 80, 50, 30, 60],
+            body: [
+              ['Kod / Код', 'Nazwa / Назва', 'Status / Статус', 'Odpowiedzialny / Відповідальний', 'Termin / Термін', 'Pliki / Файли', 'Aktywność / Активність'].map(h => cell(h, { style: 'th' })),
+              ...docs.map(doc => [
+                cell(doc.code),
+                { stack: [cell(doc.name_pl), cell(doc.name_uk, { color: '#4a5568' })] },
+                { stack: [cell(doc.status_pl), cell(doc.status_uk, { color: '#4a5568' })] },
+                cell(doc.responsible),
+                cell(doc.due_date),
+                cell(Number(doc.files) || 0),
+                cell(formatTimestamp(doc.last_activity))
+              ])
+            ]
+          },
+          layout: 'lightHorizontalLines'
+        }
+    ]
+  })
+
+  const definition = {
+    pageOrientation: 'landscape',
+    pageMargins: [30, 40, 30, 40],
+    info: { title: report.title, creator: 'Audit System' },
+    defaultStyle: { font: 'Roboto', fontSize: 8 },
+    styles: {
+      h1: { fontSize: 16, bold: true, margin: [0, 0, 0, 4] },
+      h2: { fontSize: 12, bold: true, margin: [0, 0, 0, 6] },
+      meta: { fontSize: 9, color: '#4a5568', margin: [0, 0, 0, 12] },
+      th: { bold: true, fillColor: '#edf2f7' }
+    },
+    footer: (currentPage, pageCount) => ({
+      text: `${report.scope} · ${currentPage} / ${pageCount}`,
+      alignment: 'right',
+      fontSize: 7,
+      color: '#718096',
+      margin: [30, 10]
+    }),
+    content: [
+      { text: report.title, style: 'h1' },
+      {
+        text: `${report.scope}\n${formatTimestamp(report.generatedAt)} · ${report.generatedBy || ''}\n` +
+          `Ukończono / Завершено: ${totals.done} / ${totals.total} (${totals.progress}%) · Pliki / Файли: ${totals.files}`,
+        style: 'meta'
+      },
+      {
+        table: { headerRows: 1, widths: [40, '*', '*', 55, 45, 55, 45, 40, 30], body: summaryBody },
+        layout: 'lightHorizontalLines'
+      },
+      ...sectionBlocks
+    ]
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      pdfMake.createPdf(definition).getBlob(resolve)
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
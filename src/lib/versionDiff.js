@@ -0,0 +1,233 @@
+// Diffs between two versions of a file: line diff for text/CSV/DOCX, cell diff for XLSX.
+import { strFromU8, unzipSync } from 'fflate'
+import { columnLetter, readXlsxSheets } from './spreadsheet'
+
+// Above this many differing lines the edit script is not worth computing; the sides are shown as replaced.
+const MAX_EDIT_DISTANCE = 2500
+const MAX_CELL_CHANGES_PER_SHEET = 2000
+
+export function diffKindForFile(file) {
+  const ext = String(file?.file_type || file?.file_name?.split('.').pop() || '').toLowerCase()
+  if (ext === 'xlsx') return 'xlsx'
+  if (ext === 'docx') return 'docx'
+  if (['txt', 'csv'].includes(ext) || String(file?.mime_type || '').startsWith('text/')) return 'text'
+  return null
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&')
+}
+
+// Same extraction as the file-extract-text edge function: one line per paragraph of the body, headers and footers.
+export function extractDocxText(arrayBuffer) {
+  const entries = unzipSync(new Uint8Array(arrayBuffer), {
+    filter: (f) => /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/.test(f.name)
+  })
+  const order = (name) => (name === 'word/document.xml' ? 0 : 1)
+  return Object.keys(entries)
+    .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+    .map((name) => {
+      const xml = strFromU8(entries[name])
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br[^>]*\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n')
+      const parts = []
+      const re = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|(\n|\t)/g
+      let match
+      while ((match = re.exec(xml)) !== null) parts.push(match[1] !== undefined ? decodeXmlEntities(match[1]) : match[2])
+      return parts.join('')
+    })
+    .join('\n\n')
+}
+
+export function splitLines(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  if (source === '') return []
+  const lines = source.split(/\r\n|\r|\n/)
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+// Myers O((N+M)D) diff. Each trace step keeps only the diagonals it reached, so memory is O(D²).
+function myersOps(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = n + m
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+  let found = false
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+  }
+
+  const ops = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snap = trace[d]
+    const at = (k) => snap[k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', a: x - 1, b: y - 1 })
+      x--
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'add', b: y - 1 })
+      else ops.push({ type: 'del', a: x - 1 })
+    }
+    x = prevX
+    y = prevY
+  }
+  return ops.reverse()
+}
+
+// Line diff as side-by-side rows: equal, change (paired del/add), del, add and collapsed 'skip' runs.
+export function diffLines(leftText, rightText, context = 3) {
+  const a = splitLines(leftText)
+  const b = splitLines(rightText)
+
+  // Common prefix/suffix are trimmed before running Myers on the middle.
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+  const middle = myersOps(a.slice(start, endA), b.slice(start, endB))
+  const tooLarge = middle === null
+  const ops = []
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: i, b: i })
+  if (tooLarge) {
+    for (let i = start; i < endA; i++) ops.push({ type: 'del', a: i })
+    for (let j = start; j < endB; j++) ops.push({ type: 'add', b: j })
+  } else {
+    middle.forEach(op => ops.push({ type: op.type, a: op.a === undefined ? undefined : op.a + start, b: op.b === undefined ? undefined : op.b + start }))
+  }
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ type: 'equal', a: i, b: j })
+
+  const rows = []
+  let added = 0
+  let removed = 0
+  for (let i = 0; i < ops.length;) {
+    if (ops[i].type === 'equal') {
+      rows.push({ type: 'equal', leftNo: ops[i].a + 1, left: a[ops[i].a], rightNo: ops[i].b + 1, right: b[ops[i].b] })
+      i++
+      continue
+    }
+    const dels = []
+    const adds = []
+    while (i < ops.length && ops[i].type !== 'equal') {
+      if (ops[i].type === 'del') dels.push(ops[i].a)
+      else adds.push(ops[i].b)
+      i++
+    }
+    removed += dels.length
+    added += adds.length
+    for (let j = 0; j < Math.max(dels.length, adds.length); j++) {
+      const l = dels[j]
+      const r = adds[j]
+      rows.push({
+        type: l !== undefined && r !== undefined ? 'change' : (l !== undefined ? 'del' : 'add'),
+        leftNo: l !== undefined ? l + 1 : null,
+        left: l !== undefined ? a[l] : '',
+        rightNo: r !== undefined ? r + 1 : null,
+        right: r !== undefined ? b[r] : ''
+      })
+    }
+  }
+
+  return { rows: collapseUnchanged(rows, context), added, removed, tooLarge }
+}
+
+function collapseUnchanged(rows, context) {
+  const keep = rows.map(r => r.type !== 'equal')
+  rows.forEach((r, i) => {
+    if (r.type === 'equal') return
+    for (let j = Math.max(0, i - context); j <= Math.min(rows.length - 1, i + context); j++) keep[j] = true
+  })
+  const out = []
+  let skipped = 0
+  rows.forEach((r, i) => {
+    if (keep[i]) {
+      if (skipped > 0) out.push({ type: 'skip', count: skipped })
+      skipped = 0
+      out.push(r)
+    } else {
+      skipped++
+    }
+  })
+  if (skipped > 0) out.push({ type: 'skip', count: skipped })
+  return out
+}
+
+// Cell-level comparison of two workbooks; sheets are matched by name.
+export async function diffWorkbooks(leftBuffer, rightBuffer) {
+  const [leftSheets, rightSheets] = await Promise.all([readXlsxSheets(leftBuffer), readXlsxSheets(rightBuffer)])
+  const leftByName = new Map(leftSheets.map(s => [s.name, s.rows]))
+  const rightByName = new Map(rightSheets.map(s => [s.name, s.rows]))
+  const names = [...new Set([...leftSheets.map(s => s.name), ...rightSheets.map(s => s.name)])]
+
+  return names.map((name) => {
+    const left = leftByName.get(name)
+    const right = rightByName.get(name)
+    const status = !left ? 'added' : !right ? 'removed' : 'compared'
+    const l = left || []
+    const r = right || []
+    const cells = []
+    let total = 0
+    const rowCount = Math.max(l.length, r.length)
+    for (let row = 0; row < rowCount; row++) {
+      const lr = l[row] || []
+      const rr = r[row] || []
+      const colCount = Math.max(lr.length, rr.length)
+      for (let col = 0; col < colCount; col++) {
+        const before = lr[col] ?? ''
+        const after = rr[col] ?? ''
+        if (before === after) continue
+        total++
+        if (cells.length < MAX_CELL_CHANGES_PER_SHEET) {
+          cells.push({
+            address: `${columnLetter(col)}${row + 1}`,
+            before,
+            after,
+            type: before === '' ? 'add' : after === '' ? 'del' : 'change'
+          })
+        }
+      }
+    }
+    return { name, status: status === 'compared' && total === 0 ? 'same' : status === 'compared' ? 'changed' : status, cells, total }
+  })
+}
+
+export async function readVersionText(blob, kind) {
+  if (kind === 'docx') return extractDocxText(await blob.arrayBuffer())
+  return blob.text()
+}
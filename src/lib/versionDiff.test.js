@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import { loadExcelJs } from './spreadsheet'
+import { diffLines, diffWorkbooks } from './versionDiff'
+
+const lines = (...items) => items.join('\n')
+
+async function workbook(sheets) {
+  const ExcelJS = await loadExcelJs()
+  const wb = new ExcelJS.Workbook()
+  for (const [name, rows] of Object.entries(sheets)) wb.addWorksheet(name).addRows(rows)
+  return wb.xlsx.writeBuffer()
+}
+
+describe('diffLines', () => {
+  it('reports nothing for equal input', () => {
+    const result = diffLines(lines('a', 'b', 'c'), lines('a', 'b', 'c'))
+    expect(result).toMatchObject({ added: 0, removed: 0, tooLarge: false })
+    expect(result.rows).toEqual([{ type: 'skip', count: 3 }])
+  })
+
+  it('treats a trailing newline and CRLF line ends as the same text', () => {
+    const result = diffLines('a\r\nb\r\n', lines('a', 'b'))
+    expect(result).toMatchObject({ added: 0, removed: 0 })
+  })
+
+  it('finds a pure insert', () => {
+    const result = diffLines(lines('a', 'c'), lines('a', 'b', 'c'), 0)
+    expect(result).toMatchObject({ added: 1, removed: 0, tooLarge: false })
+    expect(result.rows).toEqual([
+      { type: 'skip', count: 1 },
+      { type: 'add', leftNo: null, left: '', rightNo: 2, right: 'b' },
+      { type: 'skip', count: 1 }
+    ])
+  })
+
+  it('finds a pure delete', () => {
+    const result = diffLines(lines('a', 'b', 'c'), lines('a', 'c'), 0)
+    expect(result).toMatchObject({ added: 0, removed: 1 })
+    expect(result.rows).toContainEqual({ type: 'del', leftNo: 2, left: 'b', rightNo: null, right: '' })
+  })
+
+  it('pairs a change in the middle and keeps line numbers of both sides', () => {
+    const result = diffLines(lines('a', 'b', 'x', 'd', 'e'), lines('a', 'b', 'y', 'z', 'd', 'e'), 1)
+    expect(result).toMatchObject({ added: 2, removed: 1, tooLarge: false })
+    expect(result.rows).toEqual([
+      { type: 'skip', count: 1 },
+      { type: 'equal', leftNo: 2, left: 'b', rightNo: 2, right: 'b' },
+      { type: 'change', leftNo: 3, left: 'x', rightNo: 3, right: 'y' },
+      { type: 'add', leftNo: null, left: '', rightNo: 4, right: 'z' },
+      { type: 'equal', leftNo: 4, left: 'd', rightNo: 5, right: 'd' },
+      { type: 'skip', count: 1 }
+    ])
+  })
+
+  it('keeps equal lines between separate changes', () => {
+    const result = diffLines(lines('1', 'a', '2', 'b', '3'), lines('1', 'A', '2', 'B', '3'), 0)
+    expect(result.rows.filter(r => r.type === 'change').map(r => [r.left, r.right])).toEqual([['a', 'A'], ['b', 'B']])
+    expect(result).toMatchObject({ added: 2, removed: 2 })
+  })
+
+  it('shows the sides as replaced when the edit distance is too large', () => {
+    const left = Array.from({ length: 1500 }, (_, i) => `left ${i}`)
+    const right = Array.from({ length: 1500 }, (_, i) => `right ${i}`)
+    const result = diffLines(lines('same', ...left, 'end'), lines('same', ...right, 'end'), 0)
+    expect(result).toMatchObject({ added: 1500, removed: 1500, tooLarge: true })
+    expect(result.rows[1]).toEqual({ type: 'change', leftNo: 2, left: 'left 0', rightNo: 2, right: 'right 0' })
+  })
+})
+
+describe('diffWorkbooks', () => {
+  it('compares cells of sheets with the same name', async () => {
+    const left = await workbook({ Data: [['a', 1], ['b', 2]] })
+    const right = await workbook({ Data: [['a', 1], ['b', 3], ['c']] })
+    const [sheet] = await diffWorkbooks(left, right)
+    expect(sheet).toMatchObject({ name: 'Data', status: 'changed', total: 2 })
+    expect(sheet.cells.map(c => [c.address, c.type])).toEqual([['B2', 'change'], ['A3', 'add']])
+  })
+
+  it('marks unchanged sheets as the same', async () => {
+    const left = await workbook({ Data: [['a']] })
+    const right = await workbook({ Data: [['a']] })
+    expect(await diffWorkbooks(left, right)).toEqual([{ name: 'Data', status: 'same', cells: [], total: 0 }])
+  })
+
+  it('reports added and removed sheets', async () => {
+    const left = await workbook({ Old: [['x']], Kept: [['k']] })
+    const right = await workbook({ Kept: [['k']], New: [['y']] })
+    const byName = Object.fromEntries((await diffWorkbooks(left, right)).map(s => [s.name, s]))
+    expect(byName.Old).toMatchObject({ status: 'removed', total: 1 })
+    expect(byName.Old.cells).toEqual([{ address: 'A1', before: 'x', after: '', type: 'del' }])
+    expect(byName.New).toMatchObject({ status: 'added', total: 1 })
+    expect(byName.Kept.status).toBe('same')
+  })
+})
@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest'
+import {
+  POLICY,
+  can,
+  canSeeBySide,
+  normalizeSide,
+  sectionPermissions
+} from '../supabase/functions/_shared/policy.ts'
+
+// Every role on every side, including the legacy OPERATOR spelling of AUDITOR.
+const ROLES = ['super_admin', 'lawyer_admin', 'lawyer_auditor', 'user_fnu', 'user_operator']
+const SIDES = ['FNU', 'AUDITOR', 'OPERATOR']
+const ACTORS = ROLES.flatMap(role => SIDES.map(side => ({ id: `${role}-${side}`, role, side, is_active: true })))
+
+const isAdmin = a => a.role === 'super_admin' || a.role === 'lawyer_admin'
+const isSuperAdmin = a => a.role === 'super_admin'
+const isFnu = a => a.side === 'FNU'
+const isAuditor = a => a.side === 'AUDITOR' || a.side === 'OPERATOR'
+const everyone = () => true
+const nobody = () => false
+
+const NO_ACL = { aclEnabled: true, acl: { can_view: false, can_comment: false, can_upload: false, can_manage: false } }
+const FULL_ACL = { aclEnabled: true, acl: { can_view: true, can_comment: true, can_upload: true, can_manage: true } }
+
+// [action, context name, context, who is allowed]
+const CASES = [
+  ['users.manage', 'none', {}, isAdmin],
+  ['audit_log.view', 'none', {}, isSuperAdmin],
+  ['sections.manage_tree', 'none', {}, isAdmin],
+  ['sections.open_manager', 'none', {}, a => isAdmin(a) || isFnu(a)],
+  ['templates.manage', 'none', {}, isAdmin],
+  ['deadlines.run', 'none', {}, isAdmin],
+  ['retention.manage', 'none', {}, isAdmin],
+
+  ...['section.view', 'section.comment', 'section.upload', 'section.manage'].flatMap(action => [
+    [action, 'no acl', {}, everyone],
+    [action, 'acl denies', NO_ACL, a => isAdmin(a) || isAuditor(a)],
+    [action, 'acl grants', FULL_ACL, everyone]
+  ]),
+
+  ['document.edit_details', 'none', {}, isAdmin],
+  ['document.submit_review', 'no acl', {}, a => isAdmin(a) || isFnu(a)],
+  ['document.submit_review', 'acl denies', NO_ACL, isAdmin],
+  ['document.review', 'none', {}, isAuditor],
+
+  ['file.view', 'not shared', {}, a => isAdmin(a) || isFnu(a)],
+  ['file.view', 'not shared, acl denies', NO_ACL, isAdmin],
+  ['file.view', 'shared', { sharedWithAuditor: true }, everyone],
+  ['file.view', 'shared, acl denies', { ...NO_ACL, sharedWithAuditor: true }, a => isAdmin(a) || isAuditor(a)],
+  ['file.open', 'clean', { scanStatus: 'clean' }, everyone],
+  ['file.open', 'pending', { scanStatus: 'pending' }, nobody],
+  ['file.open', 'infected', { scanStatus: 'infected' }, nobody],
+  ['file.open_original', 'none', {}, a => isAdmin(a) && isFnu(a)],
+  ['file.delete', 'no acl', {}, a => isAdmin(a) || isFnu(a)],
+  ['file.delete', 'acl denies', NO_ACL, isAdmin],
+  ['file.delete', 'own file, acl denies', { ...NO_ACL, ownerId: 'self' }, everyone],
+  ['file.publish_to_auditor', 'clean', { scanStatus: 'clean' }, a => isSuperAdmin(a) && isFnu(a)],
+  ['file.publish_to_auditor', 'pending', { scanStatus: 'pending' }, nobody],
+  ['file.revoke_from_auditor', 'none', {}, a => isSuperAdmin(a) && isFnu(a)],
+  ['file.tag_version', 'no acl', {}, a => isAdmin(a) || isFnu(a)],
+  ['file.tag_version', 'acl denies', NO_ACL, isAdmin],
+  ['file.view_receipts', 'none', {}, a => isAdmin(a) || isFnu(a)],
+
+  ['comment.view', 'auditor channel', { commentScope: 'auditor_channel' }, a => isAdmin(a) || isAuditor(a)],
+  ['comment.view', 'internal', { commentScope: 'internal' }, a => isSuperAdmin(a) || isFnu(a)],
+  ['comment.post', 'auditor channel', { commentScope: 'auditor_channel' }, a => isAdmin(a) || isAuditor(a)],
+  ['comment.post', 'internal', { commentScope: 'internal' }, isFnu],
+
+  ['chat.message_anyone', 'none', {}, isSuperAdmin],
+  ['llm.translate', 'none', {}, everyone],
+  ['llm.suggest', 'none', {}, everyone]
+]
+
+describe('can', () => {
+  describe.each(CASES)('%s (%s)', (action, _name, ctx, allowed) => {
+    it.each(ACTORS.map(actor => [actor.role, actor.side, actor]))('%s / %s', (_role, _side, actor) => {
+      const context = ctx.ownerId === 'self' ? { ...ctx, ownerId: actor.id } : ctx
+      expect(can(actor, action, context)).toBe(allowed(actor))
+    })
+  })
+
+  it('covers every action in the policy', () => {
+    const tested = new Set(CASES.map(([action]) => action))
+    expect(Object.keys(POLICY).filter(action => !tested.has(action))).toEqual([])
+  })
+
+  it('denies missing and inactive actors', () => {
+    expect(can(null, 'section.view')).toBe(false)
+    expect(can(undefined, 'section.view')).toBe(false)
+    expect(can({ role: 'super_admin', side: 'FNU', is_active: false }, 'users.manage')).toBe(false)
+  })
+
+  it('throws on unknown actions', () => {
+    expect(() => can(ACTORS[0], 'no.such_action')).toThrow('Unknown policy action: no.such_action')
+  })
+
+  it('shows a rejection (posted to both comment channels) to the FNU submitter and the reviewer', () => {
+    const submitter = { role: 'user_fnu', side: 'FNU', is_active: true }
+    const reviewer = { role: 'lawyer_auditor', side: 'AUDITOR', is_active: true }
+    expect(can(submitter, 'comment.view', { commentScope: 'auditor_channel' })).toBe(false)
+    expect(can(submitter, 'comment.view', { commentScope: 'fnu_internal' })).toBe(true)
+    expect(can(reviewer, 'comment.view', { commentScope: 'auditor_channel' })).toBe(true)
+  })
+
+  it('ignores ACL flags when the actor has no ACL entries', () => {
+    const fnuUser = { role: 'user_fnu', side: 'FNU', is_active: true }
+    expect(can(fnuUser, 'section.upload', { aclEnabled: false, acl: NO_ACL.acl })).toBe(true)
+  })
+})
+
+describe('sectionPermissions', () => {
+  it('maps the section actions to the UI permission flags', () => {
+    const fnuUser = { role: 'user_fnu', side: 'FNU', is_active: true }
+    expect(sectionPermissions(fnuUser, { aclEnabled: true, acl: { can_view: true, can_comment: true } })).toEqual({
+      can_view: true,
+      can_comment: true,
+      can_upload: false,
+      can_manage: false
+    })
+  })
+})
+
+describe('normalizeSide', () => {
+  it('maps the legacy OPERATOR side to AUDITOR and defaults to FNU', () => {
+    expect(normalizeSide('operator')).toBe('AUDITOR')
+    expect(normalizeSide(' auditor ')).toBe('AUDITOR')
+    expect(normalizeSide('FNU')).toBe('FNU')
+    expect(normalizeSide('')).toBe('FNU')
+    expect(normalizeSide(null)).toBe('FNU')
+  })
+})
+
+describe('canSeeBySide', () => {
+  it('treats an empty list as visible to everyone', () => {
+    expect(canSeeBySide([], 'AUDITOR')).toBe(true)
+    expect(canSeeBySide(null, 'FNU')).toBe(true)
+  })
+
+  it('matches sides after normalizing them', () => {
+    expect(canSeeBySide(['OPERATOR'], 'AUDITOR')).toBe(true)
+    expect(canSeeBySide(['FNU'], 'operator')).toBe(false)
+  })
+})
@@ -0,0 +1,31 @@
+import type { SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import type { PolicyContext, SectionAcl } from "./policy.ts";
+
+export type SectionAclIndex = {
+  aclEnabled: boolean;
+  bySection: Map<string, SectionAcl>;
+};
+
+// Loads a user's effective folder ACL (inheritance resolved in SQL) for policy checks.
+export async function loadSectionAcl(
+  adminClient: SupabaseClient,
+  userId: string,
+  appSlug = "audit",
+): Promise<SectionAclIndex> {
+  const empty: SectionAclIndex = { aclEnabled: false, bySection: new Map() };
+  if (!userId) return empty;
+  const { data: appRows } = await adminClient.from("tw_apps").select("id").eq("slug", appSlug).limit(1);
+  const appId = Array.isArray(appRows) && appRows[0]?.id ? String(appRows[0].id) : "";
+  if (!appId) return empty;
+  const { data: rows, error } = await adminClient.rpc("effective_section_acl", { p_app_id: appId, p_user_id: userId });
+  if (error) throw new Error(`acl_query_failed: ${error.message}`);
+  const list = Array.isArray(rows) ? rows : [];
+  return {
+    aclEnabled: list.length > 0,
+    bySection: new Map(list.map((r) => [String(r.section_id), r as SectionAcl])),
+  };
+}
+
+export function sectionContext(index: SectionAclIndex, sectionId: string, extra: PolicyContext = {}): PolicyContext {
+  return { ...extra, aclEnabled: index.aclEnabled, acl: index.bySection.get(sectionId) || null };
+}
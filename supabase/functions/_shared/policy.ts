@@ -0,0 +1,149 @@
+// Access policy shared by the React app (src/App.jsx imports this file through Vite) and the edge functions.
+// Keep it dependency-free: it must run unchanged in the browser and in Deno.
+//
+// Each action lists the grants that allow it; a grant matches when every condition it sets holds.
+// Section ACL flags only restrict FNU users who have at least one tw_folder_acl entry.
+
+export const SIDE_FNU = "FNU";
+export const SIDE_AUDITOR = "AUDITOR";
+export const SIDE_OPERATOR_LEGACY = "OPERATOR";
+
+export const ADMIN_ROLES = ["super_admin", "lawyer_admin"];
+
+export type AclFlag = "can_view" | "can_comment" | "can_upload" | "can_manage";
+
+export type SectionAcl = Partial<Record<AclFlag, boolean | null>>;
+
+export type Actor = {
+  id?: string | null;
+  role?: string | null;
+  side?: string | null;
+  is_active?: boolean | null;
+};
+
+export type PolicyContext = {
+  // Effective ACL row for the resource's section (see effective_section_acl()).
+  acl?: SectionAcl | null;
+  // Whether the actor has any ACL entries at all; without entries FNU users see every folder.
+  aclEnabled?: boolean;
+  // Uploader / author of the resource.
+  ownerId?: string | null;
+  // document_access.visible_to_operator for files, restricted to the row's audience (see _shared/publication.ts).
+  sharedWithAuditor?: boolean;
+  // document_files.scan_status / chat_attachments.scan_status; anything but "clean" is quarantined.
+  scanStatus?: string | null;
+  // comments.comment_scope
+  commentScope?: string | null;
+};
+
+type Grant = {
+  roles?: string[];
+  sides?: string[];
+  acl?: AclFlag;
+  owner?: boolean;
+  when?: (actor: Actor, ctx: PolicyContext) => boolean;
+};
+
+const ADMINS: Grant = { roles: ADMIN_ROLES };
+const isAuditorChannel = (_actor: Actor, ctx: PolicyContext) => String(ctx.commentScope || "") === "auditor_channel";
+const isInternalChannel = (actor: Actor, ctx: PolicyContext) => !isAuditorChannel(actor, ctx);
+const isScanClean = (_actor: Actor, ctx: PolicyContext) => String(ctx.scanStatus || "") === "clean";
+
+export const POLICY: Record<string, Grant[]> = {
+  "users.manage": [ADMINS],
+  "audit_log.view": [{ roles: ["super_admin"] }],
+  "sections.manage_tree": [ADMINS],
+  "sections.open_manager": [ADMINS, { sides: [SIDE_FNU] }],
+  "templates.manage": [ADMINS],
+  "deadlines.run": [ADMINS],
+  "retention.manage": [ADMINS],
+
+  "section.view": [ADMINS, { sides: [SIDE_FNU], acl: "can_view" }, { sides: [SIDE_AUDITOR] }],
+  "section.comment": [ADMINS, { sides: [SIDE_FNU], acl: "can_comment" }, { sides: [SIDE_AUDITOR] }],
+  "section.upload": [ADMINS, { sides: [SIDE_FNU], acl: "can_upload" }, { sides: [SIDE_AUDITOR] }],
+  "section.manage": [ADMINS, { sides: [SIDE_FNU], acl: "can_manage" }, { sides: [SIDE_AUDITOR] }],
+
+  "document.edit_details": [ADMINS],
+  // Review workflow: FNU submits, an AUDITOR reviewer approves (-> done) or rejects (-> in_progress).
+  "document.submit_review": [ADMINS, { sides: [SIDE_FNU], acl: "can_upload" }],
+  "document.review": [{ sides: [SIDE_AUDITOR] }],
+
+  "file.view": [
+    ADMINS,
+    { sides: [SIDE_FNU], acl: "can_view" },
+    { sides: [SIDE_AUDITOR], when: (_a, ctx) => Boolean(ctx.sharedWithAuditor) },
+  ],
+  // Opening, previewing or downloading content (on top of file.view): never while the file is quarantined.
+  "file.open": [{ when: isScanClean }],
+  // Originals of PDFs and images (see _shared/watermark.ts) are for FNU admins; everyone else gets watermarked copies.
+  "file.open_original": [{ roles: ADMIN_ROLES, sides: [SIDE_FNU] }],
+  "file.delete": [ADMINS, { owner: true }, { sides: [SIDE_FNU], acl: "can_manage" }],
+  "file.publish_to_auditor": [{ roles: ["super_admin"], sides: [SIDE_FNU], when: isScanClean }],
+  "file.revoke_from_auditor": [{ roles: ["super_admin"], sides: [SIDE_FNU] }],
+  "file.tag_version": [ADMINS, { sides: [SIDE_FNU], acl: "can_manage" }],
+  // "Seen by": who previewed or downloaded a file (file_access_events).
+  "file.view_receipts": [ADMINS, { sides: [SIDE_FNU] }],
+
+  "comment.view": [
+    { roles: ["super_admin"] },
+    { roles: ADMIN_ROLES, when: isAuditorChannel },
+    { sides: [SIDE_AUDITOR], when: isAuditorChannel },
+    { sides: [SIDE_FNU], when: isInternalChannel },
+  ],
+  "comment.post": [
+    { roles: ADMIN_ROLES, when: isAuditorChannel },
+    { sides: [SIDE_AUDITOR], when: isAuditorChannel },
+    { sides: [SIDE_FNU], when: isInternalChannel },
+  ],
+
+  "chat.message_anyone": [{ roles: ["super_admin"] }],
+
+  // llm-translator: comment/message translation and chat completions, rate-limited per user in SQL.
+  "llm.translate": [{ sides: [SIDE_FNU, SIDE_AUDITOR] }],
+  "llm.suggest": [{ sides: [SIDE_FNU, SIDE_AUDITOR] }],
+};
+
+export function normalizeSide(side: unknown) {
+  const s = String(side || "").trim().toUpperCase();
+  if (s === SIDE_OPERATOR_LEGACY) return SIDE_AUDITOR;
+  if (s === SIDE_FNU || s === SIDE_AUDITOR) return s;
+  return s || SIDE_FNU;
+}
+
+export function isAdminRole(role: unknown) {
+  return ADMIN_ROLES.includes(String(role || "").trim());
+}
+
+function grantMatches(grant: Grant, actor: Actor, ctx: PolicyContext) {
+  if (grant.roles && !grant.roles.includes(String(actor.role || "").trim())) return false;
+  if (grant.sides && !grant.sides.includes(normalizeSide(actor.side))) return false;
+  if (grant.owner && !(actor.id && ctx.ownerId && String(actor.id) === String(ctx.ownerId))) return false;
+  if (grant.acl && ctx.aclEnabled && !ctx.acl?.[grant.acl]) return false;
+  if (grant.when && !grant.when(actor, ctx)) return false;
+  return true;
+}
+
+export function can(actor: Actor | null | undefined, action: string, ctx: PolicyContext = {}) {
+  if (!actor || actor.is_active === false) return false;
+  const grants = POLICY[action];
+  if (!grants) throw new Error(`Unknown policy action: ${action}`);
+  return grants.some((grant) => grantMatches(grant, actor, ctx));
+}
+
+// Section rights in the shape the UI passes around as `permissions`.
+export function sectionPermissions(actor: Actor | null | undefined, ctx: PolicyContext = {}) {
+  return {
+    can_view: can(actor, "section.view", ctx),
+    can_comment: can(actor, "section.comment", ctx),
+    can_upload: can(actor, "section.upload", ctx),
+    can_manage: can(actor, "section.manage", ctx),
+  };
+}
+
+// visible_to_sides on comments/messages: an empty list means everyone.
+export function canSeeBySide(visibleToSides: unknown, viewerSide: unknown) {
+  const viewer = normalizeSide(viewerSide);
+  const list = Array.isArray(visibleToSides) ? visibleToSides : [];
+  if (list.length === 0) return true;
+  return list.some((s) => normalizeSide(s) === viewer);
+}
@@ -0,0 +1,30 @@
+import type { SupabaseClient } from "jsr:@supabase/supabase-js@2";
+
+export type AccessRow = {
+  file_id: string;
+  visible_to_operator: boolean | null;
+  audience_user_ids?: string[] | null;
+};
+
+// Published, and addressed either to the whole AUDITOR side (empty audience) or to this user.
+export function isPublishedTo(row: AccessRow, userId: string) {
+  if (!row.visible_to_operator) return false;
+  const audience = Array.isArray(row.audience_user_ids) ? row.audience_user_ids : [];
+  return audience.length === 0 || audience.includes(userId);
+}
+
+// Files among fileIds currently published to userId (document_access, see isPublishedTo).
+export async function loadPublishedFileIds(adminClient: SupabaseClient, fileIds: string[], userId: string) {
+  const shared = new Set<string>();
+  for (let i = 0; i < fileIds.length; i += 200) {
+    const { data } = await adminClient
+      .from("document_access")
+      .select("file_id,visible_to_operator,audience_user_ids")
+      .in("file_id", fileIds.slice(i, i + 200))
+      .eq("visible_to_operator", true);
+    for (const r of (data || []) as AccessRow[]) {
+      if (isPublishedTo(r, userId)) shared.add(String(r.file_id));
+    }
+  }
+  return shared;
+}
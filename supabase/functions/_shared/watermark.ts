@@ -0,0 +1,63 @@
+import { degrees, PDFDocument, type PDFFont, rgb, StandardFonts } from "npm:pdf-lib@1.17.1";
+import { fileExtension, isWatermarkProtected } from "./watermarkFormats.ts";
+
+export { isWatermarkProtected } from "./watermarkFormats.ts";
+
+// Watermarked copies for users who may not open originals (see "file.open_original" in policy.ts).
+// PDFs are stamped page by page; PNG and JPEG images are placed on a page of their own size and stamped,
+// so the result is always a PDF.
+
+export function watermarkedFileName(fileName: unknown) {
+  const name = String(fileName || "file");
+  const ext = fileExtension(name);
+  return ext === "pdf" ? name : `${ext ? name.slice(0, -(ext.length + 1)) : name}.pdf`;
+}
+
+// The standard PDF fonts only cover WinAnsi: Polish letters are folded to ASCII, anything else becomes "?".
+function winAnsiSafe(text: string) {
+  return text
+    .replace(/ł/g, "l")
+    .replace(/Ł/g, "L")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+export function watermarkLabel(viewer: { full_name?: string | null; email?: string | null; id: string }, at = new Date()) {
+  const stamp = at.toISOString().slice(0, 16).replace("T", " ");
+  return [String(viewer.full_name || "").trim(), String(viewer.email || viewer.id).trim(), `${stamp} UTC`]
+    .filter(Boolean)
+    .join(" | ");
+}
+
+function stampPages(pdf: PDFDocument, font: PDFFont, label: string) {
+  const text = winAnsiSafe(label);
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    const size = Math.max(9, Math.min(width, height) / 36);
+    const textWidth = font.widthOfTextAtSize(text, size);
+    // Diagonal rows across the whole page, so cropping cannot remove every copy.
+    for (let y = -width; y < height; y += size * 9) {
+      for (let x = 0; x < width + height; x += textWidth + size * 4) {
+        page.drawText(text, { x, y: y + x * 0.6, size, font, color: rgb(0.55, 0.1, 0.1), opacity: 0.14, rotate: degrees(31) });
+      }
+    }
+    page.drawText(text, { x: 12, y: 8, size: 7, font, color: rgb(0.4, 0.4, 0.4), opacity: 0.8 });
+  }
+}
+
+export async function watermarkFile(bytes: Uint8Array, fileName: unknown, label: string) {
+  const ext = fileExtension(fileName);
+  if (!isWatermarkProtected(fileName)) throw new Error("watermark_unsupported");
+  let pdf: PDFDocument;
+  if (ext === "pdf") {
+    pdf = await PDFDocument.load(bytes, { ignoreEncryption: true });
+  } else {
+    pdf = await PDFDocument.create();
+    const image = ext === "png" ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    const page = pdf.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+  }
+  stampPages(pdf, await pdf.embedFont(StandardFonts.Helvetica), label);
+  return await pdf.save();
+}
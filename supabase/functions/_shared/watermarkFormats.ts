@@ -0,0 +1,15 @@
+// Which originals are protected by watermarking. Dependency-free: src/App.jsx imports this file through Vite,
+// _shared/watermark.ts re-exports isWatermarkProtected for the edge functions. The storage policy in
+// 20261019240000_watermarked_originals.sql repeats the list as a regex.
+// Only formats _shared/watermark.ts can render are listed: a protected file that cannot be stamped would
+// be unreadable for everyone without file.open_original.
+export const WATERMARK_PROTECTED_EXTENSIONS = ["pdf", "png", "jpg", "jpeg"];
+
+export function fileExtension(fileName: unknown) {
+  const match = String(fileName || "").toLowerCase().match(/\.([a-z0-9]{1,10})$/);
+  return match ? match[1] : "";
+}
+
+export function isWatermarkProtected(fileName: unknown) {
+  return WATERMARK_PROTECTED_EXTENSIONS.includes(fileExtension(fileName));
+}
@@ -0,0 +1,217 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { can } from "../_shared/policy.ts";
+
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+// Deadlines are calendar dates; "today" is evaluated in the engagement's timezone, not UTC.
+const DEADLINE_TIMEZONE = String(Deno.env.get("DEADLINE_TIMEZONE") || "Europe/Warsaw").trim();
+
+const PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type DocumentRow = {
+  id: string;
+  code: string | null;
+  name_pl: string | null;
+  name_uk: string | null;
+  status: string | null;
+  due_date: string;
+  reminder_days: number | null;
+  responsible_user_id: string | null;
+  reminder_sent_at: string | null;
+  escalated_at: string | null;
+};
+
+type NotificationRow = {
+  user_id: string;
+  type: string;
+  title: string;
+  message: string;
+  entity_type: string;
+  entity_id: string;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function todayInTimezone(timeZone: string) {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function daysBetween(fromIsoDate: string, toIsoDate: string) {
+  return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function docLabel(doc: DocumentRow) {
+  const code = String(doc.code || "").trim();
+  const name = String(doc.name_pl || doc.name_uk || "").trim();
+  return [code, name].filter(Boolean).join(" ").slice(0, 160);
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const dryRun = Boolean(body?.dry_run);
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  // pg_cron calls in with the service role key; admins may also trigger a run manually.
+  if (accessToken !== SERVICE_ROLE_KEY) {
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    const userId = userData?.user?.id || "";
+    if (userErr || !userId) {
+      return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+    }
+    const { data: profile } = await adminClient.from("profiles").select("id,role,side,is_active").eq("id", userId).maybeSingle();
+    if (!can(profile, "deadlines.run")) {
+      return json(403, { ok: false, error: "forbidden_deadline_run", run_id: runId });
+    }
+  }
+
+  const today = todayInTimezone(DEADLINE_TIMEZONE);
+
+  const { data: escalationRows, error: escalationErr } = await adminClient
+    .from("profiles")
+    .select("id")
+    .eq("role", "lawyer_admin")
+    .eq("is_active", true);
+  if (escalationErr) {
+    return json(500, { ok: false, error: String(escalationErr.message || "profiles_query_failed"), run_id: runId });
+  }
+  const escalationUserIds = (escalationRows || []).map((r) => String(r.id));
+
+  const notifications: NotificationRow[] = [];
+  const remindedIds: string[] = [];
+  const escalatedIds: string[] = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await adminClient
+      .from("documents")
+      .select("id,code,name_pl,name_uk,status,due_date,reminder_days,responsible_user_id,reminder_sent_at,escalated_at")
+      .not("due_date", "is", null)
+      .neq("status", "done")
+      .order("due_date")
+      // due_date is not unique; without a tie-breaker page boundaries shift between requests.
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      return json(500, { ok: false, error: String(error.message || "documents_query_failed"), run_id: runId });
+    }
+    const rows = (data || []) as DocumentRow[];
+
+    for (const doc of rows) {
+      const daysLeft = daysBetween(today, doc.due_date);
+      const label = docLabel(doc);
+      const responsibleId = String(doc.responsible_user_id || "");
+
+      if (daysLeft < 0) {
+        if (doc.escalated_at) continue;
+        const daysLate = -daysLeft;
+        if (responsibleId) {
+          notifications.push({
+            user_id: responsibleId,
+            type: "deadline_overdue",
+            title: "Termin przekroczony / Термін прострочено",
+            message: `${label}: ${daysLate} dni po terminie (${doc.due_date}) / ${daysLate} дн. після терміну (${doc.due_date})`,
+            entity_type: "document",
+            entity_id: doc.id,
+          });
+        }
+        for (const adminId of escalationUserIds) {
+          if (adminId === responsibleId) continue;
+          notifications.push({
+            user_id: adminId,
+            type: "deadline_escalation",
+            title: "Eskalacja: termin przekroczony / Ескалація: термін прострочено",
+            message: `${label}: termin ${doc.due_date}, ${responsibleId ? "odpowiedzialny powiadomiony" : "brak odpowiedzialnego"} / термін ${doc.due_date}, ${responsibleId ? "відповідального сповіщено" : "немає відповідального"}`,
+            entity_type: "document",
+            entity_id: doc.id,
+          });
+        }
+        escalatedIds.push(doc.id);
+        continue;
+      }
+
+      const reminderDays = Math.max(0, Number(doc.reminder_days ?? 3));
+      if (daysLeft <= reminderDays && !doc.reminder_sent_at && responsibleId) {
+        notifications.push({
+          user_id: responsibleId,
+          type: "deadline_reminder",
+          title: "Zbliża się termin / Наближається термін",
+          message: daysLeft === 0
+            ? `${label}: termin dzisiaj (${doc.due_date}) / термін сьогодні (${doc.due_date})`
+            : `${label}: ${daysLeft} dni do terminu (${doc.due_date}) / ${daysLeft} дн. до терміну (${doc.due_date})`,
+          entity_type: "document",
+          entity_id: doc.id,
+        });
+        remindedIds.push(doc.id);
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  if (!dryRun) {
+    const nowIso = new Date().toISOString();
+    for (let i = 0; i < notifications.length; i += 500) {
+      const { error } = await adminClient.from("notifications").insert(notifications.slice(i, i + 500));
+      if (error) {
+        return json(500, { ok: false, error: String(error.message || "notifications_insert_failed"), run_id: runId });
+      }
+    }
+    for (let i = 0; i < remindedIds.length; i += 200) {
+      await adminClient.from("documents").update({ reminder_sent_at: nowIso }).in("id", remindedIds.slice(i, i + 200));
+    }
+    for (let i = 0; i < escalatedIds.length; i += 200) {
+      await adminClient.from("documents").update({ escalated_at: nowIso }).in("id", escalatedIds.slice(i, i + 200));
+    }
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    dry_run: dryRun,
+    today,
+    reminded: remindedIds.length,
+    escalated: escalatedIds.length,
+    notifications: notifications.length,
+  });
+});
@@ -0,0 +1,139 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can } from "../_shared/policy.ts";
+import { isWatermarkProtected } from "../_shared/watermark.ts";
+
+// Signed links to the frozen copies in delivery packages (see file-publish).
+// The lookup runs through the caller's client, so the delivery_packages RLS policy decides which packages
+// the caller sees; the item's folder is checked against section.view again here before the service role
+// signs anything. Protected originals (PDFs, images) are only signed for users with file.open_original;
+// others go through file-watermark.
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+
+const LINK_TTL_SECONDS = 3600;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const itemId = String(body?.item_id || "").trim();
+  if (!isUuid(itemId)) {
+    return json(400, { ok: false, error: "invalid_item_id", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  const userId = userData?.user?.id || "";
+  if (userErr || !userId) {
+    return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+  }
+
+  const { data: item, error: itemErr } = await userClient
+    .from("delivery_package_items")
+    .select("id,package_id,file_id,document_id,section_id,file_name,content_sha256,storage_path")
+    .eq("id", itemId)
+    .maybeSingle();
+  if (itemErr) {
+    return json(500, { ok: false, error: String(itemErr.message || "item_query_failed"), run_id: runId });
+  }
+  if (!item?.id) {
+    return json(404, { ok: false, error: "item_not_found", run_id: runId });
+  }
+  const { data: profile } = await adminClient
+    .from("profiles")
+    .select("id,role,side,is_active")
+    .eq("id", userId)
+    .maybeSingle();
+  try {
+    const aclIndex = await loadSectionAcl(adminClient, userId);
+    if (!can(profile, "section.view", sectionContext(aclIndex, String(item.section_id || "")))) {
+      return json(403, { ok: false, error: "forbidden_section", run_id: runId });
+    }
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+  if (isWatermarkProtected(item.file_name) && !can(profile, "file.open_original")) {
+    return json(403, { ok: false, error: "original_restricted", run_id: runId });
+  }
+
+  const { data: signed, error: signErr } = await adminClient.storage
+    .from("documents")
+    .createSignedUrl(String(item.storage_path), LINK_TTL_SECONDS, { download: String(item.file_name || "file") });
+  if (signErr || !signed?.signedUrl) {
+    return json(500, { ok: false, error: String(signErr?.message || "sign_failed"), run_id: runId });
+  }
+
+  await adminClient.from("audit_log").insert({
+    user_id: userId,
+    action: "download_package_item",
+    entity_type: "delivery_package",
+    entity_id: item.package_id,
+    details: { item_id: item.id, file_id: item.file_id, document_id: item.document_id, file_name: item.file_name },
+  });
+  // Read receipt for the live file; fails harmlessly when the package outlived it.
+  if (item.file_id) {
+    await adminClient.from("file_access_events").insert({
+      file_id: item.file_id,
+      document_id: item.document_id,
+      user_id: userId,
+      action: "download",
+      channel: "package",
+    });
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    url: signed.signedUrl,
+    file_name: item.file_name,
+    content_sha256: item.content_sha256,
+    expires_in: LINK_TTL_SECONDS,
+  });
+});
@@ -0,0 +1,295 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can, SIDE_AUDITOR, SIDE_FNU, SIDE_OPERATOR_LEGACY } from "../_shared/policy.ts";
+
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+
+const MAX_REASON_LENGTH = 2000;
+const REJECTION_COMMENT_PREFIX = "↩️ Odrzucono / Відхилено: ";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type ReviewAction = "submit" | "approve" | "reject";
+
+// from -> to per action; anything else is an invalid transition.
+const TRANSITIONS: Record<ReviewAction, { from: string[]; to: string; policy: string; audit: string }> = {
+  submit: { from: ["pending", "in_progress", "missing"], to: "in_review", policy: "document.submit_review", audit: "submit_document_review" },
+  approve: { from: ["in_review"], to: "done", policy: "document.review", audit: "approve_document" },
+  reject: { from: ["in_review"], to: "in_progress", policy: "document.review", audit: "reject_document" },
+};
+
+type DocumentRow = {
+  id: string;
+  section_id: string | null;
+  code: string | null;
+  name_pl: string | null;
+  name_uk: string | null;
+  status: string | null;
+  responsible_user_id: string | null;
+  review_submitted_by: string | null;
+};
+
+type NotificationRow = {
+  user_id: string;
+  type: string;
+  title: string;
+  message: string;
+  entity_type: string;
+  entity_id: string;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+function docLabel(doc: DocumentRow) {
+  const code = String(doc.code || "").trim();
+  const name = String(doc.name_pl || doc.name_uk || "").trim();
+  return [code, name].filter(Boolean).join(" ").slice(0, 160);
+}
+
+function buildNotification(action: ReviewAction, doc: DocumentRow, userId: string, reason: string): NotificationRow {
+  const label = docLabel(doc);
+  if (action === "submit") {
+    return {
+      user_id: userId,
+      type: "document_review_requested",
+      title: "Dokument do przeglądu / Документ на перевірку",
+      message: `${label}: przesłano do akceptacji / надіслано на погодження`,
+      entity_type: "document",
+      entity_id: doc.id,
+    };
+  }
+  if (action === "approve") {
+    return {
+      user_id: userId,
+      type: "document_review_approved",
+      title: "Dokument zaakceptowany / Документ погоджено",
+      message: reason ? `${label}: ${reason.slice(0, 300)}` : label,
+      entity_type: "document",
+      entity_id: doc.id,
+    };
+  }
+  return {
+    user_id: userId,
+    type: "document_review_rejected",
+    title: "Dokument odrzucony / Документ відхилено",
+    message: `${label}: ${reason.slice(0, 300)}`,
+    entity_type: "document",
+    entity_id: doc.id,
+  };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const documentId = String(body?.document_id || "").trim();
+  const action = String(body?.action || "").trim() as ReviewAction;
+  const reason = String(body?.reason || "").trim().slice(0, MAX_REASON_LENGTH);
+  if (!isUuid(documentId)) {
+    return json(400, { ok: false, error: "invalid_document_id", run_id: runId });
+  }
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return json(400, { ok: false, error: "invalid_action", run_id: runId });
+  }
+  if (action === "reject" && !reason) {
+    return json(400, { ok: false, error: "reason_required", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  const userId = userData?.user?.id || "";
+  if (userErr || !userId) {
+    return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+  }
+
+  const { data: profile, error: profileErr } = await adminClient
+    .from("profiles")
+    .select("id,role,side,is_active")
+    .eq("id", userId)
+    .maybeSingle();
+  if (profileErr || !profile) {
+    return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+  }
+
+  const { data: docData, error: docErr } = await adminClient
+    .from("documents")
+    .select("id,section_id,code,name_pl,name_uk,status,responsible_user_id,review_submitted_by")
+    .eq("id", documentId)
+    .maybeSingle();
+  if (docErr) {
+    return json(500, { ok: false, error: String(docErr.message || "document_query_failed"), run_id: runId });
+  }
+  if (!docData?.id) {
+    return json(404, { ok: false, error: "document_not_found", run_id: runId });
+  }
+  const doc = docData as DocumentRow;
+  const sectionId = String(doc.section_id || "").trim();
+
+  let allowed = false;
+  try {
+    const aclIndex = await loadSectionAcl(adminClient, userId);
+    const ctx = sectionContext(aclIndex, sectionId);
+    allowed = can(profile, "section.view", ctx) && can(profile, transition.policy, ctx);
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+  if (!allowed) {
+    return json(403, { ok: false, error: `forbidden_${action}_review`, run_id: runId, document_id: documentId });
+  }
+
+  const fromStatus = String(doc.status || "pending");
+  if (!transition.from.includes(fromStatus)) {
+    return json(409, { ok: false, error: "invalid_transition", status: fromStatus, run_id: runId });
+  }
+
+  const now = new Date().toISOString();
+  const changes: Record<string, unknown> = { status: transition.to, updated_at: now };
+  if (action === "submit") {
+    changes.review_submitted_by = userId;
+    changes.review_submitted_at = now;
+    changes.approved_by = null;
+    changes.approved_at = null;
+  } else if (action === "approve") {
+    changes.approved_by = userId;
+    changes.approved_at = now;
+  }
+
+  // Guarded on the status we validated, so two reviewers cannot both act on the same submission.
+  const { data: updated, error: updateErr } = await adminClient
+    .from("documents")
+    .update(changes)
+    .eq("id", documentId)
+    .eq("status", fromStatus)
+    .select("id,status,review_submitted_by,review_submitted_at,approved_by,approved_at,updated_at");
+  if (updateErr) {
+    return json(500, { ok: false, error: String(updateErr.message || "document_update_failed"), run_id: runId });
+  }
+  if (!Array.isArray(updated) || updated.length === 0) {
+    return json(409, { ok: false, error: "status_changed", run_id: runId });
+  }
+
+  const { error: eventErr } = await adminClient.from("document_review_events").insert({
+    document_id: documentId,
+    action,
+    from_status: fromStatus,
+    to_status: transition.to,
+    reason: reason || null,
+    actor_id: userId,
+  });
+  if (eventErr) {
+    console.error("document-review event insert failed", runId, eventErr.message);
+  }
+
+  // A rejection is also a comment: in the auditor Q&A thread, where reviewers write, and in the internal
+  // FNU thread, because ordinary FNU users (who fix the document) cannot read the auditor channel.
+  // The reason is not machine-translated here, so both language columns carry it as written.
+  let commentIds: string[] = [];
+  if (action === "reject") {
+    const content = `${REJECTION_COMMENT_PREFIX}${reason}`;
+    const channels = [
+      { comment_scope: "auditor_channel", visible_to_sides: [SIDE_AUDITOR] },
+      { comment_scope: "fnu_internal", visible_to_sides: [SIDE_FNU] },
+    ];
+    const { data: comments, error: commentErr } = await adminClient
+      .from("comments")
+      .insert(channels.map((channel) => ({
+        document_id: documentId,
+        author_id: userId,
+        content,
+        translated_pl: content,
+        translated_uk: content,
+        ...channel,
+      })))
+      .select("id");
+    if (commentErr) {
+      console.error("document-review rejection comment failed", runId, commentErr.message);
+    }
+    commentIds = (comments || []).map((c) => String(c.id));
+  }
+
+  await adminClient.from("audit_log").insert({
+    user_id: userId,
+    action: transition.audit,
+    entity_type: "document",
+    entity_id: documentId,
+    details: { from_status: fromStatus, status: transition.to, reason: reason || null, comment_ids: commentIds },
+  });
+
+  // Submissions go to the AUDITOR side and the responsible person; decisions go back to whoever
+  // submitted and the responsible person.
+  const recipients = new Set<string>();
+  if (action === "submit") {
+    const { data: reviewers } = await adminClient
+      .from("profiles")
+      .select("id")
+      .in("side", [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY])
+      .eq("is_active", true);
+    (reviewers || []).forEach((r) => recipients.add(String(r.id)));
+  } else if (doc.review_submitted_by) {
+    recipients.add(String(doc.review_submitted_by));
+  }
+  if (doc.responsible_user_id) recipients.add(String(doc.responsible_user_id));
+  recipients.delete(userId);
+
+  const notifications = [...recipients].map((id) => buildNotification(action, doc, id, reason));
+  if (notifications.length > 0) {
+    const { error: notifyErr } = await adminClient.from("notifications").insert(notifications);
+    if (notifyErr) {
+      console.error("document-review notifications failed", runId, notifyErr.message);
+    }
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    action,
+    from_status: fromStatus,
+    document: updated[0],
+    comment_ids: commentIds,
+    notified: notifications.length,
+  });
+});
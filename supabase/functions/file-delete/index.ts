@@ -1,5 +1,7 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can } from "../_shared/policy.ts";
 
 const SERVICE_ROLE_KEY =
   Deno.env.get("SERVICE_ROLE_KEY") ||
@@ -27,12 +29,6 @@ function isUuid(v: string) {
   );
 }
 
-function normalizeSide(side: string) {
-  const s = String(side || "").trim().toUpperCase();
-  if (s === "OPERATOR") return "AUDITOR";
-  return s || "FNU";
-}
-
 function isIgnorableSchemaError(message: string) {
   return /does not exist|column .* does not exist|relation .* does not exist|schema cache/i.test(message);
 }
@@ -78,7 +74,7 @@ Deno.serve(async (req) => {
 
   const { data: profile, error: profileErr } = await adminClient
     .from("profiles")
-    .select("id,role,side")
+    .select("id,role,side,is_active")
     .eq("id", userId)
     .maybeSingle();
   if (profileErr || !profile) {
@@ -104,40 +100,12 @@ Deno.serve(async (req) => {
     .maybeSingle();
   const sectionId = String(docRow?.section_id || "").trim();
 
-  const role = String(profile.role || "").trim();
-  const side = normalizeSide(String(profile.side || ""));
-  const isAdmin = role === "super_admin" || role === "lawyer_admin";
-  let canDelete = isAdmin || String(fileRow.uploaded_by || "") === userId;
-
-  if (!canDelete && side === "FNU" && sectionId) {
-    const { data: appRows } = await adminClient
-      .from("tw_apps")
-      .select("id")
-      .eq("slug", "audit")
-      .limit(1);
-    const appId = Array.isArray(appRows) && appRows[0]?.id ? String(appRows[0].id) : "";
-
-    if (appId) {
-      const { data: aclAnyRows } = await adminClient
-        .from("tw_folder_acl")
-        .select("id")
-        .eq("user_id", userId)
-        .eq("app_id", appId)
-        .limit(1);
-      const aclEnabled = Array.isArray(aclAnyRows) && aclAnyRows.length > 0;
-      if (!aclEnabled) {
-        canDelete = true;
-      } else {
-        const { data: aclRow } = await adminClient
-          .from("tw_folder_acl")
-          .select("can_manage")
-          .eq("user_id", userId)
-          .eq("app_id", appId)
-          .eq("section_id", sectionId)
-          .maybeSingle();
-        canDelete = Boolean(aclRow?.can_manage);
-      }
-    }
+  let canDelete = false;
+  try {
+    const aclIndex = await loadSectionAcl(adminClient, userId);
+    canDelete = can(profile, "file.delete", sectionContext(aclIndex, sectionId, { ownerId: String(fileRow.uploaded_by || "") }));
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
   }
 
   if (!canDelete) {
@@ -189,7 +157,21 @@ Deno.serve(async (req) => {
 
   const storagePath = String(fileRow.file_path || fallbackFilePath || "").trim();
   let storageError = "";
+  // Linked duplicates share the blob; it goes with the last row that points at it.
+  let blobShared = false;
   if (storagePath) {
+    const { count: sharedCount, error: sharedErr } = await adminClient
+      .from("document_files")
+      .select("id", { count: "exact", head: true })
+      .eq("file_path", storagePath);
+    if (sharedErr && !isIgnorableSchemaError(String(sharedErr.message || ""))) {
+      cleanupWarnings.push(`shared_blob_check=${String(sharedErr.message || "query_failed")}`);
+      blobShared = true;
+    } else {
+      blobShared = Number(sharedCount || 0) > 0;
+    }
+  }
+  if (storagePath && !blobShared) {
     const removeStorage = await adminClient.storage.from("documents").remove([storagePath]);
     if (removeStorage.error && !/not found/i.test(String(removeStorage.error.message || ""))) {
       storageError = String(removeStorage.error.message || "storage_remove_failed");
@@ -202,6 +184,7 @@ Deno.serve(async (req) => {
     file_id: fileId,
     run_id: runId,
     storage_error: storageError || null,
+    blob_shared: blobShared,
     cleanup_warnings: cleanupWarnings,
   });
 });
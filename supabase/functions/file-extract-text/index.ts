@@ -0,0 +1,341 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext, type SectionAclIndex } from "../_shared/acl.ts";
+import { can, type Actor } from "../_shared/policy.ts";
+import { loadPublishedFileIds } from "../_shared/publication.ts";
+import { strFromU8, unzipSync } from "npm:fflate@0.8";
+import { extractText, getDocumentProxy } from "npm:unpdf@1";
+
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+// Self-hosted OCR engine (e.g. a tesseract / ocrmypdf sidecar). Scanned files never leave our infrastructure.
+const OCR_ENGINE_URL = String(Deno.env.get("OCR_ENGINE_URL") || "").trim();
+const OCR_ENGINE_TOKEN = String(Deno.env.get("OCR_ENGINE_TOKEN") || "").trim();
+const OCR_LANGUAGES = String(Deno.env.get("OCR_LANGUAGES") || "pol+ukr+eng").trim();
+
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024;
+const MAX_TEXT_CHARS = 1_000_000;
+const MAX_BATCH = 20;
+// Below this many characters per page a PDF is treated as a scan and sent to OCR.
+const SCANNED_PDF_CHARS_PER_PAGE = 25;
+const OCR_TIMEOUT_MS = 120_000;
+
+const PLAIN_TEXT_TYPES = ["txt", "csv", "md", "json", "xml", "html", "htm"];
+const IMAGE_TYPES = ["png", "jpg", "jpeg", "tif", "tiff", "bmp", "webp"];
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type ExtractStatus = "done" | "empty" | "unsupported" | "failed";
+
+type ExtractResult = {
+  file_id: string;
+  status: ExtractStatus | "skipped" | "forbidden" | "not_found";
+  method: string | null;
+  chars: number;
+  error: string | null;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+function fileExtension(fileName: string) {
+  const name = String(fileName || "").trim();
+  const idx = name.lastIndexOf(".");
+  if (idx < 0 || idx >= name.length - 1) return "";
+  return name.slice(idx + 1).toLowerCase();
+}
+
+function decodeXmlEntities(value: string) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function normalizeText(value: string) {
+  return value
+    .replace(/\u0000/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_TEXT_CHARS);
+}
+
+function docxXmlToText(xml: string) {
+  const withBreaks = xml
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<w:br[^>]*\/>/g, "\n")
+    .replace(/<\/w:p>/g, "\n");
+  const parts: string[] = [];
+  const re = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|(\n|\t)/g;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(withBreaks)) !== null) {
+    parts.push(match[1] !== undefined ? decodeXmlEntities(match[1]) : match[2]);
+  }
+  return parts.join("");
+}
+
+function extractDocx(bytes: Uint8Array) {
+  const entries = unzipSync(bytes, {
+    filter: (f) => /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/.test(f.name),
+  });
+  const order = (name: string) => (name === "word/document.xml" ? 0 : 1);
+  return Object.keys(entries)
+    .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+    .map((name) => docxXmlToText(strFromU8(entries[name])))
+    .join("\n\n");
+}
+
+function extractXlsx(bytes: Uint8Array) {
+  const entries = unzipSync(bytes, {
+    filter: (f) => f.name === "xl/sharedStrings.xml" || f.name === "xl/workbook.xml" || /^xl\/worksheets\/sheet\d+\.xml$/.test(f.name),
+  });
+  const shared: string[] = [];
+  const sharedXml = entries["xl/sharedStrings.xml"] ? strFromU8(entries["xl/sharedStrings.xml"]) : "";
+  for (const si of sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []) {
+    const texts = [...si.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((m) => decodeXmlEntities(m[1]));
+    shared.push(texts.join(""));
+  }
+  const workbookXml = entries["xl/workbook.xml"] ? strFromU8(entries["xl/workbook.xml"]) : "";
+  const sheetNames = [...workbookXml.matchAll(/<sheet\s[^>]*name="([^"]*)"/g)].map((m) => decodeXmlEntities(m[1]));
+
+  const sheetFiles = Object.keys(entries)
+    .filter((name) => name.startsWith("xl/worksheets/"))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)?.[1] || 0) - Number(b.match(/(\d+)\.xml$/)?.[1] || 0));
+  const out: string[] = [];
+  sheetFiles.forEach((name, idx) => {
+    out.push(`# ${sheetNames[idx] || `Sheet${idx + 1}`}`);
+    const sheetXml = strFromU8(entries[name]);
+    for (const row of sheetXml.match(/<row[\s>][\s\S]*?<\/row>/g) || []) {
+      const cells: string[] = [];
+      for (const cell of row.match(/<c[\s>][\s\S]*?(?:<\/c>|\/>)/g) || []) {
+        const type = cell.match(/\st="([^"]+)"/)?.[1] || "";
+        const inline = cell.match(/<is>[\s\S]*?<\/is>/)?.[0];
+        const raw = cell.match(/<v>([^<]*)<\/v>/)?.[1] ?? "";
+        if (type === "s") cells.push(shared[Number(raw)] || "");
+        else if (type === "inlineStr" && inline) {
+          cells.push([...inline.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((m) => decodeXmlEntities(m[1])).join(""));
+        } else cells.push(decodeXmlEntities(raw));
+      }
+      if (cells.some((c) => c.trim())) out.push(cells.join("\t"));
+    }
+  });
+  return out.join("\n");
+}
+
+async function extractPdf(bytes: Uint8Array) {
+  const pdf = await getDocumentProxy(bytes);
+  const { totalPages, text } = await extractText(pdf, { mergePages: true });
+  return { text: String(text || ""), pages: Number(totalPages || 0) };
+}
+
+async function runOcr(bytes: Uint8Array, contentType: string) {
+  const res = await fetch(OCR_ENGINE_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": contentType || "application/octet-stream",
+      "X-OCR-Languages": OCR_LANGUAGES,
+      ...(OCR_ENGINE_TOKEN ? { Authorization: `Bearer ${OCR_ENGINE_TOKEN}` } : {}),
+    },
+    body: bytes,
+    signal: AbortSignal.timeout(OCR_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`ocr_engine_status_${res.status}`);
+  const type = res.headers.get("content-type") || "";
+  if (type.includes("application/json")) {
+    const payload = await res.json().catch(() => ({}));
+    return String(payload?.text || "");
+  }
+  return await res.text();
+}
+
+async function extractFromBytes(bytes: Uint8Array, fileType: string, mimeType: string) {
+  if (PLAIN_TEXT_TYPES.includes(fileType) || mimeType.startsWith("text/")) {
+    return { text: new TextDecoder().decode(bytes), method: "plain" };
+  }
+  if (fileType === "docx") return { text: extractDocx(bytes), method: "docx" };
+  if (fileType === "xlsx") return { text: extractXlsx(bytes), method: "xlsx" };
+  if (fileType === "pdf") {
+    const { text, pages } = await extractPdf(bytes);
+    const looksScanned = text.replace(/\s+/g, "").length < Math.max(1, pages) * SCANNED_PDF_CHARS_PER_PAGE;
+    if (looksScanned && OCR_ENGINE_URL) {
+      return { text: await runOcr(bytes, "application/pdf"), method: "ocr" };
+    }
+    return { text, method: "pdf" };
+  }
+  if (IMAGE_TYPES.includes(fileType) && OCR_ENGINE_URL) {
+    return { text: await runOcr(bytes, mimeType), method: "ocr" };
+  }
+  return null;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const rawIds = Array.isArray(body?.file_ids) ? body.file_ids : [body?.file_id];
+  const fileIds = [...new Set(rawIds.map((v: unknown) => String(v || "").trim()).filter(isUuid))].slice(0, MAX_BATCH);
+  const force = Boolean(body?.force);
+  if (fileIds.length === 0) {
+    return json(400, { ok: false, error: "invalid_file_id", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  // Other edge functions (gdrive-import) call in with the service role key; everyone else is checked per file.
+  const isServiceCall = accessToken === SERVICE_ROLE_KEY;
+  let userId = "";
+  let actor: Actor | null = null;
+  let aclIndex: SectionAclIndex = { aclEnabled: false, bySection: new Map() };
+  if (!isServiceCall) {
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    userId = userData?.user?.id || "";
+    if (userErr || !userId) {
+      return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+    }
+    const { data: profile } = await adminClient
+      .from("profiles")
+      .select("id,role,side,is_active")
+      .eq("id", userId)
+      .maybeSingle();
+    if (!profile?.id || profile.is_active === false) {
+      return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+    }
+    actor = profile;
+    try {
+      aclIndex = await loadSectionAcl(adminClient, userId);
+    } catch (e) {
+      return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+    }
+  }
+
+  const canViewFile = async (fileId: string, sectionId: string) => {
+    if (isServiceCall) return true;
+    const sharedWithAuditor = (await loadPublishedFileIds(adminClient, [fileId], userId)).has(fileId);
+    return can(actor, "file.view", sectionContext(aclIndex, sectionId, { sharedWithAuditor }));
+  };
+
+  const results: ExtractResult[] = [];
+  for (const fileId of fileIds) {
+    const result: ExtractResult = { file_id: fileId, status: "skipped", method: null, chars: 0, error: null };
+    const { data: fileRow } = await adminClient
+      .from("document_files")
+      .select("id,document_id,file_name,file_path,file_type,mime_type,file_size,text_status,scan_status")
+      .eq("id", fileId)
+      .maybeSingle();
+    if (!fileRow?.id) {
+      results.push({ ...result, status: "not_found" });
+      continue;
+    }
+    const { data: docRow } = await adminClient
+      .from("documents")
+      .select("id,section_id")
+      .eq("id", String(fileRow.document_id || ""))
+      .maybeSingle();
+    if (!(await canViewFile(fileId, String(docRow?.section_id || "")))) {
+      results.push({ ...result, status: "forbidden" });
+      continue;
+    }
+    // Quarantined content is never parsed; file-scan requests extraction once the file is clean.
+    if (fileRow.scan_status && fileRow.scan_status !== "clean") {
+      results.push({ ...result, status: "skipped", error: `scan_${fileRow.scan_status}` });
+      continue;
+    }
+    if (!force && fileRow.text_status && fileRow.text_status !== "pending" && fileRow.text_status !== "failed") {
+      results.push({ ...result, status: "skipped", error: `already_${fileRow.text_status}` });
+      continue;
+    }
+
+    const fileType = String(fileRow.file_type || fileExtension(String(fileRow.file_name || ""))).toLowerCase();
+    const mimeType = String(fileRow.mime_type || "").toLowerCase();
+    let status: ExtractStatus = "failed";
+    let method: string | null = null;
+    let text = "";
+    let error: string | null = null;
+    try {
+      if (Number(fileRow.file_size || 0) > MAX_SOURCE_BYTES) throw new Error("file_too_large");
+      const { data: blob, error: downloadErr } = await adminClient.storage
+        .from("documents")
+        .download(String(fileRow.file_path || ""));
+      if (downloadErr || !blob) throw new Error(`storage_download_failed: ${String(downloadErr?.message || "not_found")}`);
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const extracted = await extractFromBytes(bytes, fileType, mimeType);
+      if (!extracted) {
+        status = "unsupported";
+      } else {
+        method = extracted.method;
+        text = normalizeText(extracted.text);
+        status = text ? "done" : "empty";
+      }
+    } catch (e) {
+      error = String((e as Error)?.message || e || "extract_failed").slice(0, 500);
+    }
+
+    const { error: updateErr } = await adminClient
+      .from("document_files")
+      .update({
+        extracted_text: text || null,
+        text_status: status,
+        text_method: method,
+        text_error: error,
+        text_extracted_at: new Date().toISOString(),
+      })
+      .eq("id", fileId);
+    if (updateErr) {
+      status = "failed";
+      error = String(updateErr.message || "document_file_update_failed");
+    }
+    results.push({ file_id: fileId, status, method, chars: text.length, error });
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    processed: results.filter((r) => ["done", "empty", "unsupported"].includes(r.status)).length,
+    failed: results.filter((r) => r.status === "failed").length,
+    results,
+  });
+});
@@ -0,0 +1,686 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient, type SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext, type SectionAclIndex } from "../_shared/acl.ts";
+import { can, normalizeSide, SIDE_AUDITOR, SIDE_OPERATOR_LEGACY } from "../_shared/policy.ts";
+
+// Publishing files to the AUDITOR side (document_access), in bulk and optionally scheduled or targeted.
+//   publish: { action, file_ids?, document_ids?, section_ids?, publish_at?, audience_user_ids?, create_package?, package_title? }
+//   revoke:  { action, file_ids?, document_ids?, section_ids? }
+//   release_due (service role only, scheduled): publishes rows whose publish_at has passed.
+// With create_package, each file is copied into a delivery package (one per company) at the moment it becomes
+// visible; the package is numbered and sealed once none of its files are still waiting for release.
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+
+const MAX_IDS = 200;
+const MAX_FILES = 2000;
+const MAX_SECTION_DEPTH = 20;
+const RELEASE_BATCH = 500;
+const MAX_TITLE_LENGTH = 200;
+const FILE_COLUMNS = "id,document_id,file_name,file_path,file_size,mime_type,content_sha256,scan_status";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type FileRow = {
+  id: string;
+  document_id: string;
+  file_name: string | null;
+  file_path: string | null;
+  file_size: number | null;
+  mime_type: string | null;
+  content_sha256: string | null;
+  scan_status: string | null;
+};
+
+type AccessState = {
+  file_id: string;
+  visible_to_operator: boolean | null;
+  published_at?: string | null;
+  publish_at: string | null;
+  audience_user_ids: string[] | null;
+  published_by: string | null;
+  package_id: string | null;
+};
+
+type DocumentInfo = {
+  id: string;
+  section_id: string | null;
+  code: string | null;
+  name_pl: string | null;
+  name_uk: string | null;
+  company_id: string | null;
+};
+
+type PackageRow = { id: string; company_id: string };
+
+type FrozenItem = { id: string; storage_path: string };
+
+type Outcome = {
+  file_id: string;
+  document_id: string;
+  file_name: string | null;
+  status: "published" | "scheduled" | "revoked" | "skipped";
+  reason: string | null;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+function uuidList(value: unknown) {
+  const list = Array.isArray(value) ? value : [];
+  return [...new Set(list.map((v: unknown) => String(v || "").trim()).filter(isUuid))].slice(0, MAX_IDS);
+}
+
+async function selectIn<T>(
+  client: SupabaseClient,
+  table: string,
+  columns: string,
+  column: string,
+  ids: string[],
+): Promise<T[]> {
+  const rows: T[] = [];
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error } = await client.from(table).select(columns).in(column, ids.slice(i, i + 200));
+    if (error) throw new Error(`${table}_query_failed: ${error.message}`);
+    rows.push(...((data || []) as T[]));
+  }
+  return rows;
+}
+
+// Selected sections include every subsection below them.
+async function expandSections(client: SupabaseClient, rootIds: string[]) {
+  const all = new Set(rootIds);
+  let frontier = rootIds;
+  for (let depth = 0; frontier.length > 0 && depth < MAX_SECTION_DEPTH; depth++) {
+    const children = await selectIn<{ id: string }>(client, "document_sections", "id", "parent_section_id", frontier);
+    frontier = children.map((c) => String(c.id)).filter((id) => !all.has(id));
+    frontier.forEach((id) => all.add(id));
+  }
+  return [...all];
+}
+
+async function activeAuditorIds(client: SupabaseClient) {
+  const { data, error } = await client
+    .from("profiles")
+    .select("id")
+    .in("side", [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY])
+    .eq("is_active", true);
+  if (error) throw new Error(`profiles_query_failed: ${error.message}`);
+  return (data || []).map((r) => String(r.id));
+}
+
+// One notification per recipient and document.
+async function notifyPublished(
+  client: SupabaseClient,
+  published: { document_id: string; audience: string[] | null }[],
+) {
+  if (published.length === 0) return 0;
+  const everyone = published.some((p) => !p.audience?.length) ? await activeAuditorIds(client) : [];
+  const pairs = new Set<string>();
+  for (const p of published) {
+    for (const userId of p.audience?.length ? p.audience : everyone) pairs.add(`${userId}|${p.document_id}`);
+  }
+  const rows = [...pairs].map((pair) => {
+    const [userId, documentId] = pair.split("|");
+    return {
+      user_id: userId,
+      type: "new_document",
+      title: "Nowe dokumenty / Нові документи",
+      message: "Dodano nowe dokumenty do przeglądu / Додано нові документи",
+      entity_type: "document",
+      entity_id: documentId,
+    };
+  });
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await client.from("notifications").insert(rows.slice(i, i + 500));
+    if (error) console.error("file-publish notifications failed", error.message);
+  }
+  return rows.length;
+}
+
+async function loadDocumentInfo(client: SupabaseClient, documentIds: string[]) {
+  const docs = await selectIn<Omit<DocumentInfo, "company_id">>(client, "documents", "id,section_id,code,name_pl,name_uk", "id", documentIds);
+  const sectionIds = [...new Set(docs.map((d) => String(d.section_id || "")).filter(isUuid))];
+  const sections = await selectIn<{ id: string; company_id: string | null }>(client, "document_sections", "id,company_id", "id", sectionIds);
+  const companyBySection = new Map(sections.map((s) => [String(s.id), s.company_id ? String(s.company_id) : null]));
+  return new Map(docs.map((d) => [String(d.id), { ...d, company_id: companyBySection.get(String(d.section_id || "")) || null }]));
+}
+
+async function sha256Hex(bytes: Uint8Array) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Copies the live blob into the package, so later versions, rollbacks or deletes of the file do not change
+// what was delivered.
+async function freezeIntoPackage(
+  client: SupabaseClient,
+  pkg: PackageRow,
+  file: FileRow,
+  doc: DocumentInfo | undefined,
+): Promise<FrozenItem> {
+  const itemId = crypto.randomUUID();
+  const ext = (String(file.file_name || "").match(/\.[a-z0-9]{1,10}$/i)?.[0] || "").toLowerCase();
+  const storagePath = `packages/${pkg.company_id}/${pkg.id}/${itemId}${ext}`;
+  const bucket = client.storage.from("documents");
+  const { error: copyErr } = await bucket.copy(String(file.file_path || ""), storagePath);
+  if (copyErr) throw new Error(`package_copy_failed: ${copyErr.message}`);
+
+  let contentSha256 = file.content_sha256;
+  if (!contentSha256) {
+    const { data: blob, error } = await bucket.download(storagePath);
+    if (!error && blob) contentSha256 = await sha256Hex(new Uint8Array(await blob.arrayBuffer()));
+  }
+  const { error: insertErr } = await client.from("delivery_package_items").insert({
+    id: itemId,
+    package_id: pkg.id,
+    file_id: file.id,
+    document_id: file.document_id,
+    section_id: doc?.section_id || null,
+    document_code: doc?.code || null,
+    document_name_pl: doc?.name_pl || null,
+    document_name_uk: doc?.name_uk || null,
+    file_name: String(file.file_name || "file"),
+    file_size: file.file_size,
+    mime_type: file.mime_type,
+    content_sha256: contentSha256 || null,
+    storage_path: storagePath,
+  });
+  if (insertErr) {
+    await bucket.remove([storagePath]);
+    throw new Error(`package_item_failed: ${insertErr.message}`);
+  }
+  return { id: itemId, storage_path: storagePath };
+}
+
+// The publication that should have made the item visible failed; the package must not claim it was delivered.
+async function discardFrozen(client: SupabaseClient, item: FrozenItem) {
+  await client.from("delivery_package_items").delete().eq("id", item.id);
+  await client.storage.from("documents").remove([item.storage_path]);
+}
+
+// A package is delivered (numbered by the delivery_packages trigger) once none of its files wait for a
+// scheduled release; a package that ends up with nothing in it is cancelled.
+async function settlePackages(client: SupabaseClient, packageIds: Iterable<string>, runId: string) {
+  for (const packageId of new Set(packageIds)) {
+    const { count: pending, error: pendingErr } = await client
+      .from("document_access")
+      .select("file_id", { count: "exact", head: true })
+      .eq("package_id", packageId)
+      .eq("visible_to_operator", false)
+      .is("revoked_at", null)
+      .not("publish_at", "is", null);
+    if (pendingErr) {
+      console.error("file-publish package check failed", runId, packageId, pendingErr.message);
+      continue;
+    }
+    if (Number(pending || 0) > 0) continue;
+
+    const { data: items } = await client.from("delivery_package_items").select("file_size").eq("package_id", packageId);
+    const list = items || [];
+    const changes = list.length > 0
+      ? {
+        status: "delivered",
+        file_count: list.length,
+        total_bytes: list.reduce((sum, item) => sum + Number(item.file_size || 0), 0),
+      }
+      : { status: "cancelled" };
+    const { data: settled, error } = await client
+      .from("delivery_packages")
+      .update(changes)
+      .eq("id", packageId)
+      .eq("status", "scheduled")
+      .select("id,package_no,status,created_by,file_count,total_bytes,delivered_at")
+      .maybeSingle();
+    if (error) {
+      console.error("file-publish package settle failed", runId, packageId, error.message);
+      continue;
+    }
+    if (settled?.status === "delivered" && settled.created_by) {
+      await client.from("audit_log").insert({
+        user_id: settled.created_by,
+        action: "deliver_package",
+        entity_type: "delivery_package",
+        entity_id: packageId,
+        details: {
+          package_no: settled.package_no,
+          file_count: settled.file_count,
+          total_bytes: settled.total_bytes,
+          delivered_at: settled.delivered_at,
+        },
+      });
+    }
+  }
+}
+
+async function releaseDue(adminClient: SupabaseClient, runId: string) {
+  const now = new Date().toISOString();
+  const { data, error } = await adminClient
+    .from("document_access")
+    .select("document_id,file_id,audience_user_ids,published_by,package_id")
+    .eq("visible_to_operator", false)
+    .is("revoked_at", null)
+    .not("publish_at", "is", null)
+    .lte("publish_at", now)
+    .order("publish_at")
+    .limit(RELEASE_BATCH);
+  if (error) {
+    return json(500, { ok: false, error: String(error.message || "access_query_failed"), run_id: runId });
+  }
+  const due = (data || []) as (AccessState & { document_id: string })[];
+  const files = await selectIn<FileRow>(adminClient, "document_files", FILE_COLUMNS, "id", due.map((d) => d.file_id));
+  const fileById = new Map(files.map((f) => [f.id, f]));
+  const packaged = due.filter((d) => d.package_id);
+  const docInfo = await loadDocumentInfo(adminClient, [...new Set(packaged.map((d) => d.document_id))]);
+  const packages = await selectIn<PackageRow & { status: string }>(
+    adminClient,
+    "delivery_packages",
+    "id,company_id,status",
+    "id",
+    [...new Set(packaged.map((d) => String(d.package_id)))],
+  );
+  const packageById = new Map(packages.filter((p) => p.status === "scheduled").map((p) => [String(p.id), p]));
+  const touchedPackages = new Set(packaged.map((d) => String(d.package_id)));
+
+  const released: { document_id: string; audience: string[] | null }[] = [];
+  let waiting = 0;
+  let dropped = 0;
+  for (const row of due) {
+    const file = fileById.get(row.file_id);
+    // Still being scanned: try again on the next run. Gone or infected: the schedule is dropped.
+    if (file && file.scan_status !== "clean" && file.scan_status !== "infected") {
+      waiting++;
+      continue;
+    }
+    if (!file || file.scan_status === "infected") {
+      await adminClient.from("document_access").update({ publish_at: null }).eq("file_id", row.file_id);
+      dropped++;
+      continue;
+    }
+    let frozen: FrozenItem | null = null;
+    const pkg = row.package_id ? packageById.get(String(row.package_id)) : undefined;
+    if (pkg) {
+      try {
+        frozen = await freezeIntoPackage(adminClient, pkg, file, docInfo.get(row.document_id));
+      } catch (e) {
+        console.error("file-publish package freeze failed", runId, row.file_id, String((e as Error)?.message || e));
+        waiting++;
+        continue;
+      }
+    }
+    const { error: updateErr } = await adminClient
+      .from("document_access")
+      .update({ visible_to_operator: true, published_at: now, publish_at: null })
+      .eq("file_id", row.file_id)
+      .eq("visible_to_operator", false);
+    if (updateErr) {
+      console.error("file-publish release failed", runId, row.file_id, updateErr.message);
+      if (frozen) await discardFrozen(adminClient, frozen);
+      continue;
+    }
+    released.push({ document_id: row.document_id, audience: row.audience_user_ids });
+    if (row.published_by) {
+      await adminClient.from("audit_log").insert({
+        user_id: row.published_by,
+        action: "publish_file",
+        entity_type: "document_file",
+        entity_id: row.file_id,
+        details: {
+          document_id: row.document_id,
+          file_name: file.file_name,
+          scheduled: true,
+          audience_user_ids: row.audience_user_ids,
+          package_id: frozen ? row.package_id : null,
+        },
+      });
+    }
+  }
+  await settlePackages(adminClient, touchedPackages, runId);
+  const notified = await notifyPublished(adminClient, released);
+  return json(200, { ok: true, run_id: runId, released: released.length, waiting, dropped, notified });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+  const isServiceCall = accessToken === SERVICE_ROLE_KEY;
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const action = String(body?.action || "").trim();
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  if (action === "release_due") {
+    if (!isServiceCall) {
+      return json(403, { ok: false, error: "forbidden_release", run_id: runId });
+    }
+    try {
+      return await releaseDue(adminClient, runId);
+    } catch (e) {
+      return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+    }
+  }
+  if (action !== "publish" && action !== "revoke") {
+    return json(400, { ok: false, error: "invalid_action", run_id: runId });
+  }
+
+  const fileIds = uuidList(body?.file_ids);
+  const documentIds = uuidList(body?.document_ids);
+  const sectionIds = uuidList(body?.section_ids);
+  if (fileIds.length + documentIds.length + sectionIds.length === 0) {
+    return json(400, { ok: false, error: "no_targets", run_id: runId });
+  }
+  const audience = uuidList(body?.audience_user_ids);
+  const publishAtRaw = String(body?.publish_at || "").trim();
+  const publishAtMs = publishAtRaw ? Date.parse(publishAtRaw) : NaN;
+  if (publishAtRaw && Number.isNaN(publishAtMs)) {
+    return json(400, { ok: false, error: "invalid_publish_at", run_id: runId });
+  }
+  // A time in the past (or now) simply publishes immediately.
+  const scheduledAt = publishAtRaw && publishAtMs > Date.now() ? new Date(publishAtMs).toISOString() : null;
+  const createPackage = action === "publish" && body?.create_package === true;
+  const packageTitle = String(body?.package_title || "").trim().slice(0, MAX_TITLE_LENGTH);
+
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  const userId = userData?.user?.id || "";
+  if (userErr || !userId) {
+    return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+  }
+  const { data: profile, error: profileErr } = await adminClient
+    .from("profiles")
+    .select("id,role,side,is_active")
+    .eq("id", userId)
+    .maybeSingle();
+  if (profileErr || !profile) {
+    return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+  }
+  const policyAction = action === "publish" ? "file.publish_to_auditor" : "file.revoke_from_auditor";
+  // Scan status is checked per file below; this only rejects users who can never publish or revoke.
+  if (!can(profile, policyAction, { scanStatus: "clean" })) {
+    return json(403, { ok: false, error: `forbidden_${action}`, run_id: runId });
+  }
+
+  let files: FileRow[] = [];
+  let docInfo = new Map<string, DocumentInfo>();
+  try {
+    if (audience.length > 0) {
+      const { data: people, error } = await adminClient
+        .from("profiles")
+        .select("id,side,is_active")
+        .in("id", audience);
+      if (error) throw new Error(`profiles_query_failed: ${error.message}`);
+      const valid = (people || []).filter((p) => p.is_active !== false && normalizeSide(p.side) === SIDE_AUDITOR);
+      if (valid.length !== audience.length) {
+        return json(400, { ok: false, error: "invalid_audience", run_id: runId });
+      }
+    }
+
+    const allSections = sectionIds.length > 0 ? await expandSections(adminClient, sectionIds) : [];
+    const docsFromSections = await selectIn<{ id: string }>(adminClient, "documents", "id", "section_id", allSections);
+    const docIds = [...new Set([...documentIds, ...docsFromSections.map((d) => String(d.id))])];
+
+    const byId = new Map<string, FileRow>();
+    for (const f of await selectIn<FileRow>(adminClient, "document_files", FILE_COLUMNS, "id", fileIds)) byId.set(f.id, f);
+    for (const f of await selectIn<FileRow>(adminClient, "document_files", FILE_COLUMNS, "document_id", docIds)) byId.set(f.id, f);
+    files = [...byId.values()];
+    if (files.length > MAX_FILES) {
+      return json(400, { ok: false, error: "too_many_files", limit: MAX_FILES, run_id: runId });
+    }
+
+    docInfo = await loadDocumentInfo(adminClient, [...new Set(files.map((f) => f.document_id))]);
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+  if (files.length === 0) {
+    return json(200, { ok: false, error: "no_files", run_id: runId });
+  }
+
+  let aclIndex: SectionAclIndex;
+  let accessByFile: Map<string, AccessState>;
+  try {
+    aclIndex = await loadSectionAcl(adminClient, userId);
+    const accessRows = await selectIn<AccessState>(
+      adminClient,
+      "document_access",
+      "file_id,visible_to_operator,published_at,publish_at,audience_user_ids,published_by,package_id",
+      "file_id",
+      files.map((f) => f.id),
+    );
+    accessByFile = new Map(accessRows.map((r) => [String(r.file_id), r]));
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+
+  const now = new Date().toISOString();
+  const outcomes: Outcome[] = [];
+  const published: { document_id: string; audience: string[] | null }[] = [];
+  const touchedPackages = new Set<string>();
+  const packageByCompany = new Map<string, PackageRow>();
+  let auditorIds: string[] | null = null;
+  // AUDITOR users who could see a file published to prevAudience (null = the whole side) but not with audience.
+  const removedFromAudience = async (prevAudience: string[] | null) => {
+    if (audience.length === 0) return [];
+    const prev = Array.isArray(prevAudience) && prevAudience.length > 0 ? prevAudience : null;
+    if (!prev && !auditorIds) {
+      const { data } = await adminClient
+        .from("profiles")
+        .select("id")
+        .in("side", [SIDE_AUDITOR, SIDE_OPERATOR_LEGACY])
+        .eq("is_active", true);
+      auditorIds = (data || []).map((p) => String(p.id));
+    }
+    return (prev || auditorIds || []).filter((id) => !audience.includes(id));
+  };
+  const packageFor = async (companyId: string) => {
+    const existing = packageByCompany.get(companyId);
+    if (existing) return existing;
+    const { data, error } = await adminClient
+      .from("delivery_packages")
+      .insert({
+        company_id: companyId,
+        title: packageTitle || null,
+        audience_user_ids: audience.length > 0 ? audience : null,
+        scheduled_for: scheduledAt,
+        created_by: userId,
+      })
+      .select("id,company_id")
+      .single();
+    if (error || !data) throw new Error(`package_create_failed: ${error?.message || ""}`);
+    const pkg = data as PackageRow;
+    packageByCompany.set(companyId, pkg);
+    touchedPackages.add(pkg.id);
+    await adminClient.from("audit_log").insert({
+      user_id: userId,
+      action: "create_package",
+      entity_type: "delivery_package",
+      entity_id: pkg.id,
+      details: { company_id: companyId, title: packageTitle || null, scheduled_for: scheduledAt, audience_user_ids: audience.length > 0 ? audience : null },
+    });
+    return pkg;
+  };
+
+  for (const file of files) {
+    const outcome: Outcome = { file_id: file.id, document_id: file.document_id, file_name: file.file_name, status: "skipped", reason: null };
+    outcomes.push(outcome);
+    const doc = docInfo.get(file.document_id);
+    const ctx = sectionContext(aclIndex, String(doc?.section_id || ""), { scanStatus: file.scan_status });
+    if (!can(profile, "section.view", ctx)) {
+      outcome.reason = "forbidden";
+      continue;
+    }
+    const current = accessByFile.get(file.id);
+
+    if (action === "revoke") {
+      if (!current || (!current.visible_to_operator && !current.publish_at)) {
+        outcome.reason = "not_published";
+        continue;
+      }
+      const { error } = await adminClient
+        .from("document_access")
+        .update({ visible_to_operator: false, publish_at: null, revoked_at: now, revoked_by: userId })
+        .eq("file_id", file.id);
+      if (error) {
+        outcome.reason = String(error.message || "revoke_failed");
+        continue;
+      }
+      outcome.status = "revoked";
+      // A scheduled file leaving its package may be what the package was still waiting for.
+      if (!current.visible_to_operator && current.package_id) touchedPackages.add(String(current.package_id));
+      await adminClient.from("audit_log").insert({
+        user_id: userId,
+        action: "revoke_file_publication",
+        entity_type: "document_file",
+        entity_id: file.id,
+        details: { document_id: file.document_id, file_name: file.file_name, was_scheduled: !current.visible_to_operator },
+      });
+      continue;
+    }
+
+    if (!can(profile, "file.publish_to_auditor", ctx)) {
+      outcome.reason = file.scan_status === "clean" ? "forbidden" : "file_not_clean";
+      continue;
+    }
+    if (scheduledAt && current?.visible_to_operator) {
+      outcome.reason = "already_published";
+      continue;
+    }
+    let packageId: string | null = null;
+    let frozen: FrozenItem | null = null;
+    if (createPackage) {
+      try {
+        if (!doc?.company_id) throw new Error("company_not_found");
+        const pkg = await packageFor(doc.company_id);
+        packageId = pkg.id;
+        if (!scheduledAt) frozen = await freezeIntoPackage(adminClient, pkg, file, doc);
+      } catch (e) {
+        console.error("file-publish package freeze failed", runId, file.id, String((e as Error)?.message || e));
+        outcome.reason = "package_freeze_failed";
+        continue;
+      }
+    }
+    // Publishing an already visible file again replaces its audience; whoever drops out is a revocation.
+    const wasVisible = Boolean(current?.visible_to_operator);
+    const removedUserIds = wasVisible ? await removedFromAudience(current?.audience_user_ids || null) : [];
+    const { error } = await adminClient.from("document_access").upsert({
+      document_id: file.document_id,
+      file_id: file.id,
+      visible_to_operator: !scheduledAt,
+      published_at: scheduledAt ? null : (wasVisible && current?.published_at) || now,
+      published_by: userId,
+      publish_at: scheduledAt,
+      audience_user_ids: audience.length > 0 ? audience : null,
+      revoked_at: null,
+      revoked_by: null,
+      package_id: packageId,
+    }, { onConflict: "document_id,file_id" });
+    if (error) {
+      if (frozen) await discardFrozen(adminClient, frozen);
+      outcome.reason = /file_not_clean/i.test(String(error.message || "")) ? "file_not_clean" : String(error.message || "publish_failed");
+      continue;
+    }
+    outcome.status = scheduledAt ? "scheduled" : "published";
+    // Re-publishing a file that was waiting in another package takes it out of that package.
+    if (current?.package_id && !current.visible_to_operator && String(current.package_id) !== packageId) {
+      touchedPackages.add(String(current.package_id));
+    }
+    if (!scheduledAt) published.push({ document_id: file.document_id, audience: audience.length > 0 ? audience : null });
+    if (removedUserIds.length > 0) {
+      await adminClient.from("audit_log").insert({
+        user_id: userId,
+        action: "revoke_file_publication",
+        entity_type: "document_file",
+        entity_id: file.id,
+        details: {
+          document_id: file.document_id,
+          file_name: file.file_name,
+          was_scheduled: false,
+          previous_audience_user_ids: current?.audience_user_ids || null,
+          revoked_user_ids: removedUserIds,
+        },
+      });
+    }
+    await adminClient.from("audit_log").insert({
+      user_id: userId,
+      action: scheduledAt ? "schedule_file_publication" : "publish_file",
+      entity_type: "document_file",
+      entity_id: file.id,
+      details: {
+        document_id: file.document_id,
+        file_name: file.file_name,
+        publish_at: scheduledAt,
+        audience_user_ids: audience.length > 0 ? audience : null,
+        package_id: packageId,
+      },
+    });
+  }
+
+  await settlePackages(adminClient, touchedPackages, runId);
+  let packages: { id: string; company_id: string; package_no: number | null; status: string }[] = [];
+  if (packageByCompany.size > 0) {
+    const { data } = await adminClient
+      .from("delivery_packages")
+      .select("id,company_id,package_no,status")
+      .in("id", [...packageByCompany.values()].map((p) => p.id));
+    packages = data || [];
+  }
+
+  let notified = 0;
+  try {
+    notified = await notifyPublished(adminClient, published);
+  } catch (e) {
+    console.error("file-publish notify failed", runId, String((e as Error)?.message || e));
+  }
+
+  const count = (status: Outcome["status"]) => outcomes.filter((o) => o.status === status).length;
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    action,
+    publish_at: scheduledAt,
+    published: count("published"),
+    scheduled: count("scheduled"),
+    revoked: count("revoked"),
+    skipped: count("skipped"),
+    notified,
+    packages,
+    results: outcomes,
+  });
+});
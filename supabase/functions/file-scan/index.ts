@@ -0,0 +1,358 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient, type SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can, isAdminRole, type Actor } from "../_shared/policy.ts";
+
+// Antivirus scan of quarantined uploads (document_files, chat_attachments) through a ClamAV daemon.
+// Any clamd speaking the INSTREAM protocol works; locally: `docker run -p 3310:3310 clamav/clamav`
+// with CLAMD_HOST=host.docker.internal for `supabase functions serve`.
+// clamd's StreamMaxLength must be at least the upload limit (100 MB), otherwise large files end as 'error'.
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+const CLAMD_HOST = String(Deno.env.get("CLAMD_HOST") || "").trim();
+const CLAMD_PORT = Number(Deno.env.get("CLAMD_PORT") || 3310);
+
+const MAX_SOURCE_BYTES = 100 * 1024 * 1024;
+const MAX_BATCH = 20;
+const MAX_ATTEMPTS = 3;
+const STREAM_CHUNK = 64 * 1024;
+const SCAN_TIMEOUT_MS = 120_000;
+const QUARANTINE_PREFIX = "quarantine/";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type ScanTable = "document_files" | "chat_attachments";
+
+type ScanTarget = {
+  table: ScanTable;
+  id: string;
+  file_name: string;
+  file_path: string;
+  file_size: number | null;
+  scan_status: string;
+  scan_attempts: number;
+  owner_id: string | null;
+  document_id: string | null;
+};
+
+type ScanResult = {
+  table: ScanTable;
+  id: string;
+  status: "clean" | "infected" | "error" | "skipped" | "forbidden" | "not_found";
+  signature: string | null;
+  error: string | null;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+function uuidList(value: unknown) {
+  const list = Array.isArray(value) ? value : [];
+  return [...new Set(list.map((v: unknown) => String(v || "").trim()).filter(isUuid))].slice(0, MAX_BATCH);
+}
+
+async function writeAll(conn: Deno.Conn, bytes: Uint8Array) {
+  let offset = 0;
+  while (offset < bytes.length) offset += await conn.write(bytes.subarray(offset));
+}
+
+// One clamd command ("z" prefix = NUL-terminated); the reply is read up to its terminating NUL.
+async function clamdCommand(command: string, body?: Uint8Array) {
+  const conn = await Deno.connect({ hostname: CLAMD_HOST, port: CLAMD_PORT });
+  const timer = setTimeout(() => {
+    try {
+      conn.close();
+    } catch {
+      // already closed
+    }
+  }, SCAN_TIMEOUT_MS);
+  try {
+    await writeAll(conn, new TextEncoder().encode(`z${command}\0`));
+    if (body) {
+      for (let i = 0; i < body.length; i += STREAM_CHUNK) {
+        const chunk = body.subarray(i, i + STREAM_CHUNK);
+        const header = new Uint8Array(4);
+        new DataView(header.buffer).setUint32(0, chunk.length);
+        await writeAll(conn, header);
+        await writeAll(conn, chunk);
+      }
+      await writeAll(conn, new Uint8Array(4));
+    }
+    const parts: Uint8Array[] = [];
+    const buf = new Uint8Array(4096);
+    while (true) {
+      const n = await conn.read(buf);
+      if (n === null) break;
+      const end = buf.subarray(0, n).indexOf(0);
+      parts.push(buf.slice(0, end >= 0 ? end : n));
+      if (end >= 0) break;
+    }
+    const total = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+      total.set(p, offset);
+      offset += p.length;
+    }
+    return new TextDecoder().decode(total).trim();
+  } finally {
+    clearTimeout(timer);
+    try {
+      conn.close();
+    } catch {
+      // closed by the timeout
+    }
+  }
+}
+
+async function clamdScan(bytes: Uint8Array) {
+  const reply = await clamdCommand("INSTREAM", bytes);
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) return { infected: true, signature: found[1] };
+  if (/^stream: OK$/.test(reply)) return { infected: false, signature: null };
+  throw new Error(`clamd: ${reply || "empty_reply"}`);
+}
+
+async function loadTargets(client: SupabaseClient, table: ScanTable, ids: string[]) {
+  const columns = table === "document_files"
+    ? "id,file_name,file_path,file_size,scan_status,scan_attempts,uploaded_by,document_id"
+    : "id,file_name,file_path,file_size,scan_status,scan_attempts,sender_id,document_id";
+  let query = client.from(table).select(columns);
+  // Sweep mode (no ids): oldest quarantined rows that still have attempts left.
+  query = ids.length > 0
+    ? query.in("id", ids)
+    : query.in("scan_status", ["pending", "error"]).lt("scan_attempts", MAX_ATTEMPTS).order("created_at").limit(MAX_BATCH);
+  const { data, error } = await query;
+  if (error) throw new Error(`${table}_query_failed: ${error.message}`);
+  return ((data || []) as Record<string, unknown>[]).map((row): ScanTarget => ({
+    table,
+    id: String(row.id),
+    file_name: String(row.file_name || ""),
+    file_path: String(row.file_path || ""),
+    file_size: row.file_size === null || row.file_size === undefined ? null : Number(row.file_size),
+    scan_status: String(row.scan_status || "pending"),
+    scan_attempts: Number(row.scan_attempts || 0),
+    owner_id: String(row.uploaded_by || row.sender_id || "") || null,
+    document_id: String(row.document_id || "") || null,
+  }));
+}
+
+// Rows sharing the blob (linked duplicates) share the verdict; returns the ids of all updated rows.
+async function recordVerdict(
+  client: SupabaseClient,
+  target: ScanTarget,
+  engine: string | null,
+  verdict: { infected: boolean; signature: string | null },
+) {
+  const now = new Date().toISOString();
+  let filePath = target.file_path;
+  if (verdict.infected && !filePath.startsWith(QUARANTINE_PREFIX)) {
+    const quarantinePath = `${QUARANTINE_PREFIX}${filePath}`;
+    const { error: moveErr } = await client.storage.from("documents").move(filePath, quarantinePath);
+    if (moveErr) console.error("quarantine move failed", target.id, moveErr.message);
+    else filePath = quarantinePath;
+  }
+  const { data, error } = await client
+    .from(target.table)
+    .update({
+      scan_status: verdict.infected ? "infected" : "clean",
+      scan_signature: verdict.signature,
+      scan_error: null,
+      scan_engine: engine,
+      scan_attempts: target.scan_attempts + 1,
+      scanned_at: now,
+      file_path: filePath,
+    })
+    .eq("file_path", target.file_path)
+    .select("id");
+  if (error) throw new Error(`${target.table}_update_failed: ${error.message}`);
+  return ((data || []) as { id: string }[]).map((r) => String(r.id));
+}
+
+async function reportInfected(client: SupabaseClient, target: ScanTarget, signature: string, triggeredBy: string | null) {
+  await client.from("audit_log").insert({
+    user_id: triggeredBy,
+    action: "file_infected",
+    entity_type: target.table === "document_files" ? "document_file" : "chat_attachment",
+    entity_id: target.id,
+    details: { file_name: target.file_name, signature, document_id: target.document_id, uploaded_by: target.owner_id },
+  });
+  if (target.owner_id) {
+    await client.from("notifications").insert({
+      user_id: target.owner_id,
+      type: "file_infected",
+      title: "Plik zablokowany / Файл заблоковано",
+      message: `${target.file_name}: ${signature}`,
+      entity_type: target.document_id ? "document" : "chat_attachment",
+      entity_id: target.document_id || target.id,
+    });
+  }
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+  if (!CLAMD_HOST) {
+    // Files stay quarantined until a scanner is configured.
+    return json(503, { ok: false, error: "scanner_not_configured", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const fileIds = uuidList(Array.isArray(body?.file_ids) ? body.file_ids : body?.file_id ? [body.file_id] : []);
+  const attachmentIds = uuidList(body?.attachment_ids);
+  const force = Boolean(body?.force);
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  // pg_cron sweeps and other edge functions (gdrive-import) call in with the service role key.
+  const isServiceCall = accessToken === SERVICE_ROLE_KEY;
+  let actor: Actor | null = null;
+  let userId = "";
+  if (!isServiceCall) {
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    userId = userData?.user?.id || "";
+    if (userErr || !userId) {
+      return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+    }
+    const { data: profile } = await adminClient.from("profiles").select("id,role,side,is_active").eq("id", userId).maybeSingle();
+    if (!profile?.id || profile.is_active === false) {
+      return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+    }
+    actor = profile;
+    if (fileIds.length === 0 && attachmentIds.length === 0) {
+      return json(400, { ok: false, error: "invalid_file_id", run_id: runId });
+    }
+    // Rescanning a file that already has a verdict is an admin action.
+    if (force && !isAdminRole(profile.role)) {
+      return json(403, { ok: false, error: "forbidden_rescan", run_id: runId });
+    }
+  }
+
+  let targets: ScanTarget[] = [];
+  try {
+    const sweep = isServiceCall && fileIds.length === 0 && attachmentIds.length === 0;
+    if (sweep || fileIds.length > 0) targets.push(...(await loadTargets(adminClient, "document_files", fileIds)));
+    if (sweep || attachmentIds.length > 0) targets.push(...(await loadTargets(adminClient, "chat_attachments", attachmentIds)));
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+
+  const results: ScanResult[] = [];
+  for (const id of [...fileIds, ...attachmentIds]) {
+    if (!targets.some((t) => t.id === id)) {
+      results.push({ table: fileIds.includes(id) ? "document_files" : "chat_attachments", id, status: "not_found", signature: null, error: null });
+    }
+  }
+
+  // Users may scan what they uploaded or can see; everything else is left to the sweep.
+  if (!isServiceCall) {
+    const aclIndex = await loadSectionAcl(adminClient, userId).catch(() => ({ aclEnabled: false, bySection: new Map() }));
+    const allowed: ScanTarget[] = [];
+    for (const t of targets) {
+      let ok = t.owner_id === userId || isAdminRole(actor?.role);
+      if (!ok && t.table === "document_files" && t.document_id) {
+        const { data: docRow } = await adminClient.from("documents").select("section_id").eq("id", t.document_id).maybeSingle();
+        ok = can(actor, "file.view", sectionContext(aclIndex, String(docRow?.section_id || "")));
+      }
+      if (ok) allowed.push(t);
+      else results.push({ table: t.table, id: t.id, status: "forbidden", signature: null, error: null });
+    }
+    targets = allowed;
+  }
+
+  let engine: string | null = null;
+  try {
+    engine = (await clamdCommand("VERSION")).slice(0, 200) || null;
+  } catch (e) {
+    return json(502, { ok: false, error: `clamd_unreachable: ${String((e as Error)?.message || e)}`, run_id: runId });
+  }
+
+  const cleanFileIds: string[] = [];
+  for (const target of targets) {
+    const result: ScanResult = { table: target.table, id: target.id, status: "skipped", signature: null, error: null };
+    if (!force && !["pending", "error"].includes(target.scan_status)) {
+      results.push({ ...result, error: `already_${target.scan_status}` });
+      continue;
+    }
+    try {
+      if (Number(target.file_size || 0) > MAX_SOURCE_BYTES) throw new Error("file_too_large");
+      const { data: blob, error: downloadErr } = await adminClient.storage.from("documents").download(target.file_path);
+      if (downloadErr || !blob) throw new Error(`storage_download_failed: ${String(downloadErr?.message || "not_found")}`);
+      const verdict = await clamdScan(new Uint8Array(await blob.arrayBuffer()));
+      const updatedIds = await recordVerdict(adminClient, target, engine, verdict);
+      if (verdict.infected) {
+        await reportInfected(adminClient, target, String(verdict.signature), isServiceCall ? null : userId);
+        results.push({ ...result, status: "infected", signature: verdict.signature });
+      } else {
+        if (target.table === "document_files") cleanFileIds.push(...updatedIds);
+        results.push({ ...result, status: "clean" });
+      }
+    } catch (e) {
+      const error = String((e as Error)?.message || e || "scan_failed").slice(0, 500);
+      await adminClient
+        .from(target.table)
+        .update({ scan_status: "error", scan_error: error, scan_engine: engine, scan_attempts: target.scan_attempts + 1 })
+        .eq("id", target.id);
+      results.push({ ...result, status: "error", error });
+    }
+  }
+
+  // Text extraction waits for a clean verdict; it runs after the response is sent.
+  const extractIds = [...new Set(cleanFileIds)];
+  for (let i = 0; i < extractIds.length; i += MAX_BATCH) {
+    EdgeRuntime.waitUntil(
+      fetch(`${SUPABASE_URL}/functions/v1/file-extract-text`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${SERVICE_ROLE_KEY}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ file_ids: extractIds.slice(i, i + MAX_BATCH) }),
+      }).catch((e) => console.error("file-extract-text request failed", e)),
+    );
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    engine,
+    clean: results.filter((r) => r.status === "clean").length,
+    infected: results.filter((r) => r.status === "infected").length,
+    failed: results.filter((r) => r.status === "error").length,
+    results,
+  });
+});
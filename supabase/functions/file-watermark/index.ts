@@ -0,0 +1,215 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can } from "../_shared/policy.ts";
+import { loadPublishedFileIds } from "../_shared/publication.ts";
+import { isWatermarkProtected, watermarkedFileName, watermarkFile, watermarkLabel } from "../_shared/watermark.ts";
+
+// Watermarked PDF of a document file or a delivery package item, stamped with the viewer's name, email and
+// the time of the request. Users without file.open_original cannot read protected originals from storage,
+// so this is how the AUDITOR side and non-admin FNU users preview and download PDFs and images.
+//   { file_id } | { package_item_id }, purpose?: "view" | "download"  ->  application/pdf
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type Source = {
+  fileId: string | null;
+  documentId: string | null;
+  storagePath: string;
+  fileName: string;
+  fileSize: number | null;
+  entityType: "document_file" | "delivery_package";
+  entityId: string;
+  details: Record<string, unknown>;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const fileId = String(body?.file_id || "").trim();
+  const itemId = String(body?.package_item_id || "").trim();
+  const purpose = body?.purpose === "download" ? "download" : "view";
+  if (!isUuid(fileId) && !isUuid(itemId)) {
+    return json(400, { ok: false, error: "invalid_target", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  const userId = userData?.user?.id || "";
+  if (userErr || !userId) {
+    return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+  }
+  const { data: profile, error: profileErr } = await adminClient
+    .from("profiles")
+    .select("id,role,side,is_active,full_name,email")
+    .eq("id", userId)
+    .maybeSingle();
+  if (profileErr || !profile || profile.is_active === false) {
+    return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+  }
+
+  let source: Source;
+  if (isUuid(fileId)) {
+    const { data: file, error: fileErr } = await adminClient
+      .from("document_files")
+      .select("id,document_id,file_name,file_path,file_size,scan_status")
+      .eq("id", fileId)
+      .maybeSingle();
+    if (fileErr) {
+      return json(500, { ok: false, error: String(fileErr.message || "file_query_failed"), run_id: runId });
+    }
+    if (!file?.id) {
+      return json(404, { ok: false, error: "file_not_found", run_id: runId });
+    }
+    const { data: doc } = await adminClient.from("documents").select("section_id").eq("id", file.document_id).maybeSingle();
+    try {
+      const aclIndex = await loadSectionAcl(adminClient, userId);
+      const shared = await loadPublishedFileIds(adminClient, [file.id], userId);
+      const ctx = sectionContext(aclIndex, String(doc?.section_id || ""), { sharedWithAuditor: shared.has(file.id), scanStatus: file.scan_status });
+      if (!can(profile, "file.view", ctx) || !can(profile, "file.open", ctx)) {
+        return json(403, { ok: false, error: "forbidden_file", run_id: runId });
+      }
+    } catch (e) {
+      return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+    }
+    source = {
+      fileId: file.id,
+      documentId: file.document_id,
+      storagePath: String(file.file_path || ""),
+      fileName: String(file.file_name || "file"),
+      fileSize: file.file_size,
+      entityType: "document_file",
+      entityId: file.id,
+      details: { document_id: file.document_id, file_name: file.file_name },
+    };
+  } else {
+    // Package visibility is the delivery_packages RLS policy, so the lookup runs as the caller;
+    // the frozen item's folder still has to pass section.view.
+    const { data: item, error: itemErr } = await userClient
+      .from("delivery_package_items")
+      .select("id,package_id,file_id,document_id,section_id,file_name,file_size,storage_path")
+      .eq("id", itemId)
+      .maybeSingle();
+    if (itemErr) {
+      return json(500, { ok: false, error: String(itemErr.message || "item_query_failed"), run_id: runId });
+    }
+    if (!item?.id) {
+      return json(404, { ok: false, error: "item_not_found", run_id: runId });
+    }
+    try {
+      const aclIndex = await loadSectionAcl(adminClient, userId);
+      if (!can(profile, "section.view", sectionContext(aclIndex, String(item.section_id || "")))) {
+        return json(403, { ok: false, error: "forbidden_section", run_id: runId });
+      }
+    } catch (e) {
+      return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+    }
+    source = {
+      fileId: item.file_id,
+      documentId: item.document_id,
+      storagePath: String(item.storage_path || ""),
+      fileName: String(item.file_name || "file"),
+      fileSize: item.file_size,
+      entityType: "delivery_package",
+      entityId: item.package_id,
+      details: { item_id: item.id, file_id: item.file_id, document_id: item.document_id, file_name: item.file_name },
+    };
+  }
+
+  if (!isWatermarkProtected(source.fileName)) {
+    return json(415, { ok: false, error: "watermark_unsupported", run_id: runId });
+  }
+  if (Number(source.fileSize || 0) > MAX_SOURCE_BYTES) {
+    return json(413, { ok: false, error: "file_too_large", limit: MAX_SOURCE_BYTES, run_id: runId });
+  }
+
+  const { data: blob, error: downloadErr } = await adminClient.storage.from("documents").download(source.storagePath);
+  if (downloadErr || !blob) {
+    return json(500, { ok: false, error: `storage_download_failed: ${String(downloadErr?.message || "not_found")}`, run_id: runId });
+  }
+  const label = watermarkLabel(profile);
+  let output: Uint8Array;
+  try {
+    output = await watermarkFile(new Uint8Array(await blob.arrayBuffer()), source.fileName, label);
+  } catch (e) {
+    console.error("file-watermark render failed", runId, source.entityId, String((e as Error)?.message || e));
+    return json(422, { ok: false, error: "watermark_failed", run_id: runId });
+  }
+
+  await adminClient.from("audit_log").insert({
+    user_id: userId,
+    action: "view_watermarked_file",
+    entity_type: source.entityType,
+    entity_id: source.entityId,
+    details: { ...source.details, watermark: label, purpose },
+  });
+  // Read receipt for the live file; fails harmlessly when a package outlived it.
+  if (source.fileId) {
+    await adminClient.from("file_access_events").insert({
+      file_id: source.fileId,
+      document_id: source.documentId,
+      user_id: userId,
+      action: purpose,
+      channel: source.entityType === "delivery_package" ? "package" : "watermark",
+    });
+  }
+
+  const fileName = watermarkedFileName(source.fileName);
+  return new Response(output, {
+    status: 200,
+    headers: {
+      ...CORS,
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${fileName.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+});
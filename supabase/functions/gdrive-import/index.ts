@@ -1,5 +1,7 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { loadSectionAcl, sectionContext } from "../_shared/acl.ts";
+import { can } from "../_shared/policy.ts";
 
 type Body = {
   import_type?: "folder" | "file";
@@ -11,6 +13,8 @@ type Body = {
   target_document_id?: string;
   create_subfolder?: boolean;
   subfolder_name?: string;
+  export_format?: "office" | "pdf";
+  duplicate_mode?: DuplicateMode;
 };
 
 const SERVICE_ROLE_KEY =
@@ -20,6 +24,36 @@ const SERVICE_ROLE_KEY =
 const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
 const GOOGLE_API_KEY = Deno.env.get("GOOGLE_API_KEY") || "";
 const PROJECT_SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+const DRIVE_FOLDER_MIME = "application/vnd.google-apps.folder";
+const MAX_FOLDER_DEPTH = 12;
+const MAX_IMPORT_FILES = 500;
+
+// Google-native files have no binary content; they must go through files.export.
+// "office" keeps them editable (DOCX/XLSX/PPTX), "pdf" freezes them for review.
+type ExportFormat = "office" | "pdf";
+// What to do with a file whose content already exists elsewhere in the company.
+// Identical files in the target document itself are always skipped.
+type DuplicateMode = "import" | "link" | "skip";
+type ExportTarget = { mimeType: string; extension: string };
+const PDF_EXPORT: ExportTarget = { mimeType: "application/pdf", extension: "pdf" };
+const GOOGLE_NATIVE_EXPORTS: Record<string, Record<ExportFormat, ExportTarget>> = {
+  "application/vnd.google-apps.document": {
+    office: { mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", extension: "docx" },
+    pdf: PDF_EXPORT,
+  },
+  "application/vnd.google-apps.spreadsheet": {
+    office: { mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+    pdf: PDF_EXPORT,
+  },
+  "application/vnd.google-apps.presentation": {
+    office: { mimeType: "application/vnd.openxmlformats-officedocument.presentationml.presentation", extension: "pptx" },
+    pdf: PDF_EXPORT,
+  },
+  "application/vnd.google-apps.drawing": {
+    office: PDF_EXPORT,
+    pdf: PDF_EXPORT,
+  },
+};
 
 const CORS = {
   "Access-Control-Allow-Origin": "*",
@@ -83,6 +117,12 @@ function detectFileTypeFromName(fileName: string) {
   return ext || "bin";
 }
 
+function withExtension(fileName: string, extension: string) {
+  const name = String(fileName || "").trim();
+  if (name.toLowerCase().endsWith(`.${extension}`)) return name;
+  return `${name}.${extension}`;
+}
+
 function resolveProjectSupabaseUrl(reqUrl: string) {
   if (PROJECT_SUPABASE_URL) return PROJECT_SUPABASE_URL;
   const req = new URL(reqUrl);
@@ -283,6 +323,299 @@ async function getUserViaAuthApi(params: {
   return { ok: true, error: "", user: parsed };
 }
 
+type DriveEntry = {
+  id: string;
+  name: string;
+  mimeType?: string;
+  size?: string;
+};
+
+type DriveFileTask = DriveEntry & {
+  parentFolderId: string;
+  path: string;
+};
+
+type DriveFolderTask = {
+  id: string;
+  name: string;
+  parentFolderId: string;
+  path: string;
+  depth: number;
+};
+
+type ImportResult = {
+  drive_file_id: string;
+  name: string;
+  path: string;
+  status: "imported" | "skipped";
+  reason: string | null;
+  section_id: string;
+  document_id: string | null;
+  file_id: string | null;
+  duplicate_of?: DuplicateMatch | null;
+};
+
+type DuplicateMatch = {
+  file_id: string;
+  file_name: string;
+  file_path: string;
+  document_id: string;
+  document_code: string;
+  same_document: boolean;
+};
+
+type ImportContext = {
+  adminClient: ReturnType<typeof createClient>;
+  userClient: ReturnType<typeof createClient> | null;
+  runtimeSupabaseUrl: string;
+  accessToken: string;
+  callerId: string;
+  companyId: string;
+  exportFormat: ExportFormat;
+  duplicateMode: DuplicateMode;
+  pushTrace: (msg: string) => void;
+};
+
+async function sha256Hex(bytes: Uint8Array) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Same lookup as the in-app uploader; through the caller's client so only files they can read are reported.
+async function findDuplicate(ctx: ImportContext, contentSha256: string, documentId: string) {
+  const client = ctx.userClient || ctx.adminClient;
+  const { data, error } = await client.rpc("find_file_duplicates", {
+    p_hashes: [contentSha256],
+    p_document_id: documentId || null,
+    p_company_id: ctx.companyId,
+  });
+  if (error) {
+    ctx.pushTrace(`duplicate_lookup_failed err=${error.message}`);
+    return null;
+  }
+  const row = (Array.isArray(data) ? data[0] : null) as Record<string, unknown> | null;
+  if (!row) return null;
+  return {
+    file_id: String(row.file_id || ""),
+    file_name: String(row.file_name || ""),
+    file_path: String(row.file_path || ""),
+    document_id: String(row.document_id || ""),
+    document_code: String(row.document_code || ""),
+    same_document: Boolean(row.same_document),
+  } as DuplicateMatch;
+}
+
+async function listDriveFolder(folderId: string) {
+  const entries: DriveEntry[] = [];
+  let pageToken = "";
+  do {
+    const params = new URLSearchParams({
+      q: `'${folderId}' in parents and trashed=false`,
+      fields: "nextPageToken,files(id,name,mimeType,size)",
+      pageSize: "1000",
+      supportsAllDrives: "true",
+      includeItemsFromAllDrives: "true",
+      key: GOOGLE_API_KEY,
+    });
+    if (pageToken) params.set("pageToken", pageToken);
+    const res = await fetch(`https://www.googleapis.com/drive/v3/files?${params.toString()}`);
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return { ok: false, error: String(body?.error?.message || `status_${res.status}`), entries };
+    }
+    for (const entry of Array.isArray(body.files) ? body.files : []) {
+      entries.push(entry as DriveEntry);
+    }
+    pageToken = String(body.nextPageToken || "");
+  } while (pageToken);
+  return { ok: true, error: "", entries };
+}
+
+async function walkDriveFolder(rootFolderId: string, pushTrace: (msg: string) => void) {
+  const folders: DriveFolderTask[] = [];
+  const files: DriveFileTask[] = [];
+  const folderErrors: Array<{ id: string; path: string; reason: string }> = [];
+  const queue: Array<{ id: string; path: string; depth: number }> = [{ id: rootFolderId, path: "", depth: 0 }];
+  const visited = new Set<string>();
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const current = queue.shift()!;
+    // Drive allows a folder to live in several parents; never walk the same one twice.
+    if (visited.has(current.id)) continue;
+    visited.add(current.id);
+
+    const listing = await listDriveFolder(current.id);
+    if (!listing.ok) {
+      if (current.id === rootFolderId) {
+        return { ok: false, error: listing.error, folders, files, folderErrors, truncated };
+      }
+      folderErrors.push({ id: current.id, path: current.path, reason: `google_list_failed: ${listing.error}` });
+      pushTrace(`folder_list_failed path=${current.path} err=${listing.error}`);
+      continue;
+    }
+
+    for (const entry of listing.entries) {
+      const entryId = String(entry.id || "");
+      const name = sanitizeName(String(entry.name || "")) || entryId || `item-${Date.now()}`;
+      const path = current.path ? `${current.path}/${name}` : name;
+      if (String(entry.mimeType || "") === DRIVE_FOLDER_MIME) {
+        if (current.depth + 1 > MAX_FOLDER_DEPTH) {
+          truncated = true;
+          folderErrors.push({ id: entryId, path, reason: `max_depth_exceeded (${MAX_FOLDER_DEPTH})` });
+          continue;
+        }
+        folders.push({ id: entryId, name, parentFolderId: current.id, path, depth: current.depth + 1 });
+        queue.push({ id: entryId, path, depth: current.depth + 1 });
+        continue;
+      }
+      if (files.length >= MAX_IMPORT_FILES) {
+        truncated = true;
+        continue;
+      }
+      files.push({ ...entry, id: entryId, name, parentFolderId: current.id, path });
+    }
+  }
+
+  return { ok: true, error: "", folders, files, folderErrors, truncated };
+}
+
+async function importDriveFile(
+  ctx: ImportContext,
+  task: DriveFileTask,
+  sectionId: string,
+  existingDocumentId: string,
+  orderIndex: number,
+): Promise<ImportResult> {
+  const driveFileId = String(task.id || "");
+  const sourceMime = String(task.mimeType || "");
+  const exportTarget = GOOGLE_NATIVE_EXPORTS[sourceMime]?.[ctx.exportFormat] || null;
+  const baseName = sanitizeName(String(task.name || "file")) || `file-${Date.now()}`;
+  const fileName = exportTarget ? withExtension(baseName, exportTarget.extension) : baseName;
+  const storageFileName = sanitizeStorageName(fileName);
+  const result: ImportResult = {
+    drive_file_id: driveFileId,
+    name: fileName,
+    path: task.path,
+    status: "skipped",
+    reason: null,
+    section_id: sectionId,
+    document_id: existingDocumentId || null,
+    file_id: null,
+  };
+  const skip = (reason: string) => ({ ...result, reason });
+
+  if (!driveFileId) return skip("missing_file_id");
+  if (!exportTarget && sourceMime.startsWith("application/vnd.google-apps.")) {
+    return skip(`google_native_not_exportable: ${sourceMime}`);
+  }
+
+  const fileRes = await fetch(
+    exportTarget
+      ? `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(driveFileId)}/export?mimeType=${encodeURIComponent(exportTarget.mimeType)}&key=${encodeURIComponent(GOOGLE_API_KEY)}`
+      : `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(driveFileId)}?alt=media&supportsAllDrives=true&key=${encodeURIComponent(GOOGLE_API_KEY)}`,
+  );
+  if (!fileRes.ok) {
+    const errJson = await fileRes.json().catch(() => ({}));
+    const reason = exportTarget ? "google_export_failed" : "google_download_failed";
+    return skip(`${reason}: ${String(errJson?.error?.message || `status_${fileRes.status}`)}`);
+  }
+  if (exportTarget) ctx.pushTrace(`google_export id=${driveFileId} as=${exportTarget.extension}`);
+  const bytes = new Uint8Array(await fileRes.arrayBuffer());
+  const contentType = exportTarget?.mimeType || fileRes.headers.get("content-type") || "application/octet-stream";
+  const fileSize = Number(bytes.byteLength || bytes.length || 0);
+  const fileType = detectFileTypeFromName(fileName);
+  const contentSha256 = await sha256Hex(bytes);
+  const duplicate = await findDuplicate(ctx, contentSha256, existingDocumentId);
+  result.duplicate_of = duplicate;
+  if (duplicate?.same_document) {
+    return skip(`duplicate_in_document: ${duplicate.file_name}`);
+  }
+  if (duplicate && ctx.duplicateMode === "skip") {
+    return skip(`duplicate_in_company: ${duplicate.document_code} / ${duplicate.file_name}`);
+  }
+  const linkDuplicate = Boolean(duplicate?.file_path) && ctx.duplicateMode === "link";
+
+  const usesExistingDocument = Boolean(existingDocumentId);
+  const docId = usesExistingDocument ? existingDocumentId : crypto.randomUUID();
+  if (!usesExistingDocument) {
+    const docCode = `GD-${Date.now().toString().slice(-6)}-${Math.random().toString(36).slice(2, 8)}`;
+    const { error: docInsertErr } = await ctx.adminClient
+      .from("documents")
+      .insert({
+        id: docId,
+        section_id: sectionId,
+        code: docCode,
+        name_pl: fileName,
+        name_uk: fileName,
+        status: "pending",
+        order_index: orderIndex,
+        created_by: ctx.callerId,
+      });
+    if (docInsertErr) {
+      return skip(`document_insert_failed: ${String(docInsertErr.message || "insert_failed")} | section_id=${sectionId}`);
+    }
+  }
+  // Keep the same storage key shape as the working in-app uploader:
+  // `${document.id}/${safeFileName}`
+  // A linked duplicate reuses the existing blob instead.
+  const storagePath = linkDuplicate ? duplicate!.file_path : `${docId}/${storageFileName}`;
+
+  if (linkDuplicate) {
+    ctx.pushTrace(`duplicate_linked path=${storagePath} source_file=${duplicate!.file_id}`);
+  } else {
+    const uploadResult = await uploadToDocumentsBucket({
+      adminClient: ctx.adminClient,
+      userClient: ctx.userClient,
+      runtimeSupabaseUrl: ctx.runtimeSupabaseUrl,
+      storagePath,
+      fileBody: bytes,
+      contentType,
+      accessToken: ctx.accessToken,
+      pushTrace: ctx.pushTrace,
+    });
+    if (!uploadResult.ok) {
+      if (!usesExistingDocument) {
+        await ctx.adminClient.from("documents").delete().eq("id", docId);
+      }
+      return skip(`storage_upload_failed: ${String(uploadResult.error || "upload_failed")} | bucket=documents | path=${storagePath}`);
+    }
+    ctx.pushTrace(`storage_uploaded strategy=${uploadResult.strategy} path=${storagePath}`);
+  }
+
+  const { data: fileRow, error: fileRowErr } = await ctx.adminClient
+    .from("document_files")
+    .insert({
+      document_id: docId,
+      file_name: fileName,
+      file_path: storagePath,
+      file_size: fileSize,
+      file_type: fileType,
+      mime_type: contentType,
+      uploaded_by: ctx.callerId,
+      content_sha256: contentSha256,
+      linked_from_file_id: linkDuplicate ? duplicate!.file_id : null,
+    })
+    .select("id")
+    .single();
+  if (fileRowErr) {
+    if (!linkDuplicate) {
+      await ctx.adminClient.storage.from("documents").remove([storagePath]);
+    }
+    if (!usesExistingDocument) {
+      await ctx.adminClient.from("documents").delete().eq("id", docId);
+    }
+    return skip(`document_file_insert_failed: ${String(fileRowErr.message || "document_file_create_failed")} | path=${storagePath}`);
+  }
+
+  return {
+    ...result,
+    status: "imported",
+    document_id: docId,
+    file_id: String(fileRow?.id || "") || null,
+  };
+}
+
 Deno.serve(async (req) => {
   const runId = crypto.randomUUID();
   const trace: string[] = [];
@@ -437,7 +770,10 @@ Deno.serve(async (req) => {
     const sectionId = String(body.section_id || "").trim();
     const targetDocumentId = String(body.target_document_id || "").trim();
     const createSubfolder = Boolean(body.create_subfolder);
-    const subfolderName = sanitizeName(String(body.subfolder_name || ""));
+    let subfolderName = sanitizeName(String(body.subfolder_name || ""));
+    const exportFormat: ExportFormat = String(body.export_format || "").trim().toLowerCase() === "pdf" ? "pdf" : "office";
+    const duplicateModeRaw = String(body.duplicate_mode || "").trim().toLowerCase();
+    const duplicateMode: DuplicateMode = duplicateModeRaw === "link" || duplicateModeRaw === "skip" ? duplicateModeRaw : "import";
 
     const missing: string[] = [];
     if (!sourceUrlRaw) missing.push("source_url");
@@ -451,13 +787,21 @@ Deno.serve(async (req) => {
     if (importType === "file" && !fileId) {
       return json(400, { ok: false, error: "Invalid file URL/ID. Provide Google Drive file link (file/d/...) or file ID.", run_id: runId, trace });
     }
+    if (createSubfolder && !subfolderName && importType === "folder") {
+      // Folder imports default the new subfolder to the Drive folder's own name.
+      const folderMetaRes = await fetch(
+        `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(folderId)}?fields=id,name&supportsAllDrives=true&key=${encodeURIComponent(GOOGLE_API_KEY)}`,
+      );
+      const folderMeta = await folderMetaRes.json().catch(() => ({}));
+      if (folderMetaRes.ok) subfolderName = sanitizeName(String(folderMeta?.name || ""));
+    }
     if (createSubfolder && !subfolderName) {
       return json(400, { ok: false, error: "subfolder_name is required when create_subfolder=true", run_id: runId, trace });
     }
     if (targetDocumentId && createSubfolder) {
       return json(400, { ok: false, error: "target_document_id cannot be used with create_subfolder=true", run_id: runId, trace });
     }
-    pushTrace(`input_ok import_type=${importType} section_id=${sectionId}`);
+    pushTrace(`input_ok import_type=${importType} section_id=${sectionId} export_format=${exportFormat}`);
 
     // Resolve company from section if company_id is not provided by client.
     if (!companyId && sectionId) {
@@ -473,6 +817,15 @@ Deno.serve(async (req) => {
     }
     pushTrace(`company_ok=${companyId}`);
 
+    try {
+      const aclIndex = await loadSectionAcl(adminClient, String(profile.id));
+      if (!can(profile, "section.upload", sectionContext(aclIndex, sectionId))) {
+        return json(403, { ok: false, error: "forbidden_section_upload", run_id: runId, trace });
+      }
+    } catch (e) {
+      return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId, trace });
+    }
+
     let targetSectionId = sectionId;
     if (targetDocumentId) {
       const { data: existingDoc, error: existingDocErr } = await adminClient
@@ -519,147 +872,146 @@ Deno.serve(async (req) => {
       pushTrace(`subfolder_created=${targetSectionId}`);
     }
 
-    let allowed: Array<Record<string, unknown>> = [];
+    const importCtx = {
+      adminClient,
+      userClient,
+      runtimeSupabaseUrl,
+      accessToken,
+      callerId: caller.id,
+      companyId,
+      exportFormat,
+      duplicateMode,
+      pushTrace,
+    };
+    const results: ImportResult[] = [];
+    const folderErrors: Array<{ id: string; path: string; reason: string }> = [];
+    const sectionByFolder = new Map<string, string>();
+    let fileTasks: DriveFileTask[] = [];
+    let sectionsCreated = 0;
+    let truncated = false;
+
     if (importType === "folder") {
-      const listUrl = `https://www.googleapis.com/drive/v3/files?q='${encodeURIComponent(folderId)}'+in+parents+and+trashed=false&fields=files(id,name,mimeType,size)&pageSize=1000&key=${encodeURIComponent(GOOGLE_API_KEY)}`;
-      const listRes = await fetch(listUrl);
-      const listJson = await listRes.json().catch(() => ({}));
-      if (!listRes.ok) {
-        return json(400, { ok: false, error: listJson?.error?.message || "Failed to list Google Drive folder", run_id: runId, trace });
+      const tree = await walkDriveFolder(folderId, pushTrace);
+      if (!tree.ok) {
+        return json(400, { ok: false, error: tree.error || "Failed to list Google Drive folder", run_id: runId, trace });
       }
-      const files = Array.isArray(listJson.files) ? listJson.files : [];
-      allowed = files.filter((f: Record<string, unknown>) => String(f.mimeType || "") !== "application/vnd.google-apps.folder");
+      truncated = tree.truncated;
+      folderErrors.push(...tree.folderErrors);
+      pushTrace(`drive_tree folders=${tree.folders.length} files=${tree.files.length} truncated=${tree.truncated}`);
+
+      // Mirror the Drive folder tree as child sections below the target section.
+      // Folders come in BFS order, so a parent section always exists before its children.
+      sectionByFolder.set(folderId, targetSectionId);
+      const { data: rootSection } = await adminClient
+        .from("document_sections")
+        .select("id,code")
+        .eq("id", targetSectionId)
+        .single();
+      const { count: existingChildren } = await adminClient
+        .from("document_sections")
+        .select("id", { count: "exact", head: true })
+        .eq("parent_section_id", targetSectionId);
+      const codeBySection = new Map<string, string>([[targetSectionId, String(rootSection?.code || "GD")]]);
+      const childCounter = new Map<string, number>([[targetSectionId, Number(existingChildren || 0)]]);
+
+      for (const folder of tree.folders) {
+        const parentSectionId = sectionByFolder.get(folder.parentFolderId);
+        if (!parentSectionId) {
+          folderErrors.push({ id: folder.id, path: folder.path, reason: "parent_section_missing" });
+          continue;
+        }
+        const childIndex = (childCounter.get(parentSectionId) || 0) + 1;
+        childCounter.set(parentSectionId, childIndex);
+        const childCode = `${codeBySection.get(parentSectionId) || "GD"}.${childIndex}`;
+        const { data: childSection, error: childErr } = await adminClient
+          .from("document_sections")
+          .insert({
+            company_id: companyId,
+            parent_section_id: parentSectionId,
+            code: childCode,
+            name_pl: folder.name,
+            name_uk: folder.name,
+            order_index: childIndex,
+            created_by: caller.id,
+          })
+          .select("id")
+          .single();
+        if (childErr || !childSection?.id) {
+          folderErrors.push({
+            id: folder.id,
+            path: folder.path,
+            reason: `section_insert_failed: ${String(childErr?.message || "insert_failed")}`,
+          });
+          continue;
+        }
+        sectionByFolder.set(folder.id, String(childSection.id));
+        codeBySection.set(String(childSection.id), childCode);
+        sectionsCreated += 1;
+        pushTrace(`section_created path=${folder.path} id=${childSection.id}`);
+      }
+      fileTasks = tree.files;
     } else {
-      const metaUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}?fields=id,name,mimeType,size&key=${encodeURIComponent(GOOGLE_API_KEY)}`;
+      const metaUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}?fields=id,name,mimeType,size&supportsAllDrives=true&key=${encodeURIComponent(GOOGLE_API_KEY)}`;
       const metaRes = await fetch(metaUrl);
       const metaJson = await metaRes.json().catch(() => ({}));
       if (!metaRes.ok) {
         return json(400, { ok: false, error: metaJson?.error?.message || "Failed to read Google Drive file", run_id: runId, trace });
       }
-      if (String(metaJson?.mimeType || "") === "application/vnd.google-apps.folder") {
+      if (String(metaJson?.mimeType || "") === DRIVE_FOLDER_MIME) {
         return json(400, { ok: false, error: "Provided URL points to a folder. Choose import type 'folder'.", run_id: runId, trace });
       }
-      allowed = [metaJson];
-    }
-    pushTrace(`allowed_files=${allowed.length}`);
-    const scanned = allowed.length;
-    let imported = 0;
-    let skipped = 0;
-    const skippedSamples: Array<{ id: string; name: string; reason: string }> = [];
-
-    for (const f of allowed) {
-      const fileId = String(f.id || "");
-      const fileName = sanitizeName(String(f.name || "file")) || `file-${Date.now()}`;
-      const storageFileName = sanitizeStorageName(fileName);
-      if (!fileId) {
-        skipped += 1;
-        if (skippedSamples.length < 20) skippedSamples.push({ id: "", name: fileName, reason: "missing_file_id" });
-        continue;
-      }
+      sectionByFolder.set("", targetSectionId);
+      const name = sanitizeName(String(metaJson?.name || "file")) || `file-${Date.now()}`;
+      fileTasks = [{ ...(metaJson as DriveEntry), name, parentFolderId: "", path: name }];
+    }
+    pushTrace(`allowed_files=${fileTasks.length}`);
 
-      const fileRes = await fetch(`https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}?alt=media&key=${encodeURIComponent(GOOGLE_API_KEY)}`);
-      if (!fileRes.ok) {
-        const errJson = await fileRes.json().catch(() => ({}));
-        skipped += 1;
-        if (skippedSamples.length < 20) {
-          skippedSamples.push({
-            id: fileId,
-            name: fileName,
-            reason: `google_download_failed: ${String(errJson?.error?.message || `status_${fileRes.status}`)}`,
-          });
-        }
+    const rootFolderKey = importType === "folder" ? folderId : "";
+    const orderBySection = new Map<string, number>();
+    for (const task of fileTasks) {
+      const sectionForFile = sectionByFolder.get(task.parentFolderId) || "";
+      if (!sectionForFile) {
+        results.push({
+          drive_file_id: String(task.id || ""),
+          name: task.name,
+          path: task.path,
+          status: "skipped",
+          reason: "parent_section_missing",
+          section_id: "",
+          document_id: null,
+          file_id: null,
+        });
         continue;
       }
-      const bytes = new Uint8Array(await fileRes.arrayBuffer());
-      const contentType = fileRes.headers.get("content-type") || "application/octet-stream";
-      const fileSize = Number(bytes.byteLength || bytes.length || 0);
-      const fileType = detectFileTypeFromName(fileName);
+      // Root-level files may land in the chosen document; nested ones always get their own document.
+      const existingDocumentId = targetDocumentId && task.parentFolderId === rootFolderKey ? targetDocumentId : "";
+      const orderIndex = (orderBySection.get(sectionForFile) || 0) + 1;
+      orderBySection.set(sectionForFile, orderIndex);
+      results.push(await importDriveFile(importCtx, task, sectionForFile, existingDocumentId, orderIndex));
+    }
 
-      const usesExistingDocument = Boolean(targetDocumentId);
-      const docId = usesExistingDocument ? targetDocumentId : crypto.randomUUID();
-      if (!usesExistingDocument) {
-        const docCode = `GD-${Date.now().toString().slice(-6)}-${Math.random().toString(36).slice(2, 8)}`;
-        const { error: docInsertErr } = await adminClient
-          .from("documents")
-          .insert({
-            id: docId,
-            section_id: targetSectionId,
-            code: docCode,
-            name_pl: fileName,
-            name_uk: fileName,
-            status: "pending",
-            order_index: imported + 1,
-            created_by: caller.id,
-          });
-        if (docInsertErr) {
-          skipped += 1;
-          if (skippedSamples.length < 20) {
-            skippedSamples.push({
-              id: fileId,
-              name: fileName,
-              reason: `document_insert_failed: ${String(docInsertErr.message || "insert_failed")} | section_id=${targetSectionId}`,
-            });
-          }
-          continue;
-        }
-      }
-      // Keep the same storage key shape as the working in-app uploader:
-      // `${document.id}/${safeFileName}`
-      const storagePath = `${docId}/${storageFileName}`;
-
-      const uploadResult = await uploadToDocumentsBucket({
-        adminClient,
-        userClient,
-        runtimeSupabaseUrl,
-        storagePath,
-        fileBody: bytes,
-        contentType,
-        accessToken,
-        pushTrace,
-      });
-      if (!uploadResult.ok) {
-        if (!usesExistingDocument) {
-          await adminClient.from("documents").delete().eq("id", docId);
-        }
-        skipped += 1;
-        if (skippedSamples.length < 20) {
-          skippedSamples.push({
-            id: fileId,
-            name: fileName,
-            reason: `storage_upload_failed: ${String(uploadResult.error || "upload_failed")} | bucket=documents | path=${storagePath}`,
-          });
-        }
-        continue;
-      }
-      pushTrace(`storage_uploaded strategy=${uploadResult.strategy} path=${storagePath}`);
-
-      const { error: fileRowErr } = await adminClient.from("document_files").insert({
-        document_id: docId,
-        file_name: fileName,
-        file_path: storagePath,
-        file_size: fileSize,
-        file_type: fileType,
-        mime_type: contentType,
-        uploaded_by: caller.id,
-      });
-      if (fileRowErr) {
-        await adminClient.storage.from("documents").remove([storagePath]);
-        if (!usesExistingDocument) {
-          await adminClient.from("documents").delete().eq("id", docId);
-        }
-        skipped += 1;
-        if (skippedSamples.length < 20) {
-          skippedSamples.push({
-            id: fileId,
-            name: fileName,
-            reason: `document_file_insert_failed: ${String(fileRowErr.message || "document_file_create_failed")} | path=${storagePath}`,
-          });
-        }
-        continue;
-      }
-      imported += 1;
+    // Antivirus scan (which then requests text extraction / OCR) runs after the response is sent
+    // so large imports do not time out.
+    const importedFileIds = results.map((r) => r.file_id).filter((id): id is string => Boolean(id));
+    for (let i = 0; i < importedFileIds.length; i += 20) {
+      EdgeRuntime.waitUntil(
+        fetch(`${runtimeSupabaseUrl}/functions/v1/file-scan`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${SERVICE_ROLE_KEY}`, "Content-Type": "application/json" },
+          body: JSON.stringify({ file_ids: importedFileIds.slice(i, i + 20) }),
+        }).catch((e) => console.error("file-scan request failed", e)),
+      );
     }
 
+    const scanned = results.length;
+    const imported = results.filter((r) => r.status === "imported").length;
+    const skipped = scanned - imported;
+    const duplicates = results.filter((r) => r.duplicate_of).length;
+    const skippedSamples = results
+      .filter((r) => r.status === "skipped")
+      .slice(0, 20)
+      .map((r) => ({ id: r.drive_file_id, name: r.name, reason: String(r.reason || "") }));
+
     await adminClient.from("audit_log").insert({
       user_id: caller.id,
       action: "gdrive_import",
@@ -674,9 +1026,15 @@ Deno.serve(async (req) => {
         imported,
         skipped,
         skipped_samples: skippedSamples,
+        sections_created: sectionsCreated,
+        folder_errors: folderErrors.slice(0, 20),
+        truncated,
         target_document_id: targetDocumentId || null,
         create_subfolder: createSubfolder,
         subfolder_name: subfolderName || null,
+        export_format: exportFormat,
+        duplicate_mode: duplicateMode,
+        duplicates,
       },
     });
 
@@ -685,10 +1043,17 @@ Deno.serve(async (req) => {
       run_id: runId,
       trace,
       import_type: importType,
+      export_format: exportFormat,
+      duplicate_mode: duplicateMode,
       scanned,
       imported,
       skipped,
       skipped_samples: skippedSamples,
+      duplicates,
+      sections_created: sectionsCreated,
+      folder_errors: folderErrors,
+      truncated,
+      results,
       target_section_id: targetSectionId,
       target_document_id: targetDocumentId || null,
     });
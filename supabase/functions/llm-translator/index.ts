@@ -1,5 +1,6 @@
 import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { can } from "../_shared/policy.ts";
 
 type Language = "pl" | "uk";
 type Mode = "translate" | "suggest";
@@ -259,11 +260,23 @@ serve(async (req) => {
     const context = safeTrim(String(body?.context || ""), 3000);
 
     const supabase = getSupabaseClient(req);
+    if (!supabase) return jsonResponse(401, { error: "Missing authorization" });
+    const { data: userData, error: userError } = await supabase.auth.getUser();
+    const userId = userData?.user?.id || "";
+    if (userError || !userId) return jsonResponse(401, { error: "Invalid session" });
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id,role,side,is_active")
+      .eq("id", userId)
+      .maybeSingle();
 
     if (!text) return jsonResponse(400, { error: "text is required" });
     if (mode !== "translate" && mode !== "suggest") {
       return jsonResponse(400, { error: "mode must be translate or suggest" });
     }
+    if (!can(profile, mode === "translate" ? "llm.translate" : "llm.suggest")) {
+      return jsonResponse(403, { error: "Forbidden" });
+    }
 
     if (mode === "translate") {
       const source = normalizeLang(body?.source_language);
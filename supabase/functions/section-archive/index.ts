@@ -0,0 +1,462 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient, type SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { strToU8, Zip, ZipPassThrough } from "npm:fflate@0.8";
+import { loadSectionAcl, sectionContext, type SectionAclIndex } from "../_shared/acl.ts";
+import { can } from "../_shared/policy.ts";
+import { loadPublishedFileIds } from "../_shared/publication.ts";
+import { isWatermarkProtected, watermarkedFileName, watermarkFile, watermarkLabel } from "../_shared/watermark.ts";
+
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+const ARCHIVE_BUCKET = "section-archives";
+const ARCHIVE_LINK_TTL_SECONDS = Math.max(3600, Number(Deno.env.get("ARCHIVE_LINK_TTL_SECONDS") || 7 * 24 * 3600));
+
+const MAX_SECTIONS = 2000;
+const MAX_FILES = 5000;
+const MAX_STORED_ERRORS = 200;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type SectionRow = { id: string; parent_section_id: string | null; code: string | null; name_pl: string | null };
+type DocumentRow = { id: string; section_id: string; code: string | null; name_pl: string | null; status: string | null };
+type FileRow = {
+  id: string;
+  document_id: string;
+  file_name: string | null;
+  file_path: string | null;
+  file_size: number | null;
+  uploaded_by: string | null;
+  created_at: string | null;
+  scan_status: string | null;
+};
+type ManifestRow = {
+  path: string;
+  sha256: string;
+  size: number;
+  uploader: string;
+  uploaded_at: string;
+  document_status: string;
+  status: string;
+};
+type ArchiveError = { file_id: string; path: string; error: string };
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+    String(v || "").trim(),
+  );
+}
+
+function safeSegment(value: string, fallback: string) {
+  const cleaned = String(value || "")
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 120);
+  return cleaned || fallback;
+}
+
+function csvCell(value: unknown) {
+  const text = String(value ?? "");
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function sha256Hex(bytes: Uint8Array) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function loadSectionTree(adminClient: SupabaseClient, root: SectionRow) {
+  const sections = new Map<string, SectionRow>([[root.id, root]]);
+  let frontier = [root.id];
+  while (frontier.length > 0 && sections.size < MAX_SECTIONS) {
+    const { data, error } = await adminClient
+      .from("document_sections")
+      .select("id,parent_section_id,code,name_pl")
+      .in("parent_section_id", frontier);
+    if (error) throw new Error(`sections_query_failed: ${error.message}`);
+    frontier = [];
+    for (const row of (data || []) as SectionRow[]) {
+      if (sections.has(row.id)) continue;
+      sections.set(row.id, row);
+      frontier.push(row.id);
+    }
+  }
+  return sections;
+}
+
+function sectionFolder(sections: Map<string, SectionRow>, sectionId: string) {
+  const parts: string[] = [];
+  let current = sections.get(sectionId);
+  for (let depth = 0; current && depth < 20; depth++) {
+    parts.unshift(safeSegment(`${current.code || ""} ${current.name_pl || ""}`, "Section"));
+    current = current.parent_section_id ? sections.get(current.parent_section_id) : undefined;
+  }
+  return parts.join("/");
+}
+
+// Streams the ZIP straight into storage: only one source file is held in memory at a time.
+// Streaming keeps memory flat but not the size unbounded: the POST is still subject to the project's
+// storage upload size limit (Storage settings, "Upload file size limit"), so very large sections fail
+// with archive_upload_failed (413) until that limit is raised.
+async function buildArchive(opts: {
+  adminClient: SupabaseClient;
+  jobId: string;
+  userId: string;
+  root: SectionRow;
+  sections: Map<string, SectionRow>;
+  documents: Map<string, DocumentRow>;
+  files: FileRow[];
+  skipped: ArchiveError[];
+  // Set for users without file.open_original: protected files go into the ZIP watermarked.
+  watermark: string | null;
+}) {
+  const { adminClient, jobId, userId, root, sections, documents, files, skipped, watermark } = opts;
+  const archivePath = `${userId}/${jobId}/${safeSegment(`${root.code || "section"}-archive`, "section-archive")}.zip`;
+
+  const uploaderIds = [...new Set(files.map((f) => String(f.uploaded_by || "")).filter(isUuid))];
+  const uploaders = new Map<string, string>();
+  for (let i = 0; i < uploaderIds.length; i += 200) {
+    const { data } = await adminClient.from("profiles").select("id,full_name,email").in("id", uploaderIds.slice(i, i + 200));
+    for (const p of data || []) uploaders.set(String(p.id), String(p.full_name || p.email || p.id));
+  }
+
+  const stream = new TransformStream<Uint8Array, Uint8Array>();
+  const writer = stream.writable.getWriter();
+  let sizeBytes = 0;
+  let zipError: Error | null = null;
+  const zip = new Zip((err, chunk, final) => {
+    if (err) {
+      zipError = err;
+      writer.abort(err).catch(() => {});
+      return;
+    }
+    sizeBytes += chunk.length;
+    writer.write(chunk).catch(() => {});
+    if (final) writer.close().catch(() => {});
+  });
+
+  const upload = fetch(`${SUPABASE_URL}/storage/v1/object/${ARCHIVE_BUCKET}/${archivePath}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${SERVICE_ROLE_KEY}`,
+      apikey: SERVICE_ROLE_KEY,
+      "Content-Type": "application/zip",
+      "x-upsert": "true",
+    },
+    body: stream.readable,
+    // Streaming request bodies need the (not yet typed) half-duplex mode.
+    duplex: "half",
+  } as RequestInit & { duplex: "half" });
+
+  const usedPaths = new Set<string>();
+  const uniquePath = (path: string) => {
+    if (!usedPaths.has(path)) {
+      usedPaths.add(path);
+      return path;
+    }
+    const dot = path.lastIndexOf(".");
+    const [base, ext] = dot > path.lastIndexOf("/") ? [path.slice(0, dot), path.slice(dot)] : [path, ""];
+    for (let n = 2; ; n++) {
+      const candidate = `${base} (${n})${ext}`;
+      if (!usedPaths.has(candidate)) {
+        usedPaths.add(candidate);
+        return candidate;
+      }
+    }
+  };
+
+  const manifest: ManifestRow[] = [];
+  const errors: ArchiveError[] = [...skipped];
+  const archivedFileIds: string[] = [];
+  try {
+    for (const file of files) {
+      const doc = documents.get(file.document_id);
+      if (!doc) continue;
+      const docFolder = safeSegment(`${doc.code || "DOC"} ${doc.name_pl || "Document"}`, "Document");
+      const stamped = Boolean(watermark) && isWatermarkProtected(file.file_name);
+      const entryName = stamped ? watermarkedFileName(file.file_name) : String(file.file_name || "");
+      const path = uniquePath(`${sectionFolder(sections, doc.section_id)}/${docFolder}/${safeSegment(entryName, "file.bin")}`);
+      const row: ManifestRow = {
+        path,
+        sha256: "",
+        size: 0,
+        uploader: uploaders.get(String(file.uploaded_by || "")) || "",
+        uploaded_at: String(file.created_at || ""),
+        document_status: String(doc.status || "pending"),
+        status: "ok",
+      };
+      try {
+        const { data: blob, error } = await adminClient.storage.from("documents").download(String(file.file_path || ""));
+        if (error || !blob) throw new Error(`storage_download_failed: ${String(error?.message || "not_found")}`);
+        let bytes = new Uint8Array(await blob.arrayBuffer());
+        if (stamped && watermark) bytes = await watermarkFile(bytes, file.file_name, watermark);
+        row.sha256 = await sha256Hex(bytes);
+        row.size = bytes.length;
+        await writer.ready;
+        const entry = new ZipPassThrough(path);
+        zip.add(entry);
+        entry.push(bytes, true);
+        archivedFileIds.push(file.id);
+      } catch (e) {
+        const message = String((e as Error)?.message || e || "archive_entry_failed").slice(0, 300);
+        row.status = `error: ${message}`;
+        errors.push({ file_id: file.id, path, error: message });
+      }
+      manifest.push(row);
+      if (zipError) throw zipError;
+    }
+
+    const manifestCsv = [
+      ["path", "sha256", "size_bytes", "uploader", "uploaded_at", "document_status", "status"].join(","),
+      ...manifest.map((r) => [r.path, r.sha256, r.size, r.uploader, r.uploaded_at, r.document_status, r.status].map(csvCell).join(",")),
+    ].join("\r\n");
+    const manifestEntry = new ZipPassThrough("manifest.csv");
+    zip.add(manifestEntry);
+    // BOM so Excel opens the UTF-8 manifest with Polish/Ukrainian names intact.
+    manifestEntry.push(strToU8(`\uFEFF${manifestCsv}\r\n`), true);
+    if (errors.length > 0) {
+      const errorsEntry = new ZipPassThrough("errors.txt");
+      zip.add(errorsEntry);
+      errorsEntry.push(strToU8(errors.map((e) => `${e.path}\t${e.error}`).join("\n") + "\n"), true);
+    }
+    zip.end();
+  } catch (e) {
+    // The aborted stream rejects the upload; settle it so the rejection is not left unhandled.
+    writer.abort(e).catch(() => {});
+    await upload.catch(() => {});
+    throw e;
+  }
+
+  const uploadRes = await upload;
+  if (!uploadRes.ok) {
+    const detail = await uploadRes.text().catch(() => "");
+    throw new Error(`archive_upload_failed: ${uploadRes.status} ${detail.slice(0, 200)}`);
+  }
+  return {
+    archivePath,
+    sizeBytes,
+    fileCount: manifest.filter((r) => r.status === "ok").length,
+    archivedFileIds,
+    errors,
+  };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const sectionId = String(body?.section_id || "").trim();
+  if (!isUuid(sectionId)) {
+    return json(400, { ok: false, error: "invalid_section_id", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  const userId = userData?.user?.id || "";
+  if (userErr || !userId) {
+    return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+  }
+  const { data: profile } = await adminClient
+    .from("profiles")
+    .select("id,role,side,is_active,full_name,email")
+    .eq("id", userId)
+    .maybeSingle();
+  if (!profile?.id || profile.is_active === false) {
+    return json(403, { ok: false, error: "profile_not_found", run_id: runId });
+  }
+
+  const { data: rootRow } = await adminClient
+    .from("document_sections")
+    .select("id,parent_section_id,code,name_pl")
+    .eq("id", sectionId)
+    .maybeSingle();
+  if (!rootRow?.id) {
+    return json(404, { ok: false, error: "section_not_found", run_id: runId });
+  }
+  const root = rootRow as SectionRow;
+
+  let aclIndex: SectionAclIndex;
+  try {
+    aclIndex = await loadSectionAcl(adminClient, userId);
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+  if (!can(profile, "section.view", sectionContext(aclIndex, root.id))) {
+    return json(403, { ok: false, error: "forbidden_section", run_id: runId });
+  }
+
+  let sections: Map<string, SectionRow>;
+  const documents = new Map<string, DocumentRow>();
+  let files: FileRow[] = [];
+  try {
+    sections = await loadSectionTree(adminClient, root);
+    // Subsections the user cannot view (explicit ACL override) are left out.
+    const sectionIds = [...sections.keys()].filter((id) => can(profile, "section.view", sectionContext(aclIndex, id)));
+    for (let i = 0; i < sectionIds.length; i += 200) {
+      const { data, error } = await adminClient
+        .from("documents")
+        .select("id,section_id,code,name_pl,status")
+        .in("section_id", sectionIds.slice(i, i + 200))
+        .order("order_index");
+      if (error) throw new Error(`documents_query_failed: ${error.message}`);
+      for (const doc of (data || []) as DocumentRow[]) documents.set(doc.id, doc);
+    }
+    const docIds = [...documents.keys()];
+    for (let i = 0; i < docIds.length; i += 200) {
+      const { data, error } = await adminClient
+        .from("document_files")
+        .select("id,document_id,file_name,file_path,file_size,uploaded_by,created_at,scan_status")
+        .in("document_id", docIds.slice(i, i + 200))
+        .order("created_at");
+      if (error) throw new Error(`files_query_failed: ${error.message}`);
+      files.push(...((data || []) as FileRow[]));
+    }
+  } catch (e) {
+    return json(500, { ok: false, error: String((e as Error)?.message || e), run_id: runId });
+  }
+
+  // Per-file policy: auditor-side users only get files explicitly shared with them; quarantined files never ship.
+  if (files.length > 0) {
+    const shared = await loadPublishedFileIds(adminClient, files.map((f) => f.id), userId);
+    files = files.filter((f) => {
+      const sectionOfFile = documents.get(f.document_id)?.section_id || "";
+      const ctx = sectionContext(aclIndex, sectionOfFile, { sharedWithAuditor: shared.has(f.id), scanStatus: f.scan_status });
+      return can(profile, "file.view", ctx) && can(profile, "file.open", ctx);
+    });
+  }
+  if (files.length === 0) {
+    return json(200, { ok: false, error: "no_files", run_id: runId });
+  }
+  const skipped: ArchiveError[] = files.slice(MAX_FILES).map((f) => ({
+    file_id: f.id,
+    path: String(f.file_name || f.id),
+    error: "file_limit_exceeded",
+  }));
+  files = files.slice(0, MAX_FILES);
+
+  const { data: job, error: jobErr } = await adminClient
+    .from("section_archive_jobs")
+    .insert({ section_id: root.id, requested_by: userId, status: "running" })
+    .select("id")
+    .single();
+  if (jobErr || !job?.id) {
+    return json(500, { ok: false, error: String(jobErr?.message || "job_insert_failed"), run_id: runId });
+  }
+  const jobId = String(job.id);
+  const sectionLabel = `${root.code || ""}. ${root.name_pl || ""}`.trim();
+
+  const run = async () => {
+    try {
+      const watermark = can(profile, "file.open_original") ? null : watermarkLabel(profile);
+      const result = await buildArchive({ adminClient, jobId, userId, root, sections, documents, files, skipped, watermark });
+      const { data: signed, error: signErr } = await adminClient.storage
+        .from(ARCHIVE_BUCKET)
+        .createSignedUrl(result.archivePath, ARCHIVE_LINK_TTL_SECONDS, { download: true });
+      if (signErr || !signed?.signedUrl) throw new Error(`signed_url_failed: ${String(signErr?.message || "")}`);
+      await adminClient
+        .from("section_archive_jobs")
+        .update({
+          status: "done",
+          archive_path: result.archivePath,
+          size_bytes: result.sizeBytes,
+          file_count: result.fileCount,
+          error_count: result.errors.length,
+          errors: result.errors.slice(0, MAX_STORED_ERRORS),
+          finished_at: new Date().toISOString(),
+        })
+        .eq("id", jobId);
+      const days = Math.round(ARCHIVE_LINK_TTL_SECONDS / 86400);
+      await adminClient.from("notifications").insert({
+        user_id: userId,
+        type: "section_archive_ready",
+        title: "Archiwum gotowe / Архів готовий",
+        message: result.errors.length > 0
+          ? `${sectionLabel}: ${result.fileCount} plików, ${result.errors.length} błędów (errors.txt). Link ważny ${days} dni / ${result.fileCount} файлів, ${result.errors.length} помилок (errors.txt). Посилання дійсне ${days} дн.`
+          : `${sectionLabel}: ${result.fileCount} plików. Link ważny ${days} dni / ${result.fileCount} файлів. Посилання дійсне ${days} дн.`,
+        entity_type: "section_archive_job",
+        entity_id: jobId,
+        link_url: signed.signedUrl,
+      });
+      await adminClient.from("audit_log").insert({
+        user_id: userId,
+        action: "section_archive_ready",
+        entity_type: "section",
+        entity_id: root.id,
+        details: { job_id: jobId, files: result.fileCount, errors: result.errors.length, size_bytes: result.sizeBytes },
+      });
+      // Read receipts: the archive is built for the requester alone, so every file in it counts as downloaded.
+      const documentByFile = new Map(files.map((f) => [f.id, f.document_id]));
+      const receipts = result.archivedFileIds.map((fileId) => ({
+        file_id: fileId,
+        document_id: documentByFile.get(fileId) || null,
+        user_id: userId,
+        action: "download",
+        channel: "archive",
+      }));
+      for (let i = 0; i < receipts.length; i += 500) {
+        const { error } = await adminClient.from("file_access_events").insert(receipts.slice(i, i + 500));
+        if (error) console.error("section-archive receipts failed", jobId, error.message);
+      }
+    } catch (e) {
+      const message = String((e as Error)?.message || e || "archive_failed").slice(0, 500);
+      console.error("section-archive failed", jobId, message);
+      await adminClient
+        .from("section_archive_jobs")
+        .update({ status: "failed", error: message, finished_at: new Date().toISOString() })
+        .eq("id", jobId);
+      await adminClient.from("notifications").insert({
+        user_id: userId,
+        type: "section_archive_failed",
+        title: "Błąd archiwum / Помилка архіву",
+        message: `${sectionLabel}: ${message}`,
+        entity_type: "section_archive_job",
+        entity_id: jobId,
+      });
+    }
+  };
+  EdgeRuntime.waitUntil(run());
+
+  return json(202, {
+    ok: true,
+    run_id: runId,
+    job_id: jobId,
+    files: files.length,
+    skipped: skipped.length,
+  });
+});
@@ -1,12 +1,14 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { can } from "../_shared/policy.ts";
 
 const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim();
 const SUPABASE_ANON_KEY = String(Deno.env.get("SUPABASE_ANON_KEY") || "").trim();
 const SUPABASE_SERVICE_ROLE_KEY = String(Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "").trim();
 const AUDIT_APP_SLUG = "audit";
 
-const MANAGE_ROLES = new Set(["super_admin", "lawyer_admin"]);
+const ACL_FLAGS = ["can_view", "can_comment", "can_upload", "can_manage"] as const;
+const MAX_ACL_ENTRIES = 500;
 const PROFILE_ROLES = new Set(["super_admin", "lawyer_admin", "lawyer_auditor", "user_fnu", "user_operator"]);
 
 function cors(origin: string) {
@@ -65,13 +67,13 @@ async function resolveCaller(origin: string, req: Request) {
 
   const { data: callerProfile, error: profileError } = await adminClient
     .from("profiles")
-    .select("id,email,role,side")
+    .select("id,email,role,side,is_active")
     .eq("id", callerId)
     .maybeSingle();
   if (profileError || !callerProfile) {
     return { response: jsonResponse(origin, 403, { ok: false, error: "Caller profile not found" }) };
   }
-  if (!MANAGE_ROLES.has(String(callerProfile.role || ""))) {
+  if (!can(callerProfile, "users.manage")) {
     return { response: jsonResponse(origin, 403, { ok: false, error: "Forbidden: admin role required" }) };
   }
 
@@ -185,8 +187,9 @@ Deno.serve(async (req) => {
         const first = list[0];
         return {
           user_id: userId,
-          mode: "single",
+          mode: list.length === 1 ? "single" : "custom",
           section_id: String(first.section_id || ""),
+          section_ids: list.map((row) => String(row.section_id || "")),
           acl_count: list.length,
         };
       });
@@ -194,6 +197,80 @@ Deno.serve(async (req) => {
       return jsonResponse(origin, 200, { ok: true, scopes });
     }
 
+    if (action === "list_acl") {
+      const appId = await getAuditAppId(adminClient, appSlug);
+      const incomingIds = Array.isArray(body?.user_ids) ? body.user_ids : [];
+      const userIds = incomingIds
+        .map((v: unknown) => String(v || "").trim())
+        .filter((id: string) => isValidUuid(id));
+
+      let query = adminClient
+        .from("tw_folder_acl")
+        .select("user_id,section_id,can_view,can_comment,can_upload,can_manage,updated_at")
+        .eq("app_id", appId);
+      if (userIds.length > 0) query = query.in("user_id", userIds);
+      const { data, error } = await query;
+      if (error) throw error;
+      return jsonResponse(origin, 200, { ok: true, acl: data || [] });
+    }
+
+    // Replaces the user's whole ACL matrix. Sections without an entry inherit from their parent;
+    // an entry with every flag off is an explicit "no access" that stops inheritance.
+    if (action === "set_acl") {
+      const appId = await getAuditAppId(adminClient, appSlug);
+      const userId = String(body?.user_id || "").trim();
+      if (!isValidUuid(userId)) return jsonResponse(origin, 400, { ok: false, error: "Invalid user_id" });
+      const incoming = Array.isArray(body?.entries) ? body.entries : [];
+      if (incoming.length > MAX_ACL_ENTRIES) {
+        return jsonResponse(origin, 400, { ok: false, error: `Too many entries (max ${MAX_ACL_ENTRIES})` });
+      }
+
+      const bySection = new Map<string, Record<string, boolean>>();
+      for (const entry of incoming) {
+        const sectionId = String(entry?.section_id || "").trim();
+        if (!isValidUuid(sectionId)) return jsonResponse(origin, 400, { ok: false, error: "Invalid section_id in entries" });
+        const flags = Object.fromEntries(ACL_FLAGS.map((flag) => [flag, Boolean(entry?.[flag])]));
+        // Any right implies seeing the folder.
+        if (flags.can_comment || flags.can_upload || flags.can_manage) flags.can_view = true;
+        bySection.set(sectionId, flags);
+      }
+
+      const sectionIds = Array.from(bySection.keys());
+      if (sectionIds.length > 0) {
+        const { data: known, error: knownError } = await adminClient
+          .from("document_sections")
+          .select("id")
+          .in("id", sectionIds);
+        if (knownError) throw knownError;
+        const knownIds = new Set((known || []).map((row) => String(row.id)));
+        const missing = sectionIds.filter((id) => !knownIds.has(id));
+        if (missing.length > 0) {
+          return jsonResponse(origin, 400, { ok: false, error: `Unknown section_id: ${missing.slice(0, 5).join(", ")}` });
+        }
+      }
+
+      // Upsert and prune in one transaction: an empty matrix means full access, so a failed
+      // replace must not leave the user without rows.
+      const { error: replaceError } = await adminClient.rpc("replace_section_acl", {
+        p_app_id: appId,
+        p_user_id: userId,
+        p_entries: sectionIds.map((sectionId) => ({ section_id: sectionId, ...bySection.get(sectionId) })),
+        p_actor: callerId,
+      });
+      if (replaceError) throw replaceError;
+
+      await adminClient.from("audit_log").insert({
+        user_id: callerId,
+        action: "set_section_acl",
+        entity_type: "profile",
+        entity_id: userId,
+        details: { entries: sectionIds.length },
+      });
+
+      return jsonResponse(origin, 200, { ok: true, user_id: userId, entries: sectionIds.length });
+    }
+
+    // Legacy single-folder scope, kept for older clients; the matrix editor uses set_acl.
     if (action === "set_scope") {
       const appId = await getAuditAppId(adminClient, appSlug);
       const userId = String(body?.user_id || "").trim();
@@ -208,29 +285,23 @@ Deno.serve(async (req) => {
         return jsonResponse(origin, 400, { ok: false, error: "section_id required for mode=single" });
       }
 
-      const { error: clearError } = await adminClient
-        .from("tw_folder_acl")
-        .delete()
-        .eq("user_id", userId)
-        .eq("app_id", appId);
-      if (clearError) throw clearError;
-
-      if (mode === "single") {
-        const { error: insertError } = await adminClient
-          .from("tw_folder_acl")
-          .insert({
-            user_id: userId,
-            app_id: appId,
-            section_id: sectionId,
-            can_view: true,
-            can_comment: true,
-            can_upload: true,
-            can_manage: false,
-            created_by: callerId,
-            updated_at: new Date().toISOString(),
-          });
-        if (insertError) throw insertError;
-      }
+      // Legacy clients did not send flags; they got comment and upload rights in the folder.
+      const entries = mode === "single"
+        ? [{
+          section_id: sectionId,
+          can_view: true,
+          can_comment: body?.can_comment === undefined ? true : Boolean(body.can_comment),
+          can_upload: body?.can_upload === undefined ? true : Boolean(body.can_upload),
+          can_manage: false,
+        }]
+        : [];
+      const { error: replaceError } = await adminClient.rpc("replace_section_acl", {
+        p_app_id: appId,
+        p_user_id: userId,
+        p_entries: entries,
+        p_actor: callerId,
+      });
+      if (replaceError) throw replaceError;
 
       return jsonResponse(origin, 200, {
         ok: true,
@@ -0,0 +1,294 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient, type SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { can } from "../_shared/policy.ts";
+
+const SERVICE_ROLE_KEY =
+  Deno.env.get("SERVICE_ROLE_KEY") ||
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ||
+  "";
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") || "";
+const SUPABASE_URL = String(Deno.env.get("SUPABASE_URL") || "").trim().replace(/\/+$/g, "");
+
+const CHUNK = 200;
+const REMOVE_BATCH = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The run row keeps the full list of removed snapshots up to this size.
+const MAX_LOGGED_REMOVALS = 5000;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+type RetentionPolicy = {
+  company_id: string;
+  enabled: boolean;
+  keep_last: number;
+  keep_days: number;
+  keep_tagged: boolean;
+};
+
+type VersionRow = {
+  id: string;
+  file_id: string;
+  document_id: string;
+  version_no: number;
+  storage_path: string;
+  file_size: number | null;
+  tag: string | null;
+  created_at: string;
+};
+
+type CompanyResult = {
+  company_id: string;
+  run_id: string | null;
+  versions_total: number;
+  versions_removed: number;
+  bytes_freed: number;
+  errors: number;
+};
+
+function json(status: number, payload: Record<string, unknown>) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
+
+function isUuid(v: string) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(v);
+}
+
+async function selectIn<T>(
+  client: SupabaseClient,
+  table: string,
+  columns: string,
+  column: string,
+  ids: string[],
+): Promise<T[]> {
+  const out: T[] = [];
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const { data, error } = await client.from(table).select(columns).in(column, ids.slice(i, i + CHUNK));
+    if (error) throw new Error(`${table}_query_failed: ${error.message}`);
+    out.push(...((data || []) as T[]));
+  }
+  return out;
+}
+
+async function loadCompanyVersions(client: SupabaseClient, companyId: string) {
+  const sections = await selectIn<{ id: string }>(client, "document_sections", "id", "company_id", [companyId]);
+  const documents = await selectIn<{ id: string }>(client, "documents", "id", "section_id", sections.map((s) => s.id));
+  return await selectIn<VersionRow>(
+    client,
+    "document_file_versions",
+    "id,file_id,document_id,version_no,storage_path,file_size,tag,created_at",
+    "document_id",
+    documents.map((d) => d.id),
+  );
+}
+
+// A snapshot survives when any rule keeps it; everything else is pruned.
+function selectPrunable(versions: VersionRow[], policy: RetentionPolicy, now = Date.now()) {
+  const cutoff = now - Math.max(0, policy.keep_days) * DAY_MS;
+  const byFile = new Map<string, VersionRow[]>();
+  for (const v of versions) {
+    const list = byFile.get(v.file_id) || [];
+    list.push(v);
+    byFile.set(v.file_id, list);
+  }
+  const prunable: VersionRow[] = [];
+  for (const list of byFile.values()) {
+    list.sort((a, b) => b.version_no - a.version_no);
+    list.forEach((v, index) => {
+      if (index < Math.max(1, policy.keep_last)) return;
+      if (Date.parse(v.created_at) >= cutoff) return;
+      if (policy.keep_tagged && String(v.tag || "").trim()) return;
+      prunable.push(v);
+    });
+  }
+  return prunable;
+}
+
+async function pruneCompany(
+  client: SupabaseClient,
+  policy: RetentionPolicy,
+  dryRun: boolean,
+  triggeredBy: string | null,
+): Promise<CompanyResult> {
+  const versions = await loadCompanyVersions(client, policy.company_id);
+  const prunable = selectPrunable(versions, policy);
+  const result: CompanyResult = {
+    company_id: policy.company_id,
+    run_id: null,
+    versions_total: versions.length,
+    versions_removed: 0,
+    bytes_freed: 0,
+    errors: 0,
+  };
+
+  const { data: run } = await client
+    .from("version_retention_runs")
+    .insert({ company_id: policy.company_id, triggered_by: triggeredBy, dry_run: dryRun })
+    .select("id")
+    .single();
+  result.run_id = run?.id ? String(run.id) : null;
+
+  const removed: Record<string, unknown>[] = [];
+  const errors: string[] = [];
+  for (let i = 0; i < prunable.length; i += REMOVE_BATCH) {
+    const batch = prunable.slice(i, i + REMOVE_BATCH);
+    if (!dryRun) {
+      // Blobs first: a row without a blob is harmless, a blob without a row is never cleaned up again.
+      const { error: storageErr } = await client.storage.from("documents").remove(batch.map((v) => v.storage_path));
+      if (storageErr) {
+        errors.push(`storage: ${storageErr.message}`);
+        continue;
+      }
+      const { error: deleteErr } = await client.from("document_file_versions").delete().in("id", batch.map((v) => v.id));
+      if (deleteErr) {
+        errors.push(`rows: ${deleteErr.message}`);
+        continue;
+      }
+    }
+    for (const v of batch) {
+      result.versions_removed++;
+      result.bytes_freed += Number(v.file_size || 0);
+      if (removed.length < MAX_LOGGED_REMOVALS) {
+        removed.push({
+          version_id: v.id,
+          file_id: v.file_id,
+          document_id: v.document_id,
+          version_no: v.version_no,
+          storage_path: v.storage_path,
+          file_size: v.file_size,
+          created_at: v.created_at,
+        });
+      }
+    }
+  }
+  result.errors = errors.length;
+
+  if (result.run_id) {
+    await client
+      .from("version_retention_runs")
+      .update({
+        status: errors.length > 0 && result.versions_removed === 0 && prunable.length > 0 ? "failed" : "done",
+        versions_removed: result.versions_removed,
+        bytes_freed: result.bytes_freed,
+        removed,
+        errors,
+        finished_at: new Date().toISOString(),
+      })
+      .eq("id", result.run_id);
+  }
+  if (!dryRun && result.versions_removed > 0) {
+    await client.from("audit_log").insert({
+      user_id: triggeredBy,
+      action: "version_retention_prune",
+      entity_type: "company",
+      entity_id: policy.company_id,
+      details: {
+        run_id: result.run_id,
+        versions_removed: result.versions_removed,
+        bytes_freed: result.bytes_freed,
+        errors: errors.length,
+        policy: { keep_last: policy.keep_last, keep_days: policy.keep_days, keep_tagged: policy.keep_tagged },
+      },
+    });
+  }
+  return result;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { ok: false, error: "method_not_allowed" });
+  }
+  if (!SERVICE_ROLE_KEY || !SUPABASE_ANON_KEY || !SUPABASE_URL) {
+    return json(500, { ok: false, error: "missing_supabase_env" });
+  }
+
+  const runId = crypto.randomUUID();
+  const authHeader = req.headers.get("Authorization") || "";
+  const accessToken = authHeader.replace(/^Bearer\s+/i, "").trim();
+  if (!accessToken) {
+    return json(401, { ok: false, error: "missing_authorization", run_id: runId });
+  }
+
+  const body = await req.json().catch(() => ({} as Record<string, unknown>));
+  const dryRun = Boolean(body?.dry_run);
+  const companyId = String(body?.company_id || "").trim();
+  if (companyId && !isUuid(companyId)) {
+    return json(400, { ok: false, error: "invalid_company_id", run_id: runId });
+  }
+
+  const adminClient = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+  // pg_cron calls in with the service role key (all enabled companies); admins run one company manually.
+  let triggeredBy: string | null = null;
+  if (accessToken !== SERVICE_ROLE_KEY) {
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    const userId = userData?.user?.id || "";
+    if (userErr || !userId) {
+      return json(401, { ok: false, error: String(userErr?.message || "invalid_session"), run_id: runId });
+    }
+    const { data: profile } = await adminClient.from("profiles").select("id,role,side,is_active").eq("id", userId).maybeSingle();
+    if (!can(profile, "retention.manage")) {
+      return json(403, { ok: false, error: "forbidden_retention", run_id: runId });
+    }
+    if (!companyId) {
+      return json(400, { ok: false, error: "company_id_required", run_id: runId });
+    }
+    triggeredBy = userId;
+  }
+
+  let policyQuery = adminClient
+    .from("version_retention_policies")
+    .select("company_id,enabled,keep_last,keep_days,keep_tagged");
+  policyQuery = companyId ? policyQuery.eq("company_id", companyId) : policyQuery.eq("enabled", true);
+  const { data: policies, error: policyErr } = await policyQuery;
+  if (policyErr) {
+    return json(500, { ok: false, error: String(policyErr.message || "policy_query_failed"), run_id: runId });
+  }
+  // A manual dry run previews a disabled policy too; actual pruning always requires it to be enabled.
+  const targets = ((policies || []) as RetentionPolicy[]).filter((p) => p.enabled || (dryRun && companyId));
+  if (companyId && targets.length === 0) {
+    return json(200, { ok: false, error: "retention_disabled", run_id: runId });
+  }
+
+  const results: CompanyResult[] = [];
+  for (const policy of targets) {
+    try {
+      results.push(await pruneCompany(adminClient, policy, dryRun, triggeredBy));
+    } catch (e) {
+      console.error("version-retention failed", policy.company_id, e);
+      results.push({
+        company_id: policy.company_id,
+        run_id: null,
+        versions_total: 0,
+        versions_removed: 0,
+        bytes_freed: 0,
+        errors: 1,
+      });
+    }
+  }
+
+  return json(200, {
+    ok: true,
+    run_id: runId,
+    dry_run: dryRun,
+    companies: results.length,
+    versions_removed: results.reduce((sum, r) => sum + r.versions_removed, 0),
+    bytes_freed: results.reduce((sum, r) => sum + r.bytes_freed, 0),
+    results,
+  });
+});
@@ -0,0 +1,171 @@
+-- Server-side full-text search across documents, files, comments and chat messages.
+-- Postgres has no Polish/Ukrainian stemmers, so both languages share one unaccented
+-- 'simple' configuration and search_audit() matches word prefixes to cover inflections.
+
+create extension if not exists unaccent with schema extensions;
+
+do $$
+begin
+  if not exists (select 1 from pg_ts_config where cfgname = 'audit_search') then
+    create text search configuration public.audit_search (copy = pg_catalog.simple);
+    alter text search configuration public.audit_search
+      alter mapping for hword, hword_part, word with extensions.unaccent, simple;
+  end if;
+end $$;
+
+-- Filled by the text extraction / OCR job; indexed here so search picks it up as soon as it lands.
+alter table public.document_files
+  add column if not exists extracted_text text;
+
+alter table public.documents
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('public.audit_search'::regconfig,
+      coalesce(code, '') || ' ' || coalesce(name_pl, '') || ' ' || coalesce(name_uk, ''))
+  ) stored;
+
+alter table public.document_files
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('public.audit_search'::regconfig,
+      coalesce(file_name, '') || ' ' || left(coalesce(extracted_text, ''), 200000))
+  ) stored;
+
+alter table public.comments
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('public.audit_search'::regconfig,
+      coalesce(content, '') || ' ' || coalesce(translated_pl, '') || ' ' || coalesce(translated_uk, ''))
+  ) stored;
+
+alter table public.chat_messages
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('public.audit_search'::regconfig, coalesce(content, ''))
+  ) stored;
+
+create index if not exists idx_documents_search on public.documents using gin(search_vector);
+create index if not exists idx_document_files_search on public.document_files using gin(search_vector);
+create index if not exists idx_comments_search on public.comments using gin(search_vector);
+create index if not exists idx_chat_messages_search on public.chat_messages using gin(search_vector);
+
+-- Runs as the caller (RLS applies) and additionally mirrors the app's side rules:
+-- AUDITOR side only sees published files, comment channels follow comment_scope,
+-- chat hits are limited to threads the caller belongs to and that belong to a section (the app opens
+-- chat hits in their section's task list; other threads have nowhere to open).
+create or replace function public.search_audit(
+  p_query text,
+  p_company_id uuid default null,
+  p_limit integer default 30
+)
+returns table (
+  kind text,
+  id uuid,
+  company_id uuid,
+  section_id uuid,
+  document_id uuid,
+  file_id uuid,
+  thread_id uuid,
+  title text,
+  snippet text,
+  rank real,
+  created_at timestamptz
+)
+language plpgsql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+#variable_conflict use_column
+declare
+  v_terms text;
+  v_query tsquery;
+  v_role text;
+  v_side text;
+  v_is_admin boolean;
+  v_limit integer := least(greatest(coalesce(p_limit, 30), 1), 100);
+begin
+  select string_agg(w || ':*', ' & ')
+    into v_terms
+    from regexp_split_to_table(lower(coalesce(p_query, '')), '[^[:alnum:]]+') as w
+   where length(w) > 0;
+  if v_terms is null then
+    return;
+  end if;
+  v_query := to_tsquery('public.audit_search'::regconfig, v_terms);
+
+  select p.role, upper(coalesce(p.side, 'FNU'))
+    into v_role, v_side
+    from public.profiles p
+   where p.id = auth.uid();
+  if v_side = 'OPERATOR' then
+    v_side := 'AUDITOR';
+  end if;
+  v_is_admin := v_role in ('super_admin', 'lawyer_admin');
+
+  return query
+  with hits as (
+    select 'document'::text as kind, d.id, s.company_id, d.section_id, d.id as document_id,
+           null::uuid as file_id, null::uuid as thread_id,
+           coalesce(nullif(d.code, '') || ' ', '') || coalesce(d.name_pl, d.name_uk, '') as title,
+           coalesce(d.name_pl, '') || ' / ' || coalesce(d.name_uk, '') as body,
+           ts_rank(d.search_vector, v_query) as rank, d.created_at
+      from public.documents d
+      join public.document_sections s on s.id = d.section_id
+     where d.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+    union all
+    select 'file', f.id, s.company_id, d.section_id, d.id, f.id, null,
+           f.file_name,
+           coalesce(f.extracted_text, f.file_name),
+           ts_rank(f.search_vector, v_query), f.created_at
+      from public.document_files f
+      join public.documents d on d.id = f.document_id
+      join public.document_sections s on s.id = d.section_id
+     where f.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+       and (v_side <> 'AUDITOR' or v_is_admin or exists (
+         select 1 from public.document_access a
+          where a.file_id = f.id and a.visible_to_operator = true))
+    union all
+    select 'comment', c.id, s.company_id, s.id, d.id, c.file_id, null,
+           coalesce(d.name_pl, s.name_pl, ''),
+           coalesce(c.content, ''),
+           ts_rank(c.search_vector, v_query), c.created_at
+      from public.comments c
+      left join public.document_files cf on cf.id = c.file_id
+      left join public.documents d on d.id = coalesce(c.document_id, cf.document_id)
+      join public.document_sections s on s.id = coalesce(c.section_id, d.section_id)
+     where c.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+       and (
+         v_role = 'super_admin'
+         or (coalesce(c.comment_scope, 'fnu_internal') = 'auditor_channel' and (v_is_admin or v_side = 'AUDITOR'))
+         or (coalesce(c.comment_scope, 'fnu_internal') <> 'auditor_channel' and v_side = 'FNU')
+       )
+    union all
+    select 'chat_message', m.id, t.company_id, t.section_id, t.document_id, null, t.id,
+           coalesce(t.topic, ''),
+           coalesce(m.content, ''),
+           ts_rank(m.search_vector, v_query), m.created_at
+      from public.chat_messages m
+      join public.chat_threads t on t.id = m.thread_id
+     where m.search_vector @@ v_query
+       and t.section_id is not null
+       and (p_company_id is null or t.company_id = p_company_id)
+       and (
+         v_role = 'super_admin'
+         or t.created_by = auth.uid()
+         or exists (
+           select 1 from public.chat_thread_members tm
+            where tm.thread_id = t.id and tm.user_id = auth.uid() and tm.is_active = true)
+       )
+  ), ranked as (
+    select * from hits h order by h.rank desc, h.created_at desc limit v_limit
+  )
+  select r.kind, r.id, r.company_id, r.section_id, r.document_id, r.file_id, r.thread_id, r.title,
+         ts_headline('public.audit_search'::regconfig, left(r.body, 20000), v_query,
+           'MaxFragments=1, MaxWords=18, MinWords=6, StartSel=«, StopSel=»'),
+         r.rank, r.created_at
+    from ranked r
+   order by r.rank desc, r.created_at desc;
+end;
+$$;
+
+grant execute on function public.search_audit(text, uuid, integer) to authenticated;
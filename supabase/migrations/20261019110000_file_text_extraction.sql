@@ -0,0 +1,20 @@
+-- Text extraction / OCR state for document files (see edge function file-extract-text).
+alter table public.document_files
+  add column if not exists extracted_text text,
+  add column if not exists text_status text not null default 'pending',
+  add column if not exists text_method text,
+  add column if not exists text_error text,
+  add column if not exists text_extracted_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'document_files_text_status_check') then
+    alter table public.document_files
+      add constraint document_files_text_status_check
+      check (text_status in ('pending', 'done', 'empty', 'unsupported', 'failed'));
+  end if;
+end $$;
+
+create index if not exists idx_document_files_text_pending
+  on public.document_files(created_at)
+  where text_status in ('pending', 'failed');
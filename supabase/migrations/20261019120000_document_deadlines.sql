@@ -0,0 +1,53 @@
+-- Due dates, reminders and overdue escalation for requested documents.
+alter table public.documents
+  add column if not exists due_date date,
+  add column if not exists reminder_days integer not null default 3,
+  add column if not exists reminder_sent_at timestamptz,
+  add column if not exists escalated_at timestamptz;
+
+create index if not exists idx_documents_due_open
+  on public.documents(due_date)
+  where due_date is not null and status <> 'done';
+
+-- Moving the deadline re-arms the reminder and escalation for the new date.
+create or replace function public.documents_reset_deadline_notices()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.due_date is distinct from old.due_date or new.reminder_days is distinct from old.reminder_days then
+    new.reminder_sent_at := null;
+    new.escalated_at := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_documents_reset_deadline_notices on public.documents;
+create trigger trg_documents_reset_deadline_notices
+  before update of due_date, reminder_days on public.documents
+  for each row execute function public.documents_reset_deadline_notices();
+
+-- Daily run of the deadline-reminders edge function (07:00 UTC).
+-- Requires vault secrets 'project_url' and 'service_role_key'; skipped where pg_cron/pg_net are unavailable.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron')
+     and exists (select 1 from pg_extension where extname = 'pg_net') then
+    perform cron.unschedule(jobid) from cron.job where jobname = 'deadline-reminders-daily';
+    perform cron.schedule(
+      'deadline-reminders-daily',
+      '0 7 * * *',
+      $job$
+        select net.http_post(
+          url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/deadline-reminders',
+          headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+          ),
+          body := '{}'::jsonb
+        );
+      $job$
+    );
+  end if;
+end $$;
@@ -0,0 +1,178 @@
+-- Reusable engagement templates: a company's section tree plus its expected documents,
+-- saved once and applied to a new audit client in a single transaction.
+create table if not exists public.engagement_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  payload jsonb not null,
+  source_company_id uuid null references public.companies(id) on delete set null,
+  created_by uuid null references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.engagement_templates enable row level security;
+
+drop policy if exists engagement_templates_admin_all on public.engagement_templates;
+create policy engagement_templates_admin_all on public.engagement_templates
+  for all to authenticated
+  using (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true))
+  with check (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true));
+
+create or replace function public.assert_engagement_admin()
+returns void
+language plpgsql
+stable
+security invoker
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true
+  ) then
+    raise exception 'forbidden_engagement_template' using errcode = '42501';
+  end if;
+end;
+$$;
+
+-- payload = { version, sections: [{ key, parent_key, code, name_pl, name_uk, order_index,
+--   documents: [{ code, name_pl, name_uk, order_index, reminder_days }] }] }
+-- Sections are stored parents-first so apply can create them in one pass.
+create or replace function public.save_engagement_template(
+  p_company_id uuid,
+  p_name text,
+  p_description text default null
+)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_payload jsonb;
+  v_id uuid;
+begin
+  perform public.assert_engagement_admin();
+  if coalesce(trim(p_name), '') = '' then
+    raise exception 'template_name_required' using errcode = '22023';
+  end if;
+
+  with recursive tree as (
+    select s.id, s.parent_section_id, s.code, s.name_pl, s.name_uk, s.order_index, 0 as depth
+      from public.document_sections s
+     where s.company_id = p_company_id and s.parent_section_id is null
+    union all
+    select c.id, c.parent_section_id, c.code, c.name_pl, c.name_uk, c.order_index, t.depth + 1
+      from public.document_sections c
+      join tree t on c.parent_section_id = t.id
+     where t.depth < 20
+  )
+  select jsonb_build_object(
+           'version', 1,
+           'sections', coalesce(jsonb_agg(jsonb_build_object(
+             'key', t.id::text,
+             'parent_key', t.parent_section_id::text,
+             'code', t.code,
+             'name_pl', t.name_pl,
+             'name_uk', t.name_uk,
+             'order_index', t.order_index,
+             'documents', coalesce((
+               select jsonb_agg(jsonb_build_object(
+                        'code', d.code,
+                        'name_pl', d.name_pl,
+                        'name_uk', d.name_uk,
+                        'order_index', d.order_index,
+                        'reminder_days', d.reminder_days
+                      ) order by d.order_index, d.code)
+                 from public.documents d
+                where d.section_id = t.id
+             ), '[]'::jsonb)
+           ) order by t.depth, t.order_index, t.code), '[]'::jsonb)
+         )
+    into v_payload
+    from tree t;
+
+  if jsonb_array_length(v_payload->'sections') = 0 then
+    raise exception 'company_has_no_sections' using errcode = '22023';
+  end if;
+
+  insert into public.engagement_templates (name, description, payload, source_company_id, created_by)
+  values (trim(p_name), nullif(trim(coalesce(p_description, '')), ''), v_payload, p_company_id, auth.uid())
+  returning id into v_id;
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.apply_engagement_template(
+  p_template_id uuid,
+  p_company_id uuid
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_payload jsonb;
+  v_section jsonb;
+  v_doc jsonb;
+  v_ids jsonb := '{}'::jsonb;
+  v_new_id uuid;
+  v_sections integer := 0;
+  v_documents integer := 0;
+begin
+  perform public.assert_engagement_admin();
+
+  select t.payload into v_payload from public.engagement_templates t where t.id = p_template_id;
+  if v_payload is null then
+    raise exception 'template_not_found' using errcode = 'P0002';
+  end if;
+  -- Templates bootstrap a fresh engagement; merging into an existing tree would duplicate codes.
+  if exists (select 1 from public.document_sections s where s.company_id = p_company_id) then
+    raise exception 'company_not_empty' using errcode = '23505';
+  end if;
+
+  for v_section in select value from jsonb_array_elements(v_payload->'sections')
+  loop
+    insert into public.document_sections (company_id, parent_section_id, code, name_pl, name_uk, order_index, created_by)
+    values (
+      p_company_id,
+      nullif(v_ids->>(v_section->>'parent_key'), '')::uuid,
+      v_section->>'code',
+      v_section->>'name_pl',
+      v_section->>'name_uk',
+      coalesce((v_section->>'order_index')::integer, v_sections + 1),
+      auth.uid()
+    )
+    returning id into v_new_id;
+    v_ids := v_ids || jsonb_build_object(v_section->>'key', v_new_id::text);
+    v_sections := v_sections + 1;
+
+    for v_doc in select value from jsonb_array_elements(coalesce(v_section->'documents', '[]'::jsonb))
+    loop
+      insert into public.documents (section_id, code, name_pl, name_uk, status, order_index, reminder_days, created_by)
+      values (
+        v_new_id,
+        v_doc->>'code',
+        v_doc->>'name_pl',
+        v_doc->>'name_uk',
+        'pending',
+        coalesce((v_doc->>'order_index')::integer, 0),
+        coalesce((v_doc->>'reminder_days')::integer, 3),
+        auth.uid()
+      );
+      v_documents := v_documents + 1;
+    end loop;
+  end loop;
+
+  return jsonb_build_object('sections_created', v_sections, 'documents_created', v_documents);
+end;
+$$;
+
+grant execute on function public.save_engagement_template(uuid, text, text) to authenticated;
+grant execute on function public.apply_engagement_template(uuid, uuid) to authenticated;
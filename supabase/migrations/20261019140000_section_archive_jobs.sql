@@ -0,0 +1,34 @@
+-- Server-side section ZIP exports. The section-archive edge function streams the archive into
+-- the private section-archives bucket and notifies the requester with a signed link.
+insert into storage.buckets (id, name, public)
+values ('section-archives', 'section-archives', false)
+on conflict (id) do nothing;
+
+create table if not exists public.section_archive_jobs (
+  id uuid primary key default gen_random_uuid(),
+  section_id uuid not null references public.document_sections(id) on delete cascade,
+  requested_by uuid not null references public.profiles(id) on delete cascade,
+  status text not null default 'running' check (status in ('running', 'done', 'failed')),
+  file_count integer not null default 0,
+  error_count integer not null default 0,
+  errors jsonb not null default '[]'::jsonb,
+  archive_path text,
+  size_bytes bigint,
+  error text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists idx_section_archive_jobs_requested_by
+  on public.section_archive_jobs(requested_by, created_at desc);
+
+alter table public.section_archive_jobs enable row level security;
+
+drop policy if exists section_archive_jobs_select_own on public.section_archive_jobs;
+create policy section_archive_jobs_select_own on public.section_archive_jobs
+  for select to authenticated
+  using (requested_by = auth.uid());
+
+-- Notifications may carry a direct link (e.g. a signed archive URL).
+alter table public.notifications
+  add column if not exists link_url text;
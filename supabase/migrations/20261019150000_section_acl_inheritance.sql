@@ -0,0 +1,131 @@
+-- Per-section ACL matrix: any number of tw_folder_acl rows per user, each with independent flags.
+-- A row applies to its section and every subsection below it until a deeper explicit row overrides it.
+-- Older clients could store the same section twice; keep the most recently updated row.
+delete from public.tw_folder_acl a
+ using public.tw_folder_acl b
+ where a.user_id = b.user_id
+   and a.app_id = b.app_id
+   and a.section_id = b.section_id
+   and (coalesce(a.updated_at, '-infinity'::timestamptz), a.ctid) < (coalesce(b.updated_at, '-infinity'::timestamptz), b.ctid);
+
+create unique index if not exists uq_tw_folder_acl_user_app_section
+  on public.tw_folder_acl(user_id, app_id, section_id);
+
+-- Replaces one user's ACL matrix in a single transaction. A user without rows has full access, so the
+-- new rows are upserted first and only then are the sections that are no longer listed removed.
+-- p_entries: [{ section_id, can_view, can_comment, can_upload, can_manage }]
+create or replace function public.replace_section_acl(
+  p_app_id uuid,
+  p_user_id uuid,
+  p_entries jsonb,
+  p_actor uuid default null
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  insert into public.tw_folder_acl (user_id, app_id, section_id, can_view, can_comment, can_upload, can_manage, created_by, updated_at)
+  select p_user_id,
+         p_app_id,
+         (e->>'section_id')::uuid,
+         coalesce((e->>'can_view')::boolean, false),
+         coalesce((e->>'can_comment')::boolean, false),
+         coalesce((e->>'can_upload')::boolean, false),
+         coalesce((e->>'can_manage')::boolean, false),
+         p_actor,
+         now()
+    from jsonb_array_elements(coalesce(p_entries, '[]'::jsonb)) e
+  on conflict (user_id, app_id, section_id) do update
+     set can_view = excluded.can_view,
+         can_comment = excluded.can_comment,
+         can_upload = excluded.can_upload,
+         can_manage = excluded.can_manage,
+         updated_at = excluded.updated_at;
+  get diagnostics v_count = row_count;
+
+  delete from public.tw_folder_acl a
+   where a.user_id = p_user_id
+     and a.app_id = p_app_id
+     and not exists (
+       select 1 from jsonb_array_elements(coalesce(p_entries, '[]'::jsonb)) e
+        where (e->>'section_id')::uuid = a.section_id);
+
+  return v_count;
+end;
+$$;
+
+revoke all on function public.replace_section_acl(uuid, uuid, jsonb, uuid) from public, anon, authenticated;
+grant execute on function public.replace_section_acl(uuid, uuid, jsonb, uuid) to service_role;
+
+-- Effective rights of one user for every section covered by their ACL rows.
+-- Callers may only resolve themselves; admins and the service role may resolve anyone.
+create or replace function public.effective_section_acl(p_app_id uuid, p_user_id uuid default null)
+returns table (
+  section_id uuid,
+  root_section_id uuid,
+  source_section_id uuid,
+  inherited boolean,
+  can_view boolean,
+  can_comment boolean,
+  can_upload boolean,
+  can_manage boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with recursive target as (
+    select coalesce(p_user_id, auth.uid()) as user_id
+  ),
+  allowed as (
+    select t.user_id
+      from target t
+     where t.user_id = auth.uid()
+        or auth.role() = 'service_role'
+        or exists (
+          select 1 from public.profiles p
+           where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true)
+  ),
+  explicit as (
+    select a.section_id, a.can_view, a.can_comment, a.can_upload, a.can_manage
+      from public.tw_folder_acl a
+      join allowed u on u.user_id = a.user_id
+     where a.app_id = p_app_id
+  ),
+  down as (
+    select e.section_id, e.section_id as source_section_id,
+           e.can_view, e.can_comment, e.can_upload, e.can_manage, 0 as depth
+      from explicit e
+    union all
+    select c.id, d.source_section_id,
+           d.can_view, d.can_comment, d.can_upload, d.can_manage, d.depth + 1
+      from down d
+      join public.document_sections c on c.parent_section_id = d.section_id
+     where d.depth < 20
+       and not exists (select 1 from explicit e where e.section_id = c.id)
+  ),
+  up as (
+    select s.id as section_id, s.id as ancestor_id, s.parent_section_id, 0 as depth
+      from public.document_sections s
+     where s.id in (select d.section_id from down d)
+    union all
+    select u.section_id, p.id, p.parent_section_id, u.depth + 1
+      from up u
+      join public.document_sections p on p.id = u.parent_section_id
+     where u.depth < 20
+  )
+  select d.section_id,
+         r.ancestor_id as root_section_id,
+         d.source_section_id,
+         d.source_section_id <> d.section_id as inherited,
+         d.can_view, d.can_comment, d.can_upload, d.can_manage
+    from down d
+    left join up r on r.section_id = d.section_id and r.parent_section_id is null;
+$$;
+
+grant execute on function public.effective_section_acl(uuid, uuid) to authenticated, service_role;
@@ -0,0 +1,298 @@
+-- Tamper-evident audit log: every entry carries the SHA-256 of its predecessor.
+-- Entries are chained in a trigger (so edge functions inserting with the service role are covered too),
+-- clients append through append_audit_log() only, and rows can no longer be updated or deleted.
+alter table public.audit_log
+  add column if not exists seq bigint,
+  add column if not exists prev_hash text,
+  add column if not exists entry_hash text;
+
+create unique index if not exists uq_audit_log_seq on public.audit_log(seq);
+
+-- Canonical hash input: a JSON array, so regulators can recompute sha256(payload) outside Postgres.
+create or replace function public.audit_log_entry_payload(
+  p_seq bigint,
+  p_prev_hash text,
+  p_user_id uuid,
+  p_action text,
+  p_entity_type text,
+  p_entity_id text,
+  p_details jsonb,
+  p_created_at timestamptz
+)
+returns text
+language sql
+immutable
+as $$
+  select jsonb_build_array(
+    p_seq,
+    p_prev_hash,
+    p_user_id,
+    p_action,
+    p_entity_type,
+    p_entity_id,
+    p_details,
+    to_char(p_created_at at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+  )::text;
+$$;
+
+create or replace function public.audit_log_entry_hash(p_payload text)
+returns text
+language sql
+immutable
+as $$
+  select encode(sha256(convert_to(p_payload, 'UTF8')), 'hex');
+$$;
+
+create or replace function public.audit_log_chain_append()
+returns trigger
+language plpgsql
+as $$
+declare
+  last_seq bigint;
+  last_hash text;
+begin
+  -- Serialize appends so two concurrent inserts never link to the same predecessor.
+  perform pg_advisory_xact_lock(hashtext('public.audit_log.chain'));
+  select a.seq, a.entry_hash into last_seq, last_hash
+    from public.audit_log a
+   where a.seq is not null
+   order by a.seq desc
+   limit 1;
+  new.seq := coalesce(last_seq, 0) + 1;
+  new.prev_hash := coalesce(last_hash, repeat('0', 64));
+  new.created_at := now();
+  new.entry_hash := public.audit_log_entry_hash(public.audit_log_entry_payload(
+    new.seq, new.prev_hash, new.user_id, new.action, new.entity_type, new.entity_id::text, new.details, new.created_at));
+  return new;
+end;
+$$;
+
+create or replace function public.audit_log_reject_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only' using errcode = 'insufficient_privilege';
+end;
+$$;
+
+-- Chain the existing history in created_at order before the table becomes append-only.
+do $$
+declare
+  r record;
+  n bigint := 0;
+  h text := repeat('0', 64);
+begin
+  if exists (select 1 from public.audit_log where seq is null) then
+    for r in
+      select id, user_id, action, entity_type, entity_id, details, created_at
+        from public.audit_log
+       order by created_at, id
+    loop
+      n := n + 1;
+      update public.audit_log
+         set seq = n,
+             prev_hash = h,
+             entry_hash = public.audit_log_entry_hash(public.audit_log_entry_payload(
+               n, h, r.user_id, r.action, r.entity_type, r.entity_id::text, r.details, r.created_at))
+       where id = r.id
+       returning entry_hash into h;
+    end loop;
+  end if;
+end $$;
+
+-- Entries outlive the profiles and documents they mention. A cascading delete (or an ON DELETE SET NULL
+-- update) would hit the append-only triggers below and make deleting a profile or document fail, and
+-- rewriting user_id would break the entry's hash, so audit_log keeps the ids as recorded, without foreign keys.
+do $$
+declare
+  c record;
+begin
+  for c in
+    select conname
+      from pg_constraint
+     where conrelid = 'public.audit_log'::regclass
+       and contype = 'f'
+  loop
+    execute format('alter table public.audit_log drop constraint %I', c.conname);
+  end loop;
+end $$;
+
+-- Computed relationship standing in for the user_id foreign key, so PostgREST can still embed the actor:
+-- select=*,user:audit_log_actor(full_name,email,side)
+create or replace function public.audit_log_actor(public.audit_log)
+returns setof public.profiles
+rows 1
+language sql
+stable
+as $$
+  select p.* from public.profiles p where p.id = $1.user_id;
+$$;
+
+grant execute on function public.audit_log_actor(public.audit_log) to authenticated, service_role;
+
+drop trigger if exists trg_audit_log_chain_append on public.audit_log;
+create trigger trg_audit_log_chain_append
+  before insert on public.audit_log
+  for each row execute function public.audit_log_chain_append();
+
+drop trigger if exists trg_audit_log_reject_change on public.audit_log;
+create trigger trg_audit_log_reject_change
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_reject_change();
+
+drop trigger if exists trg_audit_log_reject_truncate on public.audit_log;
+create trigger trg_audit_log_reject_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.audit_log_reject_change();
+
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+-- Client entry point: the actor is always the caller, never a value sent by the browser.
+create or replace function public.append_audit_log(
+  p_action text,
+  p_entity_type text,
+  p_entity_id uuid default null,
+  p_details jsonb default null
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_seq bigint;
+begin
+  if auth.uid() is null then
+    raise exception 'not_authenticated' using errcode = 'insufficient_privilege';
+  end if;
+  if coalesce(trim(p_action), '') = '' then
+    raise exception 'action_required';
+  end if;
+  insert into public.audit_log (user_id, action, entity_type, entity_id, details)
+  values (auth.uid(), left(p_action, 100), left(coalesce(p_entity_type, ''), 100), p_entity_id, p_details)
+  returning seq into v_seq;
+  return v_seq;
+end;
+$$;
+
+revoke all on function public.append_audit_log(text, text, uuid, jsonb) from public, anon;
+grant execute on function public.append_audit_log(text, text, uuid, jsonb) to authenticated, service_role;
+
+create or replace function public.audit_log_chain_reader()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select auth.role() = 'service_role'
+      or exists (
+        select 1 from public.profiles p
+         where p.id = auth.uid() and p.role = 'super_admin' and p.is_active = true);
+$$;
+
+-- Walks the chain and reports every gap, broken link or row whose content no longer matches its hash.
+-- An empty result means the range is intact. Usage: select * from public.verify_audit_log_chain();
+create or replace function public.verify_audit_log_chain(p_from_seq bigint default 1, p_to_seq bigint default null)
+returns table (seq bigint, entry_id uuid, problem text, expected text, actual text)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  r record;
+  prev_seq bigint;
+  prev_entry_hash text;
+  computed text;
+begin
+  if not public.audit_log_chain_reader() then
+    raise exception 'forbidden' using errcode = 'insufficient_privilege';
+  end if;
+
+  if coalesce(p_from_seq, 1) > 1 then
+    select a.seq, a.entry_hash into prev_seq, prev_entry_hash
+      from public.audit_log a
+     where a.seq < p_from_seq
+     order by a.seq desc
+     limit 1;
+  end if;
+  prev_seq := coalesce(prev_seq, 0);
+  prev_entry_hash := coalesce(prev_entry_hash, repeat('0', 64));
+
+  for r in
+    select a.id, a.seq, a.prev_hash, a.entry_hash, a.user_id, a.action, a.entity_type, a.entity_id, a.details, a.created_at
+      from public.audit_log a
+     where a.seq is null
+        or (a.seq >= coalesce(p_from_seq, 1) and (p_to_seq is null or a.seq <= p_to_seq))
+     order by a.seq nulls first
+  loop
+    if r.seq is null then
+      seq := null; entry_id := r.id; problem := 'unchained'; expected := null; actual := null;
+      return next;
+      continue;
+    end if;
+    if r.seq <> prev_seq + 1 then
+      seq := r.seq; entry_id := r.id; problem := 'gap';
+      expected := (prev_seq + 1)::text; actual := r.seq::text;
+      return next;
+    end if;
+    if r.prev_hash is distinct from prev_entry_hash then
+      seq := r.seq; entry_id := r.id; problem := 'broken_link';
+      expected := prev_entry_hash; actual := r.prev_hash;
+      return next;
+    end if;
+    computed := public.audit_log_entry_hash(public.audit_log_entry_payload(
+      r.seq, r.prev_hash, r.user_id, r.action, r.entity_type, r.entity_id::text, r.details, r.created_at));
+    if r.entry_hash is distinct from computed then
+      seq := r.seq; entry_id := r.id; problem := 'modified';
+      expected := computed; actual := r.entry_hash;
+      return next;
+    end if;
+    prev_seq := r.seq;
+    prev_entry_hash := r.entry_hash;
+  end loop;
+end;
+$$;
+
+-- Page of the chain with the exact hash input of each entry, for exports handed to regulators.
+create or replace function public.export_audit_log_chain(p_from_seq bigint default 1, p_limit integer default 1000)
+returns table (
+  seq bigint,
+  id uuid,
+  created_at timestamptz,
+  user_id uuid,
+  action text,
+  entity_type text,
+  entity_id text,
+  details jsonb,
+  prev_hash text,
+  entry_hash text,
+  payload text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.audit_log_chain_reader() then
+    raise exception 'forbidden' using errcode = 'insufficient_privilege';
+  end if;
+  return query
+    select a.seq, a.id, a.created_at, a.user_id, a.action, a.entity_type, a.entity_id::text, a.details,
+           a.prev_hash, a.entry_hash,
+           public.audit_log_entry_payload(
+             a.seq, a.prev_hash, a.user_id, a.action, a.entity_type, a.entity_id::text, a.details, a.created_at)
+      from public.audit_log a
+     where a.seq >= coalesce(p_from_seq, 1)
+     order by a.seq
+     limit least(greatest(coalesce(p_limit, 1000), 1), 5000);
+end;
+$$;
+
+revoke all on function public.verify_audit_log_chain(bigint, bigint) from public, anon;
+revoke all on function public.export_audit_log_chain(bigint, integer) from public, anon;
+grant execute on function public.verify_audit_log_chain(bigint, bigint) to authenticated, service_role;
+grant execute on function public.export_audit_log_chain(bigint, integer) to authenticated, service_role;
@@ -0,0 +1,5 @@
+-- Server-side filters of the audit log modal (user, action, entity, date range).
+create index if not exists idx_audit_log_user_created on public.audit_log(user_id, created_at desc);
+create index if not exists idx_audit_log_action_created on public.audit_log(action, created_at desc);
+create index if not exists idx_audit_log_entity_created on public.audit_log(entity_type, entity_id, created_at desc);
+create index if not exists idx_audit_log_created on public.audit_log(created_at desc);
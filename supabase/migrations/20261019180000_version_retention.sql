@@ -0,0 +1,80 @@
+-- Retention of file version snapshots (document_file_versions + blobs under versions/<doc>/<file>/).
+-- A snapshot is kept when any rule holds: among the newest keep_last of its file, younger than
+-- keep_days, or tagged (when keep_tagged). Companies without an enabled policy are never pruned.
+alter table public.document_file_versions
+  add column if not exists tag text,
+  add column if not exists tagged_by uuid references public.profiles(id) on delete set null,
+  add column if not exists tagged_at timestamptz;
+
+create table if not exists public.version_retention_policies (
+  company_id uuid primary key references public.companies(id) on delete cascade,
+  enabled boolean not null default false,
+  keep_last integer not null default 10 check (keep_last >= 1),
+  keep_days integer not null default 90 check (keep_days >= 0),
+  keep_tagged boolean not null default true,
+  updated_by uuid references public.profiles(id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.version_retention_runs (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid references public.companies(id) on delete cascade,
+  triggered_by uuid references public.profiles(id) on delete set null,
+  dry_run boolean not null default false,
+  status text not null default 'running' check (status in ('running', 'done', 'failed')),
+  versions_removed integer not null default 0,
+  bytes_freed bigint not null default 0,
+  -- [{ version_id, file_id, document_id, version_no, storage_path, file_size, created_at }]
+  removed jsonb not null default '[]'::jsonb,
+  errors jsonb not null default '[]'::jsonb,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists idx_version_retention_runs_company
+  on public.version_retention_runs(company_id, started_at desc);
+
+alter table public.version_retention_policies enable row level security;
+alter table public.version_retention_runs enable row level security;
+
+drop policy if exists version_retention_policies_admin_all on public.version_retention_policies;
+create policy version_retention_policies_admin_all on public.version_retention_policies
+  for all to authenticated
+  using (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true))
+  with check (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true));
+
+-- Runs are written by the version-retention edge function only.
+drop policy if exists version_retention_runs_admin_select on public.version_retention_runs;
+create policy version_retention_runs_admin_select on public.version_retention_runs
+  for select to authenticated
+  using (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid() and p.role in ('super_admin', 'lawyer_admin') and p.is_active = true));
+
+-- Nightly prune (03:30 UTC). Requires vault secrets 'project_url' and 'service_role_key';
+-- skipped where pg_cron/pg_net are unavailable.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron')
+     and exists (select 1 from pg_extension where extname = 'pg_net') then
+    perform cron.unschedule(jobid) from cron.job where jobname = 'version-retention-nightly';
+    perform cron.schedule(
+      'version-retention-nightly',
+      '30 3 * * *',
+      $job$
+        select net.http_post(
+          url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/version-retention',
+          headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+          ),
+          body := '{}'::jsonb
+        );
+      $job$
+    );
+  end if;
+end $$;
@@ -0,0 +1,90 @@
+-- Content hashes on uploads: SHA-256 (hex) of the stored bytes, used to warn about duplicate uploads.
+-- A duplicate can be linked instead of stored again: the new row points at the same blob and records
+-- the file it was linked from. Blobs shared by several rows are only removed with their last row.
+alter table public.document_files
+  add column if not exists content_sha256 text,
+  add column if not exists linked_from_file_id uuid references public.document_files(id) on delete set null;
+
+create index if not exists idx_document_files_content_sha256
+  on public.document_files(content_sha256)
+  where content_sha256 is not null;
+
+create index if not exists idx_document_files_file_path
+  on public.document_files(file_path);
+
+-- Files with any of the given hashes in the company of p_document_id (or p_company_id).
+-- Security invoker: callers only see duplicates they are allowed to read.
+create or replace function public.find_file_duplicates(
+  p_hashes text[],
+  p_document_id uuid default null,
+  p_company_id uuid default null
+)
+returns table (
+  content_sha256 text,
+  file_id uuid,
+  file_name text,
+  file_path text,
+  file_size bigint,
+  file_type text,
+  mime_type text,
+  document_id uuid,
+  document_code text,
+  document_name_pl text,
+  document_name_uk text,
+  same_document boolean
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with target as (
+    select coalesce(
+      p_company_id,
+      (select s.company_id
+         from public.documents d
+         join public.document_sections s on s.id = d.section_id
+        where d.id = p_document_id)
+    ) as company_id
+  )
+  select f.content_sha256,
+         f.id,
+         f.file_name::text,
+         f.file_path::text,
+         f.file_size::bigint,
+         f.file_type::text,
+         f.mime_type::text,
+         d.id,
+         d.code::text,
+         d.name_pl::text,
+         d.name_uk::text,
+         coalesce(d.id = p_document_id, false)
+    from public.document_files f
+    join public.documents d on d.id = f.document_id
+    join public.document_sections s on s.id = d.section_id
+    join target t on t.company_id = s.company_id
+   where f.content_sha256 = any(p_hashes)
+   order by coalesce(d.id = p_document_id, false) desc, f.created_at
+   limit 500;
+$$;
+
+-- Whether another row stores its content in the same blob (so writes must go to a copy).
+-- Security definer so rows the caller cannot read still count; only a boolean is returned.
+create or replace function public.document_file_blob_shared(p_file_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from public.document_files f
+      join public.document_files o on o.file_path = f.file_path and o.id <> f.id
+     where f.id = p_file_id);
+$$;
+
+revoke all on function public.find_file_duplicates(text[], uuid, uuid) from public, anon;
+revoke all on function public.document_file_blob_shared(uuid) from public, anon;
+grant execute on function public.find_file_duplicates(text[], uuid, uuid) to authenticated, service_role;
+grant execute on function public.document_file_blob_shared(uuid) to authenticated, service_role;
@@ -0,0 +1,223 @@
+-- Antivirus quarantine for uploaded files and chat attachments.
+-- New rows start as 'pending' and stay unopenable until the file-scan edge function (clamd INSTREAM)
+-- marks them 'clean'. 'infected' blobs are moved under quarantine/, 'error' rows are retried by the sweep.
+-- Rows that predate scanning are treated as clean.
+alter table public.document_files
+  add column if not exists scan_status text not null default 'clean',
+  add column if not exists scan_signature text,
+  add column if not exists scan_error text,
+  add column if not exists scan_engine text,
+  add column if not exists scan_attempts integer not null default 0,
+  add column if not exists scanned_at timestamptz;
+alter table public.document_files alter column scan_status set default 'pending';
+
+alter table public.chat_attachments
+  add column if not exists scan_status text not null default 'clean',
+  add column if not exists scan_signature text,
+  add column if not exists scan_error text,
+  add column if not exists scan_engine text,
+  add column if not exists scan_attempts integer not null default 0,
+  add column if not exists scanned_at timestamptz;
+alter table public.chat_attachments alter column scan_status set default 'pending';
+
+alter table public.document_files drop constraint if exists document_files_scan_status_check;
+alter table public.document_files
+  add constraint document_files_scan_status_check check (scan_status in ('pending', 'clean', 'infected', 'error'));
+alter table public.chat_attachments drop constraint if exists chat_attachments_scan_status_check;
+alter table public.chat_attachments
+  add constraint chat_attachments_scan_status_check check (scan_status in ('pending', 'clean', 'infected', 'error'));
+
+create index if not exists idx_document_files_scan_queue
+  on public.document_files(created_at)
+  where scan_status in ('pending', 'error');
+create index if not exists idx_chat_attachments_scan_queue
+  on public.chat_attachments(created_at)
+  where scan_status in ('pending', 'error');
+
+-- Only the scanner (service role) sets scan results. Client inserts always start in quarantine,
+-- and a client update that changes the content (new path or hash) sends the row back to it.
+create or replace function public.file_scan_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.role() = 'service_role' then
+    return new;
+  end if;
+  if tg_op = 'INSERT'
+     or new.file_path is distinct from old.file_path
+     or to_jsonb(new) ->> 'content_sha256' is distinct from to_jsonb(old) ->> 'content_sha256' then
+    new.scan_status := 'pending';
+    new.scan_signature := null;
+    new.scan_error := null;
+    new.scan_engine := null;
+    new.scan_attempts := 0;
+    new.scanned_at := null;
+  else
+    new.scan_status := old.scan_status;
+    new.scan_signature := old.scan_signature;
+    new.scan_error := old.scan_error;
+    new.scan_engine := old.scan_engine;
+    new.scan_attempts := old.scan_attempts;
+    new.scanned_at := old.scanned_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_document_files_scan_guard on public.document_files;
+create trigger trg_document_files_scan_guard
+  before insert or update on public.document_files
+  for each row execute function public.file_scan_guard();
+
+drop trigger if exists trg_chat_attachments_scan_guard on public.chat_attachments;
+create trigger trg_chat_attachments_scan_guard
+  before insert or update on public.chat_attachments
+  for each row execute function public.file_scan_guard();
+
+-- Quarantine also holds at the storage layer: a documents blob referenced by a file row that is not
+-- 'clean' cannot be downloaded or signed through the storage API. The scanner and the edge functions
+-- read such blobs with the service role. Security definer, so rows the caller cannot see still count.
+create or replace function public.storage_object_quarantined(p_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.document_files f
+     where f.file_path = p_name
+       and f.scan_status <> 'clean');
+$$;
+
+revoke all on function public.storage_object_quarantined(text) from public, anon;
+grant execute on function public.storage_object_quarantined(text) to authenticated, service_role;
+
+drop policy if exists documents_quarantine_clean_only on storage.objects;
+create policy documents_quarantine_clean_only on storage.objects
+  as restrictive
+  for select to authenticated
+  using (bucket_id <> 'documents' or not public.storage_object_quarantined(name));
+
+-- Publishing to AUDITOR requires a clean scan.
+create or replace function public.document_access_require_clean_file()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.visible_to_operator is true
+     and new.file_id is not null
+     and exists (select 1 from public.document_files f where f.id = new.file_id and f.scan_status <> 'clean') then
+    raise exception 'file_not_clean' using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_document_access_require_clean_file on public.document_access;
+create trigger trg_document_access_require_clean_file
+  before insert or update on public.document_access
+  for each row execute function public.document_access_require_clean_file();
+
+-- A file found infected later (e.g. after a forced rescan with newer signatures) is unpublished.
+create or replace function public.document_files_unpublish_infected()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.document_access
+     set visible_to_operator = false
+   where file_id = new.id and visible_to_operator = true;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_document_files_unpublish_infected on public.document_files;
+create trigger trg_document_files_unpublish_infected
+  after update of scan_status on public.document_files
+  for each row
+  when (new.scan_status = 'infected' and old.scan_status is distinct from 'infected')
+  execute function public.document_files_unpublish_infected();
+
+-- Infected files are never offered as a duplicate to link to.
+create or replace function public.find_file_duplicates(
+  p_hashes text[],
+  p_document_id uuid default null,
+  p_company_id uuid default null
+)
+returns table (
+  content_sha256 text,
+  file_id uuid,
+  file_name text,
+  file_path text,
+  file_size bigint,
+  file_type text,
+  mime_type text,
+  document_id uuid,
+  document_code text,
+  document_name_pl text,
+  document_name_uk text,
+  same_document boolean
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with target as (
+    select coalesce(
+      p_company_id,
+      (select s.company_id
+         from public.documents d
+         join public.document_sections s on s.id = d.section_id
+        where d.id = p_document_id)
+    ) as company_id
+  )
+  select f.content_sha256,
+         f.id,
+         f.file_name::text,
+         f.file_path::text,
+         f.file_size::bigint,
+         f.file_type::text,
+         f.mime_type::text,
+         d.id,
+         d.code::text,
+         d.name_pl::text,
+         d.name_uk::text,
+         coalesce(d.id = p_document_id, false)
+    from public.document_files f
+    join public.documents d on d.id = f.document_id
+    join public.document_sections s on s.id = d.section_id
+    join target t on t.company_id = s.company_id
+   where f.content_sha256 = any(p_hashes)
+     and f.scan_status <> 'infected'
+   order by coalesce(d.id = p_document_id, false) desc, f.created_at
+   limit 500;
+$$;
+
+-- Sweep every 10 minutes for rows whose scan request was lost or failed. Requires vault secrets
+-- 'project_url' and 'service_role_key'; skipped where pg_cron/pg_net are unavailable.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron')
+     and exists (select 1 from pg_extension where extname = 'pg_net') then
+    perform cron.unschedule(jobid) from cron.job where jobname = 'file-scan-sweep';
+    perform cron.schedule(
+      'file-scan-sweep',
+      '*/10 * * * *',
+      $job$
+        select net.http_post(
+          url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/file-scan',
+          headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+          ),
+          body := '{}'::jsonb
+        );
+      $job$
+    );
+  end if;
+end $$;
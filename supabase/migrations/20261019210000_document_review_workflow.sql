@@ -0,0 +1,79 @@
+-- Document review workflow: FNU submits a document for review ('in_review'), an AUDITOR reviewer
+-- approves it ('done') or rejects it with a reason (back to 'in_progress').
+-- Transitions go through the document-review edge function (service role); other writers cannot move a
+-- document into or out of review, nor straight to 'done'.
+alter table public.documents
+  add column if not exists review_submitted_by uuid references public.profiles(id) on delete set null,
+  add column if not exists review_submitted_at timestamptz,
+  add column if not exists approved_by uuid references public.profiles(id) on delete set null,
+  add column if not exists approved_at timestamptz;
+
+create table if not exists public.document_review_events (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references public.documents(id) on delete cascade,
+  action text not null check (action in ('submit', 'approve', 'reject')),
+  from_status text,
+  to_status text not null,
+  reason text,
+  actor_id uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_document_review_events_document
+  on public.document_review_events(document_id, created_at desc);
+
+alter table public.document_review_events enable row level security;
+
+-- Readable wherever the document itself is readable; written only by the edge function.
+drop policy if exists document_review_events_select on public.document_review_events;
+create policy document_review_events_select on public.document_review_events
+  for select to authenticated
+  using (exists (select 1 from public.documents d where d.id = document_id));
+
+create or replace function public.documents_review_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.role() = 'service_role' then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    if new.status in ('in_review', 'done') then
+      raise exception 'review_transition_required' using errcode = 'check_violation';
+    end if;
+    new.review_submitted_by := null;
+    new.review_submitted_at := null;
+    new.approved_by := null;
+    new.approved_at := null;
+    return new;
+  end if;
+  if new.status is distinct from old.status
+     and (new.status in ('in_review', 'done') or old.status = 'in_review') then
+    raise exception 'review_transition_required' using errcode = 'check_violation';
+  end if;
+  -- Review columns are kept as they were, except when a deleted profile's on delete set null clears them.
+  if not (new.review_submitted_by is null
+          and not exists (select 1 from public.profiles p where p.id = old.review_submitted_by)) then
+    new.review_submitted_by := old.review_submitted_by;
+  end if;
+  new.review_submitted_at := old.review_submitted_at;
+  -- Reopening an approved document drops the approval; it has to be reviewed again.
+  if old.status = 'done' and new.status is distinct from 'done' then
+    new.approved_by := null;
+    new.approved_at := null;
+  else
+    if not (new.approved_by is null
+            and not exists (select 1 from public.profiles p where p.id = old.approved_by)) then
+      new.approved_by := old.approved_by;
+    end if;
+    new.approved_at := old.approved_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_documents_review_guard on public.documents;
+create trigger trg_documents_review_guard
+  before insert or update on public.documents
+  for each row execute function public.documents_review_guard();
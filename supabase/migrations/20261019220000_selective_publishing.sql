@@ -0,0 +1,245 @@
+-- Selective publishing to AUDITOR. A document_access row can now
+--   * target specific AUDITOR users (audience_user_ids; null = the whole AUDITOR side),
+--   * be scheduled (publish_at; released by the file-publish edge function on a 5-minute schedule),
+--   * be revoked (visible_to_operator back to false, with revoked_at / revoked_by kept for the record).
+-- visible_to_operator stays the "currently published" flag every reader already checks.
+alter table public.document_access
+  add column if not exists publish_at timestamptz,
+  add column if not exists audience_user_ids uuid[],
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revoked_by uuid references public.profiles(id) on delete set null;
+
+create index if not exists idx_document_access_publish_due
+  on public.document_access(publish_at)
+  where visible_to_operator = false and publish_at is not null and revoked_at is null;
+
+-- Whether a file is currently published to the given user (an empty audience means every AUDITOR user).
+-- Security definer so the RLS policies below can call it without recursing into document_access policies;
+-- callers may only ask about themselves.
+create or replace function public.file_published_to(p_file_id uuid, p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select (p_user_id = auth.uid() or auth.role() = 'service_role')
+     and exists (
+       select 1
+         from public.document_access a
+        where a.file_id = p_file_id
+          and a.visible_to_operator = true
+          and (coalesce(cardinality(a.audience_user_ids), 0) = 0 or p_user_id = any(a.audience_user_ids)));
+$$;
+
+revoke all on function public.file_published_to(uuid, uuid) from public, anon;
+grant execute on function public.file_published_to(uuid, uuid) to authenticated, service_role;
+
+-- AUDITOR-side users without an admin role: the readers audience targeting applies to.
+create or replace function public.is_restricted_auditor()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid()
+       and upper(coalesce(p.side, 'FNU')) in ('AUDITOR', 'OPERATOR')
+       and coalesce(p.role, '') not in ('super_admin', 'lawyer_admin'));
+$$;
+
+-- Whether a documents-bucket object backs a file the caller uploaded or that is published to them
+-- (linked duplicates share a blob).
+create or replace function public.storage_object_published_to_caller(p_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.document_files f
+     where f.file_path = p_name
+       and (f.uploaded_by = auth.uid() or public.file_published_to(f.id, auth.uid())));
+$$;
+
+revoke all on function public.is_restricted_auditor() from public, anon;
+revoke all on function public.storage_object_published_to_caller(text) from public, anon;
+grant execute on function public.is_restricted_auditor() to authenticated;
+grant execute on function public.storage_object_published_to_caller(text) to authenticated;
+
+-- Audience targeting in the database, not only in the app and edge functions: restricted auditors read
+-- the publication rows, file rows and blobs addressed to them, plus their own uploads, and nothing else.
+-- Restrictive, so these narrow whatever the existing policies allow. Chat attachments (chat/...) keep
+-- their own rules; delivery package copies are handed out as signed links by delivery-package.
+drop policy if exists document_access_auditor_audience on public.document_access;
+create policy document_access_auditor_audience on public.document_access
+  as restrictive
+  for select to authenticated
+  using (
+    not public.is_restricted_auditor()
+    or (visible_to_operator = true
+        and (coalesce(cardinality(audience_user_ids), 0) = 0 or auth.uid() = any(audience_user_ids))));
+
+drop policy if exists document_files_auditor_published_only on public.document_files;
+create policy document_files_auditor_published_only on public.document_files
+  as restrictive
+  for select to authenticated
+  using (not public.is_restricted_auditor() or uploaded_by = auth.uid() or public.file_published_to(id, auth.uid()));
+
+drop policy if exists documents_auditor_published_only on storage.objects;
+create policy documents_auditor_published_only on storage.objects
+  as restrictive
+  for select to authenticated
+  using (
+    bucket_id <> 'documents'
+    or name like 'chat/%'
+    or not public.is_restricted_auditor()
+    or owner = auth.uid()
+    or public.storage_object_published_to_caller(name));
+
+-- Search hides files published only to other auditors.
+create or replace function public.search_audit(
+  p_query text,
+  p_company_id uuid default null,
+  p_limit integer default 30
+)
+returns table (
+  kind text,
+  id uuid,
+  company_id uuid,
+  section_id uuid,
+  document_id uuid,
+  file_id uuid,
+  thread_id uuid,
+  title text,
+  snippet text,
+  rank real,
+  created_at timestamptz
+)
+language plpgsql
+stable
+security invoker
+set search_path = public, extensions
+as $$
+#variable_conflict use_column
+declare
+  v_terms text;
+  v_query tsquery;
+  v_role text;
+  v_side text;
+  v_is_admin boolean;
+  v_limit integer := least(greatest(coalesce(p_limit, 30), 1), 100);
+begin
+  select string_agg(w || ':*', ' & ')
+    into v_terms
+    from regexp_split_to_table(lower(coalesce(p_query, '')), '[^[:alnum:]]+') as w
+   where length(w) > 0;
+  if v_terms is null then
+    return;
+  end if;
+  v_query := to_tsquery('public.audit_search'::regconfig, v_terms);
+
+  select p.role, upper(coalesce(p.side, 'FNU'))
+    into v_role, v_side
+    from public.profiles p
+   where p.id = auth.uid();
+  if v_side = 'OPERATOR' then
+    v_side := 'AUDITOR';
+  end if;
+  v_is_admin := v_role in ('super_admin', 'lawyer_admin');
+
+  return query
+  with hits as (
+    select 'document'::text as kind, d.id, s.company_id, d.section_id, d.id as document_id,
+           null::uuid as file_id, null::uuid as thread_id,
+           coalesce(nullif(d.code, '') || ' ', '') || coalesce(d.name_pl, d.name_uk, '') as title,
+           coalesce(d.name_pl, '') || ' / ' || coalesce(d.name_uk, '') as body,
+           ts_rank(d.search_vector, v_query) as rank, d.created_at
+      from public.documents d
+      join public.document_sections s on s.id = d.section_id
+     where d.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+    union all
+    select 'file', f.id, s.company_id, d.section_id, d.id, f.id, null,
+           f.file_name,
+           coalesce(f.extracted_text, f.file_name),
+           ts_rank(f.search_vector, v_query), f.created_at
+      from public.document_files f
+      join public.documents d on d.id = f.document_id
+      join public.document_sections s on s.id = d.section_id
+     where f.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+       and (v_side <> 'AUDITOR' or v_is_admin or public.file_published_to(f.id, auth.uid()))
+    union all
+    select 'comment', c.id, s.company_id, s.id, d.id, c.file_id, null,
+           coalesce(d.name_pl, s.name_pl, ''),
+           coalesce(c.content, ''),
+           ts_rank(c.search_vector, v_query), c.created_at
+      from public.comments c
+      left join public.document_files cf on cf.id = c.file_id
+      left join public.documents d on d.id = coalesce(c.document_id, cf.document_id)
+      join public.document_sections s on s.id = coalesce(c.section_id, d.section_id)
+     where c.search_vector @@ v_query
+       and (p_company_id is null or s.company_id = p_company_id)
+       and (
+         v_role = 'super_admin'
+         or (coalesce(c.comment_scope, 'fnu_internal') = 'auditor_channel' and (v_is_admin or v_side = 'AUDITOR'))
+         or (coalesce(c.comment_scope, 'fnu_internal') <> 'auditor_channel' and v_side = 'FNU')
+       )
+    union all
+    select 'chat_message', m.id, t.company_id, t.section_id, t.document_id, null, t.id,
+           coalesce(t.topic, ''),
+           coalesce(m.content, ''),
+           ts_rank(m.search_vector, v_query), m.created_at
+      from public.chat_messages m
+      join public.chat_threads t on t.id = m.thread_id
+     where m.search_vector @@ v_query
+       and t.section_id is not null
+       and (p_company_id is null or t.company_id = p_company_id)
+       and (
+         v_role = 'super_admin'
+         or t.created_by = auth.uid()
+         or exists (
+           select 1 from public.chat_thread_members tm
+            where tm.thread_id = t.id and tm.user_id = auth.uid() and tm.is_active = true)
+       )
+  ), ranked as (
+    select * from hits h order by h.rank desc, h.created_at desc limit v_limit
+  )
+  select r.kind, r.id, r.company_id, r.section_id, r.document_id, r.file_id, r.thread_id, r.title,
+         ts_headline('public.audit_search'::regconfig, left(r.body, 20000), v_query,
+           'MaxFragments=1, MaxWords=18, MinWords=6, StartSel=«, StopSel=»'),
+         r.rank, r.created_at
+    from ranked r
+   order by r.rank desc, r.created_at desc;
+end;
+$$;
+
+grant execute on function public.search_audit(text, uuid, integer) to authenticated;
+
+-- Release scheduled publications every 5 minutes. Requires vault secrets 'project_url' and
+-- 'service_role_key'; skipped where pg_cron/pg_net are unavailable.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron')
+     and exists (select 1 from pg_extension where extname = 'pg_net') then
+    perform cron.unschedule(jobid) from cron.job where jobname = 'file-publish-release';
+    perform cron.schedule(
+      'file-publish-release',
+      '*/5 * * * *',
+      $job$
+        select net.http_post(
+          url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/file-publish',
+          headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+          ),
+          body := '{"action":"release_due"}'::jsonb
+        );
+      $job$
+    );
+  end if;
+end $$;
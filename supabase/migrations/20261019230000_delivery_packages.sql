@@ -0,0 +1,171 @@
+-- Delivery packages: what was handed to the AUDITOR side, and when.
+-- When files are published with a package, file-publish copies each blob to packages/<company>/<package>/
+-- at the moment the file becomes visible, so later edits or rollbacks of the live file do not change what
+-- was delivered. A package is numbered per company when it is delivered; delivered packages are immutable.
+-- Like the items, packages keep company_id and created_by as plain ids: a referential action on a delivered
+-- package would be stopped by the immutability guard and block deleting the company or the profile.
+create table if not exists public.delivery_packages (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null,
+  package_no integer,
+  title text,
+  status text not null default 'scheduled' check (status in ('scheduled', 'delivered', 'cancelled')),
+  audience_user_ids uuid[],
+  scheduled_for timestamptz,
+  delivered_at timestamptz,
+  file_count integer not null default 0,
+  total_bytes bigint not null default 0,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (company_id, package_no)
+);
+
+-- Snapshot rows: no foreign keys to the live tables, the record must outlive the files it describes.
+create table if not exists public.delivery_package_items (
+  id uuid primary key default gen_random_uuid(),
+  package_id uuid not null references public.delivery_packages(id) on delete cascade,
+  file_id uuid,
+  document_id uuid,
+  section_id uuid,
+  document_code text,
+  document_name_pl text,
+  document_name_uk text,
+  file_name text not null,
+  file_size bigint,
+  mime_type text,
+  content_sha256 text,
+  storage_path text not null,
+  frozen_at timestamptz not null default now()
+);
+
+create index if not exists idx_delivery_packages_company
+  on public.delivery_packages(company_id, created_at desc);
+create index if not exists idx_delivery_package_items_package
+  on public.delivery_package_items(package_id);
+
+alter table public.document_access
+  add column if not exists package_id uuid references public.delivery_packages(id) on delete set null;
+
+-- Numbers are assigned on delivery, gap-free per company.
+create or replace function public.delivery_packages_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' then
+    if old.status = 'delivered' then
+      raise exception 'delivery_package_immutable' using errcode = 'insufficient_privilege';
+    end if;
+    return old;
+  end if;
+  if tg_op = 'UPDATE' and old.status <> 'scheduled' then
+    raise exception 'delivery_package_immutable' using errcode = 'insufficient_privilege';
+  end if;
+  if new.status = 'delivered' and new.package_no is null then
+    perform pg_advisory_xact_lock(hashtext('delivery_packages:' || new.company_id::text));
+    select coalesce(max(p.package_no), 0) + 1
+      into new.package_no
+      from public.delivery_packages p
+     where p.company_id = new.company_id;
+    new.delivered_at := coalesce(new.delivered_at, now());
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_delivery_packages_guard on public.delivery_packages;
+create trigger trg_delivery_packages_guard
+  before insert or update or delete on public.delivery_packages
+  for each row execute function public.delivery_packages_guard();
+
+create or replace function public.delivery_package_items_reject_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from public.delivery_packages p where p.id = old.package_id and p.status = 'delivered') then
+    raise exception 'delivery_package_immutable' using errcode = 'insufficient_privilege';
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists trg_delivery_package_items_reject_change on public.delivery_package_items;
+create trigger trg_delivery_package_items_reject_change
+  before update or delete on public.delivery_package_items
+  for each row execute function public.delivery_package_items_reject_change();
+
+alter table public.delivery_packages enable row level security;
+alter table public.delivery_package_items enable row level security;
+
+-- section.view in SQL (see _shared/policy.ts): admins and the AUDITOR side see every section, FNU users
+-- every section unless they have tw_folder_acl entries, then only those their effective ACL can view.
+create or replace function public.caller_can_view_section(p_section_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with caller as (
+    select p.role, upper(coalesce(p.side, 'FNU')) as side
+      from public.profiles p
+     where p.id = auth.uid() and p.is_active = true
+  ),
+  acl as (
+    select e.section_id, e.can_view
+      from public.tw_apps app
+     cross join lateral public.effective_section_acl(app.id, auth.uid()) e
+     where app.slug = 'audit'
+  )
+  select exists (
+    select 1 from caller c
+     where c.role in ('super_admin', 'lawyer_admin')
+        or c.side <> 'FNU'
+        or not exists (select 1 from acl)
+        or exists (select 1 from acl where acl.section_id = p_section_id and acl.can_view));
+$$;
+
+-- Whether the package holds at least one item from a section the caller can view. Security definer so
+-- the packages policy can look at items without recursing into the items policy.
+create or replace function public.delivery_package_has_viewable_item(p_package_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.delivery_package_items i
+     where i.package_id = p_package_id
+       and public.caller_can_view_section(i.section_id));
+$$;
+
+revoke all on function public.caller_can_view_section(uuid) from public, anon;
+revoke all on function public.delivery_package_has_viewable_item(uuid) from public, anon;
+grant execute on function public.caller_can_view_section(uuid) to authenticated;
+grant execute on function public.delivery_package_has_viewable_item(uuid) to authenticated;
+
+-- Admins see every package; FNU users see packages with items from folders they can view, and only
+-- those items; AUDITOR users see delivered packages addressed to them.
+-- Writes go through the file-publish edge function (service role).
+drop policy if exists delivery_packages_select on public.delivery_packages;
+create policy delivery_packages_select on public.delivery_packages
+  for select to authenticated
+  using (exists (
+    select 1 from public.profiles p
+     where p.id = auth.uid()
+       and p.is_active = true
+       and (
+         p.role in ('super_admin', 'lawyer_admin')
+         or (upper(coalesce(p.side, 'FNU')) = 'FNU' and public.delivery_package_has_viewable_item(id))
+         or (status = 'delivered'
+             and (coalesce(cardinality(audience_user_ids), 0) = 0 or p.id = any(audience_user_ids)))
+       )));
+
+drop policy if exists delivery_package_items_select on public.delivery_package_items;
+create policy delivery_package_items_select on public.delivery_package_items
+  for select to authenticated
+  using (
+    exists (select 1 from public.delivery_packages p where p.id = package_id)
+    and public.caller_can_view_section(section_id));
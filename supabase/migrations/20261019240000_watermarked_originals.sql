@@ -0,0 +1,20 @@
+-- Originals of PDFs and images in the documents bucket are readable (download / signed URL) by FNU admins
+-- only (file.open_original in supabase/functions/_shared/policy.ts). Everyone else gets watermarked copies from the file-watermark edge function, which reads storage
+-- with the service role; section archives and delivery-package links apply the same rule server-side.
+-- Keep the extension list in sync with WATERMARK_PROTECTED_EXTENSIONS in supabase/functions/_shared/watermarkFormats.ts.
+-- Chat attachments (chat/...) are not covered.
+drop policy if exists documents_protected_originals_fnu_only on storage.objects;
+drop policy if exists documents_protected_originals_fnu_admins on storage.objects;
+create policy documents_protected_originals_fnu_admins on storage.objects
+  as restrictive
+  for select to authenticated
+  using (
+    bucket_id <> 'documents'
+    or name like 'chat/%'
+    or lower(name) !~ '\.(pdf|png|jpe?g)$'
+    or exists (
+      select 1 from public.profiles p
+       where p.id = auth.uid()
+         and p.is_active = true
+         and p.role in ('super_admin', 'lawyer_admin')
+         and upper(coalesce(p.side, 'FNU')) = 'FNU'));
@@ -0,0 +1,74 @@
+-- Per-file read receipts: one row per preview or download of a document file, by whom and through which
+-- channel. The app records direct storage reads; file-watermark, delivery-package and section-archive
+-- record their own (service role). The FNU side reads everyone's receipts, other users only their own.
+create table if not exists public.file_access_events (
+  id uuid primary key default gen_random_uuid(),
+  file_id uuid not null references public.document_files(id) on delete cascade,
+  document_id uuid,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  action text not null check (action in ('view', 'download')),
+  channel text not null check (channel in ('inline', 'tab', 'download', 'watermark', 'package', 'archive')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_file_access_events_file
+  on public.file_access_events(file_id, created_at desc);
+create index if not exists idx_file_access_events_user
+  on public.file_access_events(user_id, created_at desc);
+
+alter table public.file_access_events enable row level security;
+
+drop policy if exists file_access_events_select on public.file_access_events;
+create policy file_access_events_select on public.file_access_events
+  for select to authenticated
+  using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from public.profiles p
+       where p.id = auth.uid()
+         and p.is_active = true
+         and (p.role in ('super_admin', 'lawyer_admin') or upper(coalesce(p.side, 'FNU')) = 'FNU')));
+
+-- Users record their own reads, and only of files they can see.
+drop policy if exists file_access_events_insert on public.file_access_events;
+create policy file_access_events_insert on public.file_access_events
+  for insert to authenticated
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.document_files f where f.id = file_id));
+
+-- "Seen by" per file and user; security invoker, so the select policy above decides whose reads show up.
+create or replace function public.file_read_receipts(p_file_ids uuid[])
+returns table (
+  file_id uuid,
+  user_id uuid,
+  full_name text,
+  email text,
+  side text,
+  views bigint,
+  downloads bigint,
+  first_seen_at timestamptz,
+  last_seen_at timestamptz
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select e.file_id,
+         e.user_id,
+         p.full_name,
+         p.email,
+         p.side,
+         count(*) filter (where e.action = 'view'),
+         count(*) filter (where e.action = 'download'),
+         min(e.created_at),
+         max(e.created_at)
+    from public.file_access_events e
+    left join public.profiles p on p.id = e.user_id
+   where e.file_id = any(p_file_ids)
+   group by e.file_id, e.user_id, p.full_name, p.email, p.side
+   order by max(e.created_at) desc;
+$$;
+
+grant execute on function public.file_read_receipts(uuid[]) to authenticated;